@@ -79,9 +79,10 @@ const TONE = {
 }
 
 const SUSPENDED = {
-  'suspended second': ['P1', 'M2', 'P5'],
-  'suspended fourth': ['P1', 'P4', 'P5'],
-  'suspended jazz':   ['P1', 'P5', 'm7', 'M9'],
+  'suspended second':         ['P1', 'M2', 'P5'],
+  'suspended fourth':         ['P1', 'P4', 'P5'],
+  'suspended jazz':           ['P1', 'P5', 'm7', 'M9'],
+  'seventh suspended fourth': ['P1', 'P4', 'P5', 'm7'],
 }
 
 export const CHORDS: Readonly<Record<string, readonly IntervalNotation[]>> = Object.assign({},
@@ -109,6 +110,7 @@ export const CHORD_ALIAS: Readonly<Record<string, string>> = {
   'aug': 'augmented',
 
   'o': 'diminished',
+  '°': 'diminished',
   'dim': 'diminished',
 
   // Sixth
@@ -118,6 +120,7 @@ export const CHORD_ALIAS: Readonly<Record<string, string>> = {
   'add sixth': 'major sixth',
 
   'm6': 'minor sixth',
+  '-6': 'minor sixth',
   'min6': 'minor sixth',
 
   // Seventh
@@ -126,14 +129,18 @@ export const CHORD_ALIAS: Readonly<Record<string, string>> = {
 
   'M7': 'major seventh',
   'maj7': 'major seventh',
+  'Δ': 'major seventh',
+  'Δ7': 'major seventh',
 
   'm7': 'minor seventh',
+  '-7': 'minor seventh',
   'min7': 'minor seventh',
 
   'mM7': 'minor-major seventh',
   'minmaj7': 'minor-major seventh',
 
   'o7': 'diminished seventh',
+  '°7': 'diminished seventh',
   'dim7': 'diminished seventh',
 
   'ø': 'half-diminished seventh',
@@ -155,8 +162,10 @@ export const CHORD_ALIAS: Readonly<Record<string, string>> = {
 
   'M9': 'major ninth',
   'maj9': 'major ninth',
+  'Δ9': 'major ninth',
 
   'm9': 'minor ninth',
+  '-9': 'minor ninth',
   'min9': 'minor ninth',
 
   'mM9': 'minor-major ninth',
@@ -184,6 +193,7 @@ export const CHORD_ALIAS: Readonly<Record<string, string>> = {
   'maj11': 'major eleventh',
 
   'm11': 'minor eleventh',
+  '-11': 'minor eleventh',
   'min11': 'minor eleventh',
 
   'mM11': 'minor-major eleventh',
@@ -210,6 +220,7 @@ export const CHORD_ALIAS: Readonly<Record<string, string>> = {
   'minmaj13': 'minor-major thirteenth',
 
   'm13': 'minor thirteenth',
+  '-13': 'minor thirteenth',
   'min13': 'minor thirteenth',
 
   'ø13': 'half-diminished thirteenth',
@@ -238,4 +249,83 @@ export const CHORD_ALIAS: Readonly<Record<string, string>> = {
   'sus4': 'suspended fourth',
   
   '9sus4': 'suspended jazz',
+
+  '7sus4': 'seventh suspended fourth',
+  '7sus': 'seventh suspended fourth',
+}
+
+/**
+ * The conventional chord symbol suffix for each chord, as it would be written
+ * on a lead sheet after the root. Every symbol is a valid input to the chord
+ * symbol parser, so `chord(root + CHORD_SYMBOL[name])` recreates the chord.
+ *
+ * @see {@link https://en.wikipedia.org/wiki/Chord_names_and_symbols_(popular_music)}
+ */
+export const CHORD_SYMBOL: Readonly<Record<string, string>> = {
+  // Triads
+  'major':      '',
+  'minor':      'm',
+  'augmented':  'aug',
+  'diminished': 'dim',
+
+  // Sixth
+  'major sixth': '6',
+  'minor sixth': 'm6',
+
+  // Seventh
+  'dominant seventh':        '7',
+  'major seventh':           'maj7',
+  'minor seventh':           'm7',
+  'minor-major seventh':     'mM7',
+  'diminished seventh':      'dim7',
+  'half-diminished seventh': 'm7b5',
+  'augmented seventh':       'aug7',
+  'augmented major seventh': 'augmaj7',
+  'seventh flat five':       '7b5',
+
+  // Ninth
+  'dominant minor ninth':        '7b9',
+  'dominant ninth':              '9',
+  'major ninth':                 'maj9',
+  'minor ninth':                 'm9',
+  'minor-major ninth':           'mM9',
+  'diminished minor ninth':      'dim7b9',
+  'diminished ninth':            'dim9',
+  'half-diminished minor ninth': 'm7b5b9',
+  'half-diminished ninth':       'm9b5',
+  'augmented dominant ninth':    'aug9',
+  'augmented major ninth':       'augmaj9',
+
+  // Eleventh
+  'eleventh':                 '11',
+  'major eleventh':           'maj11',
+  'minor eleventh':           'm11',
+  'minor-major eleventh':     'mM11',
+  'diminished eleventh':      'dim11',
+  'half-diminished eleventh': 'm11b5',
+  'augmented eleventh':       'aug11',
+  'augmented major eleventh': 'augmaj11',
+
+  // Thirteenth
+  'dominant thirteenth':        '9(add13)',
+  'thirteenth':                 '13',
+  'major thirteenth':           'maj13',
+  'minor thirteenth':           'm13',
+  'minor-major thirteenth':     'mM13',
+  'half-diminished thirteenth': 'm13b5',
+  'augmented thirteenth':       'aug13',
+  'augmented major thirteenth': 'augmaj13',
+
+  // Added tone
+  'mixed-third': '(addb3)',
+  'add fourth':  'add4',
+  'add nine':    'add9',
+  'seven-six':   '7(add6)',
+  'six-nine':    '6/9',
+
+  // Suspended
+  'suspended second':         'sus2',
+  'suspended fourth':         'sus4',
+  'suspended jazz':           '9sus4',
+  'seventh suspended fourth': '7sus4',
 }
@@ -1,5 +1,5 @@
 // Type definitions for interval notation
-export type IntervalQuality = 'P' | 'M' | 'm' | 'A' | 'd'
+export type IntervalQuality = 'P' | 'M' | 'm' | 'A' | 'd' | 'N' | 'sA' | 'sd'
 export type IntervalNotation = string // e.g., 'P1', 'M3', 'd5'
 
 /**
@@ -21,6 +21,16 @@ export const CHROMATIC: ReadonlyArray<readonly [IntervalQuality, number]> = [
   ['A', 4], ['P', 5], ['m', 6], ['M', 6], ['m', 7], ['M', 7],
 ] as const
 
+/**
+ * The quality and diatonic number of the default intervals a quarter tone
+ * above each step of the C chromatic scale, indexed by semitone difference.
+ * E.g. the neutral third (N3) is 3.5 semitones.
+ */
+export const QUARTER_TONE: ReadonlyArray<readonly [IntervalQuality, number]> = [
+  ['sA', 1], ['N', 2], ['sA', 2], ['N', 3], ['sd', 4], ['sA', 4],
+  ['sd', 5], ['sA', 5], ['N', 6], ['sA', 6], ['N', 7], ['sd', 8],
+] as const
+
 /**
  * Interval bitmasks are used to compare collections of intervals with bitwise
  * operations. This makes reverse lookup of chords and scales fast and simple,
@@ -0,0 +1,158 @@
+/**
+ * Forte numbers of the set classes with up to six pitch classes, with their
+ * prime form. The number is the cardinality, followed by the position in
+ * Forte's list. Z marks set classes that share their interval vector with
+ * another set class (Z-related).
+ *
+ * Larger set classes are the complements of these, and share their number,
+ * e.g. 7-35 (the diatonic scale) is the complement of 5-35 (the pentatonic
+ * scale). The complement of a Z-related hexachord is its Z partner.
+ *
+ * Sources:
+ *   Allen Forte, The Structure of Atonal Music (1973)
+ *   https://en.wikipedia.org/wiki/List_of_set_classes
+ */
+export const FORTE_NUMBERS: Readonly<Record<string, readonly number[]>> = {
+  '0-1':   [],
+  '1-1':   [0],
+
+  '2-1':   [0, 1],
+  '2-2':   [0, 2],
+  '2-3':   [0, 3],
+  '2-4':   [0, 4],
+  '2-5':   [0, 5],
+  '2-6':   [0, 6],
+
+  '3-1':   [0, 1, 2],
+  '3-2':   [0, 1, 3],
+  '3-3':   [0, 1, 4],
+  '3-4':   [0, 1, 5],
+  '3-5':   [0, 1, 6],
+  '3-6':   [0, 2, 4],
+  '3-7':   [0, 2, 5],
+  '3-8':   [0, 2, 6],
+  '3-9':   [0, 2, 7],
+  '3-10':  [0, 3, 6],
+  '3-11':  [0, 3, 7],
+  '3-12':  [0, 4, 8],
+
+  '4-1':   [0, 1, 2, 3],
+  '4-2':   [0, 1, 2, 4],
+  '4-3':   [0, 1, 3, 4],
+  '4-4':   [0, 1, 2, 5],
+  '4-5':   [0, 1, 2, 6],
+  '4-6':   [0, 1, 2, 7],
+  '4-7':   [0, 1, 4, 5],
+  '4-8':   [0, 1, 5, 6],
+  '4-9':   [0, 1, 6, 7],
+  '4-10':  [0, 2, 3, 5],
+  '4-11':  [0, 1, 3, 5],
+  '4-12':  [0, 2, 3, 6],
+  '4-13':  [0, 1, 3, 6],
+  '4-14':  [0, 2, 3, 7],
+  '4-Z15': [0, 1, 4, 6],
+  '4-16':  [0, 1, 5, 7],
+  '4-17':  [0, 3, 4, 7],
+  '4-18':  [0, 1, 4, 7],
+  '4-19':  [0, 1, 4, 8],
+  '4-20':  [0, 1, 5, 8],
+  '4-21':  [0, 2, 4, 6],
+  '4-22':  [0, 2, 4, 7],
+  '4-23':  [0, 2, 5, 7],
+  '4-24':  [0, 2, 4, 8],
+  '4-25':  [0, 2, 6, 8],
+  '4-26':  [0, 3, 5, 8],
+  '4-27':  [0, 2, 5, 8],
+  '4-28':  [0, 3, 6, 9],
+  '4-Z29': [0, 1, 3, 7],
+
+  '5-1':   [0, 1, 2, 3, 4],
+  '5-2':   [0, 1, 2, 3, 5],
+  '5-3':   [0, 1, 2, 4, 5],
+  '5-4':   [0, 1, 2, 3, 6],
+  '5-5':   [0, 1, 2, 3, 7],
+  '5-6':   [0, 1, 2, 5, 6],
+  '5-7':   [0, 1, 2, 6, 7],
+  '5-8':   [0, 2, 3, 4, 6],
+  '5-9':   [0, 1, 2, 4, 6],
+  '5-10':  [0, 1, 3, 4, 6],
+  '5-11':  [0, 2, 3, 4, 7],
+  '5-Z12': [0, 1, 3, 5, 6],
+  '5-13':  [0, 1, 2, 4, 8],
+  '5-14':  [0, 1, 2, 5, 7],
+  '5-15':  [0, 1, 2, 6, 8],
+  '5-16':  [0, 1, 3, 4, 7],
+  '5-Z17': [0, 1, 3, 4, 8],
+  '5-Z18': [0, 1, 4, 5, 7],
+  '5-19':  [0, 1, 3, 6, 7],
+  '5-20':  [0, 1, 3, 7, 8],
+  '5-21':  [0, 1, 4, 5, 8],
+  '5-22':  [0, 1, 4, 7, 8],
+  '5-23':  [0, 2, 3, 5, 7],
+  '5-24':  [0, 1, 3, 5, 7],
+  '5-25':  [0, 2, 3, 5, 8],
+  '5-26':  [0, 2, 4, 5, 8],
+  '5-27':  [0, 1, 3, 5, 8],
+  '5-28':  [0, 2, 3, 6, 8],
+  '5-29':  [0, 1, 3, 6, 8],
+  '5-30':  [0, 1, 4, 6, 8],
+  '5-31':  [0, 1, 3, 6, 9],
+  '5-32':  [0, 1, 4, 6, 9],
+  '5-33':  [0, 2, 4, 6, 8],
+  '5-34':  [0, 2, 4, 6, 9],
+  '5-35':  [0, 2, 4, 7, 9],
+  '5-Z36': [0, 1, 2, 4, 7],
+  '5-Z37': [0, 3, 4, 5, 8],
+  '5-Z38': [0, 1, 2, 5, 8],
+
+  '6-1':   [0, 1, 2, 3, 4, 5],
+  '6-2':   [0, 1, 2, 3, 4, 6],
+  '6-Z3':  [0, 1, 2, 3, 5, 6],
+  '6-Z4':  [0, 1, 2, 4, 5, 6],
+  '6-5':   [0, 1, 2, 3, 6, 7],
+  '6-Z6':  [0, 1, 2, 5, 6, 7],
+  '6-7':   [0, 1, 2, 6, 7, 8],
+  '6-8':   [0, 2, 3, 4, 5, 7],
+  '6-9':   [0, 1, 2, 3, 5, 7],
+  '6-Z10': [0, 1, 3, 4, 5, 7],
+  '6-Z11': [0, 1, 2, 4, 5, 7],
+  '6-Z12': [0, 1, 2, 4, 6, 7],
+  '6-Z13': [0, 1, 3, 4, 6, 7],
+  '6-14':  [0, 1, 3, 4, 5, 8],
+  '6-15':  [0, 1, 2, 4, 5, 8],
+  '6-16':  [0, 1, 4, 5, 6, 8],
+  '6-Z17': [0, 1, 2, 4, 7, 8],
+  '6-18':  [0, 1, 2, 5, 7, 8],
+  '6-Z19': [0, 1, 3, 4, 7, 8],
+  '6-20':  [0, 1, 4, 5, 8, 9],
+  '6-21':  [0, 2, 3, 4, 6, 8],
+  '6-22':  [0, 1, 2, 4, 6, 8],
+  '6-Z23': [0, 2, 3, 5, 6, 8],
+  '6-Z24': [0, 1, 3, 4, 6, 8],
+  '6-Z25': [0, 1, 3, 5, 6, 8],
+  '6-Z26': [0, 1, 3, 5, 7, 8],
+  '6-27':  [0, 1, 3, 4, 6, 9],
+  '6-Z28': [0, 1, 3, 5, 6, 9],
+  '6-Z29': [0, 1, 3, 6, 8, 9],
+  '6-30':  [0, 1, 3, 6, 7, 9],
+  '6-31':  [0, 1, 3, 5, 8, 9],
+  '6-32':  [0, 2, 4, 5, 7, 9],
+  '6-33':  [0, 2, 3, 5, 7, 9],
+  '6-34':  [0, 1, 3, 5, 7, 9],
+  '6-35':  [0, 2, 4, 6, 8, 10],
+  '6-Z36': [0, 1, 2, 3, 4, 7],
+  '6-Z37': [0, 1, 2, 3, 4, 8],
+  '6-Z38': [0, 1, 2, 3, 7, 8],
+  '6-Z39': [0, 2, 3, 4, 5, 8],
+  '6-Z40': [0, 1, 2, 3, 5, 8],
+  '6-Z41': [0, 1, 2, 3, 6, 8],
+  '6-Z42': [0, 1, 2, 3, 6, 9],
+  '6-Z43': [0, 1, 2, 5, 6, 8],
+  '6-Z44': [0, 1, 2, 5, 6, 9],
+  '6-Z45': [0, 2, 3, 4, 6, 9],
+  '6-Z46': [0, 1, 2, 4, 6, 9],
+  '6-Z47': [0, 1, 2, 4, 7, 9],
+  '6-Z48': [0, 1, 2, 5, 7, 9],
+  '6-Z49': [0, 1, 3, 4, 7, 9],
+  '6-Z50': [0, 1, 4, 6, 7, 9],
+} as const
@@ -0,0 +1,426 @@
+import { Key } from "./key.js";
+import { Melody, type MelodyEvent, type TimeSignature } from "./melody.js";
+import { Note } from "./note.js";
+import { NoteList } from "./notelist.js";
+import { ensureType, splitAtBars } from "./utils.js";
+
+// Times closer than this are equal, to allow rounding errors in e.g. triplets
+const EPSILON = 1e-9;
+
+// ABC accidentals, and the mode abbreviations of the K: field
+const ACCIDENTALS: Readonly<Record<string, string>> = {
+  "^^": "##",
+  "^": "#",
+  "=": "",
+  _: "b",
+  __: "bb",
+};
+const MODES: Readonly<Record<string, string>> = {
+  "": "major",
+  maj: "major",
+  m: "minor",
+  min: "minor",
+  ion: "ionian",
+  dor: "dorian",
+  phr: "phrygian",
+  lyd: "lydian",
+  mix: "mixolydian",
+  aeo: "aeolian",
+  loc: "locrian",
+};
+
+/**
+ * A tune in ABC notation.
+ *
+ *  `reference` and `title` are the X: and T: fields.
+ *  `key` is the K: field, which spells notes without accidentals.
+ *  `unitLength` is the L: field in beats (quarter notes), e.g. 0.5 for 1/8.
+ *  `melody` has the notes, the time signature (M:) and the tempo (Q:).
+ */
+export type AbcTune = {
+  reference: number;
+  title?: string;
+  key: Key;
+  unitLength: number;
+  melody: Melody;
+};
+
+/**
+ * Parse a tune in ABC notation.
+ *
+ * Supports the X:, T:, M:, L:, Q: and K: header fields, notes with
+ * accidentals, octave marks and lengths, rests, chords in brackets, ties and
+ * bar lines. Accidentals last until the end of the bar, like in the standard.
+ * K: and L: fields in the body change the key and unit length from there on.
+ * A melody has a single time signature, so an M: field in the body must
+ * match the header. Other fields and comments are skipped.
+ *
+ * @param abc Tune in ABC notation
+ *
+ * @see {@link https://abcnotation.com/wiki/abc:standard:v2.1}
+ *
+ * @example
+ * parseAbc('X:1\nL:1/4\nK:F\nB c/d/ [FAc]2').melody.toString() // 'Bb4 C5:0.5 D5:0.5 [F4 A4 C5]:2'
+ */
+export function parseAbc(abc: string): AbcTune {
+  const lines = abc.split(/\r?\n/).map((line) => line.replace(/%.*$/, ""));
+  const fields: Record<string, string> = {};
+  let body = 0;
+  while (body < lines.length && !("K" in fields)) {
+    const field = lines[body]!.match(/^([A-Za-z]):\s*(.*?)\s*$/);
+    if (field) fields[field[1]!] ??= field[2]!;
+    body++;
+  }
+
+  const timeSignature = parseMeter(fields["M"] ?? "4/4");
+  const meter = timeSignature.numerator / timeSignature.denominator;
+  const unitLength =
+    parseFraction(fields["L"] ?? (meter < 0.75 ? "1/16" : "1/8"), "L") * 4;
+  const key = parseKey(fields["K"] ?? "C");
+  const melody = parseBody(lines.slice(body), key, unitLength, {
+    timeSignature,
+    tempo: parseTempo(fields["Q"]),
+  });
+
+  const reference = parseInt(fields["X"] ?? "1", 10);
+  return {
+    reference: Number.isNaN(reference) ? 1 : reference,
+    ...(fields["T"] === undefined ? {} : { title: fields["T"] }),
+    key,
+    unitLength,
+    melody,
+  };
+}
+
+/**
+ * Write a tune, melody or note list in ABC notation. Notes are spelled with
+ * accidentals where the key signature and earlier notes in the bar don't
+ * already give the right one. Bar lines follow the time signature, with
+ * four bars on each line, and notes are beamed by beat. Notes crossing a bar
+ * line are split and tied (`-`).
+ *
+ * A melody is written in C major, and a note list as a melody of quarter
+ * notes. Pitch classes are written in octave 4. The tempo is only written
+ * if it isn't 120.
+ *
+ * @param music ABC tune OR Melody OR Note list OR Space separated notes
+ *
+ * @example
+ * toAbc(notes('C4 E4 G4 C5')) // 'X:1\nM:4/4\nL:1/8\nK:C\nC2 E2 G2 c2 |\n'
+ */
+export function toAbc(music: AbcTune | NoteList | string): string {
+  const tune =
+    typeof music === "object" && "melody" in music ? music : tuneOf(music);
+  const { melody, key, unitLength } = tune;
+  const { numerator, denominator } = melody.timeSignature;
+
+  const header = [
+    `X:${tune.reference}`,
+    ...(tune.title === undefined ? [] : [`T:${tune.title}`]),
+    `M:${numerator}/${denominator}`,
+    `L:${formatFraction(unitLength / 4)}`,
+    ...(melody.tempo === 120 ? [] : [`Q:1/4=${melody.tempo}`]),
+    `K:${formatKey(key)}`,
+  ];
+
+  const signature = new Map<string, string>(
+    key.signature().notes.map((n) => [n.letter, n.accidentals]),
+  );
+  const barLength = melody.barLength();
+  // Notes are beamed by beat, which is dotted in compound meters like 6/8
+  const compound = numerator % 3 === 0 && numerator > 3 && denominator >= 8;
+  const beatLength = (compound ? 12 : 4) / denominator;
+  const bars: string[][] = [];
+  let accidentals = new Map<string, string>();
+
+  const write = (event: MelodyEvent & { tied: boolean }) => {
+    const bar = Math.floor(event.onset / barLength + EPSILON);
+    while (bars.length <= bar) {
+      bars.push([]);
+      accidentals = new Map();
+    }
+    const beats = event.onset / beatLength;
+    const onBeat = Math.abs(beats - Math.round(beats)) < EPSILON;
+    const first = bars[bar]!.length === 0;
+    const notes = event.notes.map((note) => {
+      const pitch = note.isPitch() ? note : note.toPitch(4);
+      const id = `${pitch.letter}${pitch.octave}`;
+      const current = accidentals.get(id) ?? signature.get(pitch.letter) ?? "";
+      accidentals.set(id, pitch.accidentals);
+      return formatNote(pitch, pitch.accidentals !== current);
+    });
+    const symbol =
+      notes.length === 0
+        ? "z"
+        : notes.length === 1
+          ? notes[0]!
+          : `[${notes.join("")}]`;
+    const length = formatLength(event.duration / unitLength);
+    const tie = event.tied && notes.length > 0 ? "-" : "";
+    bars[bar]!.push(`${onBeat && !first ? " " : ""}${symbol}${length}${tie}`);
+  };
+
+  for (const event of splitAtBars(melody)) write(event);
+
+  const lines = [];
+  for (let i = 0; i < bars.length; i += 4) {
+    const line = bars.slice(i, i + 4).map((bar) => `${bar.join("")} |`);
+    lines.push(line.join(" "));
+  }
+  return `${[...header, ...lines].join("\n")}\n`;
+}
+
+/**
+ * Parse the notes, rests, chords, ties, bar lines and fields of the tune
+ * body.
+ */
+function parseBody(
+  lines: string[],
+  key: Key,
+  unitLength: number,
+  options: { timeSignature: TimeSignature; tempo: number },
+): Melody {
+  const body = lines.join("\n");
+  const keySignature = (key: Key) =>
+    new Map<string, string>(
+      key.signature().notes.map((n) => [n.letter, n.accidentals]),
+    );
+  let signature = keySignature(key);
+  const events: MelodyEvent[] = [];
+  let accidentals = new Map<string, string>();
+  // The last event, if it's tied to the next
+  let tied: MelodyEvent | undefined;
+  let onset = 0;
+  let pos = 0;
+
+  const readField = (name: string, value: string) => {
+    if (name === "K") {
+      signature = keySignature(parseKey(value));
+    } else if (name === "L") {
+      unitLength = parseFraction(value, "L") * 4;
+    } else if (name === "M") {
+      const { numerator, denominator } = parseMeter(value);
+      if (
+        numerator !== options.timeSignature.numerator ||
+        denominator !== options.timeSignature.denominator
+      ) {
+        throw new Error(`The meter can't change to 'M:${value}' in a tune`);
+      }
+    }
+  };
+
+  const push = (notes: Note[], duration: number) => {
+    const same = (a: readonly Note[]) =>
+      a.length === notes.length && a.every((n, i) => n.isEqual(notes[i]!));
+    if (tied !== undefined && same(tied.notes)) {
+      tied.duration += duration;
+    } else {
+      events.push({ notes, onset, duration });
+    }
+    onset += duration;
+    tied = undefined;
+    if (body[pos] === "-" && notes.length > 0) {
+      pos++;
+      tied = events[events.length - 1];
+    }
+  };
+
+  const readNote = (): Note | undefined => {
+    const match = body.slice(pos).match(/^(\^\^|\^|__|_|=)?([A-Ga-g])([,']*)/);
+    if (!match) return undefined;
+    pos += match[0].length;
+
+    const [, accidental, letter, marks] = match;
+    const octave =
+      (letter === letter!.toUpperCase() ? 4 : 5) +
+      marks!.split("").reduce((sum, m) => sum + (m === "'" ? 1 : -1), 0);
+    const id = `${letter!.toUpperCase()}${octave}`;
+    // A note tied across a bar line keeps its accidental
+    const tiedFrom = tied?.notes.find((n) => `${n.letter}${n.octave}` === id);
+    if (accidental !== undefined) {
+      accidentals.set(id, ACCIDENTALS[accidental]!);
+    } else if (tiedFrom !== undefined && !accidentals.has(id)) {
+      accidentals.set(id, tiedFrom.accidentals);
+    }
+    const alteration =
+      accidentals.get(id) ?? signature.get(letter!.toUpperCase()) ?? "";
+    return new Note(letter!.toUpperCase(), alteration, octave);
+  };
+
+  const readLength = (): number => {
+    const match = body.slice(pos).match(/^(\d*)(\/*)(\d*)/)!;
+    pos += match[0].length;
+    const [, numerator, slashes, denominator] = match;
+    if (Number(numerator || 1) === 0 || Number(denominator || 1) === 0) {
+      throw abcError(body, pos - match[0].length);
+    }
+    const divisor =
+      slashes === ""
+        ? 1
+        : denominator
+          ? Number(denominator)
+          : 2 ** slashes!.length;
+    return (Number(numerator || 1) / divisor) * unitLength;
+  };
+
+  while (pos < body.length) {
+    const rest = body.slice(pos);
+    const bar = rest.match(/^(\|\]|\|\||\|)/);
+    const field =
+      pos === 0 || body[pos - 1] === "\n"
+        ? rest.match(/^([A-Za-z]):\s*(.*?)\s*(?:\n|$)/)
+        : null;
+
+    if (field) {
+      readField(field[1]!, field[2]!);
+      pos += field[0].length;
+    } else if (/^\s/.test(rest)) {
+      pos++;
+    } else if (bar) {
+      accidentals = new Map();
+      pos += bar[0].length;
+    } else if (rest[0] === "z" || rest[0] === "x") {
+      pos++;
+      push([], readLength());
+    } else if (rest[0] === "[") {
+      pos++;
+      const notes: Note[] = [];
+      let inner = Infinity;
+      while (body[pos] !== "]") {
+        const note = readNote();
+        if (note === undefined) throw abcError(body, pos);
+        notes.push(note);
+        inner = Math.min(inner, readLength() / unitLength);
+      }
+      if (notes.length === 0) throw abcError(body, pos);
+      pos++;
+      push(notes, inner * readLength());
+    } else {
+      const note = readNote();
+      if (note === undefined) throw abcError(body, pos);
+      push([note], readLength());
+    }
+  }
+  return new Melody(events, options);
+}
+
+/**
+ * Parse the K: field, e.g. 'G', 'F#m' or 'D dor'.
+ */
+function parseKey(field: string): Key {
+  if (field === "" || field === "none") return new Key("C");
+  const match = field.match(/^([A-G][#b]?)\s*([A-Za-z]*)$/);
+  const mode = MODES[match?.[2]?.slice(0, 3).toLowerCase() ?? ""];
+  if (!match || mode === undefined) {
+    throw new Error(`'K:${field}' is not a valid ABC key`);
+  }
+  return new Key(match[1]!, mode);
+}
+
+/**
+ * Parse the M: field, e.g. '3/4', or 'C' for common time.
+ */
+function parseMeter(field: string): TimeSignature {
+  if (field === "C") return { numerator: 4, denominator: 4 };
+  if (field === "C|") return { numerator: 2, denominator: 2 };
+  const match = field.match(/^(\d+)\/(\d+)$/);
+  if (!match) throw new Error(`'M:${field}' is not a valid ABC meter`);
+  return { numerator: Number(match[1]), denominator: Number(match[2]) };
+}
+
+/**
+ * Parse the Q: field as quarter notes per minute, e.g. '1/4=120' or '3/8=60'.
+ */
+function parseTempo(field: string | undefined): number {
+  if (field === undefined) return 120;
+  const match = field.match(/^(?:(\d+\/\d+)\s*=\s*)?(\d+(?:\.\d+)?)$/);
+  if (!match) throw new Error(`'Q:${field}' is not a valid ABC tempo`);
+  const beat = match[1] === undefined ? 1 : parseFraction(match[1], "Q") * 4;
+  return Number(match[2]) * beat;
+}
+
+/**
+ * Parse a fraction like '1/8' from a header field.
+ */
+function parseFraction(text: string, field: string): number {
+  const match = text.match(/^(\d+)\/(\d+)$/);
+  if (!match || Number(match[1]) === 0 || Number(match[2]) === 0) {
+    throw new Error(`'${field}:${text}' is not a valid ABC length`);
+  }
+  return Number(match[1]) / Number(match[2]);
+}
+
+/**
+ * Create a tune with default header fields for a melody or note list.
+ */
+function tuneOf(music: NoteList | string): AbcTune {
+  const melody =
+    music instanceof Melody
+      ? music
+      : Melody.fromNoteList(ensureType(music, NoteList));
+  const { numerator, denominator } = melody.timeSignature;
+  return {
+    reference: 1,
+    key: new Key("C"),
+    unitLength: numerator / denominator < 0.75 ? 0.25 : 0.5,
+    melody,
+  };
+}
+
+/**
+ * Write a note with octave marks, and its accidentals if asked.
+ */
+function formatNote(note: Note, withAccidentals: boolean): string {
+  const accidental = Object.keys(ACCIDENTALS).find(
+    (a) => ACCIDENTALS[a] === note.accidentals,
+  );
+  if (accidental === undefined) {
+    throw new Error(`The note '${note}' can't be written in ABC`);
+  }
+  const octave = note.octave;
+  const letter =
+    octave >= 5 ? note.letter.toLowerCase() : note.letter.toUpperCase();
+  const marks =
+    octave >= 5 ? "'".repeat(octave - 5) : ",".repeat(Math.max(0, 4 - octave));
+  return `${withAccidentals ? accidental : ""}${letter}${marks}`;
+}
+
+/**
+ * Write a length in unit lengths, e.g. '' for 1, '3/2', or '/' for 1/2.
+ */
+function formatLength(units: number): string {
+  const fraction = formatFraction(units);
+  if (fraction === "1") return "";
+  if (fraction === "1/2") return "/";
+  return fraction.startsWith("1/") ? fraction.slice(1) : fraction;
+}
+
+/**
+ * Write a number as a fraction, e.g. '3/2' or '1/8', or as an integer.
+ */
+function formatFraction(value: number): string {
+  for (let denominator = 1; denominator <= 3840; denominator++) {
+    const numerator = Math.round(value * denominator);
+    if (Math.abs(value * denominator - numerator) < EPSILON * denominator) {
+      return denominator === 1 ? `${numerator}` : `${numerator}/${denominator}`;
+    }
+  }
+  throw new Error(`The length ${value} can't be written in ABC`);
+}
+
+/**
+ * Write a key for the K: field, e.g. 'G', 'F#m' or 'Ddor'.
+ */
+function formatKey(key: Key): string {
+  if (key.mode === "minor") return `${key.tonic}m`;
+  const abbreviation = Object.keys(MODES).find((m) => MODES[m] === key.mode);
+  return `${key.tonic}${abbreviation}`;
+}
+
+/**
+ * Create an error pointing at the offending position in a tune body.
+ */
+function abcError(body: string, pos: number): Error {
+  const found = pos < body.length ? `'${body[pos]}'` : "end of tune";
+  return new Error(`Unexpected ${found} in ABC tune at position ${pos}`);
+}
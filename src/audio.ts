@@ -0,0 +1,249 @@
+import { Melody, type MelodyEvent } from "./melody.js";
+import { Note } from "./note.js";
+import { NoteList } from "./notelist.js";
+import type { Tuning } from "./tuning.js";
+import { ensureType } from "./utils.js";
+import { voicing } from "./voicing.js";
+
+const DEFAULT_ENVELOPE: Envelope = {
+  attack: 0.01,
+  decay: 0.1,
+  sustain: 0.7,
+  release: 0.1,
+};
+
+/**
+ * Shape of the sound wave of each note.
+ */
+export type Waveform = "sine" | "square" | "sawtooth" | "triangle";
+
+/**
+ * An ADSR envelope, giving the volume of a note over time. The note rises
+ * to full volume during the `attack`, falls to the `sustain` level (0-1)
+ * during the `decay`, and fades out during the `release` after it ends.
+ * Times are in seconds.
+ *
+ * @see {@link https://en.wikipedia.org/wiki/Envelope_(music)}
+ */
+export type Envelope = {
+  attack: number;
+  decay: number;
+  sustain: number;
+  release: number;
+};
+
+/**
+ * Options for rendering audio.
+ *
+ *  `style` plays the notes of each note list together ('chord') or one
+ *          after the other ('arpeggio'). Defaults to 'chord'. Melodies keep
+ *          their rhythm.
+ *  `duration` is the length of each chord, or of each note of an arpeggio,
+ *             in beats. Defaults to 1.
+ *  `tempo` defaults to 120 beats per minute. Melodies keep their tempo.
+ *  `sampleRate` defaults to 44100 samples per second.
+ *  `waveform` defaults to 'sine'.
+ *  `envelope` overrides parts of the default envelope (see `Envelope`).
+ *  `gain` is the peak amplitude of each note. Defaults to 0.2.
+ *  `tuning` gives the frequencies of notes. Defaults to equal temperament.
+ */
+export type AudioOptions = {
+  style?: "chord" | "arpeggio";
+  duration?: number;
+  tempo?: number;
+  sampleRate?: number;
+  waveform?: Waveform;
+  envelope?: Partial<Envelope>;
+  gain?: number;
+  tuning?: Tuning;
+};
+
+/**
+ * Render a melody, a note, a note list, or note lists one after the other,
+ * as mono audio samples from -1 to 1. Pitch classes are voiced closely from
+ * C4. Every note starts at the beginning of its wave, so the same input
+ * always gives the same samples. Loud passages are clipped.
+ *
+ * @param music Melody OR Note OR Note list OR Space separated notes OR List
+ *              of note lists
+ * @param options Sound and timing (see `AudioOptions`)
+ *
+ * @example
+ * renderAudio(chord('A4 major'), { waveform: 'triangle' }) // Float32Array
+ * renderAudio(['C E G', 'F A C', 'G B D'], { style: 'arpeggio' })
+ */
+export function renderAudio(
+  music: Note | NoteList | string | readonly (NoteList | string)[],
+  options: AudioOptions = {},
+): Float32Array {
+  const { sampleRate = 44100, waveform = "sine", gain = 0.2, tuning } = options;
+  if (!Number.isInteger(sampleRate) || sampleRate <= 0) {
+    throw new Error(
+      `Sample rate must be a positive integer, got ${sampleRate}`,
+    );
+  }
+  const envelope = { ...DEFAULT_ENVELOPE, ...options.envelope };
+  const { attack, decay, sustain, release } = envelope;
+  if (
+    [attack, decay, release].some((t) => !(t >= 0)) ||
+    !(sustain >= 0 && sustain <= 1)
+  ) {
+    throw new Error(
+      "The envelope must have times of at least 0, and a sustain from 0 to 1",
+    );
+  }
+  const events = toEvents(music, options).flatMap(
+    ({ notes, onset, duration }) =>
+      notes.map((note) => ({
+        frequency: note.frequency(tuning),
+        onset,
+        duration,
+      })),
+  );
+
+  const end = Math.max(
+    0,
+    ...events.map((e) => e.onset + e.duration + envelope.release),
+  );
+  const samples = new Float32Array(Math.ceil(end * sampleRate));
+  const mix = new Float64Array(samples.length);
+  for (const { frequency, onset, duration } of events) {
+    const start = Math.round(onset * sampleRate);
+    const length = Math.ceil((duration + envelope.release) * sampleRate);
+    for (let i = 0; i < length && start + i < mix.length; i++) {
+      const time = i / sampleRate;
+      mix[start + i]! +=
+        gain *
+        level(envelope, time, duration) *
+        oscillate(waveform, frequency * time);
+    }
+  }
+  for (let i = 0; i < mix.length; i++) {
+    samples[i] = Math.max(-1, Math.min(1, mix[i]!));
+  }
+  return samples;
+}
+
+/**
+ * Write audio as a WAV file with 16-bit mono PCM. Music is rendered first,
+ * see `renderAudio()`.
+ *
+ * @param music Audio samples OR Music to render (see `renderAudio()`)
+ * @param options Sound and timing (see `AudioOptions`)
+ *
+ * @see {@link https://en.wikipedia.org/wiki/WAV}
+ *
+ * @example
+ * fs.writeFileSync('chord.wav', toWav(chord('C4 major')))
+ */
+export function toWav(
+  music:
+    | Float32Array
+    | Note
+    | NoteList
+    | string
+    | readonly (NoteList | string)[],
+  options: AudioOptions = {},
+): Uint8Array {
+  const samples =
+    music instanceof Float32Array ? music : renderAudio(music, options);
+  const sampleRate = options.sampleRate ?? 44100;
+  const bytes = new Uint8Array(44 + 2 * samples.length);
+  const view = new DataView(bytes.buffer);
+  const text = (offset: number, value: string) => {
+    for (let i = 0; i < value.length; i++) {
+      view.setUint8(offset + i, value.charCodeAt(i));
+    }
+  };
+
+  text(0, "RIFF");
+  view.setUint32(4, bytes.length - 8, true);
+  text(8, "WAVE");
+  text(12, "fmt ");
+  view.setUint32(16, 16, true);
+  view.setUint16(20, 1, true); // PCM
+  view.setUint16(22, 1, true); // Mono
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * 2, true); // Bytes per second
+  view.setUint16(32, 2, true); // Bytes per sample
+  view.setUint16(34, 16, true); // Bits per sample
+  text(36, "data");
+  view.setUint32(40, 2 * samples.length, true);
+  samples.forEach((sample, i) => {
+    const clipped = Math.max(-1, Math.min(1, sample));
+    view.setInt16(44 + 2 * i, Math.round(clipped * 32767), true);
+  });
+  return bytes;
+}
+
+/**
+ * List the notes of the music with onset and duration in seconds.
+ */
+function toEvents(
+  music: Note | NoteList | string | readonly (NoteList | string)[],
+  options: AudioOptions,
+): MelodyEvent[] {
+  if (music instanceof Melody) return music.toSeconds();
+
+  const { style = "chord", duration = 1, tempo = 120 } = options;
+  const seconds = (duration * 60) / tempo;
+  const lists =
+    music instanceof Note
+      ? [new NoteList([music])]
+      : typeof music === "string" || music instanceof NoteList
+        ? [music]
+        : music;
+  const events: MelodyEvent[] = [];
+  let onset = 0;
+  for (const list of lists) {
+    const noteList = ensureType(list, NoteList);
+    if (noteList.isEmpty()) continue;
+    const pitches = noteList.isPitches() ? noteList : voicing(noteList);
+    if (style === "chord") {
+      events.push({ notes: pitches.notes, onset, duration: seconds });
+      onset += seconds;
+    } else {
+      for (const note of pitches.notes) {
+        events.push({ notes: [note], onset, duration: seconds });
+        onset += seconds;
+      }
+    }
+  }
+  return events;
+}
+
+/**
+ * The volume of a note at a time after it starts, for a note lasting
+ * `duration` seconds.
+ */
+function level(envelope: Envelope, time: number, duration: number): number {
+  const { attack, decay, sustain, release } = envelope;
+  const held = (t: number) =>
+    t < attack
+      ? t / attack
+      : t < attack + decay
+        ? 1 - ((1 - sustain) * (t - attack)) / decay
+        : sustain;
+  if (time < duration) return held(time);
+  return time < duration + release
+    ? held(duration) * (1 - (time - duration) / release)
+    : 0;
+}
+
+/**
+ * The value of a wave from -1 to 1 after a number of cycles. Each cycle
+ * starts with the rising half of the wave.
+ */
+function oscillate(waveform: Waveform, cycles: number): number {
+  const phase = cycles - Math.floor(cycles);
+  switch (waveform) {
+    case "sine":
+      return Math.sin(2 * Math.PI * phase);
+    case "square":
+      return phase < 0.5 ? 1 : -1;
+    case "sawtooth":
+      return 2 * ((phase + 0.5) % 1) - 1;
+    case "triangle":
+      return 1 - 4 * Math.abs(((phase + 0.25) % 1) - 0.5);
+  }
+}
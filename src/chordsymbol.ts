@@ -0,0 +1,365 @@
+import { Interval, interval } from "./interval.js";
+import { Note } from "./note.js";
+import type { NoteList } from "./notelist.js";
+import { registry } from "./registry.js";
+import { mod } from "./utils.js";
+
+/**
+ * The components of a parsed chord symbol.
+ *
+ *  `root` is the pitch class the chord is built on.
+ *  `intervals` are the chord tones relative to the root, sorted by pitch.
+ *  `bass` is the slash bass note, if the symbol has one (e.g. 'A' in 'F/A').
+ */
+export type ChordSymbol = {
+  root: Note;
+  intervals: Interval[];
+  bass?: Note;
+};
+
+type Modifier = [
+  RegExp,
+  (intervals: Interval[], ...args: string[]) => Interval[],
+];
+
+// The unaltered interval of each chord degree. Sevenths are minor by default,
+// as they are in a plain '7' or '9' chord.
+const DEGREES: Readonly<Record<string, string>> = {
+  "1": "P1",
+  "2": "M2",
+  "3": "M3",
+  "4": "P4",
+  "5": "P5",
+  "6": "M6",
+  "7": "m7",
+  "9": "M9",
+  "11": "P11",
+  "13": "M13",
+};
+
+// Notes that can be rendered as tensions on top of a chord, indexed by
+// semitones above the root. Natural tensions are written as additions.
+const TENSIONS: Readonly<Record<number, string>> = {
+  1: "b9",
+  2: "add9",
+  3: "#9",
+  5: "add11",
+  6: "#11",
+  8: "b13",
+  9: "add13",
+};
+
+/**
+ * Modifiers follow the quality and adjust its intervals. Each is a pattern
+ * and a function applying the captured groups to the intervals:
+ *  'add9', 'add#11': Add a (possibly altered) degree
+ *  'sus', 'sus2', 'sus4': Replace the third with a second or fourth
+ *  'no3', 'omit5': Remove a degree
+ *  'maj7', 'M9': Replace the seventh with a major seventh, up to the degree
+ *  'b5', '#9', 'b13': Replace a degree with an altered one
+ */
+const MODIFIERS: readonly Modifier[] = [
+  [/^add([#b]?)(\d+)/, (ints, acc, num) => withDegree(ints, degree(num!, acc))],
+  [
+    /^sus([24]?)/,
+    (ints, num) => withDegree(without(ints, 3), degree(num || "4")),
+  ],
+  [/^(?:no|omit)(\d+)/, (ints, num) => without(ints, degree(num!).number)],
+  [
+    /^(?:maj|M)(7|9|11|13)/,
+    (ints, num) =>
+      ["9", "11", "13"]
+        .filter((n) => parseInt(n, 10) <= parseInt(num!, 10))
+        .reduce(
+          (acc, n) => withDegree(acc, degree(n)),
+          withDegree(without(ints, 7), interval("M7")),
+        ),
+  ],
+  [
+    /^([#b])(\d+)/,
+    (ints, acc, num) => {
+      const altered = degree(num!, acc);
+      return withDegree(without(ints, altered.number), altered);
+    },
+  ],
+];
+
+/**
+ * Parse a chord symbol as found on lead sheets.
+ *
+ * A symbol consists of a root, an optional quality from the chord database
+ * (e.g. 'm7', 'dim', 'maj9'), any number of modifiers (e.g. 'b5', 'sus4',
+ * 'add9'), optionally grouped in parentheses, and an optional slash bass.
+ *
+ * @param symbol Chord symbol (e.g. 'Cmaj7', 'F#m7b5/A', 'G7(#9,b13)')
+ *
+ * @see {@link https://en.wikipedia.org/wiki/Chord_names_and_symbols_(popular_music)}
+ */
+export function parseChordSymbol(symbol: string): ChordSymbol {
+  const rootMatch = symbol.match(/^[A-G](#+|b*)/);
+  if (!rootMatch) throw parseError(symbol, 0);
+  const root = Note.fromString(rootMatch[0]);
+  let pos = rootMatch[0].length;
+
+  // The empty alias matches unless it was unregistered
+  const quality = loadQualities().find(([q]) => symbol.startsWith(q, pos));
+  if (quality === undefined) throw parseError(symbol, pos);
+  let intervals = registry.chord(quality[1])!.intervals.map(interval);
+  pos += quality[0].length;
+
+  let inGroup = false;
+  let bass: Note | undefined;
+
+  while (pos < symbol.length) {
+    const rest = symbol.slice(pos);
+
+    if (rest[0] === "(" && !inGroup) {
+      inGroup = true;
+      pos += 1;
+    } else if (rest[0] === ")" && inGroup) {
+      inGroup = false;
+      pos += 1;
+    } else if ((rest[0] === "," || rest[0] === " ") && inGroup) {
+      pos += 1;
+    } else if (rest[0] === "/" && !inGroup) {
+      const bassMatch = rest.match(/^\/([A-G](#*|b*))$/);
+      if (!bassMatch) throw parseError(symbol, pos + 1);
+      bass = Note.fromString(bassMatch[1]!);
+      pos = symbol.length;
+    } else {
+      const [modified, length] = applyModifier(symbol, pos, intervals);
+      intervals = modified;
+      pos += length;
+    }
+  }
+  if (inGroup) throw parseError(symbol, pos);
+
+  intervals.sort(
+    (a, b) =>
+      a.chromaticSteps - b.chromaticSteps || a.diatonicSteps - b.diatonicSteps,
+  );
+  return bass === undefined ? { root, intervals } : { root, intervals, bass };
+}
+
+/**
+ * Render a chord as a conventional chord symbol.
+ *
+ * Given a chord name, e.g. a result from `search().exact().chord()`, the
+ * symbol suffix is returned without a root ('major seventh' -> 'maj7').
+ *
+ * Given a note list, the lowest note (or the first, for pitch classes) is
+ * treated as the bass. Every note is tried as the root, starting with the
+ * bass, and matches are preferred in this order:
+ *  - A chord in the chord database with the bass as its root
+ *  - An inversion of a triad, seventh or ninth chord on another root, with
+ *    the bass as its third, fifth or seventh, written with a slash bass
+ *    (e.g. 'C7/E')
+ *  - The largest chord with the bass as its root, with the remaining notes
+ *    written as tensions (e.g. 'G7(#9,b13)')
+ *  - A chord on another root with the bass as an extension, or with
+ *    tensions, written with a slash bass
+ * Returns undefined if the notes do not form a chord.
+ *
+ * @param chord Note list OR Name of chord
+ *
+ * @example
+ * toChordSymbol('half-diminished seventh') // 'm7b5'
+ * toChordSymbol(notes('A C F'))            // 'F/A'
+ */
+export function toChordSymbol(chord: NoteList | string): string | undefined {
+  if (typeof chord === "string") {
+    const entry = registry.chord(chord);
+    if (entry === undefined)
+      throw new Error(`The chord '${chord}' is not known`);
+    return entry.symbol;
+  }
+
+  const sorted = chord.isPitches() ? chord.sort() : chord;
+  const pitchClasses = sorted.notes.map((n) => n.toPitchClass());
+  const bass = pitchClasses[0];
+  if (bass === undefined) return undefined;
+
+  const candidates = pitchClasses.map((root) => ({
+    root,
+    slash: root.isEnharmonic(bass) ? "" : `/${bass}`,
+    bassBit: 1 << mod(root.distance(bass), 12),
+    mask: pitchClassMask(pitchClasses.map((n) => root.distance(n))),
+  }));
+  const [rooted, ...others] = candidates;
+
+  // A chord with exactly these notes, or only an inversion of a triad,
+  // seventh or ninth chord
+  const exact = (
+    { root, slash, mask, bassBit }: (typeof candidates)[number],
+    inverted: boolean = false,
+  ) => {
+    const entry = loadChordMasks().find(
+      (e) =>
+        e.mask === mask &&
+        (!inverted ||
+          (bits(mask).length <= 5 && (e.inversionMask & bassBit) !== 0)),
+    );
+    return entry && `${root}${entry.symbol}${slash}`;
+  };
+  // The largest chord where all extra notes are tensions. The eleventh of a
+  // thirteenth chord may be raised, as in '13(#11)'.
+  const withTensions = ({ root, slash, mask }: (typeof candidates)[number]) => {
+    const raised11 = (e: ChordMask) =>
+      (e.mask & ~mask) === 1 << 5 &&
+      (e.mask & (1 << 9)) !== 0 &&
+      (mask & ~e.mask & (1 << 6)) !== 0;
+    const entry = loadChordMasks()
+      .filter((e) => (e.mask & ~mask) === 0 || raised11(e))
+      .filter((e) => bits(mask & ~e.mask).every((b) => b in TENSIONS))
+      .sort((a, b) => bits(b.mask).length - bits(a.mask).length)[0];
+    if (entry === undefined) return undefined;
+    const tensions = bits(mask & ~entry.mask).map((b) => TENSIONS[b]);
+    // Tensions join the parentheses of a symbol like '9(add13)'
+    const symbol = entry.symbol.endsWith(")")
+      ? `${entry.symbol.slice(0, -1)},${tensions.join(",")})`
+      : `${entry.symbol}(${tensions.join(",")})`;
+    return `${root}${symbol}${slash}`;
+  };
+  return (
+    exact(rooted!) ??
+    others.map((c) => exact(c, true)).find((s) => s !== undefined) ??
+    withTensions(rooted!) ??
+    others.map((c) => exact(c)).find((s) => s !== undefined) ??
+    others.map(withTensions).find((s) => s !== undefined)
+  );
+}
+
+/**
+ * Apply the modifier found at `pos` in `symbol` to a list of intervals.
+ * Returns the modified intervals and the length of the modifier. Throws a
+ * parse error pointing at the modifier if it is unknown or invalid.
+ */
+function applyModifier(
+  symbol: string,
+  pos: number,
+  intervals: Interval[],
+): [Interval[], number] {
+  const rest = symbol.slice(pos);
+  for (const [pattern, apply] of MODIFIERS) {
+    const match = rest.match(pattern);
+    if (!match) continue;
+    try {
+      const args = match.slice(1).map((group) => group ?? "");
+      return [apply(intervals, ...args), match[0].length];
+    } catch {
+      throw parseError(symbol, pos);
+    }
+  }
+  throw parseError(symbol, pos);
+}
+
+/**
+ * Find the interval of a chord degree, optionally raised ('#') or lowered
+ * ('b') by a semitone.
+ */
+function degree(num: string, accidental: string = ""): Interval {
+  const natural = DEGREES[num];
+  if (natural === undefined) throw new Error(`Unknown chord degree '${num}'`);
+
+  const base = interval(natural);
+  const shift = accidental === "#" ? 1 : accidental === "b" ? -1 : 0;
+  return Interval.fromSteps(base.diatonicSteps, base.chromaticSteps + shift);
+}
+
+/**
+ * Add an interval to a list unless it's already there.
+ */
+function withDegree(intervals: Interval[], add: Interval): Interval[] {
+  return intervals.some((i) => i.toString() === add.toString())
+    ? intervals
+    : intervals.concat(add);
+}
+
+/**
+ * Remove all intervals with a certain diatonic number.
+ */
+function without(intervals: Interval[], number: number): Interval[] {
+  return intervals.filter((i) => i.number !== number);
+}
+
+/**
+ * Create an error pointing at the offending position in a chord symbol.
+ */
+function parseError(symbol: string, pos: number): Error {
+  const found = pos < symbol.length ? `'${symbol[pos]}'` : "end of symbol";
+  return new Error(
+    `'${symbol}' is not a valid chord symbol: ` +
+      `unexpected ${found} at position ${pos}`,
+  );
+}
+
+/**
+ * Calculate a 12 bit mask of the pitch classes spanned by a list of semitone
+ * distances from the root. Compound intervals fold into their simple term,
+ * so a ninth will match a second.
+ */
+function pitchClassMask(semitones: number[]): number {
+  return semitones.reduce((mask, steps) => mask | (1 << mod(steps, 12)), 0);
+}
+
+/**
+ * List the semitones set in a pitch class mask.
+ */
+function bits(mask: number): number[] {
+  return [...Array(12).keys()].filter((b) => mask & (1 << b));
+}
+
+/**
+ * Lazily build the pitch class masks of all chords with a symbol the first
+ * time they're requested, in registry order. They're rebuilt when chords are
+ * registered or removed. `inversionMask` has the chord tones up to the
+ * seventh, which can be the bass of an inversion.
+ */
+type ChordMask = { symbol: string; mask: number; inversionMask: number };
+let chordMasks: { version: number; masks: ChordMask[] } | undefined;
+function loadChordMasks(): ChordMask[] {
+  if (chordMasks?.version !== registry.version) {
+    const masks = registry.chords().flatMap((name) => {
+      const { intervals, symbol } = registry.chord(name)!;
+      if (symbol === undefined) return [];
+      const parsed = intervals.map(interval);
+      return [
+        {
+          symbol,
+          mask: pitchClassMask(parsed.map((i) => i.chromaticSteps)),
+          inversionMask: pitchClassMask(
+            parsed.filter((i) => i.number <= 7).map((i) => i.chromaticSteps),
+          ),
+        },
+      ];
+    });
+    chordMasks = { version: registry.version, masks };
+  }
+  return chordMasks.masks;
+}
+
+/**
+ * Lazily build the qualities a symbol can have, with the name of their
+ * chord. Every chord name, alias and symbol without spaces can be used as
+ * the quality of a symbol. They are sorted longest first, so 'm7' is
+ * preferred over 'm'.
+ */
+let qualities: { version: number; list: [string, string][] } | undefined;
+function loadQualities(): [string, string][] {
+  if (qualities?.version !== registry.version) {
+    const list = new Map<string, string>();
+    for (const name of registry.chords()) {
+      const { aliases, symbol } = registry.chord(name)!;
+      for (const quality of [name, ...aliases, symbol ?? " "]) {
+        if (!quality.includes(" ") && !list.has(quality)) {
+          list.set(quality, name);
+        }
+      }
+    }
+    qualities = {
+      version: registry.version,
+      list: [...list].sort((a, b) => b[0].length - a[0].length),
+    };
+  }
+  return qualities.list;
+}
@@ -0,0 +1,210 @@
+import { Note } from "./note.js";
+import { chord, type NoteList, notes, scale } from "./notelist.js";
+import { registry } from "./registry.js";
+
+const USAGE = `Usage: kamasi <command> [arguments] [--json]
+
+Commands:
+  scale <tonic> <name>          Notes of a scale, e.g. 'scale Eb lydian'
+  chord <symbol>                Notes of a chord, e.g. 'chord Cmaj7'
+  identify <notes...>           Chords and scales with the notes, with the
+                                first note as the root. Add --supersets or
+                                --subsets (not both) to find larger or
+                                smaller ones
+  interval <note> <note>        Interval between two notes
+  transpose <notes...> <interval>
+                                Transpose notes by an interval
+  freq <note | hz>              Frequency of a note, or note of a frequency
+  midi <note | number>          MIDI number of a note, or note of a number
+  list scales | chords [tag]    Names of known scales or chords
+
+Options:
+  --json                        Write the result as JSON
+  --help                        Show this message
+`;
+
+// Options of every command, and of the identify command
+const OPTIONS = ["--json", "--help", "--supersets", "--subsets"];
+
+// Searches of the identify command, by option
+const SEARCHES = {
+  exact: (list: NoteList) => list.exact(),
+  supersets: (list: NoteList) => list.supersets(),
+  subsets: (list: NoteList) => list.subsets(),
+} as const;
+
+/**
+ * Output and exit status of a command.
+ *
+ *  `status` is 0 on success, 1 if the input can't be parsed, and 2 if the
+ *           command or its arguments are not known.
+ *  `stdout` and `stderr` are the text to write to each stream.
+ */
+export type CliResult = {
+  status: number;
+  stdout: string;
+  stderr: string;
+};
+
+/**
+ * The result of a command, as plain text and as a value to write as JSON.
+ */
+type Output = {
+  text: string;
+  json: unknown;
+};
+
+/**
+ * Run the `kamasi` command line interface, e.g. `['scale', 'Eb', 'lydian']`.
+ * Nothing is written or exited, so the result can be used by the `kamasi`
+ * binary or tested directly.
+ *
+ * @param args Command line arguments, without the program name
+ *
+ * @example
+ * runCli(['chord', 'Am7']) // { status: 0, stdout: 'A C E G\n', stderr: '' }
+ */
+export function runCli(args: readonly string[]): CliResult {
+  const options = args.filter((arg) => arg.startsWith("--"));
+  const [command, ...rest] = args.filter((arg) => !arg.startsWith("--"));
+  if (options.includes("--help")) {
+    return { status: 0, stdout: USAGE, stderr: "" };
+  }
+
+  if (options.some((option) => !OPTIONS.includes(option))) {
+    return { status: 2, stdout: "", stderr: USAGE };
+  }
+
+  let output: Output | undefined;
+  try {
+    output = runCommand(command, rest, options);
+  } catch (error) {
+    const message = error instanceof Error ? error.message : `${error}`;
+    return { status: 1, stdout: "", stderr: `kamasi: ${message}\n` };
+  }
+  if (output === undefined) {
+    return { status: 2, stdout: "", stderr: USAGE };
+  }
+
+  const stdout = options.includes("--json")
+    ? JSON.stringify(output.json)
+    : output.text;
+  return { status: 0, stdout: `${stdout}\n`, stderr: "" };
+}
+
+/**
+ * Run a command. Returns undefined if the command or its arguments are not
+ * known, and throws an error if they can't be parsed.
+ */
+function runCommand(
+  command: string | undefined,
+  args: string[],
+  options: string[],
+): Output | undefined {
+  switch (command) {
+    case "scale":
+      return args.length > 0 ? noteOutput(scale(args.join(" "))) : undefined;
+    case "chord":
+      return args.length > 0 ? noteOutput(chord(args.join(" "))) : undefined;
+    case "identify": {
+      if (args.length === 0) return undefined;
+      if (options.includes("--supersets") && options.includes("--subsets")) {
+        return undefined;
+      }
+      const search =
+        (["supersets", "subsets"] as const).find((s) =>
+          options.includes(`--${s}`),
+        ) ?? "exact";
+      const result = SEARCHES[search](notes(args.join(" ")));
+      const chords = result.chords();
+      const scales = result.scales();
+      return {
+        text: [
+          `chords: ${chords.join(", ") || "-"}`,
+          `scales: ${scales.join(", ") || "-"}`,
+        ].join("\n"),
+        json: { search, chords, scales },
+      };
+    }
+    case "interval": {
+      if (args.length !== 2) return undefined;
+      const [from, to] = args.map((arg) => Note.fromString(arg));
+      const interval = from!.intervalTo(to!);
+      return {
+        text: interval.toString(),
+        json: {
+          interval: interval.toString(),
+          semitones: interval.chromaticSteps,
+        },
+      };
+    }
+    case "transpose": {
+      if (args.length < 2) return undefined;
+      const list = notes(args.slice(0, -1).join(" "));
+      return noteOutput(list.transpose(args.at(-1)!));
+    }
+    case "freq": {
+      if (args.length !== 1) return undefined;
+      const [arg] = args as [string];
+      const note = isNumber(arg)
+        ? Note.fromFrequency(Number(arg))
+        : Note.fromString(arg);
+      if (note.isPitchClass()) {
+        throw new Error(`The note '${note}' has no frequency`);
+      }
+      const frequency = note.frequency();
+      return {
+        text: isNumber(arg) ? note.toString() : `${round(frequency)}`,
+        json: { note: note.toString(), frequency },
+      };
+    }
+    case "midi": {
+      if (args.length !== 1) return undefined;
+      const [arg] = args as [string];
+      const note = isNumber(arg)
+        ? Note.fromMidi(Number(arg))
+        : Note.fromString(arg);
+      // Pitch classes can't be compared to C4, so they have no number either
+      const midi = note.isPitchClass() ? NaN : note.midi();
+      if (Number.isNaN(midi)) {
+        throw new Error(`The note '${note}' has no MIDI number`);
+      }
+      return {
+        text: isNumber(arg) ? note.toString() : `${midi}`,
+        json: { note: note.toString(), midi },
+      };
+    }
+    case "list": {
+      const [type, tag, ...extra] = args;
+      if ((type !== "scales" && type !== "chords") || extra.length > 0) {
+        return undefined;
+      }
+      const names =
+        type === "scales" ? registry.scales(tag) : registry.chords(tag);
+      return { text: names.join("\n"), json: { [type]: names } };
+    }
+    default:
+      return undefined;
+  }
+}
+
+/**
+ * Output a note list as space separated notes, or a list of notes in JSON.
+ */
+function noteOutput(list: NoteList): Output {
+  return { text: list.toString(), json: { notes: list.toStringArray() } };
+}
+
+/**
+ * True if a command line argument is a number rather than a note.
+ */
+function isNumber(arg: string): boolean {
+  return arg.trim() !== "" && Number.isFinite(Number(arg));
+}
+
+/**
+ * Round a frequency to two decimals for display.
+ */
+function round(frequency: number): number {
+  return Math.round(frequency * 100) / 100;
+}
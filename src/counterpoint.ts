@@ -0,0 +1,377 @@
+import type { Interval } from "./interval.js";
+import { Key } from "./key.js";
+import type { Note } from "./note.js";
+import { NoteList } from "./notelist.js";
+import { registry } from "./registry.js";
+import { ensureType } from "./utils.js";
+
+/**
+ * Ids of the rules checked by `checkCounterpoint()`.
+ */
+export const COUNTERPOINT_RULES = [
+  "range",
+  "voice-crossing",
+  "spacing",
+  "voice-overlap",
+  "parallel-fifths",
+  "parallel-octaves",
+  "hidden-fifths",
+  "hidden-octaves",
+  "melodic-interval",
+  "leading-tone",
+  "seventh",
+] as const;
+
+export type CounterpointRule = (typeof COUNTERPOINT_RULES)[number];
+
+/**
+ * Lowest and highest note a voice may sing.
+ */
+export type VoiceRange = {
+  low: Note | string;
+  high: Note | string;
+};
+
+/**
+ * Ranges of soprano, alto, tenor and bass in four-part writing.
+ */
+export const SATB_RANGES: readonly VoiceRange[] = [
+  { low: "C4", high: "G5" },
+  { low: "G3", high: "C5" },
+  { low: "C3", high: "G4" },
+  { low: "E2", high: "C4" },
+];
+
+/**
+ * Options for checking counterpoint.
+ *
+ *  `rules` limits the check to these rules. Defaults to all.
+ *  `key` is needed to find leading tones, which are not checked without it.
+ *  `ranges` gives the range of each voice, from the top. Defaults to
+ *           `SATB_RANGES` for four voices, and no ranges otherwise.
+ */
+export type CounterpointOptions = {
+  rules?: readonly CounterpointRule[];
+  key?: Key | string;
+  ranges?: readonly (VoiceRange | undefined)[];
+};
+
+/**
+ * A broken rule of counterpoint.
+ *
+ *  `rule` is the id of the rule.
+ *  `beat` is the index of the notes breaking the rule. For motion from one
+ *         beat to the next, it's the beat moved to. For leading tones and
+ *         sevenths, it's the beat of the unresolved note.
+ *  `voices` are the indexes of the voices involved, from the top.
+ *  `message` describes the violation.
+ */
+export type Violation = {
+  rule: CounterpointRule;
+  beat: number;
+  voices: number[];
+  message: string;
+};
+
+type Report = (
+  rule: CounterpointRule,
+  beat: number,
+  voices: number[],
+  message: string,
+) => void;
+
+/**
+ * Check voices for common errors of counterpoint and part-writing. Voices
+ * are given from the highest (e.g. soprano) to the lowest (e.g. bass), with
+ * one pitch per beat.
+ *
+ *  - Parallel fifths and octaves (including unisons and compound
+ *    intervals) between any two voices that both move, even in contrary
+ *    motion.
+ *  - Hidden fifths and octaves, approached in similar motion by the outer
+ *    voices with a leap in the upper voice.
+ *  - Voice crossing, where a voice is below the voice under it, and voice
+ *    overlap, where a voice moves past the previous note of its neighbour.
+ *  - Spacing of more than an octave between neighbouring upper voices. The
+ *    lowest voice may be further from the others.
+ *  - Notes outside the range of a voice.
+ *  - Leading tones in the outer voices that don't rise to the tonic. Inner
+ *    voices may leave them, e.g. to the fifth of the tonic chord.
+ *  - Sevenths of seventh chords that don't fall by step.
+ *  - Augmented melodic intervals (other than the augmented unison, but
+ *    including augmented octaves) and tritone leaps.
+ *
+ * Leading tones and sevenths may be held or repeated before they resolve,
+ * and are not checked on the last beat.
+ *
+ * @param voices Pitches of each voice, as Note lists OR Space separated
+ *               notes OR Arrays of notes
+ * @param options Rules, key and ranges (see `CounterpointOptions`)
+ *
+ * @example
+ * checkCounterpoint(['G4 A4', 'C4 D4'])
+ * // [{ rule: 'parallel-fifths', beat: 1, voices: [0, 1], ... }]
+ */
+export function checkCounterpoint(
+  voices: readonly (NoteList | string | readonly Note[])[],
+  options: CounterpointOptions = {},
+): Violation[] {
+  const parts = voices.map(toVoice);
+  const beats = parts[0]?.length ?? 0;
+  if (parts.some((part) => part.length !== beats)) {
+    throw new Error(
+      `Every voice must have the same number of notes, got ${parts.map((p) => p.length).join(", ")}`,
+    );
+  }
+  const rules = options.rules ?? COUNTERPOINT_RULES;
+  const unknown = rules.find((rule) => !COUNTERPOINT_RULES.includes(rule));
+  if (unknown !== undefined) {
+    throw new Error(`'${unknown}' is not a valid counterpoint rule`);
+  }
+  const ranges = options.ranges ?? (parts.length === 4 ? SATB_RANGES : []);
+  const key =
+    options.key === undefined ? undefined : ensureType(options.key, Key);
+
+  const violations: Violation[] = [];
+  const report: Report = (rule, beat, voices, message) => {
+    if (rules.includes(rule)) violations.push({ rule, beat, voices, message });
+  };
+
+  for (let beat = 0; beat < beats; beat++) {
+    checkRanges(parts, ranges, beat, report);
+    checkHarmony(parts, beat, report);
+    if (beat > 0) checkMotion(parts, beat, report);
+    if (beat < beats - 1) checkResolutions(parts, beat, key, report);
+  }
+
+  return violations;
+}
+
+/**
+ * Read the pitches of a voice.
+ */
+function toVoice(voice: NoteList | string | readonly Note[]): readonly Note[] {
+  const notes =
+    voice instanceof NoteList || typeof voice === "string"
+      ? ensureType(voice, NoteList).notes
+      : voice;
+  const pitchClass = notes.find((note) => note.isPitchClass());
+  if (pitchClass !== undefined) {
+    throw new Error(`The voices must be pitches, got '${pitchClass}'`);
+  }
+  return notes;
+}
+
+/**
+ * Check that every voice is within its range on a beat.
+ */
+function checkRanges(
+  parts: readonly (readonly Note[])[],
+  ranges: readonly (VoiceRange | undefined)[],
+  beat: number,
+  report: Report,
+): void {
+  parts.forEach((part, voice) => {
+    const range = ranges[voice];
+    if (range === undefined) return;
+    const note = part[beat]!;
+    if (note.distance(range.low) > 0 || note.distance(range.high) < 0) {
+      report(
+        "range",
+        beat,
+        [voice],
+        `Voice ${voice} is out of its range ${range.low} to ${range.high}, got ${note}`,
+      );
+    }
+  });
+}
+
+/**
+ * Check crossing and spacing of neighbouring voices on a beat.
+ */
+function checkHarmony(
+  parts: readonly (readonly Note[])[],
+  beat: number,
+  report: Report,
+): void {
+  for (let upper = 0; upper < parts.length - 1; upper++) {
+    const lower = upper + 1;
+    const distance = parts[lower]![beat]!.distance(parts[upper]![beat]!);
+    if (distance < 0) {
+      report(
+        "voice-crossing",
+        beat,
+        [upper, lower],
+        `Voice ${upper} crosses below voice ${lower}`,
+      );
+    }
+    if (distance > 12 && lower < parts.length - 1) {
+      report(
+        "spacing",
+        beat,
+        [upper, lower],
+        `Voices ${upper} and ${lower} are more than an octave apart`,
+      );
+    }
+  }
+}
+
+/**
+ * Check the motion of every voice and pair of voices into a beat.
+ */
+function checkMotion(
+  parts: readonly (readonly Note[])[],
+  beat: number,
+  report: Report,
+): void {
+  const last = parts.length - 1;
+  const motion = (voice: number) =>
+    Math.sign(parts[voice]![beat - 1]!.distance(parts[voice]![beat]!));
+
+  for (let upper = 0; upper < last; upper++) {
+    const lower = upper + 1;
+    if (
+      parts[lower]![beat]!.distance(parts[upper]![beat - 1]!) < 0 ||
+      parts[upper]![beat]!.distance(parts[lower]![beat - 1]!) > 0
+    ) {
+      report(
+        "voice-overlap",
+        beat,
+        [upper, lower],
+        `Voices ${upper} and ${lower} overlap`,
+      );
+    }
+  }
+
+  for (let upper = 0; upper < last; upper++) {
+    for (let lower = upper + 1; lower <= last; lower++) {
+      const before = perfect(
+        harmonic(parts[upper]![beat - 1]!, parts[lower]![beat - 1]!),
+      );
+      const after = perfect(
+        harmonic(parts[upper]![beat]!, parts[lower]![beat]!),
+      );
+      if (after === undefined || motion(upper) === 0 || motion(lower) === 0) {
+        continue;
+      }
+
+      if (before === after) {
+        report(
+          `parallel-${after}`,
+          beat,
+          [upper, lower],
+          `Parallel ${after} between voices ${upper} and ${lower}`,
+        );
+      } else if (
+        upper === 0 &&
+        lower === last &&
+        motion(upper) === motion(lower) &&
+        Math.abs(
+          parts[upper]![beat - 1]!.intervalTo(parts[upper]![beat]!).number,
+        ) > 2
+      ) {
+        report(
+          `hidden-${after}`,
+          beat,
+          [upper, lower],
+          `Hidden ${after} between voices ${upper} and ${lower}`,
+        );
+      }
+    }
+  }
+
+  parts.forEach((part, voice) => {
+    const interval = part[beat - 1]!.intervalTo(part[beat]!);
+    if (
+      interval.intervalClass() === 6 ||
+      (interval.quality.startsWith("A") && interval.number !== 1)
+    ) {
+      report(
+        "melodic-interval",
+        beat,
+        [voice],
+        `Voice ${voice} moves by a forbidden interval, ${interval}`,
+      );
+    }
+  });
+}
+
+/**
+ * Check that leading tones and sevenths on a beat resolve on the next beat.
+ */
+function checkResolutions(
+  parts: readonly (readonly Note[])[],
+  beat: number,
+  key: Key | undefined,
+  report: Report,
+): void {
+  const leadingTone = key?.tonic.transpose("M7");
+  const seventh = chordSeventh(parts.map((part) => part[beat]!));
+
+  parts.forEach((part, voice) => {
+    const note = part[beat]!;
+    const next = part[beat + 1]!;
+    const step = note.distance(next);
+    if (step === 0) return;
+
+    const outer = voice === 0 || voice === parts.length - 1;
+    if (
+      outer &&
+      leadingTone !== undefined &&
+      note.toPitchClass().isEnharmonic(leadingTone) &&
+      !(step === 1 && next.toPitchClass().isEnharmonic(key!.tonic))
+    ) {
+      report(
+        "leading-tone",
+        beat,
+        [voice],
+        `The leading tone ${note} in voice ${voice} does not rise to the tonic`,
+      );
+    }
+    if (
+      seventh !== undefined &&
+      note.toPitchClass().isEnharmonic(seventh) &&
+      note.intervalTo(next).diatonicSteps !== -1
+    ) {
+      report(
+        "seventh",
+        beat,
+        [voice],
+        `The seventh ${note} in voice ${voice} does not fall by step`,
+      );
+    }
+  });
+}
+
+/**
+ * Find the interval between two pitches, from the lower to the higher.
+ */
+function harmonic(a: Note, b: Note): Interval {
+  return a.distance(b) >= 0 ? a.intervalTo(b) : b.intervalTo(a);
+}
+
+/**
+ * Find whether an interval is a perfect fifth or octave, or a compound or
+ * enharmonic one.
+ */
+function perfect(interval: Interval): "fifths" | "octaves" | undefined {
+  const simple = interval.simpleTerm();
+  if (simple.isEnharmonic("P5")) return "fifths";
+  if (simple.isEnharmonic("P1")) return "octaves";
+  return undefined;
+}
+
+/**
+ * Find the seventh (as a pitch class) of the chord sounding on a beat, if
+ * it's a seventh chord.
+ */
+function chordSeventh(notes: readonly Note[]): Note | undefined {
+  const match = new NoteList([...notes]).anyRoot().exact().chordMatch();
+  if (match === undefined) return undefined;
+  const seventh = registry
+    .chord(match.name)
+    ?.intervals.find((interval) => /^[Mmd]7$/.test(interval));
+  return seventh === undefined
+    ? undefined
+    : match.root.toPitchClass().transpose(seventh);
+}
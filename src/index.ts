@@ -1,8 +1,97 @@
-export { CHORD_ALIAS, CHORDS } from "../data/chords.js";
+export { CHORD_ALIAS, CHORD_SYMBOL, CHORDS } from "../data/chords.js";
 export type { IntervalNotation, IntervalQuality } from "../data/intervals.js";
 export { SCALE_ALIAS, SCALES } from "../data/scales.js";
+export type { AbcTune } from "./abc.js";
+export { parseAbc, toAbc } from "./abc.js";
+export type { AudioOptions, Envelope, Waveform } from "./audio.js";
+export { renderAudio, toWav } from "./audio.js";
+export type { ChordSymbol } from "./chordsymbol.js";
+export { parseChordSymbol, toChordSymbol } from "./chordsymbol.js";
+export type {
+  CounterpointOptions,
+  CounterpointRule,
+  Violation,
+  VoiceRange,
+} from "./counterpoint.js";
+export {
+  COUNTERPOINT_RULES,
+  checkCounterpoint,
+  SATB_RANGES,
+} from "./counterpoint.js";
+export type {
+  ChordShape,
+  FretboardOptions,
+  FretPosition,
+  GuitarTuning,
+  KeyPosition,
+  ShapeOptions,
+} from "./instrument.js";
+export { Fretboard, GUITAR_TUNINGS, Keyboard } from "./instrument.js";
+export type { Consonance, IntervalJSON } from "./interval.js";
 export { Interval, interval } from "./interval.js";
+export type { KeySignature } from "./key.js";
+export { Key } from "./key.js";
+export type { KeyOptions, KeyResult } from "./keyfinding.js";
+export { findKey } from "./keyfinding.js";
+export type { LilyPondOptions } from "./lilypond.js";
+export { toLilyPond } from "./lilypond.js";
+export type {
+  MelodyEvent,
+  MelodyJSON,
+  MelodyOptions,
+  TimeSignature,
+} from "./melody.js";
+export { Melody } from "./melody.js";
+export type {
+  KeySignatureChange,
+  MidiExportOptions,
+  MidiNote,
+  MidiOptions,
+  MidiTrack,
+  TempoChange,
+  TimeSignatureChange,
+} from "./midi.js";
+export { MidiFile } from "./midi.js";
+export type { MusicXMLOptions } from "./musicxml.js";
+export { parseMusicXML, toMusicXML } from "./musicxml.js";
+export type {
+  Notation,
+  NotationName,
+  NotationOptions,
+  NoteParts,
+} from "./notation.js";
+export { findNotation, NOTATIONS } from "./notation.js";
+export type {
+  FrequencyOptions,
+  NoteJSON,
+  SpellingOptions,
+} from "./note.js";
 export { Note, note } from "./note.js";
+export type { EqualityOptions, NoteListJSON } from "./notelist.js";
 export { chord, NoteList, notes, scale } from "./notelist.js";
-export type { PatternResult, SearchResult } from "./search.js";
+export type { PrimeFormConvention } from "./pcset.js";
+export { PitchClassSet, pcset } from "./pcset.js";
+export type { RegisterOptions, RegistryEntry } from "./registry.js";
+export {
+  Registry,
+  registerChord,
+  registerScale,
+  registry,
+  unregister,
+} from "./registry.js";
+export { analyze, progression, romanNumeral } from "./roman.js";
+export { Scale } from "./scale.js";
+export type {
+  PatternResult,
+  SearchMatch,
+  SearchOptions,
+  SearchResult,
+} from "./search.js";
 export { search } from "./search.js";
+export { Tuning } from "./tuning.js";
+export type {
+  VoiceLeadingOptions,
+  VoicingRange,
+  VoicingStyle,
+} from "./voicing.js";
+export { voiceLead, voicing } from "./voicing.js";
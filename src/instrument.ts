@@ -0,0 +1,556 @@
+import { Note } from "./note.js";
+import { chord as lookupChord, NoteList } from "./notelist.js";
+import { ensureType, mod, pitchNearest, uniqueTones } from "./utils.js";
+
+// Pitch classes of the black keys of a keyboard, as semitones above C
+const BLACK_KEYS = [1, 3, 6, 8, 10];
+
+// Lowest and highest note of common keyboard sizes
+const PIANO_RANGES: Readonly<Record<number, readonly [string, string]>> = {
+  88: ["A0", "C8"],
+  76: ["E1", "G7"],
+  61: ["C2", "C7"],
+  49: ["C2", "C6"],
+};
+
+/**
+ * Names of common guitar tunings, see `GUITAR_TUNINGS`.
+ */
+export type GuitarTuning =
+  | "standard"
+  | "drop-D"
+  | "DADGAD"
+  | "open-G"
+  | "open-D";
+
+/**
+ * Open strings of common guitar tunings, lowest string first.
+ */
+export const GUITAR_TUNINGS: Readonly<Record<GuitarTuning, string>> = {
+  standard: "E2 A2 D3 G3 B3 E4",
+  "drop-D": "D2 A2 D3 G3 B3 E4",
+  DADGAD: "D2 A2 D3 G3 A3 D4",
+  "open-G": "D2 G2 D3 G3 B3 D4",
+  "open-D": "D2 A2 D3 F#3 A3 D4",
+};
+
+/**
+ * Options for fretted instruments.
+ *
+ *  `frets` is the number of frets. Defaults to 22.
+ *  `capo` is the fret of a capo, which is played as the open strings.
+ *         Defaults to 0 (no capo).
+ */
+export type FretboardOptions = {
+  frets?: number;
+  capo?: number;
+};
+
+/**
+ * Where a note is played on a fretboard. `string` is the index of the
+ * string, lowest string first, and `fret` is counted from the nut, so 0 is
+ * an open string. With a capo, its fret is the lowest.
+ */
+export type FretPosition = {
+  string: number;
+  fret: number;
+  note: Note;
+};
+
+/**
+ * Options for finding chord shapes.
+ *
+ *  `maxStretch` is the largest distance in frets between fretted notes.
+ *               Defaults to 3.
+ *  `minStrings` is the fewest strings played. Defaults to the number of
+ *               chord tones.
+ *  `inversions` allows any chord tone in the bass, not only the first.
+ *  `maxFret` is the highest fret used. Defaults to 12 frets above the capo.
+ */
+export type ShapeOptions = {
+  maxStretch?: number;
+  minStrings?: number;
+  inversions?: boolean;
+  maxFret?: number;
+};
+
+/**
+ * A way to play a chord on a fretboard. All lists have an entry per string,
+ * lowest string first.
+ *
+ *  `frets` is the fret played on each string, or null if it's muted.
+ *  `fingers` is the finger on each string from 1 (index) to 4 (little
+ *            finger), 0 for open strings and null for muted strings.
+ *  `notes` are the notes played, spelled as chord tones.
+ *  `stretch` is the distance in frets between the lowest and highest
+ *            fretted note.
+ *  `barre` is true if the index finger frets several strings.
+ */
+export type ChordShape = {
+  frets: (number | null)[];
+  fingers: (number | null)[];
+  notes: NoteList;
+  stretch: number;
+  barre: boolean;
+};
+
+/**
+ * Where a note is played on a keyboard. `key` is the index of the key,
+ * lowest key first.
+ */
+export type KeyPosition = {
+  key: number;
+  note: Note;
+  black: boolean;
+};
+
+/**
+ * A fretted instrument, such as a guitar, defined by the pitches of its open
+ * strings, its number of frets, and an optional capo.
+ *
+ * Notes and chords can be found on the fretboard, and chord shapes are
+ * ranked by how easy they are to play: shapes with little stretch that use
+ * many strings come first, then those with fewer fingers and lower on the
+ * neck. Barres, muted high strings, and open strings played with the hand
+ * high on the neck make a shape harder. Shapes and positions can be drawn
+ * as ASCII chord diagrams and tab.
+ */
+export class Fretboard {
+  readonly strings: readonly Note[];
+  readonly frets: number;
+  readonly capo: number;
+
+  /**
+   * Create a new fretboard.
+   *
+   * @param strings Pitches of the open strings, lowest string first
+   * @param options Number of frets and capo (see `FretboardOptions`)
+   */
+  constructor(strings: NoteList | string, options: FretboardOptions = {}) {
+    const { frets = 22, capo = 0 } = options;
+    const list = ensureType(strings, NoteList);
+    if (list.isEmpty() || !list.isPitches()) {
+      throw new Error(
+        `The strings of a fretboard must be pitches, got '${list}'`,
+      );
+    }
+    if (!Number.isInteger(frets) || frets < 0) {
+      throw new Error(`Frets must be a non-negative integer, got ${frets}`);
+    }
+    if (!Number.isInteger(capo) || capo < 0 || capo > frets) {
+      throw new Error(`Capo must be a fret from 0 to ${frets}, got ${capo}`);
+    }
+    this.strings = list.notes;
+    this.frets = frets;
+    this.capo = capo;
+  }
+
+  /**
+   * A six-string guitar.
+   *
+   * @param tuning Name of the tuning (see `GUITAR_TUNINGS`)
+   * @param options Number of frets and capo (see `FretboardOptions`)
+   */
+  static guitar(
+    tuning: GuitarTuning = "standard",
+    options: FretboardOptions = {},
+  ): Fretboard {
+    const strings = GUITAR_TUNINGS[tuning];
+    if (strings === undefined) {
+      throw new Error(`'${tuning}' is not a valid guitar tuning`);
+    }
+    return new Fretboard(strings, options);
+  }
+
+  /**
+   * The note at a fret of a string, spelled with sharps.
+   *
+   * @param string Index of the string, lowest string first
+   * @param fret Fret counted from the nut
+   */
+  noteAt(string: number, fret: number): Note {
+    const open = this.strings[string];
+    if (open === undefined) {
+      throw new Error(`The fretboard has no string ${string}`);
+    }
+    if (!Number.isInteger(fret) || fret < this.capo || fret > this.frets) {
+      throw new Error(
+        `Fret must be from ${this.capo} to ${this.frets}, got ${fret}`,
+      );
+    }
+    return open.transpose(fret).simplify();
+  }
+
+  /**
+   * Find every position where a note or any note of a list can be played,
+   * by string and then by fret. Pitch classes are found in every octave.
+   *
+   * @param notes Note OR Note list OR Note or space separated notes
+   *
+   * @example
+   * Fretboard.guitar().positions('A2')  // [{ string: 0, fret: 5 }, { string: 1, fret: 0 }]
+   */
+  positions(notes: Note | NoteList | string): FretPosition[] {
+    const tones = notesOf(notes);
+    return this.strings.flatMap((open, string) =>
+      range(this.capo, this.frets).flatMap((fret) => {
+        const pitch = open.transpose(fret);
+        const note = tones
+          .map((tone) => spell(tone, pitch))
+          .find((n) => n !== undefined);
+        return note === undefined ? [] : [{ string, fret, note }];
+      }),
+    );
+  }
+
+  /**
+   * Find playable shapes for a chord, ranked from easiest to hardest (see
+   * `Fretboard`). Every chord tone is played, the first tone is in the bass
+   * unless `options.inversions` is set, and muted strings are only at the
+   * edges of the fretboard. Up to four fingers are used, where the index
+   * finger may fret several strings as a barre.
+   *
+   * @param chord Note list OR Chord name or symbol, e.g. 'G major' or 'Am7'
+   * @param options Shape constraints (see `ShapeOptions`)
+   *
+   * @example
+   * Fretboard.guitar().shapes('C major')[0].frets // [null, 3, 2, 0, 1, 0]
+   */
+  shapes(chord: NoteList | string, options: ShapeOptions = {}): ChordShape[] {
+    const tones = uniqueTones(
+      typeof chord === "string" ? lookupChord(chord) : chord,
+    );
+    if (tones.length === 0) return [];
+    const maxStretch = options.maxStretch ?? 3;
+    const minStrings = options.minStrings ?? tones.length;
+    const maxFret = Math.min(this.frets, options.maxFret ?? this.capo + 12);
+
+    // The chord tone played at each fret of each string
+    const table = this.strings.map((open) =>
+      range(0, maxFret).map((fret) => {
+        const pitch = open.transpose(fret);
+        const tone = tones.findIndex((t) => spell(t, pitch) !== undefined);
+        return tone < 0
+          ? undefined
+          : { tone, note: spell(tones[tone]!, pitch)! };
+      }),
+    );
+
+    // Try every hand position along the neck, each reaching `maxStretch`
+    // frets above its lowest fret, with open strings anywhere
+    const found = new Map<string, { shape: ChordShape; cost: number[] }>();
+    for (
+      let low = this.capo + 1;
+      low <= Math.max(this.capo + 1, maxFret);
+      low++
+    ) {
+      const choices = table.map((frets) => [
+        null,
+        ...range(this.capo, maxFret).filter(
+          (fret) =>
+            frets[fret] !== undefined &&
+            (fret === this.capo || (fret >= low && fret <= low + maxStretch)),
+        ),
+      ]);
+      for (const frets of combinations(choices)) {
+        const key = frets.join(",");
+        if (found.has(key)) continue;
+        const shape = this.shape(frets, table, tones.length, options);
+        if (shape === undefined || shape.stretch > maxStretch) continue;
+        if (shape.notes.notes.length < minStrings) continue;
+
+        found.set(key, { shape, cost: difficulty(shape, this.capo) });
+      }
+    }
+
+    return [...found.values()]
+      .sort(
+        (a, b) =>
+          a.cost[0]! - b.cost[0]! ||
+          a.cost[1]! - b.cost[1]! ||
+          a.cost[2]! - b.cost[2]!,
+      )
+      .map(({ shape }) => shape);
+  }
+
+  /**
+   * Draw a chord shape as an ASCII chord diagram, with the lowest string on
+   * the left. The top line marks muted strings with 'x' and open strings
+   * with 'o', and fretted notes are drawn as 'O'. Diagrams high on the neck
+   * give the number of their first fret, while others start at the nut (or
+   * the capo), drawn as '='.
+   *
+   * @param shape Chord shape
+   *
+   * @example
+   * Fretboard.guitar().diagram(shape) // 'x     o   o\n===========\n| | | | O |\n...'
+   */
+  diagram(shape: ChordShape): string {
+    const fretted = shape.frets.filter(
+      (f): f is number => f !== null && f > this.capo,
+    );
+    const highest = Math.max(this.capo + 1, ...fretted);
+    const first =
+      highest - this.capo <= 4 ? this.capo + 1 : Math.min(...fretted);
+    const rows = Math.max(4, highest - first + 1);
+
+    const lines = [];
+    const header = shape.frets
+      .map((f) => (f === null ? "x" : f === this.capo ? "o" : " "))
+      .join(" ");
+    if (header.trim() !== "") lines.push(header);
+    if (first === this.capo + 1) lines.push("=".repeat(header.length));
+    for (const fret of range(first, first + rows - 1)) {
+      const row = shape.frets.map((f) => (f === fret ? "O" : "|")).join(" ");
+      lines.push(
+        fret === first && first !== this.capo + 1 ? `${row} ${fret}fr` : row,
+      );
+    }
+    return lines.map((line) => line.trimEnd()).join("\n");
+  }
+
+  /**
+   * Write notes and chords as ASCII tab, with the highest string on top.
+   * Each column is a chord shape, a single position, or positions played
+   * together. Strings are named by their open notes, in lower case if a
+   * lower string has the same name.
+   *
+   * @param columns Chord shapes OR Positions OR Lists of positions
+   *
+   * @example
+   * // E2 on the open E string, A2 on both E and A strings
+   * guitar.tab(guitar.positions('E2 A2')) // '...\nA|-----0-|\nE|-0-5---|'
+   */
+  tab(
+    columns: readonly (ChordShape | FretPosition | readonly FretPosition[])[],
+  ): string {
+    const cells = columns.map((column) => {
+      const frets: (number | null)[] = this.strings.map(() => null);
+      if ("frets" in column) return column.frets;
+      for (const position of Array.isArray(column) ? column : [column]) {
+        frets[position.string] = position.fret;
+      }
+      return frets;
+    });
+    const widths = cells.map((frets) =>
+      Math.max(1, ...frets.map((f) => (f === null ? 0 : `${f}`.length))),
+    );
+
+    const names = this.strings.map((open, i) => {
+      const name = open.toPitchClass().toString();
+      const repeated = this.strings
+        .slice(0, i)
+        .some((lower) => lower.toPitchClass().toString() === name);
+      return repeated ? name.toLowerCase() : name;
+    });
+    const nameWidth = Math.max(...names.map((name) => name.length));
+
+    return this.strings
+      .map((_, string) => {
+        const line = cells
+          .map(
+            (frets, i) =>
+              `-${`${frets[string] ?? ""}`.padEnd(widths[i]!, "-")}`,
+          )
+          .join("");
+        return `${names[string]!.padEnd(nameWidth)}|${line}-|`;
+      })
+      .reverse()
+      .join("\n");
+  }
+
+  /**
+   * Check a combination of frets, and assign fingers to it. Returns
+   * undefined if it doesn't play every chord tone, has the wrong bass, or
+   * needs more than four fingers.
+   */
+  private shape(
+    frets: (number | null)[],
+    table: ({ tone: number; note: Note } | undefined)[][],
+    tones: number,
+    options: ShapeOptions,
+  ): ChordShape | undefined {
+    const strings = frets.flatMap((f, i) => (f === null ? [] : [i]));
+    if (strings.length === 0) return undefined;
+    const first = strings[0]!;
+    if (strings.at(-1)! - first + 1 !== strings.length) return undefined;
+
+    const played = strings.map((i) => table[i]![frets[i]!]!);
+    if (new Set(played.map((p) => p.tone)).size !== tones) return undefined;
+    const bass = played.reduce((low, p) =>
+      low.note.distance(p.note) < 0 ? p : low,
+    );
+    if (!options.inversions && bass.tone !== 0) return undefined;
+
+    // Fretted notes get fingers from the lowest fret up. With more than four,
+    // the index finger bars every note on the lowest fret.
+    const fretted = strings
+      .filter((i) => frets[i]! > this.capo)
+      .sort((a, b) => frets[a]! - frets[b]! || a - b);
+    const fingers: (number | null)[] = frets.map((f) =>
+      f === null ? null : 0,
+    );
+    const lowest = fretted.length > 0 ? frets[fretted[0]!]! : 0;
+    const barre = fretted.length > 4;
+    if (barre) {
+      const barred = fretted.filter((i) => frets[i] === lowest);
+      const covered = range(barred[0]!, barred.at(-1)!);
+      if (covered.some((i) => !fretted.includes(i))) return undefined;
+      const rest = fretted.filter((i) => frets[i] !== lowest);
+      if (barred.length < 2 || rest.length > 3) return undefined;
+      for (const i of barred) fingers[i] = 1;
+      rest.forEach((i, finger) => {
+        fingers[i] = finger + 2;
+      });
+    } else {
+      fretted.forEach((i, finger) => {
+        fingers[i] = finger + 1;
+      });
+    }
+
+    return {
+      frets,
+      fingers,
+      notes: new NoteList(played.map((p) => p.note)),
+      stretch: fretted.length > 0 ? frets[fretted.at(-1)!]! - lowest : 0,
+      barre,
+    };
+  }
+}
+
+/**
+ * A keyboard instrument, such as a piano, defined by its lowest and highest
+ * key.
+ */
+export class Keyboard {
+  readonly low: Note;
+  readonly high: Note;
+  readonly keys: number;
+
+  /**
+   * Create a new keyboard.
+   *
+   * @param low Lowest key. Defaults to A0
+   * @param high Highest key. Defaults to C8
+   */
+  constructor(low: Note | string = "A0", high: Note | string = "C8") {
+    this.low = ensureType(low, Note);
+    this.high = ensureType(high, Note);
+    const keys =
+      this.low.isPitch() && this.high.isPitch()
+        ? this.low.distance(this.high) + 1
+        : NaN;
+    if (!Number.isInteger(keys) || keys < 1) {
+      throw new Error(
+        `The range of a keyboard must be pitches from low to high, got '${this.low}' to '${this.high}'`,
+      );
+    }
+    this.keys = keys;
+  }
+
+  /**
+   * A piano or keyboard with a common number of keys: 88 (A0 to C8), 76 (E1
+   * to G7), 61 (C2 to C7) or 49 (C2 to C6).
+   *
+   * @param keys Number of keys
+   */
+  static piano(keys: 88 | 76 | 61 | 49 = 88): Keyboard {
+    const range = PIANO_RANGES[keys];
+    if (range === undefined) {
+      throw new Error(`There is no piano with ${keys} keys`);
+    }
+    return new Keyboard(...range);
+  }
+
+  /**
+   * Check if a note can be played on the keyboard.
+   *
+   * @param note Note OR Scientific pitch notation
+   */
+  includes(note: Note | string): boolean {
+    return this.positions(ensureType(note, Note)).length > 0;
+  }
+
+  /**
+   * Find the keys of a note or the notes of a list, lowest key first. Pitch
+   * classes are found in every octave.
+   *
+   * @param notes Note OR Note list OR Note or space separated notes
+   *
+   * @example
+   * Keyboard.piano().positions('C4') // [{ key: 39, note: C4, black: false }]
+   */
+  positions(notes: Note | NoteList | string): KeyPosition[] {
+    const tones = notesOf(notes);
+    return range(0, this.keys - 1).flatMap((key) => {
+      const pitch = this.low.transpose(key);
+      const note = tones
+        .map((tone) => spell(tone, pitch))
+        .find((n) => n !== undefined);
+      if (note === undefined) return [];
+      return [{ key, note, black: BLACK_KEYS.includes(mod(pitch.midi(), 12)) }];
+    });
+  }
+}
+
+/**
+ * Rank a chord shape by how hard it is to play (see `Fretboard`), then by
+ * the number of fingers and the lowest fret.
+ */
+function difficulty(shape: ChordShape, capo: number): number[] {
+  const { frets } = shape;
+  const sounding = frets.flatMap((f, i) => (f === null ? [] : [i]));
+  const mutedLow = sounding[0]!;
+  const mutedHigh = frets.length - 1 - sounding.at(-1)!;
+  const fretted = frets.filter((f): f is number => f !== null && f > capo);
+  const lowest = fretted.length > 0 ? Math.min(...fretted) : capo;
+  const highOpen =
+    frets.includes(capo) && fretted.length > 0 && lowest > capo + 4;
+  return [
+    shape.stretch +
+      mutedLow +
+      2 * mutedHigh +
+      (shape.barre ? 1 : 0) +
+      (highOpen ? 2 : 0),
+    Math.max(...shape.fingers.map((f) => f ?? 0)),
+    lowest,
+  ];
+}
+
+/**
+ * Read a note, a note list, or a string with one or more notes.
+ */
+function notesOf(notes: Note | NoteList | string): readonly Note[] {
+  if (notes instanceof Note) return [notes];
+  if (typeof notes !== "string") return notes.notes;
+  return Note.isValidNote(notes)
+    ? [Note.fromString(notes)]
+    : NoteList.fromString(notes).notes;
+}
+
+/**
+ * Spell a pitch as a note, which may be a pitch class. Returns undefined if
+ * they are not enharmonic.
+ */
+function spell(tone: Note, pitch: Note): Note | undefined {
+  const candidate = tone.isPitch() ? tone : pitchNearest(tone, pitch);
+  return candidate.distance(pitch) === 0 ? candidate : undefined;
+}
+
+/**
+ * List the integers from `from` to `to`, inclusive.
+ */
+function range(from: number, to: number): number[] {
+  return Array.from({ length: Math.max(0, to - from + 1) }, (_, i) => from + i);
+}
+
+/**
+ * List every combination of one choice from each list.
+ */
+function combinations<T>(choices: readonly (readonly T[])[]): T[][] {
+  return choices.reduce<T[][]>(
+    (result, options) =>
+      result.flatMap((combination) => options.map((o) => [...combination, o])),
+    [[]],
+  );
+}
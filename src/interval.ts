@@ -2,8 +2,26 @@ import {
   CHROMATIC,
   DIATONIC,
   type IntervalQuality,
+  QUARTER_TONE,
 } from "../data/intervals.js";
-import { ensureType, mod } from "./utils.js";
+import type { Note } from "./note.js";
+import type { Tuning } from "./tuning.js";
+import { ensureType, hashString, mod } from "./utils.js";
+
+/**
+ * An interval as JSON. The sign is 1 for ascending and -1 for descending.
+ */
+export type IntervalJSON = {
+  quality: string;
+  number: number;
+  sign: number;
+};
+
+/**
+ * Consonance of an interval in two-part counterpoint (see
+ * `Interval.consonance()`).
+ */
+export type Consonance = "perfect" | "imperfect" | "dissonant";
 
 /**
  * An _interval_ is the difference between two pitches or pitch classes.
@@ -41,7 +59,14 @@ import { ensureType, mod } from "./utils.js";
  *  semitones. This is the difference between 'G' and 'C' in the same octave,
  *  or e.g. an 'F4' and a 'Bb3'.
  *
+ * Intervals can also span quarter tones (half a semitone), as used in e.g.
+ * Arabic maqam. A neutral (N) interval lies half way between minor and major,
+ * while semi-augmented (sA) and semi-diminished (sd) intervals fall a quarter
+ * tone short of augmented and diminished. E.g. 'N3' spans 3.5 semitones,
+ * 'sA4' 5.5 semitones and 'sAA4' 6.5 semitones.
+ *
  * @see {@link https://en.wikipedia.org/wiki/Interval_(music)}
+ * @see {@link https://en.wikipedia.org/wiki/Neutral_interval}
  */
 export class Interval {
   readonly quality: string;
@@ -53,7 +78,8 @@ export class Interval {
   /**
    * Create a new interval from quality, number, and an optional sign.
    *
-   * @param quality Interval quality ('P', 'M', 'm', 'A', or 'd')
+   * @param quality Interval quality ('P', 'M', 'm', 'A', 'd', 'N', 'sA' or
+   *                'sd')
    * @param number Diatonic number (1 or higher)
    * @param sign '+' for ascending, '-' for descending
    */
@@ -89,7 +115,7 @@ export class Interval {
    */
   static fromString(notation: string): Interval {
     try {
-      const match = notation.match(/^([+-]?)([PMm]|[A]+|[d]+)([0-9]*)$/);
+      const match = notation.match(/^([+-]?)([PMmN]|s?A+|s?d+)([0-9]*)$/);
       if (!match) throw new Error();
       const [, dir, qual, number] = match;
       return new Interval(qual!, parseInt(number!, 10), dir || "+");
@@ -98,21 +124,46 @@ export class Interval {
     }
   }
 
+  /**
+   * Create an interval from JSON written by `toJSON()`.
+   *
+   * @param json Quality, number and sign (1 or -1)
+   */
+  static fromJSON(json: IntervalJSON): Interval {
+    try {
+      const { quality, number, sign } = json;
+      if (typeof quality !== "string" || (sign !== 1 && sign !== -1)) {
+        throw new Error();
+      }
+      return new Interval(quality, number, sign === 1 ? "+" : "-");
+    } catch {
+      throw new Error(`'${JSON.stringify(json)}' is not a valid interval`);
+    }
+  }
+
   /**
    * Creates an interval spanning the given number of semitones.
    *
    * Note that semitone to interval is a one-to-many mapping, with several
    * equally valid answers. This function will always return the same answer,
-   * giving preference to qualities in the order: P, M, m, A, d.
+   * giving preference to qualities in the order: P, M, m, A, d. Quarter
+   * tones are given neutral qualities where possible, e.g. 3.5 is 'N3'.
    *
-   * @param semitones Number of semitones the interval should span
+   * @param semitones Number of semitones the interval should span, in
+   *                  steps of a quarter tone (0.5)
    */
   static fromSemitones(semitones: number): Interval {
+    if (!Number.isInteger(2 * semitones)) {
+      throw new Error(
+        `Semitones must be a multiple of a quarter tone (0.5), got ${semitones}`,
+      );
+    }
     const chromaticSteps = Math.abs(semitones);
     const octaves = Math.floor(chromaticSteps / 12);
 
     // Find default interval for semitones (minus the full octaves)
-    const [quality, number] = CHROMATIC[mod(chromaticSteps, 12)]!;
+    const table = Number.isInteger(chromaticSteps) ? CHROMATIC : QUARTER_TONE;
+    const [quality, number] = table[Math.floor(mod(chromaticSteps, 12))]!;
     const sign = semitones >= 0 ? "+" : "-";
 
     // Re-add 7 diatonic steps per full octave
@@ -158,6 +209,36 @@ export class Interval {
     }
   }
 
+  /**
+   * Find the smallest ascending interval from one pitch class to another.
+   * Pitches are compared by pitch class, so the octaves are ignored.
+   *
+   * @param from Note to start from
+   * @param to Note to end at
+   *
+   * @example
+   * Interval.between(note('G'), note('C')) // Interval: 'P4'
+   * Interval.between(note('E5'), note('D4')) // Interval: 'm7'
+   * Interval.between(note('Db'), note('C#')) // Interval: 'A7'
+   */
+  static between(from: Note, to: Note): Interval {
+    const interval = from.toPitchClass().intervalTo(to.toPitchClass());
+    // Spellings a step apart but enharmonic (e.g. Db to C#) come out
+    // descending, so they go up to the next octave instead
+    return interval.sign < 0 ? interval.add("P8") : interval;
+  }
+
+  /**
+   * Comparator function for sorting intervals.
+   * Intervals are sorted by semitones, with descending intervals first, then
+   * by diatonic steps.
+   */
+  static compare(a: Interval, b: Interval): number {
+    return (
+      a.chromaticSteps - b.chromaticSteps || a.diatonicSteps - b.diatonicSteps
+    );
+  }
+
   /**
    * Find the interval with the same number of diatonic and chromatic steps as
    * the two underlying intervals combined. Not guaranteed to have a result.
@@ -172,6 +253,20 @@ export class Interval {
     );
   }
 
+  /**
+   * Add two intervals like `add()`, but return undefined instead of throwing
+   * if there is no result or the interval is not valid.
+   *
+   * @param interval Interval to add
+   */
+  tryAdd(interval: Interval | string): Interval | undefined {
+    try {
+      return this.add(interval);
+    } catch {
+      return undefined;
+    }
+  }
+
   /**
    * Find the interval whose diatonic and chromatic steps are the difference
    * between the underlying intervals. Not guaranteed to have a result.
@@ -186,6 +281,22 @@ export class Interval {
     );
   }
 
+  /**
+   * Stack a number of copies of the interval, e.g. three major thirds make an
+   * augmented seventh. A negative factor stacks the interval downwards.
+   *
+   * @param factor Number of intervals to stack (an integer)
+   */
+  multiply(factor: number): Interval {
+    if (!Number.isInteger(factor)) {
+      throw new Error(`Factor must be an integer, got ${factor}`);
+    }
+    return Interval.fromSteps(
+      factor * this.diatonicSteps,
+      factor * this.chromaticSteps,
+    );
+  }
+
   /**
    * A compound interval spans more than a full octave. This function will
    * return the simple interval left after subtracting the octaves. Note that
@@ -204,20 +315,27 @@ export class Interval {
   }
 
   /**
-   * Frequency ratio in 12-tone equal temperament.
+   * Frequency ratio in 12-tone equal temperament, unless another tuning is
+   * given.
+   *
+   * @param tuning Tuning system (see `Tuning`)
    *
    * @see {@link https://en.wikipedia.org/wiki/Interval_ratio}
    */
-  frequencyRatio(): number {
+  frequencyRatio(tuning?: Tuning): number {
+    if (tuning !== undefined) return tuning.frequencyRatio(this);
     return 2 ** (this.chromaticSteps / 12);
   }
 
   /**
-   * Cents in 12-tone equal temperament.
+   * Cents in 12-tone equal temperament, unless another tuning is given.
+   *
+   * @param tuning Tuning system (see `Tuning`)
    *
    * @see {@link https://en.wikipedia.org/wiki/Cent_(music)}
    */
-  cents(): number {
+  cents(tuning?: Tuning): number {
+    if (tuning !== undefined) return tuning.cents(this);
     return 100 * this.chromaticSteps;
   }
 
@@ -249,6 +367,14 @@ export class Interval {
     return this.number >= 8;
   }
 
+  /**
+   * Returns true if the interval spans quarter tones (e.g. 'N3'), rather
+   * than a whole number of semitones.
+   */
+  isMicrotonal(): boolean {
+    return !Number.isInteger(this.chromaticSteps);
+  }
+
   /**
    * Checks if the interval is enharmonic (represents the same number of
    * semitones) as another interval.
@@ -260,12 +386,116 @@ export class Interval {
     return this.chromaticSteps === interval.chromaticSteps;
   }
 
+  /**
+   * Two intervals are equal if quality, number and sign are equal.
+   *
+   * @param interval Interval to compare to
+   */
+  isEqual(interval: Interval | string): boolean {
+    interval = ensureType(interval, Interval);
+    return (
+      this.quality === interval.quality &&
+      this.number === interval.number &&
+      this.sign === interval.sign
+    );
+  }
+
+  /**
+   * Returns true if the interval is larger than another, using the order of
+   * `Interval.compare()`.
+   *
+   * @param interval Interval to compare to
+   */
+  isLargerThan(interval: Interval | string): boolean {
+    return Interval.compare(this, ensureType(interval, Interval)) > 0;
+  }
+
+  /**
+   * The interval class is the number of semitones spanned by the shortest
+   * distance between two pitch classes, from 0 to 6. An interval, its
+   * inversion and compound forms share the same class.
+   *
+   * @see {@link https://en.wikipedia.org/wiki/Interval_class}
+   */
+  intervalClass(): number {
+    const steps = mod(this.chromaticSteps, 12);
+    return Math.min(steps, 12 - steps);
+  }
+
+  /**
+   * Classify the interval as in two-part counterpoint. Unisons, fifths and
+   * octaves are perfect consonances, major and minor thirds and sixths are
+   * imperfect consonances, and all other intervals are dissonant, including
+   * the perfect fourth. The spelling matters, so a diminished fourth is
+   * dissonant even though it sounds like a major third.
+   *
+   * @see {@link https://en.wikipedia.org/wiki/Consonance_and_dissonance}
+   */
+  consonance(): Consonance {
+    const number = this.simpleTerm().number;
+    if (this.quality === "P" && (number === 1 || number === 5)) {
+      return "perfect";
+    }
+    if (/^[Mm]$/.test(this.quality) && (number === 3 || number === 6)) {
+      return "imperfect";
+    }
+    return "dissonant";
+  }
+
+  /**
+   * Returns true if the interval is a perfect or imperfect consonance (see
+   * `consonance()`).
+   */
+  isConsonant(): boolean {
+    return this.consonance() !== "dissonant";
+  }
+
+  /**
+   * Returns true if the interval occurs between two notes of a diatonic
+   * scale. These are the perfect, major and minor intervals, and the
+   * augmented fourth and diminished fifth.
+   *
+   * @see {@link https://en.wikipedia.org/wiki/Diatonic_and_chromatic}
+   */
+  isDiatonic(): boolean {
+    const number = this.simpleTerm().number;
+    return (
+      /^[PMm]$/.test(this.quality) ||
+      (this.quality === "A" && number === 4) ||
+      (this.quality === "d" && number === 5)
+    );
+  }
+
+  /**
+   * Returns true if the interval is augmented or diminished, and does not
+   * occur in a diatonic scale (see `isDiatonic()`). Quarter tone intervals
+   * are neither diatonic nor chromatic.
+   */
+  isChromatic(): boolean {
+    return /^(A+|d+)$/.test(this.quality) && !this.isDiatonic();
+  }
+
   /**
    * Convert interval to short hand notation (e.g. 'M3', '-P5').
    */
   toString(): string {
     return `${this.sign === -1 ? "-" : ""}${this.quality}${this.number}`;
   }
+
+  /**
+   * Convert interval to JSON. Read it with `Interval.fromJSON()`.
+   */
+  toJSON(): IntervalJSON {
+    return { quality: this.quality, number: this.number, sign: this.sign };
+  }
+
+  /**
+   * A stable hash of the interval, e.g. to use as a cache key. Equal
+   * intervals (see `isEqual()`) have the same hash.
+   */
+  hash(): number {
+    return hashString(this.toString());
+  }
 }
 
 /**
@@ -274,6 +504,12 @@ export class Interval {
  * This function finds the semitone diff based on type (P/M) and quality.
  */
 function qualityToSemitoneDiff(type: IntervalQuality, quality: string): number {
+  // Semi-augmented and semi-diminished qualities are a quarter tone closer
+  // to perfect or major than the quality they prefix
+  if (quality[0] === "s") {
+    const diff = qualityToSemitoneDiff(type, quality.slice(1));
+    return diff - Math.sign(diff) / 2;
+  }
   if (type === "P") {
     if (quality === "P") return 0;
     if (quality[0] === "A") return quality.length;
@@ -281,6 +517,7 @@ function qualityToSemitoneDiff(type: IntervalQuality, quality: string): number {
   } else if (type === "M") {
     if (quality === "M") return 0;
     if (quality === "m") return -1;
+    if (quality === "N") return -0.5;
     if (quality[0] === "A") return quality.length;
     if (quality[0] === "d") return -quality.length - 1;
   }
@@ -296,6 +533,10 @@ function semitoneDiffToQuality(
   type: IntervalQuality,
   semitoneDiff: number,
 ): string {
+  if (!Number.isInteger(semitoneDiff)) {
+    if (type === "M" && semitoneDiff === -0.5) return "N";
+    return `s${semitoneDiffToQuality(type, semitoneDiff + Math.sign(semitoneDiff) / 2)}`;
+  }
   if (type === "P") {
     if (semitoneDiff === 0) return "P";
     if (semitoneDiff > 0) return "A".repeat(semitoneDiff);
@@ -324,6 +565,10 @@ function invertQuality(quality: string): string {
       return "d".repeat(quality.length);
     case "d":
       return "A".repeat(quality.length);
+    case "N":
+      return "N";
+    case "s":
+      return `s${invertQuality(quality.slice(1))}`;
     default:
       throw new Error(`Invalid quality '${quality}'`);
   }
@@ -338,8 +583,8 @@ function validateInterval(
   number: number,
   direction: string,
 ): void {
-  if (!quality.match(/^[PMm]|[A]+|[d]+$/)) {
-    throw new Error(`quality must be one of: P, M, m, A, d}`);
+  if (!quality.match(/^([PMmN]|s?A+|s?d+)$/)) {
+    throw new Error(`quality must be one of: P, M, m, A, d, N, sA, sd`);
   }
   if (!Number.isInteger(number) || number < 1) {
     throw new Error(`number must be 1 or higher`);
@@ -354,6 +599,7 @@ function validateInterval(
   if (
     (mainType === "P" && quality === "M") ||
     (mainType === "P" && quality === "m") ||
+    (mainType === "P" && quality === "N") ||
     (mainType === "M" && quality === "P")
   ) {
     throw new Error(`${quality}${number} is not a valid interval`);
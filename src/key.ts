@@ -0,0 +1,226 @@
+import { SCALES } from "../data/scales.js";
+import { Interval } from "./interval.js";
+import { Note } from "./note.js";
+import { NoteList } from "./notelist.js";
+import { registry } from "./registry.js";
+import { mod } from "./utils.js";
+
+// Tonic of the major key without accidentals
+const C = new Note("C");
+
+// Key signatures are built on the major scale of the database, not on
+// whatever is registered under its name
+const MAJOR = SCALES["major"]!;
+
+// Sharps are added to a key signature in this order, flats in reverse
+const SHARP_ORDER = ["F", "C", "G", "D", "A", "E", "B"] as const;
+
+/**
+ * The accidentals of a key signature.
+ *
+ *  `accidentals` is the number of sharps (positive) or flats (negative).
+ *  `notes` are the altered notes, in the order they're written.
+ */
+export type KeySignature = {
+  accidentals: number;
+  notes: Note[];
+};
+
+/**
+ * A key is a tonic and a mode, e.g. 'F# minor' or 'D dorian'. The mode must
+ * be a mode of the major scale, so the key has a key signature.
+ *
+ * A key can be used where a scale is expected, e.g. `NoteList.fromScale()`
+ * and `romanNumeral()`, or to spell notes (`Note.respell()`).
+ *
+ * @see {@link https://en.wikipedia.org/wiki/Key_(music)}
+ */
+export class Key {
+  readonly tonic: Note;
+  readonly mode: string;
+  readonly notes: Note[];
+
+  // Degree of the major scale the mode starts on (0 for major, 5 for minor)
+  private readonly degree: number;
+
+  /**
+   * Create a new key from a tonic and a mode.
+   *
+   * @param tonic Tonic of the key (a pitch class)
+   * @param mode Name of a mode of the major scale, e.g. 'minor' or 'dorian'
+   */
+  constructor(tonic: Note | string, mode: string = "major") {
+    const name = registry.scale(mode)?.name;
+    const degree = name === undefined ? -1 : majorDegree(name);
+    if (name === undefined || degree === -1) {
+      throw new Error(`'${mode}' is not a mode with a key signature`);
+    }
+
+    this.tonic = (
+      typeof tonic === "string" ? Note.fromString(tonic) : tonic
+    ).toPitchClass();
+    this.mode = name;
+    this.notes = NoteList.fromScale(this.tonic, name).notes;
+    this.degree = degree;
+  }
+
+  /**
+   * Create a key from its tonic and mode, e.g. 'F# minor'. The mode
+   * defaults to major.
+   *
+   * @param notation Tonic, optionally followed by a mode
+   */
+  static fromString(notation: string): Key {
+    const match = notation.match(/^([A-G][b#]*)(?:\s+(.+))?$/);
+    if (!match) throw new Error(`'${notation}' is not a valid key`);
+    return new Key(match[1]!, match[2]);
+  }
+
+  /**
+   * Create a key from a key signature, by stacking fifths from C.
+   *
+   * @param accidentals Number of sharps (positive) or flats (negative)
+   * @param mode Name of a mode of the major scale
+   *
+   * @example
+   * Key.fromSignature(-3, 'minor').toString() // 'C minor'
+   */
+  static fromSignature(accidentals: number, mode: string = "major"): Key {
+    if (!Number.isInteger(accidentals)) {
+      throw new Error(`'${accidentals}' is not a valid key signature`);
+    }
+    const fifth = accidentals > 0 ? "P5" : "-P5";
+    let major = C;
+    for (let i = 0; i < Math.abs(accidentals); i++) {
+      major = major.transpose(fifth);
+    }
+
+    const offset = new Key(major, mode).modeOffset();
+    return new Key(major.transpose(offset), mode);
+  }
+
+  /**
+   * Find the key signature: the number of sharps or flats, and the altered
+   * notes in the order they're written.
+   *
+   * @example
+   * Key.fromString('E major').signature() // { accidentals: 4, notes: [F#, C#, G#, D#] }
+   */
+  signature(): KeySignature {
+    const major = this.tonic.transpose(this.modeOffset().invert());
+    const { diatonicSteps, chromaticSteps } = C.intervalTo(major);
+    // Position on the line of fifths, i.e. solve for the number of fifths
+    // (f) and octaves (o) in d = 4f + 7o and c = 7f + 12o
+    const accidentals = 7 * chromaticSteps - 12 * diatonicSteps;
+
+    const notes = [...Array(Math.abs(accidentals)).keys()].map((i) => {
+      const count = Math.floor(i / 7) + 1;
+      return accidentals > 0
+        ? new Note(SHARP_ORDER[i % 7]!, "#".repeat(count))
+        : new Note(SHARP_ORDER[6 - (i % 7)]!, "b".repeat(count));
+    });
+    return { accidentals, notes };
+  }
+
+  /**
+   * Find the relative key, with the same key signature and another mode.
+   * Defaults to the relative minor of a major key, and the relative major of
+   * other keys.
+   *
+   * @param mode Mode of the relative key
+   *
+   * @example
+   * Key.fromString('Eb major').relative().toString() // 'C minor'
+   */
+  relative(mode: string = this.degree === 0 ? "minor" : "major"): Key {
+    return Key.fromSignature(this.signature().accidentals, mode);
+  }
+
+  /**
+   * Find the parallel key, with the same tonic and another mode. Defaults to
+   * the parallel minor of a major key, and the parallel major of other keys.
+   *
+   * @param mode Mode of the parallel key
+   *
+   * @example
+   * Key.fromString('C major').parallel().toString() // 'C minor'
+   */
+  parallel(mode: string = this.degree === 0 ? "minor" : "major"): Key {
+    return new Key(this.tonic, mode);
+  }
+
+  /**
+   * Find the neighbouring keys on the circle of fifths, with the same mode:
+   * the subdominant (one flat more) and dominant (one sharp more) keys.
+   *
+   * @example
+   * Key.fromString('D minor').neighbours() // [G minor, A minor]
+   */
+  neighbours(): [Key, Key] {
+    return [
+      new Key(this.tonic.transpose("-P5"), this.mode),
+      new Key(this.tonic.transpose("P5"), this.mode),
+    ];
+  }
+
+  /**
+   * Count the steps around the circle of fifths from this key signature to
+   * another, from -5 to 6. Positive steps add sharps (or remove flats).
+   * Enharmonic keys are 0 steps apart.
+   *
+   * @param key Key OR Tonic and mode (e.g. 'F# minor')
+   *
+   * @example
+   * Key.fromString('C major').distance('E major') // 4
+   * Key.fromString('C major').distance('A minor') // 0
+   */
+  distance(key: Key | string): number {
+    const other = typeof key === "string" ? Key.fromString(key) : key;
+    const steps = other.signature().accidentals - this.signature().accidentals;
+    return mod(steps, 12, -5);
+  }
+
+  /**
+   * Create the scale of the key.
+   *
+   * @example
+   * Key.fromString('E minor').scale().toString() // 'E F# G A B C D'
+   */
+  scale(): NoteList {
+    return new NoteList(this.notes);
+  }
+
+  /**
+   * Write the key as tonic and mode, e.g. 'F# minor'.
+   */
+  toString(): string {
+    return `${this.tonic} ${this.mode}`;
+  }
+
+  /**
+   * Interval from the tonic of the relative major key to this tonic.
+   */
+  private modeOffset(): Interval {
+    return Interval.fromString(MAJOR[this.degree]!);
+  }
+}
+
+/**
+ * Find the degree of the major scale (0-6) a mode starts on, or -1 if the
+ * scale is not a mode of the major scale.
+ */
+function majorDegree(name: string): number {
+  const semitones = (intervals: readonly string[]) =>
+    intervals.map((i) => Interval.fromString(i).chromaticSteps);
+  const major = semitones(MAJOR);
+  const mode = semitones(registry.scale(name)!.intervals).join(" ");
+
+  return major.findIndex(
+    (start, i) =>
+      major
+        .slice(i)
+        .concat(major.slice(0, i).map((s) => s + 12))
+        .map((s) => s - start)
+        .join(" ") === mode,
+  );
+}
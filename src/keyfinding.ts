@@ -0,0 +1,222 @@
+import type { IntervalNotation } from "../data/intervals.js";
+import { Note } from "./note.js";
+import { NoteList } from "./notelist.js";
+import { registry } from "./registry.js";
+import { search } from "./search.js";
+import { ensureType, mod } from "./utils.js";
+
+/**
+ * A possible key for a collection of notes. The score is a correlation
+ * coefficient for the 'profile' method, and the share of the scale covered
+ * by the notes for the 'fit' method. Higher is better for both.
+ */
+export type KeyResult = {
+  tonic: Note;
+  scale: string;
+  score: number;
+};
+
+/**
+ * Options for key finding.
+ *
+ *  `method` is 'profile' (default) to correlate the notes with major and
+ *           minor key profiles, or 'fit' to find every scale containing all
+ *           the notes.
+ *  `weights` gives each note a weight, e.g. its duration. Defaults to 1.
+ *  `scales` limits the 'fit' method to these scales. Defaults to all.
+ */
+export type KeyOptions = {
+  method?: "profile" | "fit";
+  weights?: readonly number[];
+  scales?: readonly string[];
+};
+
+/**
+ * Krumhansl-Kessler key profiles, indexed by semitones above the tonic.
+ * Each value is how well a pitch class was judged to fit in the key.
+ *
+ * @see {@link https://rnhart.net/articles/key-finding/}
+ */
+const PROFILES: Readonly<Record<string, readonly number[]>> = {
+  major: [
+    6.35, 2.23, 3.48, 2.33, 4.38, 4.09, 2.52, 5.19, 2.39, 3.66, 2.29, 2.88,
+  ],
+  minor: [
+    6.33, 2.68, 3.52, 5.38, 2.6, 3.53, 2.54, 4.75, 3.98, 2.69, 3.34, 3.17,
+  ],
+};
+
+// The tonic used for each pitch class, unless the notes spell it otherwise
+const TONICS = [
+  "C",
+  "Db",
+  "D",
+  "Eb",
+  "E",
+  "F",
+  "F#",
+  "G",
+  "Ab",
+  "A",
+  "Bb",
+  "B",
+] as const;
+
+/**
+ * Find the most probable keys of a melody or a collection of notes, when
+ * the tonic is unknown.
+ *
+ * The 'profile' method uses the Krumhansl-Schmuckler algorithm, correlating
+ * the (weighted) pitch class distribution with a profile of each major and
+ * minor key. It always returns all 24 keys, best match first.
+ *
+ * The 'fit' method searches every tonic for scales containing all the
+ * notes, using the same bitmask search as `search().supersets()`. Scales
+ * using more of their notes rank higher. Scales with the same intervals as
+ * an earlier scale in the registry (e.g. 'ionian' for 'major') are left out.
+ *
+ * Ties are broken by the weight of the tonic in the notes, then by
+ * preferring major and minor keys, then keys with the first note, and then
+ * the last note, as the tonic.
+ *
+ * Tonics are spelled as in the notes when possible. Key profiles only cover
+ * the 12 semitones, so notes with quarter tones are rejected.
+ *
+ * @param notes Note list OR Space separated notes
+ * @param options Method, weights, and scales (see `KeyOptions`)
+ *
+ * @see {@link https://en.wikipedia.org/wiki/Key_finding}
+ *
+ * @example
+ * findKey('E G# B F# A')[0]               // { tonic: E, scale: 'major', ... }
+ * findKey('D E F G A', { method: 'fit' })[0] // { tonic: D, scale: 'minor', ... }
+ */
+export function findKey(
+  notes: NoteList | string,
+  options: KeyOptions = {},
+): KeyResult[] {
+  const noteList = ensureType(notes, NoteList);
+  const microtonal = noteList.notes.find((n) => n.isMicrotonal());
+  if (microtonal !== undefined) {
+    throw new Error(
+      `The notes must not have quarter tones, got '${microtonal}'`,
+    );
+  }
+  const weights = options.weights ?? noteList.notes.map(() => 1);
+  if (weights.length !== noteList.notes.length) {
+    throw new Error("There must be exactly one weight per note");
+  }
+
+  // Total weight of each pitch class, indexed by semitones above C
+  const distribution = new Array<number>(12).fill(0);
+  noteList.notes.forEach((n, i) => {
+    distribution[mod(n.chromaticOffset, 12)]! += weights[i]!;
+  });
+
+  const tonics = TONICS.map(
+    (name, pc) =>
+      noteList.notes.find((n) => mod(n.chromaticOffset, 12) === pc) ??
+      Note.fromString(name),
+  ).map((n) => n.toPitchClass());
+
+  const results =
+    options.method === "fit"
+      ? fitKeys(noteList, tonics, options.scales)
+      : profileKeys(distribution, tonics);
+
+  const first = noteList.notes[0];
+  const last = noteList.notes.at(-1);
+  const preference = ({ tonic, scale }: KeyResult) => [
+    distribution[mod(tonic.chromaticOffset, 12)]!,
+    scale === "major" || scale === "minor" ? 1 : 0,
+    first?.isEnharmonic(tonic) ? 1 : 0,
+    last?.isEnharmonic(tonic) ? 1 : 0,
+  ];
+  return results
+    .map((result) => ({ result, preference: preference(result) }))
+    .sort(
+      (a, b) =>
+        b.result.score - a.result.score ||
+        b.preference.reduce((order, p, i) => order || p - a.preference[i]!, 0),
+    )
+    .map(({ result }) => result);
+}
+
+/**
+ * Correlate a pitch class distribution with the profile of all major and
+ * minor keys.
+ */
+function profileKeys(distribution: number[], tonics: Note[]): KeyResult[] {
+  return Object.keys(PROFILES).flatMap((scale) =>
+    tonics.map((tonic, pc) => ({
+      tonic,
+      scale,
+      score: correlation(
+        distribution,
+        distribution.map((_, i) => PROFILES[scale]![mod(i - pc, 12)]!),
+      ),
+    })),
+  );
+}
+
+/**
+ * Find all scales containing every note, from every tonic.
+ */
+function fitKeys(
+  noteList: NoteList,
+  tonics: Note[],
+  scales: readonly string[] | undefined,
+): KeyResult[] {
+  const pitchClasses = new Set(
+    noteList.notes.map((n) => mod(n.chromaticOffset, 12)),
+  );
+
+  return tonics.flatMap((tonic) => {
+    const intervals = noteList.notes.map((n) =>
+      tonic.intervalTo(n.toPitchClass()).simplify().toString(),
+    ) as IntervalNotation[];
+
+    const seen = new Set<string>();
+    return search(intervals)
+      .supersets()
+      .scales()
+      .filter((scale) => scales === undefined || scales.includes(scale))
+      .filter((scale) => {
+        const id = registry.scale(scale)!.intervals.join(" ");
+        if (seen.has(id)) return false;
+        seen.add(id);
+        return true;
+      })
+      .map((scale) => ({
+        tonic,
+        scale,
+        score: pitchClasses.size / registry.scale(scale)!.intervals.length,
+      }));
+  });
+}
+
+/**
+ * Pearson correlation coefficient of two equally long lists of numbers.
+ * Returns 0 if either list is constant.
+ *
+ * @see {@link https://en.wikipedia.org/wiki/Pearson_correlation_coefficient}
+ */
+function correlation(xs: readonly number[], ys: readonly number[]): number {
+  const mean = (v: readonly number[]) =>
+    v.reduce((a, b) => a + b, 0) / v.length;
+  const xMean = mean(xs);
+  const yMean = mean(ys);
+
+  let covariance = 0;
+  let xVariance = 0;
+  let yVariance = 0;
+  xs.forEach((x, i) => {
+    const y = ys[i]!;
+    covariance += (x - xMean) * (y - yMean);
+    xVariance += (x - xMean) ** 2;
+    yVariance += (y - yMean) ** 2;
+  });
+
+  const denominator = Math.sqrt(xVariance * yVariance);
+  return denominator === 0 ? 0 : covariance / denominator;
+}
@@ -0,0 +1,159 @@
+import type { Key } from "./key.js";
+import { Melody } from "./melody.js";
+import { Note } from "./note.js";
+import { NoteList } from "./notelist.js";
+import { ensureType, splitAtBars } from "./utils.js";
+
+// Times closer than this are equal, to allow rounding errors in e.g. triplets
+const EPSILON = 1e-9;
+
+/**
+ * Options for writing LilyPond.
+ *
+ *  `relative` writes octaves relative to the previous note (`\relative`),
+ *             rather than absolute octaves.
+ *  `key` adds a key signature (`\key`).
+ */
+export type LilyPondOptions = {
+  relative?: boolean;
+  key?: Key;
+};
+
+/**
+ * Write a melody or note list in LilyPond notation, with chords as
+ * `<c e g>`. A note list is written as a melody of quarter notes, and pitch
+ * classes are written in octave 4. Durations are only written when they
+ * change, and bar checks follow the time signature. Notes crossing a bar line
+ * are split and tied (`~`).
+ *
+ * @param music Melody OR Note list OR Space separated notes
+ * @param options Relative octaves and key (see `LilyPondOptions`)
+ *
+ * @see {@link https://lilypond.org/doc/v2.24/Documentation/notation/writing-pitches}
+ *
+ * @example
+ * toLilyPond('C4 E4 G4 C5', { relative: true }) // '\\relative {\n  \\time 4/4\n  c\'4 e g c |\n}\n'
+ */
+export function toLilyPond(
+  music: NoteList | string,
+  options: LilyPondOptions = {},
+): string {
+  const melody =
+    music instanceof Melody
+      ? music
+      : Melody.fromNoteList(ensureType(music, NoteList));
+  const { numerator, denominator } = melody.timeSignature;
+  const header = [
+    ...(options.key === undefined
+      ? []
+      : [`\\key ${pitchName(options.key.tonic)} \\${options.key.mode}`]),
+    `\\time ${numerator}/${denominator}`,
+    ...(melody.tempo === 120 ? [] : [`\\tempo 4 = ${melody.tempo}`]),
+  ];
+
+  // Relative octaves start from F3, which makes the first note absolute
+  let reference = new Note("F", "", 3);
+  const octave = (pitch: Note) => {
+    if (!options.relative) return octaveMarks(pitch.octave - 3);
+    const steps = diatonicSteps(pitch) - diatonicSteps(reference);
+    reference = pitch;
+    return octaveMarks(Math.floor((steps + 3) / 7));
+  };
+
+  const barLength = melody.barLength();
+  const bars: string[][] = [];
+  let lastDuration = "";
+  for (const event of splitAtBars(melody)) {
+    const bar = Math.floor(event.onset / barLength + EPSILON);
+    while (bars.length <= bar) bars.push([]);
+
+    const pitches = event.notes.map((n) => (n.isPitch() ? n : n.toPitch(4)));
+    const notes = pitches.map((p) => pitchName(p) + octave(p));
+    // The next note is relative to the first note of a chord
+    if (pitches.length > 1) reference = pitches[0]!;
+
+    const duration = formatDuration(event.duration);
+    const symbol =
+      notes.length === 0
+        ? "r"
+        : notes.length === 1
+          ? notes[0]!
+          : `<${notes.join(" ")}>`;
+    bars[bar]!.push(
+      symbol +
+        (duration === lastDuration ? "" : duration) +
+        (event.tied && notes.length > 0 ? "~" : ""),
+    );
+    lastDuration = duration;
+  }
+
+  const lines = [];
+  for (let i = 0; i < bars.length; i += 4) {
+    lines.push(
+      bars
+        .slice(i, i + 4)
+        .map((bar) => `${bar.join(" ")} |`)
+        .join(" "),
+    );
+  }
+  const body = [...header, ...lines].map((line) => `  ${line}`).join("\n");
+  return `${options.relative ? "\\relative " : ""}{\n${body}\n}\n`;
+}
+
+/**
+ * Count the diatonic steps from C0 to a pitch, ignoring accidentals.
+ */
+function diatonicSteps(pitch: Note): number {
+  return pitch.diatonicOffset + 7 * pitch.octave;
+}
+
+/**
+ * Write the Dutch name of a pitch class, e.g. 'c', 'fis', 'bes', 'as', or
+ * 'eeh' and 'cisih' for quarter tones.
+ */
+function pitchName(note: Note): string {
+  const accidentals = note.accidentals
+    .replace(/#/g, "is")
+    .replace(/b/g, "es")
+    .replace("t", "ih")
+    .replace("d", "eh");
+  return `${note.letter.toLowerCase()}${accidentals}`.replace(
+    /^([ae])es/,
+    "$1s",
+  );
+}
+
+/**
+ * Write octave marks, up (') or down (,).
+ */
+function octaveMarks(octaves: number): string {
+  return octaves > 0 ? "'".repeat(octaves) : ",".repeat(-octaves);
+}
+
+/**
+ * Write a duration in beats as a note value, e.g. '4' for a quarter note,
+ * '8.' for a dotted eighth, or as a scaled quarter note, e.g. '4*2/3'.
+ */
+function formatDuration(beats: number): string {
+  for (let value = 1; value <= 128; value *= 2) {
+    const base = 4 / value;
+    for (const [dots, factor] of [
+      ["", 1],
+      [".", 1.5],
+      ["..", 1.75],
+    ] as const) {
+      if (Math.abs(beats - base * factor) < EPSILON) return `${value}${dots}`;
+    }
+  }
+  if (Math.abs(beats - 8) < EPSILON) return "\\breve";
+
+  for (let denominator = 1; denominator <= 3840; denominator++) {
+    const numerator = Math.round(beats * denominator);
+    if (Math.abs(beats * denominator - numerator) < EPSILON * denominator) {
+      return denominator === 1
+        ? `4*${numerator}`
+        : `4*${numerator}/${denominator}`;
+    }
+  }
+  throw new Error(`The duration ${beats} can't be written in LilyPond`);
+}
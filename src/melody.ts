@@ -0,0 +1,564 @@
+import type { Interval } from "./interval.js";
+import type { MidiFile } from "./midi.js";
+import type { NotationOptions } from "./notation.js";
+import { Note, type NoteJSON } from "./note.js";
+import {
+  type EqualityOptions,
+  NoteList,
+  type NoteListJSON,
+} from "./notelist.js";
+import { ensureType, hashString } from "./utils.js";
+
+// Times closer than this are equal, to allow rounding errors in e.g. triplets
+const EPSILON = 1e-9;
+
+/**
+ * Notes sounding together from an onset, for a duration, both in beats
+ * (quarter notes). An event without notes is a rest, and an event with
+ * several notes is a chord.
+ */
+export type MelodyEvent = {
+  notes: Note[];
+  onset: number;
+  duration: number;
+};
+
+/**
+ * A time signature, e.g. 3/4 or 6/8.
+ */
+export type TimeSignature = {
+  numerator: number;
+  denominator: number;
+};
+
+/**
+ * Options for a melody.
+ *
+ *  `timeSignature` defaults to 4/4.
+ *  `tempo` is in beats (quarter notes) per minute, and defaults to 120.
+ */
+export type MelodyOptions = {
+  timeSignature?: TimeSignature;
+  tempo?: number;
+};
+
+/**
+ * A melody as JSON. The notes are also listed on their own, so that
+ * `NoteList.fromJSON()` reads it as a plain note list.
+ */
+export type MelodyJSON = NoteListJSON & {
+  events: { notes: NoteJSON[]; onset: number; duration: number }[];
+  timeSignature: TimeSignature;
+  tempo: number;
+};
+
+/**
+ * A melody is a note list where every note has an onset and a duration.
+ * Notes are grouped in events, which can also be rests or chords. Events are
+ * sorted by onset, and may overlap.
+ *
+ * Times are measured in beats, i.e. quarter notes, whatever the time
+ * signature. The tempo converts beats to seconds.
+ *
+ * The melody is immutable, and methods inherited from NoteList return plain
+ * note lists, except `transpose()`.
+ */
+export class Melody extends NoteList {
+  readonly events: MelodyEvent[];
+  readonly timeSignature: TimeSignature;
+  readonly tempo: number;
+
+  /**
+   * Create a new melody from events.
+   *
+   * @param events Notes (as Note objects or strings in scientific pitch
+   *               notation) with an onset and duration in beats
+   * @param options Time signature and tempo (see `MelodyOptions`)
+   */
+  constructor(
+    events: { notes: (Note | string)[]; onset: number; duration: number }[],
+    options: MelodyOptions = {},
+  ) {
+    const sorted = events
+      .map((e) => ({
+        notes: e.notes.map((n) => ensureType(n, Note)),
+        onset: snap(e.onset),
+        duration: snap(e.duration),
+      }))
+      .sort((a, b) => a.onset - b.onset);
+    super(sorted.flatMap((e) => e.notes));
+
+    for (const { onset, duration } of sorted) {
+      if (!(onset >= 0) || !(duration > 0)) {
+        throw new Error(
+          `An event needs an onset from 0 and a positive duration, got ${onset} and ${duration}`,
+        );
+      }
+    }
+    const { numerator, denominator } = options.timeSignature ?? {
+      numerator: 4,
+      denominator: 4,
+    };
+    if (
+      !Number.isInteger(numerator) ||
+      numerator < 1 ||
+      !Number.isInteger(Math.log2(denominator))
+    ) {
+      throw new Error(
+        `'${numerator}/${denominator}' is not a valid time signature`,
+      );
+    }
+    const tempo = options.tempo ?? 120;
+    if (!(tempo > 0)) {
+      throw new Error(`Tempo must be a positive number, got ${tempo}`);
+    }
+
+    this.events = sorted;
+    this.timeSignature = { numerator, denominator };
+    this.tempo = tempo;
+  }
+
+  /**
+   * Create a melody from JSON written by `toJSON()`.
+   *
+   * @param json Events, time signature and tempo as JSON
+   */
+  static fromJSON(json: MelodyJSON): Melody {
+    try {
+      return new Melody(
+        json.events.map((e) => ({
+          notes: e.notes.map((n) => Note.fromJSON(n)),
+          onset: e.onset,
+          duration: e.duration,
+        })),
+        { timeSignature: json.timeSignature, tempo: json.tempo },
+      );
+    } catch {
+      throw new Error(`'${JSON.stringify(json)}' is not a valid melody`);
+    }
+  }
+
+  /**
+   * Create a melody from notes, rests ('r') and chords ('[C4 E4 G4]') played
+   * one after the other. Each can be followed by a duration in beats, which
+   * defaults to 1, and an onset in beats (e.g. 'C4:2@1'), which defaults to
+   * the end of the previous event.
+   *
+   * @param notation Space separated notes, rests and chords
+   * @param options Time signature and tempo (see `MelodyOptions`), and
+   *                notation of the notes (see `NotationOptions`)
+   *
+   * @example
+   * Melody.fromString('C4 D4:0.5 E4:1/2 r [C4 E4 G4]:2')
+   * Melody.fromString('C4:2 E4@1') // E4 starts while C4 is sounding
+   */
+  static fromString(
+    notation: string,
+    options: MelodyOptions & NotationOptions = {},
+  ): Melody {
+    const events: MelodyEvent[] = [];
+    let onset = 0;
+    for (const token of notation.match(/\[[^\]]*\](?:[:@]\S+)?|[^\s[]+/g) ??
+      []) {
+      const match = token.match(
+        /^(?:\[([^\]]*)\]|([^:@[\]]+))(?::([^@]+))?(?:@(.+))?$/,
+      );
+      const duration = parseBeats(match?.[3] ?? "1");
+      if (match?.[4] !== undefined) onset = parseBeats(match[4]);
+      if (!match || !(duration > 0) || Number.isNaN(onset)) {
+        throw new Error(`'${token}' is not a valid melody event`);
+      }
+      const notes =
+        match[2] === "r" ? [] : (match[1] ?? match[2]!).trim().split(/\s+/);
+      events.push({
+        notes: notes
+          .filter((n) => n !== "")
+          .map((n) => Note.fromString(n, options)),
+        onset,
+        duration,
+      });
+      onset += duration;
+    }
+    return new Melody(events, options);
+  }
+
+  /**
+   * Create a melody from the notes of a note list, one after the other.
+   *
+   * @param noteList Note list OR Space separated notes
+   * @param duration Duration of each note in beats
+   * @param options Time signature and tempo (see `MelodyOptions`)
+   */
+  static fromNoteList(
+    noteList: NoteList | string,
+    duration: number = 1,
+    options: MelodyOptions = {},
+  ): Melody {
+    const notes = ensureType(noteList, NoteList).notes;
+    return new Melody(
+      notes.map((n, i) => ({ notes: [n], onset: i * duration, duration })),
+      options,
+    );
+  }
+
+  /**
+   * Create a melody from a track of a MIDI file. Notes with the same onset
+   * and duration become chords. The first tempo and time signature of the
+   * file are used.
+   *
+   * @param file MIDI file
+   * @param track Index of the track, defaults to the first with notes
+   */
+  static fromMidi(file: MidiFile, track?: number): Melody {
+    const index = track ?? file.tracks.findIndex((t) => t.notes.length > 0);
+    const midiTrack = file.tracks[index];
+    if (midiTrack === undefined) {
+      throw new Error(`The MIDI file has no track ${track ?? "with notes"}`);
+    }
+
+    const events: MelodyEvent[] = [];
+    for (const { note, onset, duration } of midiTrack.notes) {
+      const chord = events.find(
+        (e) => e.onset === onset && e.duration === duration,
+      );
+      if (chord === undefined) {
+        events.push({ notes: [note], onset, duration });
+      } else {
+        chord.notes.push(note);
+      }
+    }
+
+    const timeSignature = file.timeSignatures[0];
+    return new Melody(events, {
+      ...(timeSignature && {
+        timeSignature: {
+          numerator: timeSignature.numerator,
+          denominator: timeSignature.denominator,
+        },
+      }),
+      tempo: file.tempos[0]?.bpm ?? 120,
+    });
+  }
+
+  /**
+   * Length of the melody in beats, until the last event ends.
+   */
+  duration(): number {
+    return Math.max(0, ...this.events.map((e) => e.onset + e.duration));
+  }
+
+  /**
+   * Length of a bar in beats, e.g. 3 for 3/4 and 3 for 6/8.
+   */
+  barLength(): number {
+    return (this.timeSignature.numerator * 4) / this.timeSignature.denominator;
+  }
+
+  /**
+   * Cut out the events starting in a time span, moved to start from 0.
+   * Events are shortened to end with the span.
+   *
+   * @param start Start of the span in beats
+   * @param end End of the span in beats, defaults to the end of the melody
+   */
+  slice(start: number, end: number = this.duration()): Melody {
+    return this.withEvents(
+      this.events
+        .filter((e) => e.onset >= start && e.onset < end)
+        .map((e) => ({
+          notes: e.notes,
+          onset: e.onset - start,
+          duration: Math.min(e.duration, end - e.onset),
+        })),
+    );
+  }
+
+  /**
+   * Cut out a bar, counting from 1, see `slice()`.
+   *
+   * @param n Bar number
+   *
+   * @example
+   * Melody.fromString('C4 D4 E4 F4 G4:4').bar(2).toString() // 'G4:4'
+   */
+  bar(n: number): Melody {
+    if (!Number.isInteger(n) || n < 1) {
+      throw new Error(`'${n}' is not a valid bar number`);
+    }
+    const length = this.barLength();
+    return this.slice((n - 1) * length, n * length);
+  }
+
+  /**
+   * Split the melody into bars, see `slice()`.
+   */
+  bars(): Melody[] {
+    const count = Math.ceil(this.duration() / this.barLength());
+    return [...Array(count).keys()].map((i) => this.bar(i + 1));
+  }
+
+  /**
+   * Transpose all notes in the melody by the same interval.
+   *
+   * @param interval Interval object OR Shorthand interval notation (e.g. P5)
+   */
+  transpose(interval: Interval | string): Melody {
+    return this.mapNotes((n) => n.transpose(interval));
+  }
+
+  /**
+   * Play the melody backwards.
+   */
+  retrograde(): Melody {
+    const end = this.duration();
+    return this.withEvents(
+      this.events.map((e) => ({
+        ...e,
+        onset: end - e.onset - e.duration,
+      })),
+    );
+  }
+
+  /**
+   * Mirror the melody around a note, turning every interval upside down.
+   * Pitches stay pitches, and pitch classes stay pitch classes.
+   *
+   * @param axis Note to mirror around, defaults to the first note
+   *
+   * @example
+   * Melody.fromString('C4 E4 G4').inversion().toString() // 'C4 Ab3 F3'
+   */
+  inversion(axis?: Note | string): Melody {
+    const center = axis === undefined ? this.notes[0] : ensureType(axis, Note);
+    if (center === undefined) return this;
+    return this.mapNotes((n) => center.transpose(n.intervalTo(center)));
+  }
+
+  /**
+   * Multiply all onsets and durations, to slow the melody down (factor above
+   * 1) or speed it up (factor below 1, i.e. diminution).
+   *
+   * @param factor Factor to multiply by
+   */
+  augment(factor: number = 2): Melody {
+    if (!(factor > 0)) {
+      throw new Error(`Factor must be a positive number, got ${factor}`);
+    }
+    return this.withEvents(
+      this.events.map((e) => ({
+        ...e,
+        onset: e.onset * factor,
+        duration: e.duration * factor,
+      })),
+    );
+  }
+
+  /**
+   * Convert a time in beats to seconds at the tempo of the melody.
+   *
+   * @param beats Time in beats
+   */
+  seconds(beats: number): number {
+    return (beats * 60) / this.tempo;
+  }
+
+  /**
+   * List the events with onset and duration in seconds.
+   */
+  toSeconds(): MelodyEvent[] {
+    return this.events.map((e) => ({
+      notes: e.notes,
+      onset: this.seconds(e.onset),
+      duration: this.seconds(e.duration),
+    }));
+  }
+
+  /**
+   * List the events one after the other, with rests filling the gaps. Rests
+   * are split at bar lines. Throws an error if events overlap, as they can't
+   * be written in sequence.
+   */
+  sequence(): MelodyEvent[] {
+    const barLength = this.barLength();
+    const events: MelodyEvent[] = [];
+    let time = 0;
+    for (const event of this.events) {
+      if (event.onset < time - EPSILON) {
+        throw new Error(
+          `The melody can't be written in sequence, it overlaps at beat ${event.onset}`,
+        );
+      }
+      while (event.onset - time > EPSILON) {
+        const bar = Math.floor(time / barLength + EPSILON) + 1;
+        const end = Math.min(event.onset, bar * barLength);
+        events.push({ notes: [], onset: time, duration: end - time });
+        time = end;
+      }
+      events.push(event);
+      time = event.onset + event.duration;
+    }
+    return events;
+  }
+
+  /**
+   * Write the melody in the notation of `Melody.fromString()`, see
+   * `sequence()`. If events overlap, every event is written with its onset
+   * instead (e.g. 'C4:2@0 E4@1').
+   *
+   * @param options Notation of the notes (see `NotationOptions`)
+   */
+  toString(options: NotationOptions = {}): string {
+    const overlapping = this.events.some(
+      (e, i) =>
+        i > 0 &&
+        e.onset <
+          this.events[i - 1]!.onset + this.events[i - 1]!.duration - EPSILON,
+    );
+    return (overlapping ? this.events : this.sequence())
+      .map((e) => {
+        const notes = e.notes.map((n) => n.toString(options));
+        const event =
+          notes.length === 0
+            ? "r"
+            : notes.length === 1
+              ? notes[0]!
+              : `[${notes.join(" ")}]`;
+        const onset = overlapping ? `@${formatNumber(e.onset)}` : "";
+        return event + formatBeats(e.duration) + onset;
+      })
+      .join(" ");
+  }
+
+  /**
+   * Check if the melody has the same events, time signature and tempo as
+   * another melody. A note list is never equal to a melody.
+   *
+   * @param other Melody to compare with
+   * @param options With `enharmonic`, notes are compared by pitch. With
+   *                `ordered: false`, the events at the same onset and the
+   *                notes of a chord may be in any order
+   *
+   * @example
+   * Melody.fromString('C4 D4').equals(Melody.fromString('C4:2 D4')) // false
+   */
+  equals(other: NoteList | string, options: EqualityOptions = {}): boolean {
+    if (
+      !(other instanceof Melody) ||
+      other.events.length !== this.events.length ||
+      other.timeSignature.numerator !== this.timeSignature.numerator ||
+      other.timeSignature.denominator !== this.timeSignature.denominator ||
+      other.tempo !== this.tempo
+    ) {
+      return false;
+    }
+
+    const same = (a: MelodyEvent, b: MelodyEvent) =>
+      Math.abs(a.onset - b.onset) < EPSILON &&
+      Math.abs(a.duration - b.duration) < EPSILON &&
+      new NoteList(a.notes).equals(new NoteList(b.notes), options);
+    if (options.ordered ?? true) {
+      return this.events.every((e, i) => same(e, other.events[i]!));
+    }
+
+    const unmatched = other.events.slice(0);
+    return this.events.every((e) => {
+      const index = unmatched.findIndex((f) => same(e, f));
+      if (index === -1) return false;
+      unmatched.splice(index, 1);
+      return true;
+    });
+  }
+
+  /**
+   * Convert the melody to JSON, keeping the events, time signature and tempo.
+   */
+  toJSON(): MelodyJSON {
+    return {
+      ...super.toJSON(),
+      events: this.events.map((e) => ({
+        notes: e.notes.map((n) => n.toJSON()),
+        onset: e.onset,
+        duration: e.duration,
+      })),
+      timeSignature: { ...this.timeSignature },
+      tempo: this.tempo,
+    };
+  }
+
+  /**
+   * Hash of the events, time signature and tempo, stable across runs.
+   * Melodies that are equal with the default options have the same hash.
+   */
+  hash(): number {
+    const events = this.events.map(
+      (e) =>
+        `${e.notes.map((n) => n.toString()).join(",")}:${e.duration}@${e.onset}`,
+    );
+    const { numerator, denominator } = this.timeSignature;
+    return hashString(
+      `${events.join(" ")} ${numerator}/${denominator} ${this.tempo}`,
+    );
+  }
+
+  /**
+   * Create a melody with other events, keeping the time signature and tempo.
+   */
+  private withEvents(events: MelodyEvent[]): Melody {
+    return new Melody(events, {
+      timeSignature: this.timeSignature,
+      tempo: this.tempo,
+    });
+  }
+
+  /**
+   * Create a melody with the same rhythm and other notes.
+   */
+  private mapNotes(fn: (note: Note) => Note): Melody {
+    return this.withEvents(
+      this.events.map((e) => ({ ...e, notes: e.notes.map(fn) })),
+    );
+  }
+}
+
+/**
+ * Round a time in beats to a multiple of 1/3840 if it's within rounding
+ * error, so that e.g. three triplets add up to a whole beat.
+ */
+function snap(beats: number): number {
+  const ticks = Math.round(beats * 3840);
+  return Math.abs(beats * 3840 - ticks) < 1e-6 ? ticks / 3840 : beats;
+}
+
+/**
+ * Parse a number of beats, as a decimal number or a fraction (e.g. '1/3').
+ */
+function parseBeats(text: string): number {
+  const match = text.match(/^(\d+(?:\.\d+)?|\.\d+)(?:\/(\d+))?$/);
+  if (!match) return NaN;
+  const beats = Number(match[1]) / Number(match[2] ?? 1);
+  return Number.isFinite(beats) ? beats : NaN;
+}
+
+/**
+ * Write a duration as a suffix for `Melody.fromString()`. A duration of 1
+ * beat is left out.
+ */
+function formatBeats(beats: number): string {
+  return beats === 1 ? "" : `:${formatNumber(beats)}`;
+}
+
+/**
+ * Write a number of beats, as a fraction if it isn't a short decimal number.
+ */
+function formatNumber(beats: number): string {
+  const decimal = String(beats);
+  if (decimal.length <= 5) return decimal;
+
+  for (let denominator = 2; denominator <= 64; denominator++) {
+    const numerator = beats * denominator;
+    if (Math.abs(numerator - Math.round(numerator)) < EPSILON) {
+      return `${Math.round(numerator)}/${denominator}`;
+    }
+  }
+  return decimal;
+}
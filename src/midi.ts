@@ -0,0 +1,621 @@
+import { Key } from "./key.js";
+import type { Melody } from "./melody.js";
+import { Note } from "./note.js";
+import { NoteList } from "./notelist.js";
+import { ensureType } from "./utils.js";
+import { voicing } from "./voicing.js";
+
+// Tempo of a MIDI file without tempo events, in beats per minute
+const DEFAULT_TEMPO = 120;
+
+// Velocity of notes written without one
+const DEFAULT_VELOCITY = 96;
+
+// Global in browsers and Node, but not typed by the ES2022 library
+declare const TextEncoder: new () => {
+  encode(text: string): Uint8Array;
+};
+declare const TextDecoder: new (
+  label: string,
+  options: { fatal: boolean },
+) => { decode(data: Uint8Array): string };
+
+/**
+ * A note with a start and length, in beats (quarter notes) from the start
+ * of the file.
+ *
+ *  `velocity` is how hard the note is played, from 1 to 127.
+ *  `channel` is the MIDI channel, from 0 to 15.
+ */
+export type MidiNote = {
+  note: Note;
+  onset: number;
+  duration: number;
+  velocity: number;
+  channel: number;
+};
+
+/**
+ * A track of a MIDI file, with its name and notes in order of onset.
+ */
+export type MidiTrack = {
+  name?: string;
+  notes: MidiNote[];
+};
+
+/**
+ * A change of tempo, in beats per minute.
+ */
+export type TempoChange = {
+  onset: number;
+  bpm: number;
+};
+
+/**
+ * A change of time signature, e.g. 6/8.
+ */
+export type TimeSignatureChange = {
+  onset: number;
+  numerator: number;
+  denominator: number;
+};
+
+/**
+ * A change of key signature. MIDI files only know major and minor keys.
+ */
+export type KeySignatureChange = {
+  onset: number;
+  key: Key;
+};
+
+/**
+ * Options for a MIDI file.
+ *
+ *  `format` is 0 for a single track, or 1 for several tracks played
+ *           together. Defaults to 0 for one track, and 1 otherwise.
+ *  `ticksPerBeat` is the time resolution. Defaults to 480.
+ *  `tempos`, `timeSignatures` and `keySignatures` apply to all tracks.
+ */
+export type MidiOptions = {
+  format?: 0 | 1;
+  ticksPerBeat?: number;
+  tempos?: TempoChange[];
+  timeSignatures?: TimeSignatureChange[];
+  keySignatures?: KeySignatureChange[];
+};
+
+/**
+ * Options for writing note lists to a MIDI file.
+ *
+ *  `style` plays the notes of each note list together ('chord') or one
+ *          after the other ('arpeggio'). Defaults to 'chord'.
+ *  `duration` is the length of each chord, or of each note of an arpeggio,
+ *             in beats. Defaults to 1.
+ *  `velocity` defaults to 96, and `tempo` to 120 beats per minute.
+ */
+export type MidiExportOptions = {
+  style?: "chord" | "arpeggio";
+  duration?: number;
+  velocity?: number;
+  tempo?: number;
+};
+
+/**
+ * A Standard MIDI File, with notes paired into durations, and the tempo,
+ * time signature and key signature events that apply to all tracks.
+ *
+ * Files are read from and written to plain bytes, so no file system or
+ * native dependencies are needed. Other events, such as controllers and
+ * lyrics, are skipped when reading.
+ *
+ * @see {@link https://midi.org/standard-midi-files}
+ */
+export class MidiFile {
+  readonly format: 0 | 1;
+  readonly ticksPerBeat: number;
+  readonly tracks: MidiTrack[];
+  readonly tempos: TempoChange[];
+  readonly timeSignatures: TimeSignatureChange[];
+  readonly keySignatures: KeySignatureChange[];
+
+  /**
+   * Create a new MIDI file.
+   *
+   * @param tracks Tracks with notes
+   * @param options Format, resolution and meta events (see `MidiOptions`)
+   */
+  constructor(tracks: MidiTrack[], options: MidiOptions = {}) {
+    const format = options.format ?? (tracks.length === 1 ? 0 : 1);
+    const ticksPerBeat = options.ticksPerBeat ?? 480;
+    if (format === 0 && tracks.length !== 1) {
+      throw new Error(
+        `A format 0 MIDI file has one track, got ${tracks.length}`,
+      );
+    }
+    if (
+      !Number.isInteger(ticksPerBeat) ||
+      ticksPerBeat < 1 ||
+      ticksPerBeat > 0x7fff
+    ) {
+      throw new Error(
+        `Ticks per beat must be an integer between 1 and 32767, got ${ticksPerBeat}`,
+      );
+    }
+
+    const byOnset = (a: { onset: number }, b: { onset: number }) =>
+      a.onset - b.onset;
+    this.format = format;
+    this.ticksPerBeat = ticksPerBeat;
+    this.tracks = tracks;
+    this.tempos = (options.tempos ?? []).slice(0).sort(byOnset);
+    this.timeSignatures = (options.timeSignatures ?? []).slice(0).sort(byOnset);
+    this.keySignatures = (options.keySignatures ?? []).slice(0).sort(byOnset);
+  }
+
+  /**
+   * Read a Standard MIDI File of format 0 or 1. Note on and note off events
+   * are paired into notes, which are spelled to fit the key signature.
+   *
+   * @param data Contents of a .mid file
+   */
+  static fromBytes(data: Uint8Array | ArrayBuffer): MidiFile {
+    const reader = new ByteReader(
+      data instanceof Uint8Array ? data : new Uint8Array(data),
+    );
+    if (reader.text(4) !== "MThd") {
+      throw new Error("The data is not a Standard MIDI File");
+    }
+    const headerLength = reader.uint(4);
+    const format = reader.uint(2);
+    const trackCount = reader.uint(2);
+    const division = reader.uint(2);
+    reader.skip(headerLength - 6);
+    if (format !== 0 && format !== 1) {
+      throw new Error(`MIDI format ${format} is not supported`);
+    }
+    if (division & 0x8000) {
+      throw new Error("SMPTE time division is not supported");
+    }
+
+    const tracks: RawTrack[] = [];
+    while (tracks.length < trackCount) {
+      const type = reader.text(4);
+      const length = reader.uint(4);
+      const chunk = reader.bytes(length);
+      if (type === "MTrk") tracks.push(readTrack(new ByteReader(chunk)));
+    }
+
+    const beats = (tick: number) => tick / division;
+    const metas = tracks.flatMap((t) => t.metas);
+    const options: MidiOptions = {
+      format,
+      ticksPerBeat: division,
+      tempos: metas.flatMap((m) =>
+        m.type === "tempo" ? [{ onset: beats(m.tick), bpm: m.bpm }] : [],
+      ),
+      timeSignatures: metas.flatMap((m) =>
+        m.type === "time"
+          ? [
+              {
+                onset: beats(m.tick),
+                numerator: m.numerator,
+                denominator: m.denominator,
+              },
+            ]
+          : [],
+      ),
+      keySignatures: metas.flatMap((m) =>
+        m.type === "key" ? [{ onset: beats(m.tick), key: m.key }] : [],
+      ),
+    };
+    // Only used to find the key signature of each note
+    const keys = new MidiFile([], { ...options, format: 1 });
+
+    return new MidiFile(
+      tracks.map((track) => ({
+        ...(track.name === undefined ? {} : { name: track.name }),
+        notes: track.notes.map((n) => {
+          const onset = beats(n.tick);
+          const key = keys.keyAt(onset);
+          return {
+            note: Note.fromMidi(n.number, key && { key }),
+            onset,
+            duration: beats(n.end - n.tick),
+            velocity: n.velocity,
+            channel: n.channel,
+          };
+        }),
+      })),
+      options,
+    );
+  }
+
+  /**
+   * Create a MIDI file with one track, playing note lists one after the
+   * other, as chords or arpeggios. Pitch classes are voiced closely from C4.
+   *
+   * @param noteLists Note lists OR Space separated notes
+   * @param options Style, duration, velocity and tempo (see `MidiExportOptions`)
+   *
+   * @example
+   * MidiFile.fromNoteLists(['C4 E4 G4', 'F A C'], { duration: 2 }).toBytes()
+   */
+  static fromNoteLists(
+    noteLists: readonly (NoteList | string)[],
+    options: MidiExportOptions = {},
+  ): MidiFile {
+    const {
+      style = "chord",
+      duration = 1,
+      velocity = DEFAULT_VELOCITY,
+    } = options;
+    const notes: MidiNote[] = [];
+    let onset = 0;
+    for (const list of noteLists) {
+      const noteList = ensureType(list, NoteList);
+      const pitches = noteList.isPitches() ? noteList : voicing(noteList);
+      for (const note of pitches.notes) {
+        notes.push({ note, onset, duration, velocity, channel: 0 });
+        if (style === "arpeggio") onset += duration;
+      }
+      if (style === "chord") onset += duration;
+    }
+
+    return new MidiFile([{ notes }], {
+      tempos: [{ onset: 0, bpm: options.tempo ?? DEFAULT_TEMPO }],
+    });
+  }
+
+  /**
+   * Create a MIDI file with a track for each melody. The tempo and time
+   * signature of the first melody apply to all tracks.
+   *
+   * @param melodies Melodies with pitches
+   */
+  static fromMelodies(melodies: readonly Melody[]): MidiFile {
+    const [first] = melodies;
+    const tracks = melodies.map((melody) => ({
+      notes: melody.events.flatMap(({ notes, onset, duration }) =>
+        notes.map((note) => ({
+          note,
+          onset,
+          duration,
+          velocity: DEFAULT_VELOCITY,
+          channel: 0,
+        })),
+      ),
+    }));
+    return new MidiFile(tracks, {
+      tempos: first === undefined ? [] : [{ onset: 0, bpm: first.tempo }],
+      timeSignatures:
+        first === undefined ? [] : [{ onset: 0, ...first.timeSignature }],
+    });
+  }
+
+  /**
+   * Write the file as a Standard MIDI File. Tempo, time signature and key
+   * signature events are written to the first track.
+   */
+  toBytes(): Uint8Array {
+    const tracks = this.tracks.map((track, i) =>
+      chunk("MTrk", this.writeTrack(track, i === 0)),
+    );
+    const header = chunk("MThd", [
+      ...uint(this.format, 2),
+      ...uint(this.tracks.length, 2),
+      ...uint(this.ticksPerBeat, 2),
+    ]);
+    return new Uint8Array([...header, ...tracks.flat()]);
+  }
+
+  /**
+   * Find the key signature in effect at a point in time, if there is one.
+   *
+   * @param onset Time in beats
+   */
+  keyAt(onset: number): Key | undefined {
+    return this.keySignatures.filter((k) => k.onset <= onset).at(-1)?.key;
+  }
+
+  /**
+   * Convert a time in beats to seconds, following the tempo changes.
+   *
+   * @param onset Time in beats
+   *
+   * @example
+   * MidiFile.fromNoteLists(['C E G'], { tempo: 90 }).seconds(3) // 2
+   */
+  seconds(onset: number): number {
+    let seconds = 0;
+    let beat = 0;
+    let bpm = DEFAULT_TEMPO;
+    for (const tempo of this.tempos) {
+      if (tempo.onset >= onset) break;
+      seconds += ((tempo.onset - beat) * 60) / bpm;
+      beat = tempo.onset;
+      bpm = tempo.bpm;
+    }
+    return seconds + ((onset - beat) * 60) / bpm;
+  }
+
+  /**
+   * Encode the events of a track, with the meta events if it's the first.
+   */
+  private writeTrack(track: MidiTrack, first: boolean): number[] {
+    // Events at the same tick are ordered meta, note off, note on
+    const events: { tick: number; order: number; data: number[] }[] = [];
+    const ticks = (beats: number) => Math.round(beats * this.ticksPerBeat);
+
+    if (track.name !== undefined) {
+      const name = textBytes(track.name);
+      events.push({
+        tick: 0,
+        order: 0,
+        data: [0xff, 0x03, ...varint(name.length), ...name],
+      });
+    }
+    if (first) {
+      for (const { onset, bpm } of this.tempos) {
+        // Microseconds per beat, in three bytes
+        const microseconds = Math.round(60e6 / bpm);
+        if (!(bpm > 0) || microseconds > 0xffffff) {
+          throw new Error(`The tempo ${bpm} bpm can't be written to MIDI`);
+        }
+        const data = [0xff, 0x51, 3, ...uint(microseconds, 3)];
+        events.push({ tick: ticks(onset), order: 0, data });
+      }
+      for (const { onset, numerator, denominator } of this.timeSignatures) {
+        const power = Math.log2(denominator);
+        if (!Number.isInteger(power)) {
+          throw new Error(
+            `The time signature ${numerator}/${denominator} can't be written to MIDI`,
+          );
+        }
+        const data = [0xff, 0x58, 4, numerator, power, 24, 8];
+        events.push({ tick: ticks(onset), order: 0, data });
+      }
+      for (const { onset, key } of this.keySignatures) {
+        const { accidentals } = key.signature();
+        if (Math.abs(accidentals) > 7) {
+          throw new Error(`The key '${key}' can't be written to MIDI`);
+        }
+        const minor = key.mode === "minor" ? 1 : 0;
+        const data = [0xff, 0x59, 2, accidentals & 0xff, minor];
+        events.push({ tick: ticks(onset), order: 0, data });
+      }
+    }
+
+    for (const { note, onset, duration, velocity, channel } of track.notes) {
+      const number = note.isPitch() ? note.midi() : NaN;
+      if (Number.isNaN(number)) {
+        throw new Error(`The note '${note}' can't be written to MIDI`);
+      }
+      if (!Number.isInteger(velocity) || velocity < 1 || velocity > 127) {
+        throw new Error(
+          `Velocity must be an integer between 1 and 127, got ${velocity}`,
+        );
+      }
+      if (!Number.isInteger(channel) || channel < 0 || channel > 15) {
+        throw new Error(
+          `Channel must be an integer between 0 and 15, got ${channel}`,
+        );
+      }
+      // The note off would be written before the note on, and the note hang
+      if (!(ticks(onset + duration) > ticks(onset))) {
+        throw new Error(
+          `Duration must be at least one tick, got ${duration} beats`,
+        );
+      }
+      events.push(
+        {
+          tick: ticks(onset),
+          order: 2,
+          data: [0x90 | channel, number, velocity],
+        },
+        {
+          tick: ticks(onset + duration),
+          order: 1,
+          data: [0x80 | channel, number, 0],
+        },
+      );
+    }
+
+    events.sort((a, b) => a.tick - b.tick || a.order - b.order);
+    let previous = 0;
+    const bytes = events.flatMap(({ tick, data }) => {
+      const delta = varint(tick - previous);
+      previous = tick;
+      return [...delta, ...data];
+    });
+    return [...bytes, 0x00, 0xff, 0x2f, 0x00];
+  }
+}
+
+/**
+ * A track as read from a file, with times in ticks.
+ */
+type RawTrack = {
+  name?: string;
+  notes: {
+    tick: number;
+    end: number;
+    number: number;
+    velocity: number;
+    channel: number;
+  }[];
+  metas: (
+    | { type: "tempo"; tick: number; bpm: number }
+    | { type: "time"; tick: number; numerator: number; denominator: number }
+    | { type: "key"; tick: number; key: Key }
+  )[];
+};
+
+/**
+ * Read the events of a track chunk. Notes still sounding at the end of the
+ * track end there.
+ */
+function readTrack(reader: ByteReader): RawTrack {
+  const track: RawTrack = { notes: [], metas: [] };
+  const sounding = new Map<number, RawTrack["notes"]>();
+  let tick = 0;
+  let status = 0;
+
+  while (!reader.done()) {
+    tick += reader.varint();
+    let byte = reader.byte();
+
+    if (byte === 0xff) {
+      const type = reader.byte();
+      const data = reader.bytes(reader.varint());
+      if (type === 0x03 && track.name === undefined) {
+        track.name = decodeText(data);
+      } else if (type === 0x51 && data.length === 3) {
+        const microseconds = (data[0]! << 16) | (data[1]! << 8) | data[2]!;
+        const bpm = Math.round(60e9 / microseconds) / 1000;
+        track.metas.push({ type: "tempo", tick, bpm });
+      } else if (type === 0x58 && data.length >= 2) {
+        track.metas.push({
+          type: "time",
+          tick,
+          numerator: data[0]!,
+          denominator: 2 ** data[1]!,
+        });
+      } else if (type === 0x59 && data.length === 2) {
+        const accidentals = (data[0]! << 24) >> 24;
+        const mode = data[1] === 1 ? "minor" : "major";
+        const key = Key.fromSignature(accidentals, mode);
+        track.metas.push({ type: "key", tick, key });
+      } else if (type === 0x2f) {
+        break;
+      }
+      status = 0;
+      continue;
+    }
+    if (byte === 0xf0 || byte === 0xf7) {
+      reader.skip(reader.varint());
+      status = 0;
+      continue;
+    }
+
+    // Channel messages may leave out the status byte if it's repeated
+    if (byte & 0x80) {
+      status = byte;
+      byte = reader.byte();
+    } else if (status === 0) {
+      throw new Error(`Unexpected MIDI data byte ${byte} at tick ${tick}`);
+    }
+    const command = status & 0xf0;
+    const channel = status & 0x0f;
+    const second = command === 0xc0 || command === 0xd0 ? 0 : reader.byte();
+
+    const id = channel * 128 + byte;
+    if (command === 0x90 && second > 0) {
+      const note = { tick, end: tick, number: byte, velocity: second, channel };
+      track.notes.push(note);
+      sounding.set(id, [...(sounding.get(id) ?? []), note]);
+    } else if (command === 0x80 || command === 0x90) {
+      // Repeated notes end in the order they started
+      const note = sounding.get(id)?.shift();
+      if (note !== undefined) note.end = tick;
+    }
+  }
+
+  for (const notes of sounding.values()) {
+    for (const note of notes) note.end = tick;
+  }
+  return track;
+}
+
+/**
+ * Reads bytes, numbers and text from binary data in order.
+ */
+class ByteReader {
+  private position = 0;
+
+  constructor(private readonly data: Uint8Array) {}
+
+  done(): boolean {
+    return this.position >= this.data.length;
+  }
+
+  byte(): number {
+    return this.bytes(1)[0]!;
+  }
+
+  bytes(length: number): Uint8Array {
+    if (this.position + length > this.data.length) {
+      throw new Error("Unexpected end of MIDI data");
+    }
+    this.position += length;
+    return this.data.subarray(this.position - length, this.position);
+  }
+
+  skip(length: number): void {
+    this.bytes(length);
+  }
+
+  // Big-endian unsigned integer
+  uint(length: number): number {
+    return this.bytes(length).reduce((value, byte) => value * 256 + byte, 0);
+  }
+
+  // Variable-length quantity, 7 bits per byte
+  varint(): number {
+    let value = 0;
+    for (let i = 0; i < 4; i++) {
+      const byte = this.byte();
+      value = value * 128 + (byte & 0x7f);
+      if (!(byte & 0x80)) return value;
+    }
+    throw new Error("Invalid variable-length quantity in MIDI data");
+  }
+
+  text(length: number): string {
+    return String.fromCharCode(...this.bytes(length));
+  }
+}
+
+/**
+ * Wrap data in a chunk with a 4 letter type and its length.
+ */
+function chunk(type: string, data: number[]): number[] {
+  return [...textBytes(type), ...uint(data.length, 4), ...data];
+}
+
+/**
+ * Encode a big-endian unsigned integer.
+ */
+function uint(value: number, length: number): number[] {
+  return [...Array(length).keys()].map(
+    (i) => Math.floor(value / 256 ** (length - 1 - i)) % 256,
+  );
+}
+
+/**
+ * Encode a variable-length quantity, 7 bits per byte.
+ */
+function varint(value: number): number[] {
+  const bytes = [value & 0x7f];
+  for (let rest = value >> 7; rest > 0; rest >>= 7) {
+    bytes.unshift((rest & 0x7f) | 0x80);
+  }
+  return bytes;
+}
+
+/**
+ * Encode text as UTF-8.
+ */
+function textBytes(text: string): number[] {
+  return [...new TextEncoder().encode(text)];
+}
+
+/**
+ * Decode text as UTF-8, or as Latin-1 if it isn't valid UTF-8.
+ */
+function decodeText(data: Uint8Array): string {
+  try {
+    return new TextDecoder("utf-8", { fatal: true }).decode(data);
+  } catch {
+    return String.fromCharCode(...data);
+  }
+}
@@ -0,0 +1,410 @@
+import type { Key } from "./key.js";
+import { Melody, type MelodyEvent, type TimeSignature } from "./melody.js";
+import { Note } from "./note.js";
+import { NoteList } from "./notelist.js";
+import { ensureType, splitAtBars } from "./utils.js";
+
+// Times closer than this are equal, to allow rounding errors in e.g. triplets
+const EPSILON = 1e-9;
+
+// Note types and their length in beats (quarter notes)
+const NOTE_TYPES: readonly [string, number][] = [
+  ["breve", 8],
+  ["whole", 4],
+  ["half", 2],
+  ["quarter", 1],
+  ["eighth", 1 / 2],
+  ["16th", 1 / 4],
+  ["32nd", 1 / 8],
+  ["64th", 1 / 16],
+  ["128th", 1 / 32],
+];
+
+// Clef sign and staff line
+const CLEFS = {
+  treble: ["G", 2],
+  bass: ["F", 4],
+  alto: ["C", 3],
+  tenor: ["C", 4],
+} as const;
+
+/**
+ * Options for writing MusicXML.
+ *
+ *  `style` writes a note list as one chord lasting a bar ('chord'), or as
+ *          quarter notes one after the other ('sequence'). Defaults to
+ *          'sequence'. Melodies keep their rhythm.
+ *  `key` adds a key signature. Defaults to no sharps or flats.
+ *  `clef` defaults to bass if the notes are mostly below middle C, and
+ *         treble otherwise.
+ */
+export type MusicXMLOptions = {
+  style?: "chord" | "sequence";
+  key?: Key;
+  clef?: keyof typeof CLEFS;
+};
+
+/**
+ * Write a melody or note list as a MusicXML score with one part. Notes are
+ * written with the letter, accidentals and octave of each `Note`, so their
+ * spelling is kept. Pitch classes are written in octave 4. Notes crossing a
+ * bar line are split and tied.
+ *
+ * @param music Melody OR Note list OR Space separated notes
+ * @param options Style, key and clef (see `MusicXMLOptions`)
+ *
+ * @see {@link https://www.w3.org/2021/06/musicxml40/}
+ *
+ * @example
+ * toMusicXML(chord('C4 major'), { style: 'chord' })
+ */
+export function toMusicXML(
+  music: NoteList | string,
+  options: MusicXMLOptions = {},
+): string {
+  const melody = toMelody(ensureType(music, NoteList), options.style);
+  const { numerator, denominator } = melody.timeSignature;
+  const events = splitAtBars(melody);
+  const divisions = findDivisions(events);
+  const clef = CLEFS[options.clef ?? defaultClef(melody)];
+
+  const key = options.key;
+  const attributes = [
+    "<attributes>",
+    `  <divisions>${divisions}</divisions>`,
+    "  <key>",
+    `    <fifths>${key === undefined ? 0 : key.signature().accidentals}</fifths>`,
+    ...(key === undefined ? [] : [`    <mode>${key.mode}</mode>`]),
+    "  </key>",
+    "  <time>",
+    `    <beats>${numerator}</beats>`,
+    `    <beat-type>${denominator}</beat-type>`,
+    "  </time>",
+    "  <clef>",
+    `    <sign>${clef[0]}</sign>`,
+    `    <line>${clef[1]}</line>`,
+    "  </clef>",
+    "</attributes>",
+  ];
+  const tempo =
+    melody.tempo === 120
+      ? []
+      : [
+          `<direction placement="above">`,
+          "  <direction-type>",
+          "    <metronome>",
+          "      <beat-unit>quarter</beat-unit>",
+          `      <per-minute>${melody.tempo}</per-minute>`,
+          "    </metronome>",
+          "  </direction-type>",
+          `  <sound tempo="${melody.tempo}"/>`,
+          "</direction>",
+        ];
+
+  const barLength = melody.barLength();
+  const measures: string[][] = [];
+  let tiedFrom: readonly Note[] = [];
+  for (const event of events) {
+    const bar = Math.floor(event.onset / barLength + EPSILON);
+    while (measures.length <= bar) measures.push([]);
+    measures[bar]!.push(...writeEvent(event, divisions, tiedFrom));
+    tiedFrom = event.tied ? event.notes : [];
+  }
+  if (measures.length === 0) measures.push([]);
+
+  const indent = (lines: string[], depth: number) =>
+    lines.map((line) => " ".repeat(depth) + line);
+  const part = measures.flatMap((notes, i) => [
+    `<measure number="${i + 1}">`,
+    ...indent(i === 0 ? [...attributes, ...tempo, ...notes] : notes, 2),
+    "</measure>",
+  ]);
+
+  return `${[
+    `<?xml version="1.0" encoding="UTF-8" standalone="no"?>`,
+    `<!DOCTYPE score-partwise PUBLIC "-//Recordare//DTD MusicXML 4.0 Partwise//EN" "http://www.musicxml.org/dtds/partwise.dtd">`,
+    `<score-partwise version="4.0">`,
+    "  <part-list>",
+    `    <score-part id="P1">`,
+    "      <part-name>Music</part-name>",
+    "    </score-part>",
+    "  </part-list>",
+    `  <part id="P1">`,
+    ...indent(part, 4),
+    "  </part>",
+    "</score-partwise>",
+  ].join("\n")}\n`;
+}
+
+/**
+ * Read the first part of a MusicXML score as a melody. Notes, chords, ties,
+ * backups and forwards are read, along with the first time signature and
+ * tempo. Rests are read as gaps, and grace notes and other elements are
+ * skipped.
+ *
+ * @param xml MusicXML score (partwise)
+ *
+ * @example
+ * parseMusicXML(toMusicXML('C4 E4 G4')).toString() // 'C4 E4 G4'
+ */
+export function parseMusicXML(xml: string): Melody {
+  const part = elements(xml, "part")[0];
+  if (part === undefined) {
+    throw new Error("The MusicXML score has no part");
+  }
+
+  const notes: { note: Note; onset: number; duration: number }[] = [];
+  // Notes tied to a later note, by pitch
+  const tied = new Map<string, (typeof notes)[number]>();
+  let timeSignature: TimeSignature | undefined;
+  let tempo: number | undefined;
+  let divisions = 1;
+  let time = 0;
+  let onset = 0;
+
+  for (const measure of elements(part, "measure")) {
+    for (const [tag, content] of children(measure)) {
+      const duration = Number(text(content, "duration") ?? 0) / divisions;
+      if (tag === "attributes") {
+        divisions = Number(text(content, "divisions") ?? divisions);
+        const numerator = text(content, "beats");
+        const denominator = text(content, "beat-type");
+        if (timeSignature === undefined && numerator && denominator) {
+          timeSignature = {
+            numerator: Number(numerator),
+            denominator: Number(denominator),
+          };
+        }
+      } else if (tag === "direction" || tag === "sound") {
+        const bpm = content.match(/\btempo="([^"]+)"/)?.[1];
+        if (tempo === undefined && bpm !== undefined) tempo = Number(bpm);
+      } else if (tag === "backup") {
+        time -= duration;
+      } else if (tag === "forward") {
+        time += duration;
+      } else if (tag === "note" && !/<grace\b/.test(content)) {
+        if (!/<chord\s*\/>/.test(content)) {
+          onset = time;
+          time += duration;
+        }
+        const note = readPitch(content);
+        if (note === undefined) continue;
+
+        const name = note.toString();
+        let current = tied.get(name);
+        tied.delete(name);
+        if (current && /<tie\s+type="stop"/.test(content)) {
+          current.duration = onset + duration - current.onset;
+        } else {
+          current = { note, onset, duration };
+          notes.push(current);
+        }
+        if (/<tie\s+type="start"/.test(content)) tied.set(name, current);
+      }
+    }
+  }
+
+  const events: MelodyEvent[] = [];
+  for (const { note, onset, duration } of notes) {
+    const chord = events.find(
+      (e) =>
+        Math.abs(e.onset - onset) < EPSILON &&
+        Math.abs(e.duration - duration) < EPSILON,
+    );
+    if (chord === undefined) {
+      events.push({ notes: [note], onset, duration });
+    } else {
+      chord.notes.push(note);
+    }
+  }
+  return new Melody(events, {
+    ...(timeSignature && { timeSignature }),
+    ...(tempo !== undefined && { tempo }),
+  });
+}
+
+/**
+ * Turn a note list into a melody of quarter notes, or a chord lasting a bar.
+ * Melodies are kept as they are.
+ */
+function toMelody(
+  noteList: NoteList,
+  style: MusicXMLOptions["style"] = "sequence",
+): Melody {
+  if (noteList instanceof Melody) return noteList;
+  if (style === "sequence") return Melody.fromNoteList(noteList);
+  return new Melody(
+    noteList.notes.length === 0
+      ? []
+      : [{ notes: noteList.notes, onset: 0, duration: 4 }],
+  );
+}
+
+/**
+ * Find the number of divisions of a beat that writes every duration as a
+ * whole number.
+ */
+function findDivisions(events: MelodyEvent[]): number {
+  for (let divisions = 1; divisions < 3840; divisions++) {
+    if (
+      events.every((e) => {
+        const ticks = e.duration * divisions;
+        return Math.abs(ticks - Math.round(ticks)) < EPSILON * divisions;
+      })
+    ) {
+      return divisions;
+    }
+  }
+  return 3840;
+}
+
+/**
+ * Clef for the notes of a melody, bass if their average is below middle C.
+ */
+function defaultClef(melody: Melody): keyof typeof CLEFS {
+  const pitches = melody.notes.filter((n) => n.isPitch()).map((n) => n.midi());
+  const average = pitches.reduce((a, b) => a + b, 0) / pitches.length;
+  return average < 60 ? "bass" : "treble";
+}
+
+/**
+ * Write the `<note>` elements of an event, a rest, a note or a chord, tied
+ * from the notes of the previous part of a split event.
+ */
+function writeEvent(
+  event: MelodyEvent & { tied: boolean },
+  divisions: number,
+  tiedFrom: readonly Note[],
+): string[] {
+  const duration = Math.round(event.duration * divisions);
+  const type = noteType(event.duration);
+  const notes = event.notes.length === 0 ? [undefined] : event.notes;
+  return notes.flatMap((note, i) => {
+    const pitch = note?.isPitch() ? note : note?.toPitch(4);
+    const ties = [
+      ...(note && tiedFrom.includes(note) ? ["stop"] : []),
+      ...(note && event.tied ? ["start"] : []),
+    ];
+    return [
+      "<note>",
+      ...(i > 0 ? ["  <chord/>"] : []),
+      ...(pitch === undefined
+        ? ["  <rest/>"]
+        : [
+            "  <pitch>",
+            `    <step>${pitch.letter}</step>`,
+            ...(pitch.accidentals === ""
+              ? []
+              : [`    <alter>${alter(pitch)}</alter>`]),
+            `    <octave>${pitch.octave}</octave>`,
+            "  </pitch>",
+          ]),
+      `  <duration>${duration}</duration>`,
+      ...ties.map((t) => `  <tie type="${t}"/>`),
+      ...(type === undefined
+        ? []
+        : [
+            `  <type>${type.name}</type>`,
+            ...Array(type.dots).fill("  <dot/>"),
+            ...(type.triplet
+              ? [
+                  "  <time-modification>",
+                  "    <actual-notes>3</actual-notes>",
+                  "    <normal-notes>2</normal-notes>",
+                  "  </time-modification>",
+                ]
+              : []),
+          ]),
+      ...(ties.length === 0
+        ? []
+        : [
+            "  <notations>",
+            ...ties.map((t) => `    <tied type="${t}"/>`),
+            "  </notations>",
+          ]),
+      "</note>",
+    ];
+  });
+}
+
+/**
+ * Number of semitones the accidentals of a note alter its letter by, e.g.
+ * -0.5 for a half flat.
+ */
+function alter(note: Note): number {
+  return note.chromaticOffset - new Note(note.letter).chromaticOffset;
+}
+
+/**
+ * Find the note type of a duration in beats, with up to two dots, or as a
+ * triplet. Other durations have no type.
+ */
+function noteType(
+  beats: number,
+): { name: string; dots: number; triplet: boolean } | undefined {
+  for (const [name, length] of NOTE_TYPES) {
+    for (const [dots, factor] of [1, 1.5, 1.75].entries()) {
+      if (Math.abs(beats - length * factor) < EPSILON) {
+        return { name, dots, triplet: false };
+      }
+    }
+    if (Math.abs(beats - (length * 2) / 3) < EPSILON) {
+      return { name, dots: 0, triplet: true };
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Read the `<pitch>` of a `<note>` element, or undefined for a rest.
+ */
+function readPitch(note: string): Note | undefined {
+  const pitch = elements(note, "pitch")[0];
+  if (pitch === undefined) return undefined;
+
+  const step = text(pitch, "step") ?? "";
+  const alter = Number(text(pitch, "alter") ?? 0);
+  const octave = Number(text(pitch, "octave"));
+  if (!/^[A-G]$/.test(step) || !Number.isInteger(2 * alter) || !(octave >= 0)) {
+    throw new Error(`'${pitch.trim()}' is not a valid MusicXML pitch`);
+  }
+  // Quarter tones end with a half sharp (t) or half flat (d)
+  const quarter = Number.isInteger(alter) ? "" : alter < 0 ? "d" : "t";
+  return new Note(
+    step,
+    (alter < 0 ? "b" : "#").repeat(Math.trunc(Math.abs(alter))) + quarter,
+    octave,
+  );
+}
+
+/**
+ * Find the contents of the elements with a tag, which are not nested in
+ * elements with the same tag.
+ */
+function elements(xml: string, tag: string): string[] {
+  const pattern = new RegExp(
+    `<${tag}(?:\\s[^>]*)?(?:/>|>([\\s\\S]*?)</${tag}>)`,
+    "g",
+  );
+  return [...xml.matchAll(pattern)].map((m) => m[1] ?? "");
+}
+
+/**
+ * Find the text of the first element with a tag.
+ */
+function text(xml: string, tag: string): string | undefined {
+  return elements(xml, tag)[0]?.trim();
+}
+
+/**
+ * List the child elements of an element, as their tag and contents
+ * (including the attributes of the start tag).
+ */
+function children(xml: string): [string, string][] {
+  const result: [string, string][] = [];
+  const pattern = /<([\w-]+)(\s[^>]*)?(?:\/>|>([\s\S]*?)<\/\1>)/g;
+  for (const match of xml.matchAll(pattern)) {
+    result.push([match[1]!, (match[2] ?? "") + (match[3] ?? "")]);
+  }
+  return result;
+}
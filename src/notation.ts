@@ -0,0 +1,345 @@
+import type { Key } from "./key.js";
+import type { Note } from "./note.js";
+
+/**
+ * The parts of a note name: a letter (A-G), accidentals ('#'s or 'b's,
+ * optionally ending with a 't' or a 'd' for quarter tones), and an octave
+ * (NaN for pitch classes).
+ */
+export type NoteParts = {
+  letter: string;
+  accidentals: string;
+  octave: number;
+};
+
+/**
+ * A notation names notes, e.g. with German letters or solfège syllables.
+ *
+ *  `name` is used in error messages.
+ *  `parse` reads the parts of a note, or returns undefined if the string is
+ *          not a note in the notation.
+ *  `format` writes the parts of a note, or throws an error if the notation
+ *           can't name it.
+ *  `movable` names notes relative to the tonic of a key, like movable-do
+ *            solfège. Notes are parsed and formatted as if the key was C.
+ */
+export type Notation = {
+  name: string;
+  parse: (notation: string) => NoteParts | undefined;
+  format: (note: NoteParts) => string;
+  movable?: boolean;
+};
+
+export type NotationName =
+  | "scientific"
+  | "unicode"
+  | "german"
+  | "solfege"
+  | "movable-do"
+  | "helmholtz";
+
+/**
+ * Options for parsing and formatting notes.
+ *
+ *  `notation` is the name of a notation (see `NOTATIONS`), or a custom
+ *             `Notation`. Defaults to 'scientific'.
+ *  `key` is the key of movable notations, i.e. 'do' in movable-do solfège,
+ *        as a key, its tonic, or e.g. 'G major'. Defaults to C.
+ */
+export type NotationOptions = {
+  notation?: NotationName | Notation;
+  key?: Key | Note | string;
+};
+
+// Unicode accidentals and their ASCII equivalents, also for quarter tones
+const UNICODE_ACCIDENTALS: readonly (readonly [string, string])[] = [
+  ["𝄪", "##"],
+  ["𝄫", "bb"],
+  ["♯", "#"],
+  ["♭", "b"],
+  ["𝄲", "t"],
+  ["𝄳", "d"],
+  ["↑", "t"],
+  ["↓", "d"],
+  ["♮", ""],
+];
+
+// Fixed-do syllables indexed by diatonic offset from C, and their aliases
+const SOLFEGE = ["Do", "Re", "Mi", "Fa", "Sol", "La", "Si"] as const;
+const SOLFEGE_ALIAS: Readonly<Record<string, string>> = {
+  do: "C",
+  ut: "C",
+  re: "D",
+  ré: "D",
+  mi: "E",
+  fa: "F",
+  sol: "G",
+  so: "G",
+  la: "A",
+  si: "B",
+  ti: "B",
+};
+
+// Movable-do syllables relative to C, with the chromatic syllables for
+// raised and lowered degrees
+const MOVABLE_DO: Readonly<Record<string, string>> = {
+  do: "C",
+  di: "C#",
+  ra: "Db",
+  re: "D",
+  ri: "D#",
+  me: "Eb",
+  mi: "E",
+  fa: "F",
+  fi: "F#",
+  se: "Gb",
+  sol: "G",
+  si: "G#",
+  le: "Ab",
+  la: "A",
+  li: "A#",
+  te: "Bb",
+  ti: "B",
+};
+
+/**
+ * Scientific pitch notation, e.g. 'C#4', 'Bb' or 'Et4'. Quarter tones can
+ * also be parsed with '↑' and '↓'.
+ *
+ * @see {@link https://en.wikipedia.org/wiki/Scientific_pitch_notation}
+ */
+const scientific: Notation = {
+  name: "scientific",
+  parse(notation) {
+    const match = notation
+      .replace("↑", "t")
+      .replace("↓", "d")
+      .match(/^([A-G])(#*t?|b*d?)(-?[0-9]?)$/);
+    if (!match) return undefined;
+    const [, letter, accidentals, octave] = match;
+    return {
+      letter: letter!,
+      accidentals: accidentals!,
+      octave: parseInt(octave!, 10),
+    };
+  },
+  format: ({ letter, accidentals, octave }) =>
+    `${letter}${accidentals}${formatOctave(octave)}`,
+};
+
+/**
+ * Scientific pitch notation with Unicode accidentals, e.g. 'C♯4', 'B𝄫' or
+ * 'E𝄳4'. ASCII accidentals are parsed too.
+ */
+const unicode: Notation = {
+  name: "Unicode",
+  parse: (notation) => scientific.parse(toAscii(notation)),
+  format({ letter, accidentals, octave }) {
+    const steps = accidentals.replace(/[td]/, "");
+    const quarter = accidentals.endsWith("t")
+      ? "𝄲"
+      : accidentals.endsWith("d")
+        ? "𝄳"
+        : "";
+    const [single, double] = steps[0] === "b" ? ["♭", "𝄫"] : ["♯", "𝄪"];
+    const symbols =
+      (steps.length % 2 ? single : "") +
+      double.repeat(Math.floor(steps.length / 2));
+    return `${letter}${symbols}${quarter}${formatOctave(octave)}`;
+  },
+};
+
+/**
+ * German note names, where B is called H and Bb is called B. Sharps add
+ * 'is' and flats add 'es' to the letter, e.g. 'Cis4', 'Es' and 'As'.
+ *
+ * @see {@link https://en.wikipedia.org/wiki/Musical_note#12-tone_chromatic_scale}
+ */
+const german: Notation = {
+  name: "German",
+  parse(notation) {
+    const match = notation.match(
+      /^([A-Ha-h])((?:is)*|(?:es)*|s(?:es)*)(-?[0-9]?)$/,
+    );
+    if (!match) return undefined;
+    const [, name, suffix, octave] = match;
+    const letter = name!.toUpperCase();
+
+    // Es, As and Ases drop the e of the first 'es'
+    const shortFlat = suffix!.startsWith("s");
+    if (shortFlat && letter !== "E" && letter !== "A") return undefined;
+    const count = Math.ceil(suffix!.length / 2);
+    let accidentals = (suffix!.startsWith("i") ? "#" : "b").repeat(count);
+
+    // B is a flat H
+    if (letter === "B") {
+      if (suffix!.startsWith("i")) return undefined;
+      accidentals += "b";
+    }
+    return {
+      letter: letter === "H" || letter === "B" ? "B" : letter,
+      accidentals,
+      octave: parseInt(octave!, 10),
+    };
+  },
+  format(note) {
+    const { letter, accidentals, octave } = note;
+    if (/[td]/.test(accidentals)) {
+      throw new Error(
+        `The note '${scientific.format(note)}' can't be written in German notation`,
+      );
+    }
+    const flats = accidentals[0] === "b" ? accidentals.length : 0;
+    const sharps = accidentals[0] === "#" ? accidentals.length : 0;
+
+    let name = `${letter === "B" ? "H" : letter}${"is".repeat(sharps)}${"es".repeat(flats)}`;
+    if (letter === "B" && flats === 1) name = "B";
+    name = name.replace(/^([EA])e/, "$1");
+    return `${name}${formatOctave(octave)}`;
+  },
+};
+
+/**
+ * Fixed-do solfège, where do is always C, e.g. 'Do4', 'Fa#' or 'Sib3'.
+ * Syllables are parsed in any case, with 'ut', 'ré', 'so' and 'ti' as
+ * aliases.
+ *
+ * @see {@link https://en.wikipedia.org/wiki/Solf%C3%A8ge#Fixed_do_solf%C3%A8ge}
+ */
+const solfege: Notation = {
+  name: "solfège",
+  parse(notation) {
+    const match = toAscii(notation).match(
+      /^(do|ut|ré|re|mi|fa|sol|so|la|si|ti)(#*t?|b*d?)(-?[0-9]?)$/i,
+    );
+    if (!match) return undefined;
+    const [, syllable, accidentals, octave] = match;
+    return {
+      letter: SOLFEGE_ALIAS[syllable!.toLowerCase()]!,
+      accidentals: accidentals!,
+      octave: parseInt(octave!, 10),
+    };
+  },
+  format: ({ letter, accidentals, octave }) =>
+    `${SOLFEGE["CDEFGAB".indexOf(letter)]}${accidentals}${formatOctave(octave)}`,
+};
+
+/**
+ * Movable-do solfège, where do is the tonic of a key, e.g. 'sol4' or 'fi'.
+ * Raised and lowered degrees have their own syllables (di, ri, fi, si, li,
+ * ra, me, se, le, te). Other notes add accidentals to a syllable, e.g.
+ * 'mi#'.
+ *
+ * @see {@link https://en.wikipedia.org/wiki/Solf%C3%A8ge#Movable_do_solf%C3%A8ge}
+ */
+const movableDo: Notation = {
+  name: "movable-do",
+  movable: true,
+  parse(notation) {
+    const match = toAscii(notation).match(
+      /^(sol|so|[a-z]{2})(#*t?|b*d?)(-?[0-9]?)$/i,
+    );
+    if (!match) return undefined;
+    const syllable = match[1]!.toLowerCase();
+    const base = syllable === "so" ? "G" : MOVABLE_DO[syllable];
+    if (base === undefined) return undefined;
+
+    // Chromatic syllables can't have more accidentals
+    const [letter, ...accidental] = base;
+    if (accidental.length > 0 && match[2] !== "") return undefined;
+    return {
+      letter: letter!,
+      accidentals: accidental.join("") || match[2]!,
+      octave: parseInt(match[3]!, 10),
+    };
+  },
+  format({ letter, accidentals, octave }) {
+    const name = `${letter}${accidentals}`;
+    const syllable =
+      Object.keys(MOVABLE_DO).find((s) => MOVABLE_DO[s] === name) ??
+      `${Object.keys(MOVABLE_DO).find((s) => MOVABLE_DO[s] === letter)}${accidentals}`;
+    return `${syllable}${formatOctave(octave)}`;
+  },
+};
+
+/**
+ * Helmholtz pitch notation, where the case of the letter and marks give the
+ * octave: 'C,' is C1, 'C' is C2, 'c' is C3, and "c'" is C4 (middle C).
+ * Accidentals follow the letter, e.g. "f#''" and 'Bb,'. Pitch classes can't
+ * be written, as every note has an octave.
+ *
+ * @see {@link https://en.wikipedia.org/wiki/Helmholtz_pitch_notation}
+ */
+const helmholtz: Notation = {
+  name: "Helmholtz",
+  parse(notation) {
+    const match = toAscii(notation).match(/^([A-Ga-g])(#*t?|b*d?)('*|,*)$/);
+    if (!match) return undefined;
+    const [, letter, accidentals, marks] = match;
+    const lower = letter === letter!.toLowerCase();
+    if (lower ? marks!.startsWith(",") : marks!.startsWith("'")) {
+      return undefined;
+    }
+    return {
+      letter: letter!.toUpperCase(),
+      accidentals: accidentals!,
+      octave: lower ? 3 + marks!.length : 2 - marks!.length,
+    };
+  },
+  format(note) {
+    const { letter, accidentals, octave } = note;
+    if (Number.isNaN(octave)) {
+      throw new Error(
+        `The note '${scientific.format(note)}' can't be written in Helmholtz notation`,
+      );
+    }
+    return octave >= 3
+      ? `${letter.toLowerCase()}${accidentals}${"'".repeat(octave - 3)}`
+      : `${letter}${accidentals}${",".repeat(2 - octave)}`;
+  },
+};
+
+/**
+ * The notations of notes known by name, see `NotationOptions`.
+ */
+export const NOTATIONS: Readonly<Record<NotationName, Notation>> = {
+  scientific,
+  unicode,
+  german,
+  solfege,
+  "movable-do": movableDo,
+  helmholtz,
+};
+
+/**
+ * Find a notation by name, or return a custom notation as is. Defaults to
+ * scientific pitch notation.
+ *
+ * @param notation Name of a notation OR Notation
+ */
+export function findNotation(notation?: NotationName | Notation): Notation {
+  if (notation === undefined) return scientific;
+  if (typeof notation !== "string") return notation;
+  const found = NOTATIONS[notation];
+  if (found === undefined) {
+    throw new Error(`'${notation}' is not a valid notation`);
+  }
+  return found;
+}
+
+/**
+ * Write an octave number, or nothing for pitch classes.
+ */
+function formatOctave(octave: number): string {
+  return Number.isNaN(octave) ? "" : `${octave}`;
+}
+
+/**
+ * Replace Unicode accidentals with '#', 'b', 't' and 'd'.
+ */
+function toAscii(notation: string): string {
+  return UNICODE_ACCIDENTALS.reduce(
+    (result, [symbol, ascii]) => result.replaceAll(symbol, ascii),
+    notation,
+  );
+}
@@ -1,5 +1,10 @@
 import { Interval } from "./interval.js";
-import { ensureType, mod } from "./utils.js";
+import type { Key } from "./key.js";
+import { findNotation, type NotationOptions } from "./notation.js";
+import type { NoteList } from "./notelist.js";
+import { registry } from "./registry.js";
+import type { Tuning } from "./tuning.js";
+import { ensureType, hashString, mod } from "./utils.js";
 
 // The 7 note letters indexed by diatonic offset from C
 const NOTE_LETTERS = ["C", "D", "E", "F", "G", "A", "B"] as const;
@@ -23,6 +28,42 @@ const DEFAULT_NOTE = [
   "B",
 ] as const;
 
+/**
+ * Options for spelling notes.
+ *
+ *  `key` is a key (e.g. 'F minor', or just 'Ab' for major) or a list of
+ *        notes giving context, such as a scale or a chord. Notes in it keep
+ *        its spelling.
+ *  `preferFlats` spells other notes with flats rather than sharps. Defaults
+ *                to true if the key has more flats than sharps.
+ */
+export type SpellingOptions = {
+  key?: Key | NoteList | string;
+  preferFlats?: boolean;
+};
+
+/**
+ * Options for finding the note closest to a frequency.
+ *
+ *  `tuning` is the tuning system (see `Tuning`). Defaults to 12-tone equal
+ *           temperament with A4 = 440 Hz.
+ *  `quarterTones` finds the closest quarter tone rather than the closest
+ *                 semitone, e.g. 'Et4' rather than 'E4' or 'F4' for 339 Hz.
+ */
+export type FrequencyOptions = {
+  tuning?: Tuning;
+  quarterTones?: boolean;
+};
+
+/**
+ * A note as JSON. The octave is null for pitch classes.
+ */
+export type NoteJSON = {
+  letter: string;
+  accidentals: string;
+  octave: number | null;
+};
+
 /**
  * A note represents a specific pitch or a general pitch class.
  *
@@ -40,12 +81,15 @@ const DEFAULT_NOTE = [
  *  `letter` represents one of the 7 note letters.
  *  `accidentals` modify the letter with sharps (#) or flats (b), shifting the
  *                pitch a semitone up or down. This allows us to represent all
- *                pitch classes on the chromatic scale.
+ *                pitch classes on the chromatic scale. A half sharp (t) or
+ *                half flat (d) at the end shifts the pitch a quarter tone,
+ *                e.g. 'Et' and 'Bbd'.
  *  `octave` specifies the exact pitch of the note. E.g. 'A' is a pitch class,
  *           while 'A4' is 'A' in the fourth octave.
  *
  * This library uses the English standard, where the letter A through G are
- * used. The letter H is not supported.
+ * used. Notes can be parsed and written in other notations too, such as
+ * German (with H), solfège or Helmholtz pitch notation (see `Notation`).
  *
  * @see {@link https://en.wikipedia.org/wiki/Musical_note}
  */
@@ -60,7 +104,8 @@ export class Note {
    * Create a note from note letter, accidentals, and an optional octave.
    *
    * @param letter Note letter (A-G)
-   * @param accidentals A sequence of '#' or 'b' modifying the letter
+   * @param accidentals A sequence of '#' or 'b' modifying the letter,
+   *                    optionally followed by a 't' or a 'd' respectively
    * @param octave Number for a specific pitch, NaN for pitch class
    */
   constructor(letter: string, accidentals: string = "", octave: number = NaN) {
@@ -78,61 +123,129 @@ export class Note {
   }
 
   /**
-   * Create a note from scientific pitch notation.
+   * Create a note from scientific pitch notation, or another notation if
+   * given. Quarter tones can be written with 't' or '↑' for a half sharp,
+   * and 'd' or '↓' for a half flat.
+   *
+   * @param notation Note on scientific pitch notation (e.g. C#4, Et4, B↓)
+   * @param options Notation and key of movable notations (see
+   *                `NotationOptions`)
    *
-   * @param notation Note on scientific pitch notation (e.g. C#4)
+   * @example
+   * Note.fromString('Cis4', { notation: 'german' })            // C#4
+   * Note.fromString('mi', { notation: 'movable-do', key: 'G' }) // B
    *
    * @see {@link https://en.wikipedia.org/wiki/Scientific_pitch_notation}
    */
-  static fromString(notation: string): Note {
+  static fromString(notation: string, options: NotationOptions = {}): Note {
+    const system = findNotation(options.notation);
     try {
-      const match = notation.match(/^([A-G])(#*|b*)(-?[0-9]?)$/);
-      if (!match) throw new Error();
-      const [, root, acc, oct] = match;
-      return new Note(root!, acc, parseInt(oct!, 10));
+      const parts = system.parse(notation);
+      if (!parts) throw new Error();
+      const note = new Note(parts.letter, parts.accidentals, parts.octave);
+      return system.movable ? note.transpose(tonicInterval(options.key)) : note;
     } catch {
       throw new Error(`'${notation}' is not a valid note`);
     }
   }
 
+  /**
+   * Create a note from JSON written by `toJSON()`.
+   *
+   * @param json Letter, accidentals and octave (null for pitch classes)
+   *
+   * @example
+   * Note.fromJSON({ letter: 'C', accidentals: '#', octave: 0 }) // C#0
+   */
+  static fromJSON(json: NoteJSON): Note {
+    try {
+      const { letter, accidentals, octave } = json;
+      if (
+        typeof letter !== "string" ||
+        typeof accidentals !== "string" ||
+        (octave !== null && typeof octave !== "number")
+      ) {
+        throw new Error();
+      }
+      return new Note(letter, accidentals, octave ?? NaN);
+    } catch {
+      throw new Error(`'${JSON.stringify(json)}' is not a valid note`);
+    }
+  }
+
   /**
    * Create a note from a MIDI number (0-127).
-   * Uses C4 = 60 as the reference.
+   * Uses C4 = 60 as the reference. Notes are spelled with sharps, unless
+   * a key or a preference for flats is given.
    *
    * @param midi MIDI number (0-127)
+   * @param options Key and accidental preference (see `SpellingOptions`)
+   *
+   * @example
+   * Note.fromMidi(68)                   // G#4
+   * Note.fromMidi(68, { key: 'F minor' }) // Ab4
    */
-  static fromMidi(midi: number): Note {
+  static fromMidi(midi: number, options?: SpellingOptions): Note {
     if (!Number.isInteger(midi) || midi < 0 || midi > 127) {
       throw new Error(
         `MIDI number must be an integer between 0 and 127, got ${midi}`,
       );
     }
-    return new Note("C", "", 4).transpose(midi - 60).simplify();
+    const note = new Note("C", "", 4).transpose(midi - 60).simplify();
+    return options === undefined ? note : note.respell(options);
   }
 
   /**
    * Create a note from a frequency in Hz.
-   * Uses A4 = 440 Hz as the reference in 12-tone equal temperament.
-   * Returns the closest note to the given frequency.
+   * Uses A4 = 440 Hz as the reference in 12-tone equal temperament, unless
+   * another tuning is given.
+   * Returns the closest note to the given frequency, or the closest quarter
+   * tone if asked. In other tunings, the closest note is raised or lowered
+   * by a quarter tone if the frequency is more than 25 cents away from it.
    *
    * @param frequency Frequency in Hz (must be positive)
+   * @param tuning Tuning system (see `Tuning`) OR Tuning and quarter tones
+   *               (see `FrequencyOptions`)
+   *
+   * @example
+   * Note.fromFrequency(440)                          // A4
+   * Note.fromFrequency(339, { quarterTones: true })  // Et4
    */
-  static fromFrequency(frequency: number): Note {
+  static fromFrequency(
+    frequency: number,
+    tuning?: Tuning | FrequencyOptions,
+  ): Note {
+    const options: FrequencyOptions =
+      tuning !== undefined && "frequency" in tuning
+        ? { tuning }
+        : (tuning ?? {});
     if (!Number.isFinite(frequency) || frequency <= 0) {
       throw new Error(`Frequency must be a positive number, got ${frequency}`);
     }
-    const semitones = Math.round(12 * Math.log2(frequency / 440));
-    return new Note("A", "", 4).transpose(semitones).simplify();
+    const steps = options.quarterTones ? 2 : 1;
+
+    if (options.tuning === undefined) {
+      const semitones =
+        Math.round(12 * steps * Math.log2(frequency / 440)) / steps;
+      return new Note("A", "", 4).transpose(semitones).simplify();
+    }
+    const note = options.tuning.fromFrequency(frequency);
+    const cents = 1200 * Math.log2(frequency / options.tuning.frequency(note));
+    if (steps === 1 || Math.abs(cents) <= 25) return note;
+    return note.transpose(cents > 0 ? "sA1" : "-sA1");
   }
 
   /**
-   * Check if a string is valid scientific pitch notation without throwing.
+   * Check if a string is valid scientific pitch notation (or another
+   * notation if given) without throwing.
    *
    * @param notation String to validate
+   * @param options Notation and key of movable notations (see
+   *                `NotationOptions`)
    */
-  static isValidNote(notation: string): boolean {
+  static isValidNote(notation: string, options: NotationOptions = {}): boolean {
     try {
-      Note.fromString(notation);
+      Note.fromString(notation, options);
       return true;
     } catch {
       return false;
@@ -176,15 +289,51 @@ export class Note {
 
   /**
    * Create an enharmonic note with the fewest possible accidentals.
-   * Arbitrarily chooses '#' over 'b' to be deterministic.
+   * Arbitrarily chooses '#' over 'b' to be deterministic. Quarter tones are
+   * spelled with a half sharp or half flat on a natural note, e.g. 'Dd'.
    */
   simplify(): Note {
     const octave = this.octave + Math.floor(this.chromaticOffset / 12);
-    const noteStr = DEFAULT_NOTE[mod(this.chromaticOffset, 12)];
-    if (!noteStr) throw new Error("Invalid chromatic offset");
-    const [root, acc] = noteStr;
+    const [root, acc] = spellPitchClass(mod(this.chromaticOffset, 12), false);
+
+    return new Note(root, acc, octave);
+  }
 
-    return new Note(root!, acc || "", octave || NaN);
+  /**
+   * Create an enharmonic note spelled to fit a key. Notes in the key are
+   * spelled as in the key, and in a minor key, the raised sixth and seventh
+   * are spelled as in melodic minor. Other notes are spelled with as few
+   * accidentals as possible, using flats or sharps like the key signature.
+   *
+   * @param options Key and accidental preference (see `SpellingOptions`)
+   *
+   * @example
+   * note('G#4').respell({ key: 'F minor' })       // Ab4
+   * note('A#').respell({ key: 'Eb major' })       // Bb
+   * note('F#').respell({ key: 'Bb major' })       // Gb
+   * note('Db').respell({ key: 'D minor' })        // C#
+   * note('D#').respell({ preferFlats: true })     // Eb
+   */
+  respell(options: SpellingOptions = {}): Note {
+    const context = options.key === undefined ? [] : keyNotes(options.key);
+    const pitchClass = mod(this.chromaticOffset, 12);
+    const preferFlats =
+      options.preferFlats ??
+      context.filter((n) => n.accidentals.startsWith("b")).length >
+        context.filter((n) => n.accidentals.startsWith("#")).length;
+
+    const inKey = [...context, ...raisedDegrees(context)].find(
+      (n) => mod(n.chromaticOffset, 12) === pitchClass,
+    );
+    const [letter, accidentals] =
+      inKey !== undefined
+        ? [inKey.letter, inKey.accidentals]
+        : spellPitchClass(pitchClass, preferFlats);
+    const spelled = new Note(letter, accidentals);
+
+    if (this.isPitchClass()) return spelled;
+    const octaveShift = (this.chromaticOffset - spelled.chromaticOffset) / 12;
+    return spelled.toPitch(this.octave + octaveShift);
   }
 
   /**
@@ -249,20 +398,25 @@ export class Note {
   }
 
   /**
-   * Return frequency in a 12-tone equal temperament with A4 = 440 Hz.
+   * Return frequency in a 12-tone equal temperament with A4 = 440 Hz, unless
+   * another tuning is given.
    * Will fail for pitch classes.
+   *
+   * @param tuning Tuning system (see `Tuning`)
    */
-  frequency(): number {
+  frequency(tuning?: Tuning): number {
+    if (tuning !== undefined) return tuning.frequency(this);
     return 440 * 2 ** (-this.distance("A4") / 12);
   }
 
   /**
-   * Return the midi number of this note, or NaN if it can't be represented.
+   * Return the midi number of this note, or NaN if it can't be represented
+   * (outside 0-127, or a quarter tone).
    * Will fail for pitch classes.
    */
   midi(): number {
     const midi = 60 - this.distance("C4");
-    return midi >= 0 && midi <= 127 ? midi : NaN;
+    return Number.isInteger(midi) && midi >= 0 && midi <= 127 ? midi : NaN;
   }
 
   /**
@@ -294,6 +448,14 @@ export class Note {
     );
   }
 
+  /**
+   * True if the note has a quarter tone accidental (e.g. 'Et'), which puts it
+   * between the 12 pitch classes.
+   */
+  isMicrotonal(): boolean {
+    return !Number.isInteger(this.chromaticOffset);
+  }
+
   /**
    * True if the note is a pitch (C#4), false if  it's a pitch class (C#).
    */
@@ -309,10 +471,44 @@ export class Note {
   }
 
   /**
-   * Convert note to string representation in scientific pitch notation.
+   * Convert note to string representation in scientific pitch notation, or
+   * another notation if given.
+   *
+   * @param options Notation and key of movable notations (see
+   *                `NotationOptions`)
+   *
+   * @example
+   * note('Bb3').toString({ notation: 'german' })    // B3
+   * note('C#4').toString({ notation: 'helmholtz' }) // c#'
+   */
+  toString(options: NotationOptions = {}): string {
+    const system = findNotation(options.notation);
+    if (!system.movable) return system.format(this);
+
+    const { diatonicSteps, chromaticSteps } = tonicInterval(options.key);
+    return system.format(
+      this.transpose(Interval.fromSteps(-diatonicSteps, -chromaticSteps)),
+    );
+  }
+
+  /**
+   * Convert note to JSON, keeping its spelling and octave. Pitch classes
+   * have a null octave, as JSON has no NaN. Read it with `Note.fromJSON()`.
    */
-  toString(): string {
-    return `${this.letter}${this.accidentals}${this.octave || ""}`;
+  toJSON(): NoteJSON {
+    return {
+      letter: this.letter,
+      accidentals: this.accidentals,
+      octave: this.isPitch() ? this.octave : null,
+    };
+  }
+
+  /**
+   * A stable hash of the note, e.g. to use as a cache key. Equal notes (see
+   * `isEqual()`) have the same hash.
+   */
+  hash(): number {
+    return hashString(this.toString());
   }
 
   /**
@@ -321,7 +517,8 @@ export class Note {
    */
   static compare(a: Note, b: Note): number {
     return (
-      (a.octave || -Infinity) - (b.octave || -Infinity) ||
+      (a.isPitch() ? a.octave : -Infinity) -
+        (b.isPitch() ? b.octave : -Infinity) ||
       a.chromaticOffset - b.chromaticOffset ||
       a.diatonicOffset - b.diatonicOffset
     );
@@ -358,31 +555,106 @@ function validateNote(
   if (!NOTE_LETTERS.includes(letter.toUpperCase() as NoteLetter)) {
     throw new Error(`letter must be one of ${NOTE_LETTERS.join(", ")}`);
   }
-  if (
-    accidentals.replaceAll("#", "").length &&
-    accidentals.replaceAll("b", "").length
-  ) {
-    throw new Error(`accidentals can only be '#'s or 'b's`);
+  if (!/^(#*t?|b*d?)$/.test(accidentals)) {
+    throw new Error(
+      `accidentals can only be '#'s or 'b's, ending with an optional 't' or 'd' respectively`,
+    );
   }
   if (!Number.isNaN(octave) && !Number.isInteger(octave)) {
     throw new Error("octave must be a valid number or NaN");
   }
 }
 
+/**
+ * Spell a pitch class (semitones above C) with at most one accidental.
+ * Quarter tones are spelled with a half sharp on the natural note below, or
+ * a half flat on the natural note above.
+ */
+function spellPitchClass(
+  pitchClass: number,
+  preferFlats: boolean,
+): [string, string] {
+  if (!Number.isInteger(pitchClass)) {
+    const below = DEFAULT_NOTE[Math.floor(pitchClass)]!;
+    const above = DEFAULT_NOTE[mod(Math.ceil(pitchClass), 12)]!;
+    return above.length === 1 && (preferFlats || below.length > 1)
+      ? [above, "d"]
+      : [below, "t"];
+  }
+  const [letter, accidental] = DEFAULT_NOTE[pitchClass]!;
+  if (accidental === undefined || !preferFlats) {
+    return [letter!, accidental ?? ""];
+  }
+  return [DEFAULT_NOTE[mod(pitchClass + 1, 12)]!, "b"];
+}
+
+/**
+ * Find the notes of a key (e.g. 'F minor', or 'Ab' for a major key), or of
+ * a note list giving context.
+ */
+function keyNotes(key: Key | NoteList | string): readonly Note[] {
+  if (typeof key !== "string") return key.notes;
+
+  const match = key.match(/^([A-G][b#]*)(?:\s+(.+))?$/);
+  const name = match?.[2] ?? "major";
+  const intervals = registry.scale(name)?.intervals;
+  if (!match || intervals === undefined) {
+    throw new Error(`'${key}' is not a valid key`);
+  }
+  const tonic = Note.fromString(match[1]!);
+  return intervals.map((i) => tonic.transpose(i));
+}
+
+/**
+ * Find the raised sixth and seventh of a minor key, as in melodic minor, or
+ * nothing if the notes aren't a natural minor scale.
+ */
+function raisedDegrees(notes: readonly Note[]): Note[] {
+  const [tonic, , , , , sixth, seventh] = notes;
+  const minor = ["P1", "M2", "m3", "P4", "P5", "m6", "m7"];
+  if (
+    notes.length !== minor.length ||
+    notes.some((n, i) => Interval.between(tonic!, n).toString() !== minor[i])
+  ) {
+    return [];
+  }
+  return [sixth!.transpose("A1"), seventh!.transpose("A1")];
+}
+
+/**
+ * Find the interval from C to the tonic of a key, within the octave of the
+ * tonic's letter (so 'Cb' is a diminished unison). Movable notations name
+ * notes as if the key was C.
+ */
+function tonicInterval(key: Key | Note | string = "C"): Interval {
+  const tonic =
+    typeof key === "string"
+      ? Note.fromString(key.split(" ")[0]!)
+      : "tonic" in key
+        ? key.tonic
+        : key;
+  return Interval.fromSteps(tonic.diatonicOffset, tonic.chromaticOffset);
+}
+
 /**
  * Convert accidentals string to numeric offset.
- * Sharps (#) are positive, flats (b) are negative.
+ * Sharps (#) are positive, flats (b) are negative. Half sharps (t) and half
+ * flats (d) add a quarter tone.
  */
 function accToNum(a: string): number {
-  return a[0] === "b" ? -a.length : a.length;
+  const quarter = a.endsWith("t") || a.endsWith("d") ? 0.5 : 0;
+  return a[0] === "b" || a[0] === "d" ? quarter - a.length : a.length - quarter;
 }
 
 /**
  * Convert numeric offset to accidentals string.
- * Positive numbers become sharps (#), negative become flats (b).
+ * Positive numbers become sharps (#), negative become flats (b). A remaining
+ * quarter tone becomes a half sharp (t) or half flat (d).
  */
 function numToAcc(n: number): string {
-  return n > 0 ? "#".repeat(n) : "b".repeat(-n);
+  const whole = Math.trunc(Math.abs(n));
+  const quarter = Number.isInteger(n) ? "" : n > 0 ? "t" : "d";
+  return (n > 0 ? "#" : "b").repeat(whole) + quarter;
 }
 
 // Shortcut for creating a note with scientific pitch notation
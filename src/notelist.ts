@@ -1,14 +1,42 @@
-import { CHORD_ALIAS, CHORDS } from "../data/chords.js";
 import type { IntervalNotation } from "../data/intervals.js";
-import { SCALE_ALIAS, SCALES } from "../data/scales.js";
+import {
+  toChordSymbol as _toChordSymbol,
+  parseChordSymbol,
+} from "./chordsymbol.js";
 import { Interval } from "./interval.js";
-import { Note } from "./note.js";
+import type { Key } from "./key.js";
+import type { NotationOptions } from "./notation.js";
+import { Note, type NoteJSON } from "./note.js";
+import { PitchClassSet } from "./pcset.js";
+import { registry as defaultRegistry, type Registry } from "./registry.js";
 import {
-  search as _search,
   type PatternResult,
+  type SearchOptions,
   type SearchResult,
+  searchIntervals,
 } from "./search.js";
-import { ensureType } from "./utils.js";
+import { ensureType, hashString } from "./utils.js";
+
+/**
+ * A note list as JSON.
+ */
+export type NoteListJSON = {
+  notes: NoteJSON[];
+};
+
+/**
+ * Options for comparing note lists.
+ *
+ *  `enharmonic` accepts enharmonic notes as equal, e.g. 'C#' and 'Db'.
+ *               Defaults to false.
+ *  `ordered` requires the notes to be in the same order. Otherwise the
+ *            lists must have the same notes the same number of times, in
+ *            any order. Defaults to true.
+ */
+export type EqualityOptions = {
+  enharmonic?: boolean;
+  ordered?: boolean;
+};
 
 /**
  * A note list is an ordered sequence of notes. The notes can be
@@ -44,15 +72,34 @@ export class NoteList {
    * Create a note list from a string of notes.
    *
    * @param notation Space separated list of notes
+   * @param options Notation of the notes (see `NotationOptions`)
+   *
+   * @example
+   * notes('Do Mi Sol', { notation: 'solfege' }) // 'C E G'
    */
-  static fromString(notation: string): NoteList {
+  static fromString(notation: string, options: NotationOptions = {}): NoteList {
     try {
-      return new NoteList(notation.split(" "));
+      return new NoteList(
+        notation.split(" ").map((n) => Note.fromString(n, options)),
+      );
     } catch {
       throw new Error(`'${notation}' is not a valid note list`);
     }
   }
 
+  /**
+   * Create a note list from JSON written by `toJSON()`.
+   *
+   * @param json Notes as JSON (see `Note.fromJSON()`)
+   */
+  static fromJSON(json: NoteListJSON): NoteList {
+    try {
+      return new NoteList(json.notes.map((n) => Note.fromJSON(n)));
+    } catch {
+      throw new Error(`'${JSON.stringify(json)}' is not a valid note list`);
+    }
+  }
+
   /**
    * Create a note list from a root note and a list of intervals.
    *
@@ -71,20 +118,35 @@ export class NoteList {
   }
 
   /**
-   * Create a scale from a tonic note and scale name.
+   * Create a scale from a tonic note and scale name, or from a key.
    *
-   * @param tonic Root note of scale
-   * @param name Name of scale
+   * @param tonic Root note of scale OR Key
+   * @param name Name of scale, unless a key is given
+   * @param registry Registry to look up the scale in, defaults to the
+   *                 default registry
    */
-  static fromScale(tonic: Note | string, name: string): NoteList {
-    if (name in SCALES) {
-      return NoteList.fromIntervals(tonic, SCALES[name]!);
-    } else if (name in SCALE_ALIAS) {
-      const scaleName = SCALE_ALIAS[name]!;
-      return NoteList.fromIntervals(tonic, SCALES[scaleName]!);
-    } else {
+  static fromScale(key: Key): NoteList;
+  static fromScale(
+    tonic: Note | string,
+    name: string,
+    registry?: Registry,
+  ): NoteList;
+  static fromScale(
+    tonic: Key | Note | string,
+    name?: string,
+    registry: Registry = defaultRegistry,
+  ): NoteList {
+    if (typeof tonic !== "string" && !(tonic instanceof Note)) {
+      return NoteList.fromScale(tonic.tonic, tonic.mode);
+    }
+    if (name === undefined) {
+      throw new Error(`The scale of '${tonic}' needs a name`);
+    }
+    const entry = registry.scale(name);
+    if (entry === undefined) {
       throw new Error(`The scale '${name}' is not known`);
     }
+    return NoteList.fromIntervals(tonic, entry.intervals);
   }
 
   /**
@@ -92,16 +154,45 @@ export class NoteList {
    *
    * @param tonic Root note of chord
    * @param name Name of chord
+   * @param registry Registry to look up the chord in, defaults to the
+   *                 default registry
    */
-  static fromChord(tonic: Note | string, name: string): NoteList {
-    if (name in CHORDS) {
-      return NoteList.fromIntervals(tonic, CHORDS[name]!);
-    } else if (name in CHORD_ALIAS) {
-      const chordName = CHORD_ALIAS[name]!;
-      return NoteList.fromIntervals(tonic, CHORDS[chordName]!);
-    } else {
+  static fromChord(
+    tonic: Note | string,
+    name: string,
+    registry: Registry = defaultRegistry,
+  ): NoteList {
+    const entry = registry.chord(name);
+    if (entry === undefined) {
       throw new Error(`The chord '${name}' is not known`);
     }
+    return NoteList.fromIntervals(tonic, entry.intervals);
+  }
+
+  /**
+   * Create a chord from a chord symbol. A slash bass is placed first in the
+   * list, below the rest of the chord.
+   *
+   * @param symbol Chord symbol (e.g. 'Cmaj7', 'F#m7b5/A', 'G7(#9,b13)')
+   * @param octave Octave of the root (optional). Without it, the chord is
+   *               made of pitch classes.
+   */
+  static fromChordSymbol(symbol: string, octave?: number): NoteList {
+    const parsed = parseChordSymbol(symbol);
+    const root =
+      octave === undefined ? parsed.root : parsed.root.toPitch(octave);
+    const chord = NoteList.fromIntervals(root, parsed.intervals);
+    if (parsed.bass === undefined) return chord;
+
+    const upper = chord.notes.filter(
+      (n) => !n.toPitchClass().isEnharmonic(parsed.bass!),
+    );
+    let bass = parsed.bass;
+    if (octave !== undefined) {
+      bass = bass.toPitch(octave);
+      if (bass.distance(root) <= 0) bass = bass.toPitch(octave - 1);
+    }
+    return new NoteList([bass, ...upper]);
   }
 
   /**
@@ -120,6 +211,41 @@ export class NoteList {
     return new NoteList(this.notes.map((n) => n.simplify()));
   }
 
+  /**
+   * Spell all notes to fit a key, see `Note.respell()`. Without a key, the
+   * notes are spelled with either sharps or flats, preferring the spelling
+   * that uses each letter once, then the one with fewer accidentals. The
+   * current spelling is kept if neither is better.
+   *
+   * @param key Key OR Tonic and mode (e.g. 'F minor') OR Note list giving
+   *            context, e.g. a chord
+   *
+   * @example
+   * notes('F G G# A# C').respell().toString()       // 'F G Ab Bb C'
+   * notes('C# F G#').respell('Db major').toString() // 'Db F Ab'
+   */
+  respell(key?: Key | NoteList | string): NoteList {
+    if (key !== undefined) {
+      return new NoteList(this.notes.map((n) => n.respell({ key })));
+    }
+
+    const candidates = [
+      this,
+      ...[false, true].map(
+        (preferFlats) =>
+          new NoteList(this.notes.map((n) => n.respell({ preferFlats }))),
+      ),
+    ];
+    const cost = (list: NoteList) => {
+      const letters = new Set(list.notes.map((n) => n.letter));
+      const accidentals = list.notes.map((n) => n.accidentals).join("");
+      return (list.notes.length - letters.size) * 1000 + accidentals.length;
+    };
+    return candidates.reduce((best, list) =>
+      cost(list) < cost(best) ? list : best,
+    );
+  }
+
   /**
    * Sort the note list by pitch.
    */
@@ -128,6 +254,67 @@ export class NoteList {
     return new NoteList(this.notes.slice(0).sort(Note.compare));
   }
 
+  /**
+   * Invert a chord by moving the lowest note above the highest, `n` times.
+   * A negative `n` moves the highest note below the lowest instead. Pitches
+   * are sorted first, and moved by as many octaves as needed. Pitch classes
+   * have no octave, so the list is only rotated.
+   *
+   * @param n Number of inversions
+   *
+   * @example
+   * notes('C4 E4 G4').invert(1).toString()  // 'E4 G4 C5'
+   * notes('C4 E4 G4').invert(-1).toString() // 'G3 C4 E4'
+   * notes('C E G').invert(2).toString()     // 'G C E'
+   */
+  invert(n: number = 1): NoteList {
+    if (this.isEmpty()) return this;
+    if (!this.isPitches()) {
+      const steps = n % this.notes.length;
+      return new NoteList(
+        this.notes.slice(steps).concat(this.notes.slice(0, steps)),
+      );
+    }
+
+    const notes = this.sort().notes;
+    for (let i = 0; i < Math.abs(n); i++) {
+      if (n > 0) {
+        const low = notes.shift()!;
+        const high = notes.at(-1) ?? low;
+        const octaves = Math.floor(low.distance(high) / 12) + 1;
+        notes.push(low.transpose(12 * octaves));
+      } else {
+        const high = notes.pop()!;
+        const low = notes[0] ?? high;
+        const octaves = Math.floor(low.distance(high) / 12) + 1;
+        notes.unshift(high.transpose(-12 * octaves));
+      }
+    }
+    return new NoteList(notes);
+  }
+
+  /**
+   * Create a drop 2 voicing by moving the second highest note down an
+   * octave. Only works for pitches.
+   *
+   * @example
+   * notes('C4 E4 G4 B4').drop2().toString() // 'G3 C4 E4 B4'
+   */
+  drop2(): NoteList {
+    return this.drop(2);
+  }
+
+  /**
+   * Create a drop 3 voicing by moving the third highest note down an
+   * octave. Only works for pitches.
+   *
+   * @example
+   * notes('C4 E4 G4 B4').drop3().toString() // 'E3 C4 G4 B4'
+   */
+  drop3(): NoteList {
+    return this.drop(3);
+  }
+
   /**
    * Returns a copy of the list with `note` added.
    *
@@ -193,6 +380,76 @@ export class NoteList {
     return noteArray.every((n) => this.includes(n, enharmonic));
   }
 
+  /**
+   * Check if two note lists have the same notes. Pitches and pitch classes
+   * are never equal, and neither are different spellings unless
+   * `enharmonic` is true.
+   *
+   * @param other Note list OR Space separated notes
+   * @param options Enharmonic and order (see `EqualityOptions`)
+   *
+   * @example
+   * notes('C E G').equals('E G C')                       // false
+   * notes('C E G').equals('E G C', { ordered: false })   // true
+   * notes('C# F').equals('Db F', { enharmonic: true })   // true
+   */
+  equals(other: NoteList | string, options: EqualityOptions = {}): boolean {
+    const { enharmonic = false, ordered = true } = options;
+    const otherNotes = ensureType(other, NoteList).notes;
+    if (otherNotes.length !== this.notes.length) return false;
+
+    const same = (a: Note, b: Note) =>
+      enharmonic ? a.isEnharmonic(b) : a.isEqual(b);
+    if (ordered) return this.notes.every((n, i) => same(n, otherNotes[i]!));
+
+    const unmatched = otherNotes.slice(0);
+    return this.notes.every((n) => {
+      const index = unmatched.findIndex((m) => same(n, m));
+      if (index === -1) return false;
+      unmatched.splice(index, 1);
+      return true;
+    });
+  }
+
+  /**
+   * Returns the notes in either list, each once. Notes of this list come
+   * first, in order.
+   *
+   * @param other Note list OR Space separated notes
+   * @param enharmonic If true, enharmonic notes count as the same note
+   */
+  union(other: NoteList | string, enharmonic: boolean = false): NoteList {
+    const notes = this.notes.concat(ensureType(other, NoteList).notes);
+    return unique(notes, enharmonic);
+  }
+
+  /**
+   * Returns the notes of this list that are also in another, each once.
+   *
+   * @param other Note list OR Space separated notes
+   * @param enharmonic If true, enharmonic notes count as the same note
+   */
+  intersection(
+    other: NoteList | string,
+    enharmonic: boolean = false,
+  ): NoteList {
+    const otherList = ensureType(other, NoteList);
+    const notes = this.notes.filter((n) => otherList.includes(n, enharmonic));
+    return unique(notes, enharmonic);
+  }
+
+  /**
+   * Returns the notes of this list that are not in another, each once.
+   *
+   * @param other Note list OR Space separated notes
+   * @param enharmonic If true, enharmonic notes count as the same note
+   */
+  difference(other: NoteList | string, enharmonic: boolean = false): NoteList {
+    const otherList = ensureType(other, NoteList);
+    const notes = this.notes.filter((n) => !otherList.includes(n, enharmonic));
+    return unique(notes, enharmonic);
+  }
+
   /**
    * Returns the first note of the list. Note that this is not guaranteed
    * to be the lowest pitch, as a notelist does not need to be ascending.
@@ -239,12 +496,14 @@ export class NoteList {
    * sets as well as exact search.
    *
    * @param enharmonic If true, search won't differentiate between enharmonic intervals
+   * @param options Registry to search (see `SearchOptions`)
    *
    * @example
    * notes('C E G').search().exact().chord()      // 'major'
    * notes('C E G').search().supersets().scales() // All scales containing C, E, G
+   * notes('E G C').search().anyRoot().exact().chordMatch()?.root // C
    */
-  search(enharmonic = true): SearchResult {
+  search(enharmonic = true, options: SearchOptions = {}): SearchResult<Note> {
     if (this.intervals === undefined) {
       throw new Error(
         "This note list is a mix of pitches and pitch " +
@@ -257,12 +516,32 @@ export class NoteList {
       ? this.intervals.map((i) => i.simplify())
       : this.intervals;
 
-    return _search(
+    const reference = this.notes[0]!;
+    return searchIntervals(
       intervals.map((i) => i.toString()) as IntervalNotation[],
       enharmonic,
+      (i) => reference.transpose(i),
+      options.registry ?? defaultRegistry,
     );
   }
 
+  /**
+   * Search for scales/chords formed by these notes with any of them as the
+   * root, not only the first. Matches are ranked by fit, and report their
+   * root, inversion and bass.
+   *
+   * @param includeAbsent If true, pitch classes not in the list are tried as
+   *                      the root as well
+   *
+   * @example
+   * notes('E G C').anyRoot().exact().chord()           // 'major'
+   * notes('E G C').anyRoot().exact().chordMatch()      // { root: C, inversion: 1, ... }
+   * notes('C Eb Bb').anyRoot(true).supersets().chords() // Chords with any root
+   */
+  anyRoot(includeAbsent = false): SearchResult<Note> {
+    return this.search().anyRoot(includeAbsent);
+  }
+
   /**
    * Search for scales/chords with the exact notes from this notelist.
    *
@@ -272,7 +551,7 @@ export class NoteList {
    * notes('C E G').exact().chord()  // 'major'
    * notes('C E G').exact().chords() // ['major']
    */
-  exact(enharmonic = true): PatternResult {
+  exact(enharmonic = true): PatternResult<Note> {
     return this.search(enharmonic).exact();
   }
 
@@ -284,7 +563,7 @@ export class NoteList {
    * @example
    * notes('C E').supersets().scales() // All scales containing C and E
    */
-  supersets(enharmonic = true): PatternResult {
+  supersets(enharmonic = true): PatternResult<Note> {
     return this.search(enharmonic).supersets();
   }
 
@@ -296,7 +575,7 @@ export class NoteList {
    * @example
    * notes('C D E F G A B').subsets().chords() // All chords using only notes from C major scale
    */
-  subsets(enharmonic = true): PatternResult {
+  subsets(enharmonic = true): PatternResult<Note> {
     return this.search(enharmonic).subsets();
   }
 
@@ -317,18 +596,79 @@ export class NoteList {
     return new NoteList(this.notes.map((n) => n.toPitchClass()));
   }
 
+  /**
+   * Convert the notes to a pitch-class set, ignoring their spelling and
+   * octave.
+   *
+   * @example
+   * notes('E G C').pcset().forteNumber() // '3-11'
+   */
+  pcset(): PitchClassSet {
+    return PitchClassSet.fromNoteList(this);
+  }
+
+  /**
+   * Render the note list as a chord symbol, or undefined if the notes don't
+   * form a known chord. See `toChordSymbol()` for details.
+   *
+   * @example
+   * notes('E G C').toChordSymbol() // 'C/E'
+   */
+  toChordSymbol(): string | undefined {
+    return _toChordSymbol(this);
+  }
+
   /**
    * Convert note list to an array of note strings.
+   *
+   * @param options Notation of the notes (see `NotationOptions`)
    */
-  toStringArray(): string[] {
-    return this.notes.map((n) => n.toString());
+  toStringArray(options: NotationOptions = {}): string[] {
+    return this.notes.map((n) => n.toString(options));
   }
 
   /**
    * Convert note list to a space-separated string of notes.
+   *
+   * @param options Notation of the notes (see `NotationOptions`)
+   *
+   * @example
+   * notes('C4 E4 G4').toString({ notation: 'helmholtz' }) // "c' e' g'"
+   */
+  toString(options: NotationOptions = {}): string {
+    return this.toStringArray(options).join(" ");
+  }
+
+  /**
+   * Convert note list to JSON, keeping the spelling and octave of each note.
+   */
+  toJSON(): NoteListJSON {
+    return { notes: this.notes.map((n) => n.toJSON()) };
+  }
+
+  /**
+   * A stable hash of the notes in the list, e.g. to use as a cache key.
+   * Lists equal by the default `equals()` have the same hash, but lists
+   * only equal in another order or enharmonically may not.
    */
-  toString(): string {
-    return this.toStringArray().join(" ");
+  hash(): number {
+    return hashString(this.notes.map((n) => n.toString()).join(" "));
+  }
+
+  /**
+   * Move the `n`th highest note of a sorted chord down an octave.
+   */
+  private drop(n: number): NoteList {
+    if (!this.isPitches()) {
+      throw new Error("Drop voicings can only be created from pitches");
+    }
+    if (this.notes.length < n) {
+      throw new Error(`A drop ${n} voicing needs at least ${n} notes`);
+    }
+
+    const notes = this.sort().notes;
+    const [dropped] = notes.splice(notes.length - n, 1);
+    return new NoteList([dropped!.transpose("-P8"), ...notes]).sort();
   }
 }
 
@@ -336,9 +676,20 @@ export class NoteList {
 export const notes = NoteList.fromString;
 
 /**
- * Create a NoteList from a scale tonic and name.
+ * Create a NoteList from a scale tonic and name. With a notation, the tonic
+ * is written in that notation (e.g. 'Re dorian' in solfège).
+ *
+ * @param notation Tonic (optional, defaults to C) and name of the scale
+ * @param options Notation of the tonic (see `NotationOptions`)
  */
-export function scale(notation: string): NoteList {
+export function scale(
+  notation: string,
+  options: NotationOptions = {},
+): NoteList {
+  if (options.notation !== undefined) {
+    const [tonic, name] = splitTonic(notation, options);
+    return NoteList.fromScale(tonic ?? "C", name);
+  }
   const match = notation.match(/^([A-G][b#]*-?[0-9]?)?\s*(.*)$/);
   if (!match) throw new Error(`'${notation}' is not a valid scale`);
   const [, tonic, name] = match;
@@ -346,11 +697,73 @@ export function scale(notation: string): NoteList {
 }
 
 /**
- * Create a NoteList from a chord tonic and name.
+ * Create a NoteList from a chord tonic and name, or from a chord symbol.
+ *
+ * A tonic separated from the name by a space, or no tonic at all, is looked
+ * up by name (e.g. 'F4 dim', 'sus4'). Anything else is parsed as a chord
+ * symbol. A digit after the root of a symbol is its octave (e.g. 'C4',
+ * 'C4maj7'), unless it starts a sixth, seventh or extended chord, so 'C7' is
+ * a dominant seventh chord, not a C major in octave 7. 'C5' and 'C2' are
+ * C major in octave 5 and 2, not power or sus2 chords.
+ *
+ * With a notation, the tonic is written in that notation and chord symbols
+ * are not parsed, e.g. 'Fis minor' in German.
+ *
+ * @param notation Tonic (optional, defaults to C) and name of the chord, OR
+ *                 chord symbol
+ * @param options Notation of the tonic (see `NotationOptions`)
+ *
+ * @example
+ * chord('D minor seventh') // 'D F A C'
+ * chord('F#m7b5/A')        // 'A F# C E'
  */
-export function chord(notation: string): NoteList {
-  const match = notation.match(/^([A-G][b#]*-?[0-9]?)?\s*(.*)$/);
+export function chord(
+  notation: string,
+  options: NotationOptions = {},
+): NoteList {
+  if (options.notation !== undefined) {
+    const [tonic, name] = splitTonic(notation, options);
+    return NoteList.fromChord(tonic ?? "C", name);
+  }
+  const match = notation.trim().match(/^([A-G][b#]*-?[0-9]?)?(\s*)(.*)$/);
   if (!match) throw new Error(`'${notation}' is not a valid chord`);
-  const [, tonic, name] = match;
-  return NoteList.fromChord(tonic || "C", name!.trim());
+  const [, tonic, space, name] = match;
+
+  if (!tonic || space) {
+    return NoteList.fromChord(tonic || "C", name!);
+  }
+  const octave = tonic.match(/-?[0-9]$/)?.[0];
+  if (octave === undefined || /^-?(?:[679]|1[13])/.test(octave + name)) {
+    return NoteList.fromChordSymbol(match[0]);
+  }
+  return NoteList.fromChordSymbol(
+    tonic.slice(0, -octave.length) + name,
+    Number(octave),
+  );
+}
+
+/**
+ * Split the tonic in a notation from the name after it, e.g. 'Re' and
+ * 'dorian'. The tonic is undefined if the first word isn't a note.
+ */
+function splitTonic(
+  notation: string,
+  options: NotationOptions,
+): [Note | undefined, string] {
+  const [first, ...rest] = notation.trim().split(/\s+/);
+  if (!Note.isValidNote(first!, options)) return [undefined, notation.trim()];
+  return [Note.fromString(first!, options), rest.join(" ")];
+}
+
+/**
+ * Keep the first of each note, or of each group of enharmonic notes.
+ */
+function unique(notes: readonly Note[], enharmonic: boolean): NoteList {
+  return new NoteList(
+    notes.filter((n, i) =>
+      notes
+        .slice(0, i)
+        .every((m) => !(enharmonic ? m.isEnharmonic(n) : m.isEqual(n))),
+    ),
+  );
 }
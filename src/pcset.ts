@@ -0,0 +1,423 @@
+import { FORTE_NUMBERS } from "../data/pcsets.js";
+import type { NoteList } from "./notelist.js";
+import { mod } from "./utils.js";
+
+/**
+ * Conventions for normal order and prime form. They only differ in how ties
+ * between equally compact orderings are broken: Forte packs the smallest
+ * intervals to the left, Rahn to the right. This affects a few set classes,
+ * e.g. 5-20 is (01378) for Forte and (01568) for Rahn.
+ */
+export type PrimeFormConvention = "forte" | "rahn";
+
+/**
+ * A pitch-class set is an unordered set of pitch classes, as integers from 0
+ * (C) to 11 (B). It ignores spelling and octaves, like the enharmonic bitmask
+ * search, and is stored as a 12 bit mask with bit n set for pitch class n.
+ *
+ * Sets related by transposition (Tn) or inversion (TnI) belong to the same
+ * set class, which is named by its Forte number and represented by its prime
+ * form.
+ *
+ * @see {@link https://en.wikipedia.org/wiki/Set_theory_(music)}
+ */
+export class PitchClassSet {
+  readonly pitchClasses: readonly number[];
+  readonly mask: number;
+
+  /**
+   * Create a new pitch-class set. Integers outside 0-11 are reduced modulo
+   * 12, and duplicates are removed.
+   *
+   * @param pitchClasses Pitch classes as integers, e.g. [0, 4, 7]
+   */
+  constructor(pitchClasses: Iterable<number> = []) {
+    let mask = 0;
+    for (const pc of pitchClasses) {
+      if (!Number.isInteger(pc)) {
+        throw new Error(`'${pc}' is not a valid pitch class`);
+      }
+      mask |= 1 << mod(pc, 12);
+    }
+    this.mask = mask;
+    this.pitchClasses = bits(mask);
+  }
+
+  /**
+   * Create a pitch-class set from a 12 bit mask, with bit n set for pitch
+   * class n.
+   *
+   * @param mask Pitch class mask
+   */
+  static fromMask(mask: number): PitchClassSet {
+    return new PitchClassSet(bits(mask & 0xfff));
+  }
+
+  /**
+   * Create a pitch-class set from the notes of a note list, ignoring their
+   * spelling and octave.
+   *
+   * @param noteList Note list
+   */
+  static fromNoteList(noteList: NoteList): PitchClassSet {
+    return new PitchClassSet(
+      noteList.notes.map((n) => mod(n.chromaticOffset, 12)),
+    );
+  }
+
+  /**
+   * Create a pitch-class set from integers, with 't' or 'a' for 10 and 'e'
+   * or 'b' for 11, or from a Forte number (see `fromForte()`). Integers may
+   * be separated by commas or spaces, and wrapped in brackets.
+   *
+   * @param notation Pitch classes or Forte number
+   *
+   * @example
+   * PitchClassSet.fromString('[0,4,7]')
+   * PitchClassSet.fromString('(014te)')
+   * PitchClassSet.fromString('4-Z15')
+   */
+  static fromString(notation: string): PitchClassSet {
+    const trimmed = notation.trim();
+    if (/^\d+-/.test(trimmed)) return PitchClassSet.fromForte(trimmed);
+
+    const match = trimmed.match(/^[[({]?([\dtaeb,\s]*)[\])}]?$/i);
+    if (!match || (/[[({]/.test(trimmed) && !/[\])}]$/.test(trimmed))) {
+      throw new Error(`'${notation}' is not a valid pitch-class set`);
+    }
+    const content = match[1]!.trim();
+    const tokens = /[,\s]/.test(content)
+      ? content.split(/[,\s]+/)
+      : [...content];
+    return new PitchClassSet(
+      tokens
+        .filter((t) => t !== "")
+        .map((token) => {
+          const pc = /^[ta]$/i.test(token)
+            ? 10
+            : /^[eb]$/i.test(token)
+              ? 11
+              : Number(token);
+          if (!(pc >= 0 && pc < 12) || !/^\d+$|^[taeb]$/i.test(token)) {
+            throw new Error(`'${notation}' is not a valid pitch-class set`);
+          }
+          return pc;
+        }),
+    );
+  }
+
+  /**
+   * Create the prime form (Forte) of the set class with a Forte number. The
+   * Z can be left out.
+   *
+   * @param name Forte number, e.g. '3-11' or '4-Z15'
+   */
+  static fromForte(name: string): PitchClassSet {
+    const normalized = name.trim().toUpperCase().replace("-Z", "-");
+    for (const [forte, mask] of loadForteNames()) {
+      if (forte.replace("-Z", "-") === normalized) {
+        return PitchClassSet.fromMask(mask);
+      }
+    }
+    throw new Error(`'${name}' is not a valid Forte number`);
+  }
+
+  /**
+   * Number of pitch classes in the set.
+   */
+  cardinality(): number {
+    return this.pitchClasses.length;
+  }
+
+  /**
+   * Transpose the set by a number of semitones (Tn).
+   *
+   * @param n Semitones
+   */
+  transpose(n: number): PitchClassSet {
+    return new PitchClassSet(this.pitchClasses.map((pc) => pc + n));
+  }
+
+  /**
+   * Invert the set and transpose it by a number of semitones (TnI), mapping
+   * each pitch class x to n - x.
+   *
+   * @param n Semitones, defaults to 0 (inversion around C)
+   */
+  invert(n: number = 0): PitchClassSet {
+    return new PitchClassSet(this.pitchClasses.map((pc) => n - pc));
+  }
+
+  /**
+   * List the pitch classes in their most compact ascending order, starting
+   * from the lowest pitch class when orderings are equally compact.
+   *
+   * @param convention 'rahn' (default) or 'forte'
+   *
+   * @example
+   * PitchClassSet.fromString('{7,0,4}').normalOrder() // [0, 4, 7]
+   * PitchClassSet.fromString('{2,5,7,11}').normalOrder() // [11, 2, 5, 7]
+   */
+  normalOrder(convention: PrimeFormConvention = "rahn"): number[] {
+    const pcs = this.pitchClasses;
+    let best: number[] = [];
+    for (let i = 0; i < pcs.length; i++) {
+      const rotation = [...pcs.slice(i), ...pcs.slice(0, i)];
+      if (
+        best.length === 0 ||
+        compareCompactness(rotation, best, convention) < 0
+      ) {
+        best = rotation;
+      }
+    }
+    return best;
+  }
+
+  /**
+   * List the prime form of the set class, the most compact of the normal
+   * orders of the set and its inversion, transposed to start on 0.
+   *
+   * @param convention 'rahn' (default) or 'forte'
+   *
+   * @example
+   * PitchClassSet.fromString('{4,7,11}').primeForm() // [0, 3, 7]
+   * PitchClassSet.fromString('5-20').primeForm() // [0, 1, 5, 6, 8]
+   * PitchClassSet.fromString('5-20').primeForm('forte') // [0, 1, 3, 7, 8]
+   */
+  primeForm(convention: PrimeFormConvention = "rahn"): number[] {
+    const [a, b] = [this, this.invert()].map((set) => {
+      const order = set.normalOrder(convention);
+      return order.map((pc) => mod(pc - order[0]!, 12));
+    });
+    return compareCompactness(a!, b!, convention) <= 0 ? a! : b!;
+  }
+
+  /**
+   * Name the set class by its Forte number, e.g. '3-11' for major and minor
+   * triads, with a Z if it shares its interval vector with another set
+   * class.
+   *
+   * @see {@link https://en.wikipedia.org/wiki/List_of_set_classes}
+   */
+  forteNumber(): string {
+    const prime = new PitchClassSet(this.primeForm("forte")).mask;
+    for (const [forte, mask] of loadForteNames()) {
+      if (mask === prime) return forte;
+    }
+    // Unreachable, the table has every set class
+    throw new Error(`${this} has no Forte number`);
+  }
+
+  /**
+   * Count the intervals between all pairs of pitch classes by interval class,
+   * from 1 (minor second or major seventh) to 6 (tritone).
+   *
+   * @example
+   * PitchClassSet.fromString('037').intervalVector() // [0, 0, 1, 1, 1, 0]
+   */
+  intervalVector(): number[] {
+    const vector = [0, 0, 0, 0, 0, 0];
+    const pcs = this.pitchClasses;
+    for (let i = 0; i < pcs.length; i++) {
+      for (let j = i + 1; j < pcs.length; j++) {
+        const diff = pcs[j]! - pcs[i]!;
+        vector[Math.min(diff, 12 - diff) - 1]!++;
+      }
+    }
+    return vector;
+  }
+
+  /**
+   * List the pitch classes not in the set.
+   */
+  complement(): PitchClassSet {
+    return PitchClassSet.fromMask(~this.mask);
+  }
+
+  /**
+   * Check if two sets have the same pitch classes.
+   *
+   * @param other Pitch-class set
+   */
+  equals(other: PitchClassSet): boolean {
+    return this.mask === other.mask;
+  }
+
+  /**
+   * Check if the set can be transposed into another set (Tn-equivalence).
+   *
+   * @param other Pitch-class set
+   */
+  isTranspositionOf(other: PitchClassSet): boolean {
+    return [...Array(12).keys()].some((n) => this.transpose(n).equals(other));
+  }
+
+  /**
+   * Check if the set can be transposed or inverted into another set
+   * (TnI-equivalence), i.e. if both belong to the same set class.
+   *
+   * @param other Pitch-class set
+   */
+  isEquivalentTo(other: PitchClassSet): boolean {
+    return (
+      this.isTranspositionOf(other) || this.invert().isTranspositionOf(other)
+    );
+  }
+
+  /**
+   * Check if two sets share their interval vector without being equivalent
+   * (Z-relation).
+   *
+   * @param other Pitch-class set
+   */
+  isZRelatedTo(other: PitchClassSet): boolean {
+    return (
+      this.intervalVector().join() === other.intervalVector().join() &&
+      !this.isEquivalentTo(other)
+    );
+  }
+
+  /**
+   * Find the prime form (Forte) of the set class that is Z-related to this
+   * set, if there is one.
+   */
+  zRelated(): PitchClassSet | undefined {
+    const vector = this.intervalVector().join();
+    for (const [, mask] of loadForteNames()) {
+      const other = PitchClassSet.fromMask(mask);
+      if (
+        other.cardinality() === this.cardinality() &&
+        other.intervalVector().join() === vector &&
+        !this.isEquivalentTo(other)
+      ) {
+        return other;
+      }
+    }
+    return undefined;
+  }
+
+  /**
+   * Check if every pitch class of the set is in another set. An abstract
+   * subset only needs to be a subset after transposition or inversion.
+   *
+   * @param other Pitch-class set
+   * @param abstract If true, check the set class rather than the pitch classes
+   */
+  isSubsetOf(other: PitchClassSet, abstract: boolean = false): boolean {
+    const transforms = abstract
+      ? [...Array(12).keys()].flatMap((n) => [
+          this.transpose(n),
+          this.invert(n),
+        ])
+      : [this];
+    return transforms.some((set) => (set.mask & ~other.mask) === 0);
+  }
+
+  /**
+   * Check if every pitch class of another set is in this set. An abstract
+   * superset only needs to be a superset after transposition or inversion.
+   *
+   * @param other Pitch-class set
+   * @param abstract If true, check the set class rather than the pitch classes
+   */
+  isSupersetOf(other: PitchClassSet, abstract: boolean = false): boolean {
+    return other.isSubsetOf(this, abstract);
+  }
+
+  /**
+   * List the Forte numbers of the set classes of all subsets with a number
+   * of pitch classes, in Forte's order.
+   *
+   * @param cardinality Number of pitch classes in the subsets
+   *
+   * @example
+   * PitchClassSet.fromString('0247').subsetClasses(3) // ['3-6', '3-7', '3-9', '3-11']
+   */
+  subsetClasses(cardinality: number): string[] {
+    const names = new Set<string>();
+    for (let mask = 0; mask < 1 << 12; mask++) {
+      if ((mask & ~this.mask) === 0 && bits(mask).length === cardinality) {
+        names.add(PitchClassSet.fromMask(mask).forteNumber());
+      }
+    }
+    return [...loadForteNames().keys()].filter((name) => names.has(name));
+  }
+
+  /**
+   * Return the pitch classes in braces, e.g. '{0,4,7}'.
+   */
+  toString(): string {
+    return `{${this.pitchClasses.join(",")}}`;
+  }
+}
+
+/**
+ * Shortcut for creating a pitch-class set, see `PitchClassSet.fromString()`.
+ *
+ * @param pitchClasses Pitch classes as integers OR String notation
+ */
+export function pcset(pitchClasses: Iterable<number> | string): PitchClassSet {
+  return typeof pitchClasses === "string"
+    ? PitchClassSet.fromString(pitchClasses)
+    : new PitchClassSet(pitchClasses);
+}
+
+/**
+ * List the pitch classes set in a mask.
+ */
+function bits(mask: number): number[] {
+  return [...Array(12).keys()].filter((pc) => mask & (1 << pc));
+}
+
+/**
+ * Compare how compact two orderings of the same number of pitch classes are.
+ * Both first compare the span from the first to the last pitch class. Then
+ * Forte compares the intervals from the first to the second, third and so on,
+ * while Rahn compares them from the first to the second to last, third to
+ * last and so on. Returns a negative number if `a` is more compact.
+ */
+function compareCompactness(
+  a: readonly number[],
+  b: readonly number[],
+  convention: PrimeFormConvention,
+): number {
+  const span = (order: readonly number[], i: number) =>
+    mod(order[i]! - order[0]!, 12);
+  const n = a.length;
+  const indices =
+    convention === "forte"
+      ? [n - 1, ...Array.from({ length: n - 2 }, (_, i) => i + 1)]
+      : Array.from({ length: n - 1 }, (_, i) => n - 1 - i);
+  for (const i of indices) {
+    const diff = span(a, i) - span(b, i);
+    if (diff !== 0) return diff;
+  }
+  return 0;
+}
+
+/**
+ * Lazily build the prime form masks (Forte) of every set class by Forte
+ * number, in Forte's order. Set classes with more than six pitch classes are
+ * the complements of the table.
+ */
+let forteNames: Map<string, number> | undefined;
+function loadForteNames(): Map<string, number> {
+  if (forteNames === undefined) {
+    const prime = (set: PitchClassSet) =>
+      new PitchClassSet(set.primeForm("forte")).mask;
+    const names = Object.keys(FORTE_NUMBERS);
+    forteNames = new Map();
+    for (const name of names) {
+      forteNames.set(name, prime(new PitchClassSet(FORTE_NUMBERS[name])));
+    }
+    for (let cardinality = 5; cardinality >= 0; cardinality--) {
+      for (const name of names) {
+        const set = new PitchClassSet(FORTE_NUMBERS[name]);
+        if (set.cardinality() !== cardinality) continue;
+        const complement = `${12 - cardinality}-${name.split("-")[1]}`;
+        forteNames.set(complement, prime(set.complement()));
+      }
+    }
+  }
+  return forteNames;
+}
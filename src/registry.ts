@@ -0,0 +1,325 @@
+import { CHORD_ALIAS, CHORD_SYMBOL, CHORDS } from "../data/chords.js";
+import type { IntervalNotation } from "../data/intervals.js";
+import { SCALE_ALIAS, SCALES } from "../data/scales.js";
+import { Interval } from "./interval.js";
+
+type EntryType = "scale" | "chord";
+
+/**
+ * A scale or chord in a registry.
+ *
+ *  `name` is the name the scale or chord is registered with.
+ *  `intervals` are the intervals from the root, in shorthand notation.
+ *  `aliases` are other names it can be looked up with.
+ *  `tags` are free-form labels to group scales and chords, e.g. 'maqam'.
+ *  `symbol` is the chord symbol quality, e.g. 'm7' (chords only).
+ */
+export type RegistryEntry = {
+  name: string;
+  intervals: readonly IntervalNotation[];
+  aliases: readonly string[];
+  tags: readonly string[];
+  symbol?: string;
+};
+
+/**
+ * Options for registering a scale or chord.
+ *
+ *  `aliases` are other names to look it up with.
+ *  `tags` are free-form labels, see `Registry.scales()`.
+ *  `symbol` is the quality used in chord symbols, e.g. 'maj7#11' (chords
+ *           only). Chords without a symbol are not used by `toChordSymbol()`.
+ */
+export type RegisterOptions = {
+  aliases?: readonly string[];
+  tags?: readonly string[];
+  symbol?: string;
+};
+
+/**
+ * A registry holds the scales and chords known by name, with their aliases.
+ *
+ * `scale()`, `chord()`, `search()` and chord symbols use the default
+ * registry (`registry`), which starts with the scales and chords of the
+ * database. Scales and chords registered there are found everywhere. An
+ * isolated registry can be passed to `NoteList.fromScale()`,
+ * `NoteList.fromChord()` and `search()` instead.
+ *
+ * Every change bumps the `version`, so that indexes built from the registry
+ * (e.g. for search) know to rebuild.
+ *
+ * @example
+ * const house = Registry.withDefaults()
+ * house.registerScale('maqam rast', ['P1', 'M2', 'M3', 'P4', 'P5', 'M6', 'm7'], { tags: ['maqam'] })
+ * NoteList.fromScale('C', 'maqam rast', house)
+ */
+export class Registry {
+  private readonly entries: Record<EntryType, Map<string, RegistryEntry>> = {
+    scale: new Map(),
+    chord: new Map(),
+  };
+  // Aliases and names of each type, pointing to the name of their entry
+  private readonly names: Record<EntryType, Map<string, string>> = {
+    scale: new Map(),
+    chord: new Map(),
+  };
+  // Chord symbols, pointing to the name of their chord
+  private readonly symbols = new Map<string, string>();
+  private changes = 0;
+
+  /**
+   * Create a registry with the scales and chords of the database.
+   */
+  static withDefaults(): Registry {
+    const registry = new Registry();
+    const aliases = (table: Readonly<Record<string, string>>, name: string) =>
+      Object.keys(table).filter((alias) => table[alias] === name);
+
+    for (const name in SCALES) {
+      registry.registerScale(name, SCALES[name]!, {
+        aliases: aliases(SCALE_ALIAS, name),
+      });
+    }
+    for (const name in CHORDS) {
+      const symbol = CHORD_SYMBOL[name];
+      registry.registerChord(name, CHORDS[name]!, {
+        aliases: aliases(CHORD_ALIAS, name),
+        ...(symbol !== undefined && { symbol }),
+      });
+    }
+    return registry;
+  }
+
+  /**
+   * Number of changes made to the registry, to invalidate indexes.
+   */
+  get version(): number {
+    return this.changes;
+  }
+
+  /**
+   * Register a scale. Throws an error if an interval is not valid, or if the
+   * name or an alias is already used by another scale.
+   *
+   * @param name Name of the scale
+   * @param intervals Intervals from the tonic
+   * @param options Aliases and tags (see `RegisterOptions`)
+   *
+   * @example
+   * registerScale('maqam hijaz', ['P1', 'm2', 'M3', 'P4', 'P5', 'm6', 'm7'], { tags: ['maqam'] })
+   */
+  registerScale(
+    name: string,
+    intervals: readonly (Interval | string)[],
+    options: RegisterOptions = {},
+  ): RegistryEntry {
+    return this.register("scale", name, intervals, options);
+  }
+
+  /**
+   * Register a chord. Throws an error if an interval is not valid, or if the
+   * name, an alias or the symbol is already used by another chord, as a
+   * name, alias or symbol.
+   *
+   * @param name Name of the chord
+   * @param intervals Intervals from the root
+   * @param options Aliases, tags and chord symbol (see `RegisterOptions`)
+   *
+   * @example
+   * registerChord('so what', ['P1', 'P4', 'm7', 'm10', 'P12'], { symbol: 'sw' })
+   */
+  registerChord(
+    name: string,
+    intervals: readonly (Interval | string)[],
+    options: RegisterOptions = {},
+  ): RegistryEntry {
+    return this.register("chord", name, intervals, options);
+  }
+
+  /**
+   * Remove a scale and/or chord by name, with its aliases. Returns true if
+   * anything was removed.
+   *
+   * @param name Name of the scale or chord (not an alias)
+   * @param type Only remove a 'scale' or a 'chord', defaults to both
+   */
+  unregister(name: string, type?: EntryType): boolean {
+    let removed = false;
+    for (const t of type === undefined
+      ? (["scale", "chord"] as const)
+      : [type]) {
+      const entry = this.entries[t].get(name);
+      if (entry === undefined) continue;
+
+      this.entries[t].delete(name);
+      for (const alias of [name, ...entry.aliases]) this.names[t].delete(alias);
+      if (entry.symbol !== undefined) this.symbols.delete(entry.symbol);
+      removed = true;
+    }
+    if (removed) this.changes++;
+    return removed;
+  }
+
+  /**
+   * Look up a scale by name or alias.
+   *
+   * @param name Name or alias of the scale
+   */
+  scale(name: string): RegistryEntry | undefined {
+    return this.lookup("scale", name);
+  }
+
+  /**
+   * Look up a chord by name or alias.
+   *
+   * @param name Name or alias of the chord
+   */
+  chord(name: string): RegistryEntry | undefined {
+    return this.lookup("chord", name);
+  }
+
+  /**
+   * List the names of all scales, in the order they were registered.
+   *
+   * @param tag Only list scales with this tag
+   */
+  scales(tag?: string): string[] {
+    return this.list("scale", tag);
+  }
+
+  /**
+   * List the names of all chords, in the order they were registered.
+   *
+   * @param tag Only list chords with this tag
+   */
+  chords(tag?: string): string[] {
+    return this.list("chord", tag);
+  }
+
+  /**
+   * Look up a scale or chord by name or alias.
+   */
+  private lookup(type: EntryType, name: string): RegistryEntry | undefined {
+    const entry = this.names[type].get(name);
+    return entry === undefined ? undefined : this.entries[type].get(entry);
+  }
+
+  /**
+   * List the names of scales or chords, with a tag if given.
+   */
+  private list(type: EntryType, tag?: string): string[] {
+    return [...this.entries[type].values()]
+      .filter((entry) => tag === undefined || entry.tags.includes(tag))
+      .map((entry) => entry.name);
+  }
+
+  /**
+   * Validate and add a scale or chord.
+   */
+  private register(
+    type: EntryType,
+    name: string,
+    intervals: readonly (Interval | string)[],
+    options: RegisterOptions,
+  ): RegistryEntry {
+    if (typeof name !== "string" || name.trim() !== name || name === "") {
+      throw new Error(`'${name}' is not a valid ${type} name`);
+    }
+    if (intervals.length === 0) {
+      throw new Error(`The ${type} '${name}' needs at least one interval`);
+    }
+    const notation = intervals.map(
+      (i) =>
+        (typeof i === "string"
+          ? Interval.fromString(i)
+          : i
+        ).toString() as IntervalNotation,
+    );
+
+    const aliases = options.aliases ?? [];
+    for (const [i, alias] of [name, ...aliases].entries()) {
+      const used = this.names[type].get(alias);
+      if (used !== undefined) {
+        throw new Error(
+          i === 0
+            ? `The ${type} '${name}' is already registered`
+            : `The alias '${alias}' is already used by the ${type} '${used}'`,
+        );
+      }
+      if ([name, ...aliases].indexOf(alias) !== i) {
+        throw new Error(`The alias '${alias}' is given twice for '${name}'`);
+      }
+    }
+
+    // Names, aliases and symbols are all chord symbol qualities, so a symbol
+    // can't be used by another chord in any of them
+    const symbol = type === "chord" ? options.symbol : undefined;
+    if (symbol !== undefined) {
+      const used = this.symbols.get(symbol) ?? this.names.chord.get(symbol);
+      if (used !== undefined) {
+        throw new Error(
+          `The symbol '${symbol}' is already used by the chord '${used}'`,
+        );
+      }
+    }
+    if (type === "chord") {
+      for (const alias of [name, ...aliases]) {
+        const used = this.symbols.get(alias);
+        if (used !== undefined) {
+          throw new Error(
+            `The name '${alias}' is already a symbol of the chord '${used}'`,
+          );
+        }
+      }
+    }
+
+    const entry: RegistryEntry = {
+      name,
+      intervals: notation,
+      aliases: [...aliases],
+      tags: [...(options.tags ?? [])],
+      ...(symbol !== undefined && { symbol }),
+    };
+    this.entries[type].set(name, entry);
+    for (const alias of [name, ...aliases]) this.names[type].set(alias, name);
+    if (symbol !== undefined) this.symbols.set(symbol, name);
+    this.changes++;
+    return entry;
+  }
+}
+
+/**
+ * The default registry, used by `scale()`, `chord()`, `search()` and chord
+ * symbols. It starts with the scales and chords of the database.
+ */
+export const registry: Registry = Registry.withDefaults();
+
+/**
+ * Register a scale in the default registry, see `Registry.registerScale()`.
+ */
+export function registerScale(
+  name: string,
+  intervals: readonly (Interval | string)[],
+  options: RegisterOptions = {},
+): RegistryEntry {
+  return registry.registerScale(name, intervals, options);
+}
+
+/**
+ * Register a chord in the default registry, see `Registry.registerChord()`.
+ */
+export function registerChord(
+  name: string,
+  intervals: readonly (Interval | string)[],
+  options: RegisterOptions = {},
+): RegistryEntry {
+  return registry.registerChord(name, intervals, options);
+}
+
+/**
+ * Remove a scale and/or chord from the default registry, see
+ * `Registry.unregister()`.
+ */
+export function unregister(name: string, type?: EntryType): boolean {
+  return registry.unregister(name, type);
+}
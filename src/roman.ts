@@ -0,0 +1,357 @@
+import type { IntervalNotation } from "../data/intervals.js";
+import { Interval } from "./interval.js";
+import type { Key } from "./key.js";
+import type { Note } from "./note.js";
+import { NoteList, scale } from "./notelist.js";
+import { registry } from "./registry.js";
+import { ensureType, mod } from "./utils.js";
+
+type Quality = {
+  upper: boolean;
+  symbol: string;
+  seventh: boolean;
+};
+
+const NUMERALS: readonly string[] = ["I", "II", "III", "IV", "V", "VI", "VII"];
+
+// Figured bass for each inversion of a triad or a seventh chord
+const TRIAD_FIGURES = ["", "6", "6/4"] as const;
+const SEVENTH_FIGURES = ["7", "6/5", "4/3", "4/2"] as const;
+
+// Chords which can be written as a roman numeral, with the case of the
+// numeral, the quality symbol, and whether the chord is a seventh chord.
+const QUALITIES: Readonly<Record<string, Quality>> = {
+  major: { upper: true, symbol: "", seventh: false },
+  minor: { upper: false, symbol: "", seventh: false },
+  diminished: { upper: false, symbol: "o", seventh: false },
+  augmented: { upper: true, symbol: "+", seventh: false },
+  "dominant seventh": { upper: true, symbol: "", seventh: true },
+  "major seventh": { upper: true, symbol: "M", seventh: true },
+  "minor seventh": { upper: false, symbol: "", seventh: true },
+  "diminished seventh": { upper: false, symbol: "o", seventh: true },
+  "half-diminished seventh": { upper: false, symbol: "ø", seventh: true },
+};
+
+// Chords with a dominant or a leading tone function when tonicizing
+const DOMINANT_CHORDS = ["major", "dominant seventh"];
+const LEADING_TONE_CHORDS = [
+  "diminished",
+  "diminished seventh",
+  "half-diminished seventh",
+];
+
+// Augmented sixth chords, as intervals above the lowered sixth degree
+const AUGMENTED_SIXTHS: Readonly<Record<string, readonly IntervalNotation[]>> =
+  {
+    It: ["P1", "M3", "A6"],
+    Fr: ["P1", "M3", "A4", "A6"],
+    Ger: ["P1", "M3", "P5", "A6"],
+  };
+
+/**
+ * Build a chord from a roman numeral in a key.
+ *
+ * The case of the numeral decides between a major and a minor triad, which
+ * can be changed with a quality symbol ('o' diminished, 'ø' half-diminished,
+ * '+' augmented, 'M' major seventh). A figure selects a seventh chord and
+ * the inversion ('6', '6/4', '7', '6/5', '4/3', '4/2'). Unless the quality
+ * says otherwise, sevenths are taken from the key.
+ *
+ * Accidentals alter the root of the chord (e.g. 'bVI', '#iv'), a slash makes
+ * the chord secondary to another degree (e.g. 'V7/V', 'viio7/ii'), 'N' is the
+ * Neapolitan (bII), and 'It', 'Fr', and 'Ger' are augmented sixth chords.
+ *
+ * @param key Key OR Tonic and name of a heptatonic scale (e.g. 'F# minor')
+ * @param numeral Roman numeral (e.g. 'ii7', 'V6/5', 'bVI', 'N6', 'Ger+6')
+ *
+ * @see {@link https://en.wikipedia.org/wiki/Roman_numeral_analysis}
+ */
+export function romanNumeral(key: Key | string, numeral: string): NoteList {
+  return buildNumeral(parseKey(key), numeral);
+}
+
+/**
+ * Build a chord progression from space separated roman numerals in a key.
+ * See `romanNumeral()` for the numeral notation.
+ *
+ * @param key Key OR Tonic and name of a heptatonic scale (e.g. 'F# minor')
+ * @param numerals Space separated roman numerals
+ *
+ * @example
+ * progression('C major', 'I vi ii7 V7/V V7 I')
+ */
+export function progression(key: Key | string, numerals: string): NoteList[] {
+  const keyScale = parseKey(key);
+  return numerals
+    .trim()
+    .split(/\s+/)
+    .map((numeral) => buildNumeral(keyScale, numeral));
+}
+
+/**
+ * Label chords with their roman numeral and inversion figure in a key.
+ *
+ * The root of each chord is found by comparing it to the triads and seventh
+ * chords in the registry, trying every note as the root. The lowest note (or
+ * the first, for pitch classes) is the bass, deciding the inversion.
+ * Chromatic chords are labeled as augmented sixths, chords borrowed from the
+ * parallel major or minor key, secondary dominants or leading tone chords,
+ * Neapolitans, or numerals with accidentals, in that order. Chords that
+ * can't be labeled are returned as undefined.
+ *
+ * @param chords Note lists OR Space separated notes
+ * @param key Key OR Tonic and name of a heptatonic scale (e.g. 'F# minor')
+ *
+ * @example
+ * analyze(['C E G', 'F A C D', 'G B D F', 'C E G'], 'C major')
+ * // [ 'I', 'ii6/5', 'V7', 'I' ]
+ */
+export function analyze(
+  chords: readonly (NoteList | string)[],
+  key: Key | string,
+): (string | undefined)[] {
+  const keyScale = parseKey(key).toPitchClasses();
+  return chords.map((chord) =>
+    analyzeChord(ensureType(chord, NoteList), keyScale),
+  );
+}
+
+/**
+ * Find the scale of a key, which must have exactly seven degrees.
+ */
+function parseKey(key: Key | string): NoteList {
+  const keyScale = typeof key === "string" ? scale(key) : key.scale();
+  if (keyScale.notes.length !== NUMERALS.length) {
+    throw new Error(`'${key}' is not a heptatonic scale, and not a valid key`);
+  }
+  return keyScale;
+}
+
+/**
+ * Build a chord from a roman numeral, relative to the scale of a key.
+ */
+function buildNumeral(keyScale: NoteList, numeral: string): NoteList {
+  const tonic = keyScale.root()!;
+
+  // Secondary chords are built in the key of the chord they tonicize, which
+  // is major or minor depending on the case of its numeral
+  const [primary, ...targets] = numeral.split(/\/(?=[b#]*[IViv])/);
+  if (targets.length > 0) {
+    const target = buildNumeral(keyScale, targets.join("/"));
+    const mode = /^[b#]*[IV]/.test(targets[0]!) ? "major" : "minor";
+    return buildNumeral(NoteList.fromScale(target.root()!, mode), primary!);
+  }
+
+  const augmented = primary!.match(/^(It|Fr|Ger)(\+?6|4\/?3|6\/?5)?$/);
+  if (augmented) {
+    const bass = tonic.transpose("m6");
+    return NoteList.fromIntervals(bass, AUGMENTED_SIXTHS[augmented[1]!]!);
+  }
+
+  const match = primary!
+    .replace(/^N/, "bII")
+    .match(
+      /^(b*|#*)(VII|VI|IV|V|III|II|I|vii|vi|iv|v|iii|ii|i)([o°ø+M]?)((?:[0-9]\/?)*)$/,
+    );
+  const figure = match && parseFigure(match[3]!, match[4]!);
+  if (!match || !figure) {
+    throw new Error(`'${numeral}' is not a valid roman numeral`);
+  }
+  const [, accidentals, roman, quality] = match;
+  const [seventh, inversion] = figure;
+
+  const degree = NUMERALS.indexOf(roman!.toUpperCase());
+  const shift = accidentals!.length * (accidentals![0] === "b" ? -1 : 1);
+  const triad =
+    quality === "o" || quality === "°" || quality === "ø"
+      ? "diminished"
+      : quality === "+"
+        ? "augmented"
+        : roman === roman!.toUpperCase()
+          ? "major"
+          : "minor";
+  const intervals: (Interval | string)[] = chordIntervals(triad).slice();
+
+  // Leading tone chords are built a semitone below the tonic, even in keys
+  // with a lowered seventh degree, like the natural minor
+  const root =
+    degree === 6 && shift === 0 && triad === "diminished"
+      ? tonic.transpose("M7")
+      : keyScale.notes[degree]!.transpose(Interval.fromSteps(0, shift));
+
+  if (seventh) {
+    if (quality === "o" || quality === "°") {
+      intervals.push("d7");
+    } else if (quality === "M") {
+      intervals.push("M7");
+    } else if (quality === "ø" || shift !== 0) {
+      intervals.push("m7");
+    } else {
+      // Diatonic chords use the seventh found in the key
+      const keySeventh = keyScale.notes[(degree + 6) % 7]!.toPitchClass();
+      intervals.push(root.toPitchClass().intervalTo(keySeventh));
+    }
+  }
+  return NoteList.fromIntervals(root, intervals).invert(inversion);
+}
+
+/**
+ * Find whether a figure describes a seventh chord, and its inversion.
+ * Returns undefined if the figure and quality don't make sense together.
+ */
+function parseFigure(
+  quality: string,
+  figure: string,
+): [boolean, number] | undefined {
+  const normalized = figure.replaceAll("/", "");
+
+  // Half-diminished chords are always seventh chords
+  if (quality === "ø" && normalized === "") return [true, 0];
+
+  const triad = TRIAD_FIGURES.findIndex(
+    (f) => f.replace("/", "") === normalized,
+  );
+  if (triad !== -1 && quality !== "M" && quality !== "ø") return [false, triad];
+
+  const seventh = SEVENTH_FIGURES.findIndex(
+    (f) => f.replace("/", "") === normalized,
+  );
+  if (seventh !== -1) return [true, seventh];
+  if (normalized === "2") return [true, 3];
+
+  return undefined;
+}
+
+/**
+ * Find the intervals of a chord in the registry.
+ */
+function chordIntervals(name: string): readonly string[] {
+  const entry = registry.chord(name);
+  if (entry === undefined) throw new Error(`The chord '${name}' is not known`);
+  return entry.intervals;
+}
+
+/**
+ * Label a single chord with its roman numeral in a key.
+ */
+function analyzeChord(chord: NoteList, keyScale: NoteList): string | undefined {
+  const sorted = (chord.isPitches() ? chord.sort() : chord).toPitchClasses();
+  const bass = sorted.root();
+  if (bass === undefined) return undefined;
+
+  const tonic = keyScale.root()!;
+  for (const name in AUGMENTED_SIXTHS) {
+    const sixth = NoteList.fromIntervals(
+      tonic.transpose("m6"),
+      AUGMENTED_SIXTHS[name]!,
+    );
+    if (sixth.includesAll(sorted) && sorted.includesAll(sixth)) {
+      return `${name}+6`;
+    }
+  }
+
+  for (const root of sorted.notes) {
+    const name = Object.keys(QUALITIES).find((name) => {
+      const entry = registry.chord(name);
+      if (entry === undefined) return false;
+      const notes = NoteList.fromIntervals(root, entry.intervals);
+      return notes.includesAll(sorted, true) && sorted.includesAll(notes, true);
+    });
+    const quality = name === undefined ? undefined : QUALITIES[name];
+
+    if (quality !== undefined) {
+      const inversion = Math.floor((root.intervalTo(bass).number - 1) / 2);
+      const figures = quality.seventh ? SEVENTH_FIGURES : TRIAD_FIGURES;
+      const figure = `${quality.symbol}${figures[inversion] ?? ""}`;
+
+      return (
+        secondaryNumeral(sorted, root, name!, figure, keyScale) ??
+        diatonicNumeral(root, name!, figure, keyScale)
+      );
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Label a chromatic chord as the dominant or leading tone chord of another
+ * major or minor degree in the key, or undefined if it isn't one. Chords
+ * borrowed from the parallel major or minor key are labeled by their own
+ * degree instead.
+ */
+function secondaryNumeral(
+  chord: NoteList,
+  root: Note,
+  name: string,
+  figure: string,
+  keyScale: NoteList,
+): string | undefined {
+  if (keyScale.includesAll(chord)) return undefined;
+  const tonic = keyScale.root()!;
+  if (
+    ["major", "minor"].some((mode) =>
+      NoteList.fromScale(tonic, mode).includesAll(chord),
+    )
+  ) {
+    return undefined;
+  }
+
+  const dominant = DOMINANT_CHORDS.includes(name);
+  const leadingTone = LEADING_TONE_CHORDS.includes(name);
+
+  // The tonic can't be tonicized, it's already the tonic
+  for (let degree = 1; degree < NUMERALS.length; degree++) {
+    const target = keyScale.notes[degree]!;
+    const targetName = new NoteList([
+      target,
+      keyScale.notes[(degree + 2) % 7]!,
+      keyScale.notes[(degree + 4) % 7]!,
+    ])
+      .exact()
+      .chord();
+    if (targetName !== "major" && targetName !== "minor") continue;
+
+    const numeral =
+      targetName === "major"
+        ? NUMERALS[degree]!
+        : NUMERALS[degree]!.toLowerCase();
+
+    if (dominant && root.isEqual(target.transpose("P5"))) {
+      return `V${figure}/${numeral}`;
+    }
+    if (leadingTone && root.isEqual(target.transpose("M7"))) {
+      return `vii${figure}/${numeral}`;
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Label a chord by the scale degree of its root, with accidentals if the
+ * root is altered. A major triad on the lowered second degree is labeled
+ * as a Neapolitan chord, and leading tone chords are never altered.
+ */
+function diatonicNumeral(
+  root: Note,
+  name: string,
+  figure: string,
+  keyScale: NoteList,
+): string {
+  const tonic = keyScale.root()!;
+  const leadingTone =
+    LEADING_TONE_CHORDS.includes(name) && root.isEqual(tonic.transpose("M7"));
+
+  const degree = mod(tonic.intervalTo(root).number - 1, 7);
+  const shift = leadingTone
+    ? 0
+    : mod(keyScale.notes[degree]!.distance(root), 12, -6);
+  const accidentals = shift > 0 ? "#".repeat(shift) : "b".repeat(-shift);
+
+  if (shift === -1 && degree === 1 && name === "major") {
+    return `N${figure}`;
+  }
+  const numeral = QUALITIES[name]!.upper
+    ? NUMERALS[degree]!
+    : NUMERALS[degree]!.toLowerCase();
+  return `${accidentals}${numeral}${figure}`;
+}
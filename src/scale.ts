@@ -0,0 +1,177 @@
+import { Interval } from "./interval.js";
+import { Note } from "./note.js";
+import { NoteList } from "./notelist.js";
+import { ensureType, mod } from "./utils.js";
+
+/**
+ * A scale is a note list built from a tonic and a list of intervals, which
+ * knows its tonic and name. Notes can be moved along the scale by degree
+ * rather than by chromatic interval, and chords can be built by stacking
+ * thirds on each degree.
+ *
+ * The scale is immutable, and methods inherited from NoteList return plain
+ * note lists.
+ */
+export class Scale extends NoteList {
+  readonly tonic: Note;
+  readonly name: string | undefined;
+
+  /**
+   * Create a new scale from a tonic and intervals.
+   *
+   * @param tonic Tonic of the scale OR Scientific pitch notation of tonic
+   * @param intervals Ascending intervals from the tonic, starting with P1
+   * @param name Name of the scale, if known
+   */
+  constructor(
+    tonic: Note | string,
+    intervals: readonly (Interval | string)[],
+    name?: string,
+  ) {
+    super(NoteList.fromIntervals(tonic, intervals).notes);
+    this.tonic = ensureType(tonic, Note);
+    this.name = name;
+  }
+
+  /**
+   * Create a scale from a tonic note and scale name.
+   *
+   * @param tonic Root note of scale
+   * @param name Name of scale
+   */
+  static fromName(tonic: Note | string, name: string): Scale {
+    const noteList = NoteList.fromScale(tonic, name);
+    return new Scale(tonic, noteList.intervals!, name);
+  }
+
+  /**
+   * Create a scale from a tonic and name, e.g. 'D dorian'. The tonic is
+   * optional and defaults to 'C', like with `scale()`.
+   *
+   * @param notation Tonic followed by the name of a scale
+   */
+  static fromString(notation: string): Scale {
+    const match = notation.match(/^([A-G][b#]*-?[0-9]?)?\s*(.*)$/);
+    if (!match) throw new Error(`'${notation}' is not a valid scale`);
+    const [, tonic, name] = match;
+    return Scale.fromName(tonic || "C", name!.trim());
+  }
+
+  /**
+   * Find the note on a degree of the scale, counting from 1 for the tonic.
+   * Degrees above the last note continue in the next octave.
+   *
+   * @param n Scale degree
+   *
+   * @example
+   * Scale.fromString('C4 major').degree(5) // G4
+   * Scale.fromString('C4 major').degree(9) // D5
+   */
+  degree(n: number): Note {
+    if (!Number.isInteger(n) || n < 1) {
+      throw new Error(`'${n}' is not a valid scale degree`);
+    }
+    return this.transposeDiatonic(this.tonic, n - 1);
+  }
+
+  /**
+   * Create the mode starting on a degree of the scale. It's named after the
+   * first scale with the same intervals, if there is one.
+   *
+   * @param n Scale degree of the tonic of the mode
+   *
+   * @example
+   * Scale.fromString('C major').mode(2).name // 'dorian'
+   */
+  mode(n: number): Scale {
+    const tonic = this.degree(n);
+    const notes = this.notes.map((_, i) => this.degree(n + i));
+    const intervals = notes.map((note) => tonic.intervalTo(note));
+    const name = new NoteList(notes).exact().scale();
+
+    return new Scale(tonic, intervals, name);
+  }
+
+  /**
+   * Build a triad on each degree of the scale by stacking thirds, i.e.
+   * every other note of the scale.
+   *
+   * @example
+   * Scale.fromString('C major').triads()[1].toString() // 'D F A'
+   */
+  triads(): NoteList[] {
+    return this.stack(3);
+  }
+
+  /**
+   * Build a seventh chord on each degree of the scale by stacking thirds.
+   *
+   * @example
+   * Scale.fromString('C major').sevenths()[4].toString() // 'G B D F'
+   */
+  sevenths(): NoteList[] {
+    return this.stack(4);
+  }
+
+  /**
+   * Check if the scale contains a note, in any octave.
+   *
+   * @param note Note to look for OR Scientific pitch notation for note
+   * @param enharmonic Whether it should accept enharmonic notes
+   */
+  contains(note: Note | string, enharmonic: boolean = false): boolean {
+    const noteObj = ensureType(note, Note).toPitchClass();
+    return this.toPitchClasses().includes(noteObj, enharmonic);
+  }
+
+  /**
+   * Move a note up or down by scale steps rather than by a chromatic
+   * interval. The note must be in the scale, but may be spelled
+   * enharmonically. Pitches stay pitches, and pitch classes stay pitch
+   * classes.
+   *
+   * @param note Note in the scale OR Scientific pitch notation for note
+   * @param steps Number of scale steps, negative to move down
+   *
+   * @example
+   * Scale.fromString('D minor').transposeDiatonic('F4', 2)  // A4
+   * Scale.fromString('D minor').transposeDiatonic('F4', -3) // C4
+   */
+  transposeDiatonic(note: Note | string, steps: number): Note {
+    const noteObj = ensureType(note, Note);
+    const pitchClasses = this.toPitchClasses();
+    const noteClass = noteObj.toPitchClass();
+
+    let from = pitchClasses.notes.findIndex((n) => n.isEqual(noteClass));
+    if (from === -1) {
+      from = pitchClasses.notes.findIndex((n) => n.isEnharmonic(noteClass));
+    }
+    if (from === -1) {
+      throw new Error(`'${noteObj}' is not in the scale '${this}'`);
+    }
+
+    const length = this.notes.length;
+    const octaves = Math.floor((from + steps) / length);
+    const start = this.intervals![from]!;
+    const end = this.intervals![mod(from + steps, length)]!;
+
+    return noteObj.transpose(
+      Interval.fromSteps(
+        end.diatonicSteps + 7 * octaves - start.diatonicSteps,
+        end.chromaticSteps + 12 * octaves - start.chromaticSteps,
+      ),
+    );
+  }
+
+  /**
+   * Build a chord on each degree by stacking a number of thirds.
+   */
+  private stack(size: number): NoteList[] {
+    return this.notes.map(
+      (_, degree) =>
+        new NoteList(
+          [...Array(size).keys()].map((i) => this.degree(degree + 1 + 2 * i)),
+        ),
+    );
+  }
+}
@@ -1,39 +1,84 @@
-import { CHORDS } from "../data/chords.js";
 import {
   INTERVAL_BITMASK,
   INTERVAL_BITMASK_ENHARMONIC,
   type IntervalNotation,
 } from "../data/intervals.js";
-import { SCALES } from "../data/scales.js";
+import { Interval } from "./interval.js";
+import { PitchClassSet } from "./pcset.js";
+import { registry as defaultRegistry, type Registry } from "./registry.js";
+import { mod } from "./utils.js";
 
 type IndexEntry = {
   name: string;
+  intervals: readonly IntervalNotation[];
   bitmask: number;
 };
 
 type IndexType = "chords" | "scales";
 type EnharmonicType = "exact" | "enharmonic";
 type SearchFilter = "exact" | "sub" | "sup";
+type RootMode = "first" | "notes" | "all";
 
 /**
- * Lazy-loaded search index for scales and chords.
+ * Lazy-loaded search indexes for scales and chords, for each registry.
  *
  * The search function works by creating bitmasks for all scales and
  * chords, then comparing these with the bitmask of a note list.
  *
  * The index is built lazily to prevent overhead for users who
- * don't use the search function.
- */
-const index: Record<IndexType, Record<EnharmonicType, IndexEntry[]>> = {
-  chords: {
-    exact: [],
-    enharmonic: [],
-  },
-  scales: {
-    exact: [],
-    enharmonic: [],
-  },
+ * don't use the search function. It's rebuilt when the version of the
+ * registry changes, i.e. when scales or chords are registered or removed.
+ */
+type Index = {
+  version: number;
+  bitmasks: Record<IndexType, Record<EnharmonicType, IndexEntry[]>>;
+  pitchClasses: Partial<Record<IndexType, IndexEntry[]>>;
 };
+const indexes = new WeakMap<Registry, Index>();
+
+/**
+ * Find the index of a registry, emptied if the registry has changed.
+ */
+function getIndex(registry: Registry): Index {
+  let index = indexes.get(registry);
+  if (index === undefined || index.version !== registry.version) {
+    index = {
+      version: registry.version,
+      bitmasks: {
+        chords: { exact: [], enharmonic: [] },
+        scales: { exact: [], enharmonic: [] },
+      },
+      pitchClasses: {},
+    };
+    indexes.set(registry, index);
+  }
+  return index;
+}
+
+/**
+ * List the names and intervals of all scales or chords in a registry. Those
+ * with quarter tones are left out, as the bitmasks only hold semitones.
+ */
+function entries(
+  registry: Registry,
+  type: IndexType,
+): { name: string; intervals: readonly IntervalNotation[] }[] {
+  const all =
+    type === "chords"
+      ? registry.chords().map((name) => registry.chord(name)!)
+      : registry.scales().map((name) => registry.scale(name)!);
+  return all.filter(({ intervals }) => !intervals.some(isMicrotonal));
+}
+
+/**
+ * True if an interval spans quarter tones (e.g. 'N3').
+ */
+function isMicrotonal(notation: IntervalNotation): boolean {
+  return (
+    Interval.isValidInterval(notation) &&
+    Interval.fromString(notation).isMicrotonal()
+  );
+}
 
 /**
  * Four search functions are currently supported:
@@ -52,15 +97,20 @@ const searchFunctions: Record<SearchFilter, (a: number, b: number) => boolean> =
 /**
  * Lazily build index the first time it's requested
  */
-function loadIndex(type: IndexType, enharmonic: boolean): IndexEntry[] {
-  const db = type === "chords" ? CHORDS : SCALES;
+function loadIndex(
+  registry: Registry,
+  type: IndexType,
+  enharmonic: boolean,
+): IndexEntry[] {
+  const index = getIndex(registry).bitmasks;
   const enharmonicType: EnharmonicType = enharmonic ? "enharmonic" : "exact";
 
   if (index[type][enharmonicType].length === 0) {
-    for (const name in db) {
+    for (const { name, intervals } of entries(registry, type)) {
       index[type][enharmonicType].push({
         name: name,
-        bitmask: bitmask(db[name]!, enharmonic),
+        intervals,
+        bitmask: bitmask(intervals, enharmonic),
       });
     }
   }
@@ -83,19 +133,22 @@ function bitmask(
 
 /**
  *
+ * @param registry Registry of scales and chords
  * @param type 'chords' or 'scales'
  * @param intervals Array of intervals as strings
  * @param filter Filter function ('exact', 'sub', 'sup', 'all')
  * @param enharmonic If true, bitmask will be identical for enharmonic intervals
  */
 function searcher(
+  registry: Registry,
   type: IndexType,
   intervals: readonly IntervalNotation[],
   filter: SearchFilter,
   enharmonic: boolean,
 ): string[] {
+  if (intervals.some(isMicrotonal)) return [];
   const needle = bitmask(intervals, enharmonic);
-  const haystack = loadIndex(type, enharmonic);
+  const haystack = loadIndex(registry, type, enharmonic);
   const match = searchFunctions[filter];
 
   return (
@@ -105,66 +158,317 @@ function searcher(
   );
 }
 
+/**
+ * Calculate a 12 bit mask of the pitch classes in a list of intervals.
+ * Compound intervals fold into their simple term, so a ninth matches a
+ * second.
+ */
+function pitchClassMask(intervals: readonly IntervalNotation[]): number {
+  return intervals.reduce(
+    (mask, cur) => mask | (1 << mod(semitones(cur), 12)),
+    0,
+  );
+}
+
+/**
+ * Semitones of an interval, for intervals outside the bitmask tables too
+ * (e.g. descending intervals between pitches).
+ */
+function semitones(notation: IntervalNotation): number {
+  return Interval.fromString(notation).chromaticSteps;
+}
+
+/**
+ * Count the bits set in a pitch class mask.
+ */
+function popcount(mask: number): number {
+  let count = 0;
+  for (let m = mask; m; m &= m - 1) count++;
+  return count;
+}
+
+/**
+ * Rotate a pitch class mask, so that the pitch class `steps` semitones above
+ * the reference becomes the reference.
+ */
+function rotate(mask: number, steps: number): number {
+  return ((mask >>> steps) | (mask << (12 - steps))) & 0xfff;
+}
+
+/**
+ * Lazily build pitch class masks for all scales or chords, in registry order.
+ */
+function loadPitchClassIndex(
+  registry: Registry,
+  type: IndexType,
+): IndexEntry[] {
+  const index = getIndex(registry).pitchClasses;
+  index[type] ??= entries(registry, type).map(({ name, intervals }) => ({
+    name,
+    intervals,
+    bitmask: pitchClassMask(intervals),
+  }));
+  return index[type];
+}
+
+/**
+ * Find matches with their root, inversion and bass, ranked by fit.
+ *
+ * With the 'first' root mode, the reference (P1) is the root and matches are
+ * found by `searcher()`. With 'notes', every interval is tried as the root,
+ * and with 'all' every pitch class not among the intervals is tried as well.
+ * Searching from other roots always compares pitch classes, so compound and
+ * enharmonic intervals match their simple, enharmonic counterparts.
+ *
+ * The score is the share of pitch classes that the search and the match
+ * have in common. Ties rank roots present in the intervals first, then root
+ * position, then the order of the roots and the database.
+ *
+ * @param registry Registry of scales and chords
+ * @param type 'chords' or 'scales'
+ * @param intervals Array of intervals as strings
+ * @param filter Filter function ('exact', 'sub', 'sup')
+ * @param enharmonic If true, bitmask will be identical for enharmonic intervals
+ * @param roots Root mode ('first', 'notes', 'all')
+ * @param toRoot Converts intervals from the reference to a root or bass
+ */
+function matcher<Root>(
+  registry: Registry,
+  type: IndexType,
+  intervals: readonly IntervalNotation[],
+  filter: SearchFilter,
+  enharmonic: boolean,
+  roots: RootMode,
+  toRoot: (interval: IntervalNotation) => Root,
+): SearchMatch<Root>[] {
+  if (intervals.length === 0 || intervals.some(isMicrotonal)) return [];
+
+  const needle = pitchClassMask(intervals);
+  const bass = intervals.reduce((low, cur) =>
+    semitones(cur) < semitones(low) ? cur : low,
+  );
+
+  // Candidate roots as intervals from the reference, present ones first,
+  // one per pitch class
+  let candidates: readonly IntervalNotation[] = ["P1"];
+  if (roots !== "first") candidates = intervals;
+  if (roots === "all") {
+    candidates = candidates.concat(
+      [...Array(12).keys()].map(
+        (steps) => Interval.fromSemitones(steps).toString() as IntervalNotation,
+      ),
+    );
+  }
+  candidates = candidates.filter(
+    (root, i) =>
+      candidates.findIndex(
+        (other) => mod(semitones(other), 12) === mod(semitones(root), 12),
+      ) === i,
+  );
+
+  const names =
+    roots === "first"
+      ? new Set(searcher(registry, type, intervals, filter, enharmonic))
+      : undefined;
+  const haystack = loadPitchClassIndex(registry, type);
+  const match = searchFunctions[filter];
+
+  const matches = candidates.flatMap((root, order) => {
+    const steps = mod(semitones(root), 12);
+    const rotated = rotate(needle, steps);
+    const present = (needle & (1 << steps)) !== 0;
+    const bassSteps = mod(semitones(bass) - steps, 12);
+
+    return haystack
+      .filter((candidate) =>
+        names ? names.has(candidate.name) : match(rotated, candidate.bitmask),
+      )
+      .map((candidate) => {
+        const inversion = candidate.intervals.findIndex(
+          (i) => mod(semitones(i), 12) === bassSteps,
+        );
+        const common = popcount(rotated & candidate.bitmask);
+        const total = Math.max(popcount(rotated), popcount(candidate.bitmask));
+
+        return {
+          match: {
+            root: toRoot(root),
+            name: candidate.name,
+            inversion: inversion === -1 ? undefined : inversion,
+            bass: toRoot(bass),
+            score: common / total,
+            forte: PitchClassSet.fromMask(candidate.bitmask).forteNumber(),
+          },
+          present,
+          order,
+        };
+      });
+  });
+
+  return matches
+    .sort(
+      (a, b) =>
+        b.match.score - a.match.score ||
+        Number(b.present) - Number(a.present) ||
+        Number(a.match.inversion !== 0) - Number(b.match.inversion !== 0) ||
+        a.order - b.order,
+    )
+    .map(({ match }) => match);
+}
+
+/**
+ * A chord or scale matching a search, with its root.
+ *
+ *  `root` is the root of the match (an interval from the first note when
+ *         searching intervals, a note when searching a note list).
+ *  `name` is the name of the chord or scale.
+ *  `inversion` is the index of the bass in the chord or scale, 0 for root
+ *              position, or undefined if the bass is not part of it.
+ *  `bass` is the lowest note (or interval) searched for.
+ *  `score` is the share of pitch classes the search and match have in
+ *          common, from 0 to 1. It's 1 for exact matches.
+ *  `forte` is the Forte number of the set class of the match, e.g. '3-11'.
+ */
+export type SearchMatch<Root = IntervalNotation> = {
+  root: Root;
+  name: string;
+  inversion: number | undefined;
+  bass: Root;
+  score: number;
+  forte: string;
+};
+
 /**
  * Result object with filter methods for searching scales and chords.
  * Use exact(), supersets(), or subsets() to specify the search type.
+ * Use anyRoot() to search with every note as the root, not only the first.
  */
-export type SearchResult = {
-  exact: () => PatternResult;
-  supersets: () => PatternResult;
-  subsets: () => PatternResult;
+export type SearchResult<Root = IntervalNotation> = {
+  exact: () => PatternResult<Root>;
+  supersets: () => PatternResult<Root>;
+  subsets: () => PatternResult<Root>;
+  anyRoot: (includeAbsent?: boolean) => SearchResult<Root>;
 };
 
 /**
  * Result object with methods to retrieve matching chords or scales.
  * Use singular methods to get first match, plural to get all matches.
+ * The match methods return the root, inversion, and bass of each match,
+ * ranked by how well they fit.
  */
-export type PatternResult = {
+export type PatternResult<Root = IntervalNotation> = {
   chord: () => string | undefined;
   scale: () => string | undefined;
   chords: () => string[];
   scales: () => string[];
+  chordMatch: () => SearchMatch<Root> | undefined;
+  scaleMatch: () => SearchMatch<Root> | undefined;
+  chordMatches: () => SearchMatch<Root>[];
+  scaleMatches: () => SearchMatch<Root>[];
+};
+
+/**
+ * Options for searching.
+ *
+ *  `registry` is the registry of scales and chords to search. Defaults to
+ *             the default registry.
+ */
+export type SearchOptions = {
+  registry?: Registry;
 };
 
 /**
  * Search for chords or scales containing a specified set of intervals.
  * Uses a chaining API for type-safe, discoverable searches.
  *
+ * By default the first interval is the root. After anyRoot(), every
+ * interval is tried as the root (and every other pitch class too, if
+ * `includeAbsent` is true), and chords and scales are ranked by fit.
+ *
+ * Search only covers the 12 semitones: scales and chords with quarter tones
+ * are not searched, and searching for quarter tones finds nothing.
+ *
  * @param intervals Array of intervals as strings or space-separated string
  * @param enharmonic If true, bitmask will be identical for enharmonic intervals
+ * @param options Registry to search (see `SearchOptions`)
  *
  * @example
  * search('P1 M3 P5').exact().chord()      // 'major'
  * search('P1 M3 P5').exact().chords()     // ['major']
  * search('P1 M3').supersets().scales()    // All scales containing P1 and M3
+ * search('P1 m3 m6').anyRoot().exact().chordMatch()
+ * // { root: 'm6', name: 'major', inversion: 1, bass: 'P1', score: 1 }
  */
 export function search(
   intervals: readonly IntervalNotation[] | string,
   enharmonic = true,
+  options: SearchOptions = {},
 ): SearchResult {
+  return searchIntervals(
+    intervals,
+    enharmonic,
+    (i) => i,
+    options.registry ?? defaultRegistry,
+  );
+}
+
+/**
+ * Search like `search()`, converting the root and bass of matches from an
+ * interval, e.g. to a note (used by `NoteList.search()`).
+ *
+ * @param intervals Array of intervals as strings or space-separated string
+ * @param enharmonic If true, bitmask will be identical for enharmonic intervals
+ * @param toRoot Converts an interval from the first note to a root or bass
+ * @param registry Registry of scales and chords to search
+ */
+export function searchIntervals<Root>(
+  intervals: readonly IntervalNotation[] | string,
+  enharmonic: boolean,
+  toRoot: (interval: IntervalNotation) => Root,
+  registry: Registry,
+): SearchResult<Root> {
   const intervalArray =
     typeof intervals === "string"
       ? (intervals.split(" ") as IntervalNotation[])
       : intervals;
 
-  return {
-    exact: () => ({
-      chord: () => searcher("chords", intervalArray, "exact", enharmonic)[0],
-      scale: () => searcher("scales", intervalArray, "exact", enharmonic)[0],
-      chords: () => searcher("chords", intervalArray, "exact", enharmonic),
-      scales: () => searcher("scales", intervalArray, "exact", enharmonic),
-    }),
-    supersets: () => ({
-      chord: () => searcher("chords", intervalArray, "sup", enharmonic)[0],
-      scale: () => searcher("scales", intervalArray, "sup", enharmonic)[0],
-      chords: () => searcher("chords", intervalArray, "sup", enharmonic),
-      scales: () => searcher("scales", intervalArray, "sup", enharmonic),
-    }),
-    subsets: () => ({
-      chord: () => searcher("chords", intervalArray, "sub", enharmonic)[0],
-      scale: () => searcher("scales", intervalArray, "sub", enharmonic)[0],
-      chords: () => searcher("chords", intervalArray, "sub", enharmonic),
-      scales: () => searcher("scales", intervalArray, "sub", enharmonic),
-    }),
+  const result = (roots: RootMode): SearchResult<Root> => {
+    const pattern = (filter: SearchFilter): PatternResult<Root> => {
+      const matches = (type: IndexType) =>
+        matcher(
+          registry,
+          type,
+          intervalArray,
+          filter,
+          enharmonic,
+          roots,
+          toRoot,
+        );
+      const names = (type: IndexType) =>
+        roots === "first"
+          ? searcher(registry, type, intervalArray, filter, enharmonic)
+          : [...new Set(matches(type).map((m) => m.name))];
+
+      return {
+        chord: () => names("chords")[0],
+        scale: () => names("scales")[0],
+        chords: () => names("chords"),
+        scales: () => names("scales"),
+        chordMatch: () => matches("chords")[0],
+        scaleMatch: () => matches("scales")[0],
+        chordMatches: () => matches("chords"),
+        scaleMatches: () => matches("scales"),
+      };
+    };
+
+    return {
+      exact: () => pattern("exact"),
+      supersets: () => pattern("sup"),
+      subsets: () => pattern("sub"),
+      anyRoot: (includeAbsent = false) =>
+        result(includeAbsent ? "all" : "notes"),
+    };
   };
+
+  return result("first");
 }
@@ -0,0 +1,398 @@
+import { Interval } from "./interval.js";
+import { Note } from "./note.js";
+import { ensureType, mod } from "./utils.js";
+
+const MIDDLE_C = new Note("C", "", 4);
+
+// Size of the perfect fifth in cents, for temperaments built from fifths
+const PYTHAGOREAN_FIFTH = 1200 * Math.log2(3 / 2);
+const MEANTONE_FIFTH = 1200 * Math.log2(5 ** (1 / 4));
+
+// Cents above C of each pitch class in well temperaments
+const WERCKMEISTER = [
+  0, 90.225, 192.18, 294.135, 390.225, 498.045, 588.27, 696.09, 792.18, 888.27,
+  996.09, 1092.18,
+];
+const VALLOTTI = [
+  0, 94.135, 196.09, 298.045, 392.18, 501.955, 592.18, 698.045, 796.09, 894.135,
+  998.045, 1090.225,
+];
+
+// Ratios above the tonic in 5-limit just intonation
+const JUST = [
+  1,
+  16 / 15,
+  9 / 8,
+  6 / 5,
+  5 / 4,
+  4 / 3,
+  45 / 32,
+  3 / 2,
+  8 / 5,
+  5 / 3,
+  9 / 5,
+  15 / 8,
+];
+
+/**
+ * A tuning maps pitches to frequencies. By default, kamasi uses 12-tone equal
+ * temperament with A4 = 440 Hz, but `Note.frequency()`, `Note.fromFrequency()`,
+ * `Interval.frequencyRatio()` and `Interval.cents()` all accept a tuning.
+ *
+ * A tuning is defined by the pitch of each note in cents, relative to any
+ * fixed point, and a reference frequency for one note.
+ *
+ * Temperaments built from fifths (equal, Pythagorean, meantone) use the
+ * spelling of notes, so C# and Db are different pitches in Pythagorean
+ * tuning. Tunings built from a table of pitch classes (just intonation, well
+ * temperaments, and Scala files) depend on the key. Intervals in these are
+ * measured from the tonic of the tuning.
+ *
+ * @see {@link https://en.wikipedia.org/wiki/Musical_tuning}
+ */
+export class Tuning {
+  readonly name: string;
+  readonly tonic: Note;
+  readonly reference: Note;
+  readonly referenceFrequency: number;
+  private readonly pitch: (note: Note) => number;
+
+  /**
+   * Create a new tuning.
+   *
+   * @param name Name of the tuning
+   * @param pitch Function giving the pitch of a note in cents, or NaN if the
+   *              tuning doesn't include the note
+   * @param reference Note with a known frequency
+   * @param referenceFrequency Frequency of the reference note in Hz
+   * @param tonic Pitch intervals are measured from
+   */
+  constructor(
+    name: string,
+    pitch: (note: Note) => number,
+    reference: Note | string = "A4",
+    referenceFrequency: number = 440,
+    tonic: Note | string = MIDDLE_C,
+  ) {
+    if (!Number.isFinite(referenceFrequency) || referenceFrequency <= 0) {
+      throw new Error(
+        `Frequency must be a positive number, got ${referenceFrequency}`,
+      );
+    }
+    this.name = name;
+    this.pitch = pitch;
+    this.reference = ensureType(reference, Note);
+    this.referenceFrequency = referenceFrequency;
+    this.tonic = ensureType(tonic, Note);
+  }
+
+  /**
+   * 12-tone equal temperament, the default tuning.
+   *
+   * @param frequency Frequency of A4 in Hz
+   */
+  static equal(frequency: number = 440): Tuning {
+    return Tuning.fromFifth("equal", 700, frequency);
+  }
+
+  /**
+   * Pythagorean tuning, built from pure 3:2 fifths.
+   *
+   * @param frequency Frequency of A4 in Hz
+   *
+   * @see {@link https://en.wikipedia.org/wiki/Pythagorean_tuning}
+   */
+  static pythagorean(frequency: number = 440): Tuning {
+    return Tuning.fromFifth("pythagorean", PYTHAGOREAN_FIFTH, frequency);
+  }
+
+  /**
+   * Quarter-comma meantone, built from fifths tempered to make pure 5:4
+   * major thirds.
+   *
+   * @param frequency Frequency of A4 in Hz
+   *
+   * @see {@link https://en.wikipedia.org/wiki/Quarter-comma_meantone}
+   */
+  static meantone(frequency: number = 440): Tuning {
+    return Tuning.fromFifth("meantone", MEANTONE_FIFTH, frequency);
+  }
+
+  /**
+   * 5-limit just intonation in the key of `tonic`.
+   *
+   * @param tonic Tonic of the key (pitch class)
+   * @param frequency Frequency of A4 in Hz
+   *
+   * @see {@link https://en.wikipedia.org/wiki/Five-limit_tuning}
+   */
+  static just(tonic: Note | string = "C", frequency: number = 440): Tuning {
+    const cents = JUST.map((ratio) => 1200 * Math.log2(ratio));
+    return Tuning.fromTable("just", cents, tonic, frequency);
+  }
+
+  /**
+   * Werckmeister III well temperament.
+   *
+   * @param frequency Frequency of A4 in Hz
+   *
+   * @see {@link https://en.wikipedia.org/wiki/Werckmeister_temperament}
+   */
+  static werckmeister(frequency: number = 440): Tuning {
+    return Tuning.fromTable("werckmeister", WERCKMEISTER, "C", frequency);
+  }
+
+  /**
+   * Vallotti well temperament.
+   *
+   * @param frequency Frequency of A4 in Hz
+   *
+   * @see {@link https://en.wikipedia.org/wiki/Vallotti_temperament}
+   */
+  static vallotti(frequency: number = 440): Tuning {
+    return Tuning.fromTable("vallotti", VALLOTTI, "C", frequency);
+  }
+
+  /**
+   * Create a tuning from a Scala scale file (.scl), and optionally a keyboard
+   * mapping file (.kbm). Notes are mapped to keys like MIDI numbers, so C4 is
+   * key 60. Without a mapping, key 60 is the first degree of the scale, each
+   * key is the next degree, and A4 (key 69) is 440 Hz.
+   *
+   * @param scl Contents of a Scala scale file
+   * @param kbm Contents of a Scala keyboard mapping file
+   *
+   * @see {@link https://www.huygens-fokker.org/scala/scl_format.html}
+   * @see {@link https://www.huygens-fokker.org/scala/help.htm#mappings}
+   */
+  static fromScala(scl: string, kbm?: string): Tuning {
+    const { name, pitches } = parseScl(scl);
+    const mapping =
+      kbm === undefined
+        ? {
+            first: -Infinity,
+            last: Infinity,
+            middle: 60,
+            reference: 69,
+            frequency: 440,
+            octaveDegree: pitches.length,
+            map: [],
+          }
+        : parseKbm(kbm);
+
+    const period = pitches.at(-1)!;
+    const degreeCents = (degree: number) => {
+      const step = mod(degree, pitches.length);
+      const octaves = Math.floor(degree / pitches.length);
+      return octaves * period + (step === 0 ? 0 : pitches[step - 1]!);
+    };
+
+    const pitch = (note: Note) => {
+      const key = 60 + MIDDLE_C.distance(note);
+      if (key < mapping.first || key > mapping.last) return NaN;
+      if (mapping.map.length === 0) return degreeCents(key - mapping.middle);
+
+      const offset = key - mapping.middle;
+      const degree = mapping.map[mod(offset, mapping.map.length)];
+      if (degree === undefined) return NaN;
+      const octaves = Math.floor(offset / mapping.map.length);
+      return degreeCents(octaves * mapping.octaveDegree + degree);
+    };
+
+    return new Tuning(
+      name,
+      pitch,
+      MIDDLE_C.transpose(mapping.reference - 60).simplify(),
+      mapping.frequency,
+      MIDDLE_C.transpose(mapping.middle - 60).simplify(),
+    );
+  }
+
+  /**
+   * Create a copy of the tuning with a different reference frequency, e.g.
+   * A4 = 415 Hz for baroque pitch.
+   *
+   * @param frequency Frequency of the reference note in Hz
+   * @param note Reference note
+   */
+  withReference(frequency: number, note: Note | string = "A4"): Tuning {
+    return new Tuning(this.name, this.pitch, note, frequency, this.tonic);
+  }
+
+  /**
+   * Find the frequency of a pitch in Hz.
+   *
+   * @param note Pitch OR Scientific pitch notation for pitch
+   */
+  frequency(note: Note | string): number {
+    const noteObj = ensureType(note, Note);
+    const cents = this.pitch(noteObj) - this.pitch(this.reference);
+    if (Number.isNaN(cents)) {
+      throw new Error(`The note '${noteObj}' is not mapped in this tuning`);
+    }
+    return this.referenceFrequency * 2 ** (cents / 1200);
+  }
+
+  /**
+   * Find the note closest to a frequency. Notes without accidentals are
+   * preferred over sharps, and sharps over flats, if they have the same
+   * frequency.
+   *
+   * @param frequency Frequency in Hz (must be positive)
+   */
+  fromFrequency(frequency: number): Note {
+    if (!Number.isFinite(frequency) || frequency <= 0) {
+      throw new Error(`Frequency must be a positive number, got ${frequency}`);
+    }
+    const target =
+      this.pitch(this.reference) +
+      1200 * Math.log2(frequency / this.referenceFrequency);
+
+    // Search all natural, sharp and flat notes around the equal tempered
+    // estimate, which is within an octave for any sensible tuning
+    const estimate = MIDDLE_C.transpose(
+      Math.round((target - this.pitch(MIDDLE_C)) / 100),
+    );
+    let best: Note | undefined;
+    let bestDistance = Infinity;
+    for (const accidentals of ["", "#", "b"]) {
+      for (const octave of [-1, 0, 1].map((o) => estimate.octave + o)) {
+        for (const letter of "CDEFGAB") {
+          const note = new Note(letter, accidentals, octave);
+          const distance = Math.abs(this.pitch(note) - target);
+          if (distance < bestDistance - 1e-9) {
+            best = note;
+            bestDistance = distance;
+          }
+        }
+      }
+    }
+    if (best === undefined) {
+      throw new Error(`No note is mapped to ${frequency} Hz in this tuning`);
+    }
+    return best;
+  }
+
+  /**
+   * Find the size of an interval in cents, measured from the tonic.
+   *
+   * @param interval Interval object OR Shorthand interval notation (e.g. P5)
+   */
+  cents(interval: Interval | string): number {
+    const target = this.tonic.transpose(ensureType(interval, Interval));
+    return this.pitch(target) - this.pitch(this.tonic);
+  }
+
+  /**
+   * Find the frequency ratio of an interval, measured from the tonic.
+   *
+   * @param interval Interval object OR Shorthand interval notation (e.g. P5)
+   */
+  frequencyRatio(interval: Interval | string): number {
+    return 2 ** (this.cents(interval) / 1200);
+  }
+
+  /**
+   * Create a regular temperament where every interval is a number of
+   * fifths and octaves, decided by its spelling.
+   */
+  private static fromFifth(
+    name: string,
+    fifth: number,
+    frequency: number,
+  ): Tuning {
+    const pitch = (note: Note) => {
+      const { diatonicSteps: d, chromaticSteps: c } = MIDDLE_C.intervalTo(note);
+      // Solve d = 4f + 7o and c = 7f + 12o for fifths (f) and octaves (o)
+      const fifths = 7 * c - 12 * d;
+      const octaves = 7 * d - 4 * c;
+      return fifths * fifth + octaves * 1200;
+    };
+    return new Tuning(name, pitch, "A4", frequency);
+  }
+
+  /**
+   * Create a tuning from the cents of each pitch class above a tonic.
+   * Enharmonic notes have the same pitch.
+   */
+  private static fromTable(
+    name: string,
+    cents: readonly number[],
+    tonic: Note | string,
+    frequency: number,
+  ): Tuning {
+    const tonicPitch = ensureType(tonic, Note).toPitchClass().toPitch(4);
+    const pitch = (note: Note) => {
+      const semitones = tonicPitch.distance(note);
+      return 1200 * Math.floor(semitones / 12) + cents[mod(semitones, 12)]!;
+    };
+    return new Tuning(name, pitch, "A4", frequency, tonicPitch);
+  }
+}
+
+/**
+ * Parse the name and pitches (in cents) of a Scala scale file.
+ */
+function parseScl(scl: string): { name: string; pitches: number[] } {
+  const lines = scl
+    .split(/\r?\n/)
+    .filter((line) => !line.startsWith("!"))
+    .map((line) => line.trim());
+  const [name, count, ...rest] = lines;
+  const size = parseInt(count ?? "", 10);
+  if (name === undefined || !(size > 0)) {
+    throw new Error("'scl' is not a valid Scala scale file");
+  }
+
+  const pitches = rest.slice(0, size).map((line) => {
+    const value = line.split(/\s+/)[0]!;
+    if (/^-?\d*\.\d*$/.test(value)) return parseFloat(value);
+
+    const ratio = value.match(/^(\d+)(?:\/(\d+))?$/);
+    if (!ratio) throw new Error(`'${line}' is not a valid Scala pitch`);
+    return 1200 * Math.log2(Number(ratio[1]) / Number(ratio[2] ?? 1));
+  });
+  if (pitches.length !== size) {
+    throw new Error(`The Scala scale '${name}' should have ${size} pitches`);
+  }
+  return { name, pitches };
+}
+
+/**
+ * Parse a Scala keyboard mapping file. Unmapped keys ('x') are undefined.
+ */
+function parseKbm(kbm: string): {
+  first: number;
+  last: number;
+  middle: number;
+  reference: number;
+  frequency: number;
+  octaveDegree: number;
+  map: (number | undefined)[];
+} {
+  const values = kbm
+    .split(/\r?\n/)
+    .filter((line) => !line.startsWith("!"))
+    .map((line) => line.trim().split(/\s+/)[0]!)
+    .filter((value) => value !== "");
+
+  const numbers = values.slice(0, 7).map(Number);
+  if (numbers.length < 7 || numbers.some((n) => Number.isNaN(n))) {
+    throw new Error("'kbm' is not a valid Scala keyboard mapping file");
+  }
+  const [size, first, last, middle, reference, frequency, octaveDegree] =
+    numbers as [number, number, number, number, number, number, number];
+
+  const map = values.slice(7, 7 + size).map((value) => {
+    if (value === "x") return undefined;
+    const degree = parseInt(value, 10);
+    if (Number.isNaN(degree)) {
+      throw new Error(`'${value}' is not a valid Scala key mapping`);
+    }
+    return degree;
+  });
+  // Missing entries at the end of the mapping are unmapped
+  while (map.length < size) map.push(undefined);
+
+  return { first, last, middle, reference, frequency, octaveDegree, map };
+}
@@ -1,3 +1,10 @@
+import type { Melody, MelodyEvent } from "./melody.js";
+import type { Note } from "./note.js";
+import type { NoteList } from "./notelist.js";
+
+// Times closer than this are equal, to allow rounding errors in e.g. triplets
+const EPSILON = 1e-9;
+
 /**
  * Several `kamasi` functions accept either an object or a short hand notation
  * string form, e.g. `new Note('C', '#', 4)` or `'C#4'`.
@@ -30,3 +37,66 @@ export function mod(
 ): number {
   return dividend - divisor * Math.floor((dividend - offset) / divisor);
 }
+
+/**
+ * Hash a string to an unsigned 32 bit integer with FNV-1a. The hash is the
+ * same across runs and platforms, so it can be stored.
+ *
+ * @see {@link https://en.wikipedia.org/wiki/Fowler%E2%80%93Noll%E2%80%93Vo_hash_function}
+ */
+export function hashString(str: string): number {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * The distinct pitch classes of a chord, in order.
+ */
+export function uniqueTones(chord: NoteList): Note[] {
+  return chord
+    .toPitchClasses()
+    .notes.filter(
+      (n, i, all) => all.findIndex((other) => other.isEnharmonic(n)) === i,
+    );
+}
+
+/**
+ * Find the pitch of a pitch class nearest to another pitch. A tritone away
+ * in both directions, the lower pitch is chosen.
+ */
+export function pitchNearest(tone: Note, target: Note): Note {
+  const candidate = tone.toPitch(target.octave);
+  const distance = target.distance(candidate);
+  return tone.toPitch(target.octave - Math.floor((distance + 6) / 12));
+}
+
+/**
+ * List the events of a melody in sequence, with events crossing a bar line
+ * split in two. Every part but the last is marked as tied to the next.
+ */
+export function splitAtBars(
+  melody: Melody,
+): (MelodyEvent & { tied: boolean })[] {
+  const barLength = melody.barLength();
+  const events = [];
+  for (const event of melody.sequence()) {
+    let { onset } = event;
+    const end = event.onset + event.duration;
+    while (end - onset > EPSILON) {
+      const barEnd = (Math.floor(onset / barLength + EPSILON) + 1) * barLength;
+      const split = Math.min(end, barEnd);
+      events.push({
+        notes: event.notes,
+        onset,
+        duration: split - onset,
+        tied: end - split > EPSILON,
+      });
+      onset = split;
+    }
+  }
+  return events;
+}
@@ -0,0 +1,232 @@
+import { Note } from "./note.js";
+import { NoteList } from "./notelist.js";
+import { ensureType, mod, pitchNearest, uniqueTones } from "./utils.js";
+
+/**
+ * How chord tones are distributed over the range of a voicing:
+ *  'close': As close together as possible, within an octave
+ *  'open': Like close, but every other note above the bass is raised an
+ *          octave, e.g. root, fifth, and tenth
+ *  'spread': Evenly spaced between the bass and the top of the range
+ */
+export type VoicingStyle = "close" | "open" | "spread";
+
+/**
+ * Lowest and highest note of a voicing. The lowest note defaults to the
+ * bass of a pitched chord, or C4 for pitch classes. The highest note is
+ * only required for the 'spread' style, where it defaults to two octaves
+ * above the lowest.
+ */
+export type VoicingRange = {
+  low?: Note | string;
+  high?: Note | string;
+};
+
+/**
+ * Options for voice leading.
+ *
+ *  `avoidParallels` rejects voicings with parallel fifths or octaves
+ *                   between any two voices, unless there are no others.
+ */
+export type VoiceLeadingOptions = {
+  avoidParallels?: boolean;
+};
+
+/**
+ * Voice a chord within a range. The bass (the lowest note, or the first for
+ * pitch classes) stays at the bottom, and the other notes are stacked above
+ * it in order. Throws an error if the voicing doesn't fit the range.
+ *
+ * @param chord Note list OR Space separated notes
+ * @param style How to distribute the notes (see `VoicingStyle`)
+ * @param range Lowest and highest note (see `VoicingRange`)
+ *
+ * @example
+ * voicing('C E G', 'close')                     // 'C4 E4 G4'
+ * voicing('C E G', 'open', { low: 'C3' })       // 'C3 G3 E4'
+ * voicing('C E G B', 'spread', { low: 'C3', high: 'C6' }) // 'C3 E4 G4 B5'
+ */
+export function voicing(
+  chord: NoteList | string,
+  style: VoicingStyle = "close",
+  range: VoicingRange = {},
+): NoteList {
+  const noteList = ensureType(chord, NoteList);
+  const tones = (
+    noteList.isPitches() ? noteList.sort() : noteList
+  ).toPitchClasses().notes;
+  if (tones.length === 0) return noteList;
+
+  const low = ensureType(
+    range.low ?? (noteList.isPitches() ? noteList.sort().notes[0]! : "C4"),
+    Note,
+  );
+  const high =
+    range.high === undefined
+      ? style === "spread"
+        ? low.transpose("P15")
+        : undefined
+      : ensureType(range.high, Note);
+
+  const notes = [pitchAbove(tones[0]!, low, false)];
+  tones.slice(1).forEach((tone, i) => {
+    const previous = notes.at(-1)!;
+    if (style === "spread") {
+      // Aim for an even spread between the bass and the top of the range,
+      // but always above the previous note
+      const span = notes[0]!.distance(high!);
+      const target = notes[0]!.transpose(
+        Math.round((span * (i + 1)) / (tones.length - 1)),
+      );
+      const nearest = pitchNearest(tone, target);
+      notes.push(
+        Note.compare(nearest, previous) > 0
+          ? nearest
+          : pitchAbove(tone, previous, true),
+      );
+    } else {
+      notes.push(pitchAbove(tone, previous, true));
+    }
+  });
+
+  const voiced =
+    style === "open"
+      ? new NoteList(
+          notes.map((n, i) => (i % 2 === 1 ? n.transpose("P8") : n)),
+        ).sort()
+      : new NoteList(notes);
+
+  const top = voiced.notes.at(-1)!;
+  if (high !== undefined && Note.compare(top, high) > 0) {
+    throw new Error(
+      `The chord '${noteList}' does not fit between ${low} and ${high}`,
+    );
+  }
+  return voiced;
+}
+
+/**
+ * Find pitches for a progression of chords that minimize the total motion
+ * in semitones between them. The first chord is kept as it is if it has
+ * pitches, or voiced closely from C4 otherwise. Its number of notes is the
+ * number of voices for the whole progression.
+ *
+ * Every voice moves to the nearest pitch of one of the tones of the next
+ * chord, all tones are used, and voices never cross. Voicings with parallel
+ * fifths or octaves can optionally be avoided.
+ *
+ * @param progression Chords as note lists OR Space separated notes
+ * @param options Voice leading options (see `VoiceLeadingOptions`)
+ *
+ * @example
+ * voiceLead(['C4 E4 G4', 'F A C', 'G B D']) // ['C4 E4 G4', 'C4 F4 A4', 'B3 D4 G4']
+ */
+export function voiceLead(
+  progression: readonly (NoteList | string)[],
+  options: VoiceLeadingOptions = {},
+): NoteList[] {
+  const chords = progression.map((c) => ensureType(c, NoteList));
+  if (chords.length === 0) return [];
+
+  const first = chords[0]!.isPitches()
+    ? chords[0]!.sort()
+    : voicing(chords[0]!, "close");
+  const voiced = [first];
+
+  for (const chord of chords.slice(1)) {
+    const previous = voiced.at(-1)!.notes;
+    const tones = uniqueTones(chord);
+    if (tones.length > previous.length) {
+      throw new Error(
+        `The chord '${chord}' has more notes than the ${previous.length} voices`,
+      );
+    }
+
+    // Voicings with parallels are only chosen if there are no others
+    let best: Note[] | undefined;
+    let bestCost = [Infinity, Infinity];
+    for (const assignment of assignments(previous.length, tones.length)) {
+      const candidate = previous.map((voice, i) =>
+        pitchNearest(tones[assignment[i]!]!, voice),
+      );
+      const crossing = candidate.some(
+        (n, i) => i > 0 && Note.compare(candidate[i - 1]!, n) > 0,
+      );
+      if (crossing) continue;
+
+      const cost = [
+        options.avoidParallels && hasParallels(previous, candidate) ? 1 : 0,
+        candidate.reduce(
+          (sum, n, i) => sum + Math.abs(previous[i]!.distance(n)),
+          0,
+        ),
+      ];
+      if (
+        cost[0]! < bestCost[0]! ||
+        (cost[0] === bestCost[0] && cost[1]! < bestCost[1]!)
+      ) {
+        best = candidate;
+        bestCost = cost;
+      }
+    }
+
+    if (best === undefined) {
+      throw new Error(`The chord '${chord}' can't be voiced without crossing`);
+    }
+    voiced.push(new NoteList(best));
+  }
+  return voiced;
+}
+
+/**
+ * Generate all ways to assign `voices` voices to `tones` tones, using every
+ * tone at least once. Each assignment is a tone index per voice. Partial
+ * assignments that can't use every tone in the remaining voices are pruned.
+ */
+function* assignments(
+  voices: number,
+  tones: number,
+  assigned: number[] = [],
+): Generator<number[]> {
+  if (assigned.length === voices) {
+    yield assigned;
+    return;
+  }
+  const unused = tones - new Set(assigned).size;
+  for (let t = 0; t < tones; t++) {
+    const next = assigned.concat(t);
+    const remaining = unused - (assigned.includes(t) ? 0 : 1);
+    if (remaining <= voices - next.length) {
+      yield* assignments(voices, tones, next);
+    }
+  }
+}
+
+/**
+ * Check if any two voices move in parallel fifths or octaves (including
+ * unisons).
+ */
+function hasParallels(from: readonly Note[], to: readonly Note[]): boolean {
+  return from.some((_, low) =>
+    from.slice(low + 1).some((_, i) => {
+      const high = low + 1 + i;
+      const before = mod(from[low]!.distance(from[high]!), 12);
+      const after = mod(to[low]!.distance(to[high]!), 12);
+      const moved = from[low]!.distance(to[low]!) !== 0;
+      return moved && before === after && (before === 0 || before === 7);
+    }),
+  );
+}
+
+/**
+ * Find the lowest pitch of a pitch class above (or at, unless `strict`)
+ * another pitch.
+ */
+function pitchAbove(tone: Note, floor: Note, strict: boolean): Note {
+  const candidate = tone.toPitch(floor.octave);
+  const distance = floor.distance(candidate);
+  const octaves = strict
+    ? Math.floor(-distance / 12) + 1
+    : Math.ceil(-distance / 12);
+  return tone.toPitch(floor.octave + octaves);
+}
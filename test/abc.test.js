@@ -0,0 +1,110 @@
+import { Key, Melody, notes, parseAbc, toAbc } from "../src/index.js";
+
+const TUNE = `X:3
+T:Test tune
+M:3/4
+L:1/8
+Q:1/4=90
+K:Gm
+GA Bc d2 | ^f2 =f2 f2 | [GBd]4 z2 | c'/d'/e3/2^^F/G,,2z |
+E,6 | z6 |
+`;
+
+test("parse a tune", () => {
+  const tune = parseAbc(TUNE);
+  expect(tune.reference).toBe(3);
+  expect(tune.title).toBe("Test tune");
+  expect(tune.key.toString()).toBe("G minor");
+  expect(tune.unitLength).toBe(0.5);
+  expect(tune.melody.timeSignature).toEqual({ numerator: 3, denominator: 4 });
+  expect(tune.melody.tempo).toBe(90);
+  expect(tune.melody.toString()).toBe(
+    "G4:0.5 A4:0.5 Bb4:0.5 C5:0.5 D5 F#5 F5 F5 [G4 Bb4 D5]:2 r " +
+      "C6:0.25 D6:0.25 Eb5:0.75 F##4:0.25 G2 r:0.5 Eb3:3 r:3",
+  );
+});
+
+test("round trip", () => {
+  expect(toAbc(parseAbc(TUNE))).toBe(TUNE);
+
+  const modal = "X:1\nM:6/8\nL:1/8\nK:Ddor\nDEF GAB | c3 z3 |\n";
+  expect(parseAbc(modal).key.toString()).toBe("D dorian");
+  expect(toAbc(parseAbc(modal))).toBe(modal);
+});
+
+test("header defaults and variants", () => {
+  const tune = parseAbc("% comment\nX:1\nM:C|\nK:F# minor\nA B/ c'//");
+  expect(tune.title).toBe(undefined);
+  expect(tune.key.toString()).toBe("F# minor");
+  expect(tune.unitLength).toBe(0.5);
+  expect(tune.melody.timeSignature).toEqual({ numerator: 2, denominator: 2 });
+  expect(tune.melody.toString()).toBe("A4:0.5 B4:0.25 C#6:0.125");
+
+  expect(parseAbc("M:2/4\nK:C\nC").unitLength).toBe(0.25);
+  expect(parseAbc("Q:3/8=60\nK:C\nC").melody.tempo).toBe(90);
+  expect(parseAbc("L:1/4\nK:Cmix\n[CE]2 [C2E2]").melody.toString()).toBe(
+    "[C4 E4]:2 [C4 E4]:2",
+  );
+});
+
+test("fields in the body", () => {
+  expect(parseAbc("K:C\nC D|\nK:G\nF").melody.toString()).toBe(
+    "C4:0.5 D4:0.5 F#4:0.5",
+  );
+  expect(parseAbc("L:1/8\nK:C\nC\nL:1/4\nC\nM:4/4\nD").melody.toString()).toBe(
+    "C4:0.5 C4 D4",
+  );
+});
+
+test("ties", () => {
+  expect(parseAbc("K:C\nC2- C2 ^F4-|F2 [CE]-[CE] D-E").melody.toString()).toBe(
+    "C4:2 F#4:3 [C4 E4] D4:0.5 E4:0.5",
+  );
+
+  const melody = Melody.fromString("C4:3 D4:2 E4:3 F#4:3 r Bb4:6");
+  const abc = toAbc(melody);
+  expect(abc).toBe(
+    "X:1\nM:4/4\nL:1/8\nK:C\nC6 D2- | D2 E6 | ^F6 z2 | _B8- |\n_B4 |\n",
+  );
+  expect(parseAbc(abc).melody.toString()).toBe(melody.toString());
+});
+
+test("write melodies and note lists", () => {
+  expect(toAbc(notes("C4 E4 G4 C5"))).toBe(
+    "X:1\nM:4/4\nL:1/8\nK:C\nC2 E2 G2 c2 |\n",
+  );
+  expect(toAbc(Melody.fromString("C4:1/3 D4:1/3 E4:1/3 r:2 F#4 Gb4:4"))).toBe(
+    "X:1\nM:4/4\nL:1/8\nK:C\nC2/3D2/3E2/3 z4 ^F2 | _G8 |\n",
+  );
+  expect(
+    toAbc({
+      reference: 2,
+      key: Key.fromString("A major"),
+      unitLength: 1,
+      melody: Melody.fromString("C#4 C4 C#4 C#5 B3:4"),
+    }),
+  ).toBe("X:2\nM:4/4\nL:1/4\nK:A\nC =C ^C c | B,4 |\n");
+});
+
+test("invalid tunes", () => {
+  expect(() => parseAbc("K:C\nC D & E")).toThrowError(
+    "Unexpected '&' in ABC tune at position 4",
+  );
+  expect(() => parseAbc("K:C\n[CE")).toThrowError(
+    "Unexpected end of tune in ABC tune at position 3",
+  );
+  expect(() => parseAbc("K:C\n[] C")).toThrowError(
+    "Unexpected ']' in ABC tune at position 1",
+  );
+  expect(() => parseAbc("K:C\nC/0")).toThrowError(
+    "Unexpected '/' in ABC tune at position 1",
+  );
+  expect(() => parseAbc("M:4/4\nK:C\nC D |\nM:3/4\nE")).toThrowError(
+    "The meter can't change to 'M:3/4' in a tune",
+  );
+  expect(() => parseAbc("K:H")).toThrowError("'K:H' is not a valid ABC key");
+  expect(() => parseAbc("M:3-4\nK:C")).toThrowError();
+  expect(() => toAbc(notes("C###4"))).toThrowError(
+    "The note 'C###4' can't be written in ABC",
+  );
+});
@@ -0,0 +1,142 @@
+import {
+  chord,
+  Melody,
+  NoteList,
+  note,
+  renderAudio,
+  Tuning,
+  toWav,
+} from "../src/index.js";
+
+// A plain tone at full volume, without fading in or out
+const FLAT = { attack: 0, decay: 0, sustain: 1, release: 0 };
+
+test("render notes", () => {
+  const samples = renderAudio("A4", { sampleRate: 8000, envelope: FLAT });
+  expect(samples).toBeInstanceOf(Float32Array);
+  expect(samples).toHaveLength(4000);
+  expect(samples[0]).toBe(0);
+  expect(samples[5]).toBeCloseTo(
+    0.2 * Math.sin((2 * Math.PI * 440 * 5) / 8000),
+  );
+  expect(Math.max(...samples)).toBeCloseTo(0.2, 3);
+
+  // The same input always gives the same samples
+  expect(renderAudio(chord("C4 major"), { sampleRate: 8000 })).toEqual(
+    renderAudio(chord("C4 major"), { sampleRate: 8000 }),
+  );
+  expect(renderAudio(new NoteList())).toHaveLength(0);
+  expect(renderAudio([])).toHaveLength(0);
+});
+
+test("waveforms", () => {
+  const wave = (waveform) =>
+    Array.from(
+      renderAudio("A4", {
+        sampleRate: 1760,
+        envelope: FLAT,
+        gain: 1,
+        waveform,
+      }).slice(0, 4),
+    );
+  expect(wave("sine").map((s) => Math.round(s))).toEqual([0, 1, 0, -1]);
+  expect(wave("square")).toEqual([1, 1, -1, -1]);
+  expect(wave("sawtooth")).toEqual([0, 0.5, -1, -0.5]);
+  expect(wave("triangle")).toEqual([0, 1, 0, -1]);
+});
+
+test("envelopes", () => {
+  const envelope = { attack: 0.1, decay: 0.1, sustain: 0.5, release: 0.2 };
+  const samples = renderAudio("C4", {
+    sampleRate: 1000,
+    waveform: "square",
+    gain: 1,
+    envelope,
+    tempo: 60,
+  });
+  expect(samples).toHaveLength(1200);
+  expect(samples[50]).toBeCloseTo(0.5);
+  expect(samples[100]).toBeCloseTo(1);
+  expect(Math.abs(samples[150])).toBeCloseTo(0.75);
+  expect(Math.abs(samples[500])).toBeCloseTo(0.5);
+  expect(Math.abs(samples[1100])).toBeCloseTo(0.25);
+  expect(samples[1199]).toBeCloseTo(0, 2);
+
+  expect(() => renderAudio("C4", { envelope: { sustain: 2 } })).toThrow(
+    "The envelope must have times of at least 0, and a sustain from 0 to 1",
+  );
+  expect(() => renderAudio("C4", { envelope: { attack: -1 } })).toThrow(
+    "The envelope must have times",
+  );
+  expect(() => renderAudio("C4", { sampleRate: 0 })).toThrow(
+    "Sample rate must be a positive integer, got 0",
+  );
+});
+
+test("chords, arpeggios and melodies", () => {
+  const options = { sampleRate: 1000, envelope: FLAT, tempo: 60 };
+  expect(renderAudio("C4 E4 G4", options)).toHaveLength(1000);
+  expect(
+    renderAudio("C4 E4 G4", { ...options, style: "arpeggio" }),
+  ).toHaveLength(3000);
+  expect(
+    renderAudio(["C E G", "F A C"], { ...options, duration: 0.5 }),
+  ).toHaveLength(1000);
+
+  // Notes are mixed, and clipped if too loud
+  const one = renderAudio("C4", options);
+  const two = renderAudio("C4 C4", options);
+  expect(two[10]).toBeCloseTo(2 * one[10]);
+  const loud = renderAudio("C4 E4 G4", { ...options, gain: 1 });
+  expect(Math.max(...loud)).toBe(1);
+  expect(Math.min(...loud)).toBe(-1);
+
+  // Melodies keep their rhythm and tempo, and are silent during rests
+  const melody = Melody.fromString("C4 r E4:0.5", { tempo: 120 });
+  const samples = renderAudio(melody, options);
+  expect(samples).toHaveLength(1250);
+  expect(samples.slice(500, 1000).every((s) => s === 0)).toBe(true);
+  expect(samples.slice(1000).some((s) => s !== 0)).toBe(true);
+});
+
+test("tunings", () => {
+  const options = { sampleRate: 8000, envelope: FLAT, gain: 1, tempo: 60 };
+
+  // Count the cycles of one second, each starting where the wave rises
+  // through 0
+  const crossings = (samples) =>
+    samples.filter((s, i) => i > 0 && samples[i - 1] < 0 && s >= 0).length;
+  expect(crossings(renderAudio("A4", options))).toBe(439);
+  expect(
+    crossings(renderAudio("A4", { ...options, tuning: Tuning.equal(415) })),
+  ).toBe(414);
+  expect(crossings(renderAudio("A5", options))).toBe(879);
+  expect(crossings(renderAudio(note("Ad5"), options))).toBe(854);
+});
+
+test("wav files", () => {
+  const wav = toWav("A4", { sampleRate: 8000, envelope: FLAT });
+  const view = new DataView(wav.buffer);
+  const text = (offset, length) =>
+    String.fromCharCode(...wav.slice(offset, offset + length));
+  expect(wav).toHaveLength(44 + 8000);
+  expect(text(0, 4)).toBe("RIFF");
+  expect(view.getUint32(4, true)).toBe(wav.length - 8);
+  expect(text(8, 8)).toBe("WAVEfmt ");
+  expect(view.getUint16(20, true)).toBe(1);
+  expect(view.getUint16(22, true)).toBe(1);
+  expect(view.getUint32(24, true)).toBe(8000);
+  expect(view.getUint16(34, true)).toBe(16);
+  expect(text(36, 4)).toBe("data");
+  expect(view.getUint32(40, true)).toBe(8000);
+  expect(view.getInt16(44 + 2 * 5, true)).toBe(
+    Math.round(0.2 * Math.sin((2 * Math.PI * 440 * 5) / 8000) * 32767),
+  );
+
+  const samples = new Float32Array([0, 0.5, -1, 2]);
+  const raw = new DataView(toWav(samples).buffer);
+  expect(raw.getUint32(24, true)).toBe(44100);
+  expect([0, 1, 2, 3].map((i) => raw.getInt16(44 + 2 * i, true))).toEqual([
+    0, 16384, -32767, 32767,
+  ]);
+});
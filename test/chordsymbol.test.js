@@ -0,0 +1,104 @@
+import {
+  CHORD_SYMBOL,
+  CHORDS,
+  chord,
+  NoteList,
+  notes,
+  parseChordSymbol,
+  toChordSymbol,
+} from "../src/index.js";
+
+const c = (symbol) => NoteList.fromChordSymbol(symbol).toString();
+
+test("parse chord symbols", () => {
+  expect(c("Cmaj7")).toBe("C E G B");
+  expect(c("Bbm7b5")).toBe("Bb Db Fb Ab");
+  expect(c("D7sus4")).toBe("D G A C");
+  expect(c("G7(#9,b13)")).toBe("G B D F A# Eb");
+  expect(c("C6/9")).toBe("C E G A D");
+  expect(c("Am(add9)")).toBe("A C E B");
+  expect(c("C-7")).toBe("C Eb G Bb");
+  expect(c("Cm(maj7)")).toBe("C Eb G B");
+  expect(c("Eb7(no5)")).toBe("Eb G Db");
+  expect(c("Dsus2")).toBe("D E A");
+});
+
+test("parse chord symbols with slash bass", () => {
+  expect(c("F/A")).toBe("A F C");
+  expect(c("F#m7b5/A")).toBe("A F# C E");
+  expect(c("C7/Bb")).toBe("Bb C E G");
+  expect(c("C/D")).toBe("D C E G");
+});
+
+test("parse chord symbol components", () => {
+  const { root, intervals, bass } = parseChordSymbol("Ab7(b9 #11)/C");
+  expect(root.toString()).toBe("Ab");
+  expect(intervals.map((i) => i.toString())).toEqual([
+    "P1",
+    "M3",
+    "P5",
+    "m7",
+    "m9",
+    "A11",
+  ]);
+  expect(bass.toString()).toBe("C");
+  expect(parseChordSymbol("C").bass).toBe(undefined);
+});
+
+test("report position of chord symbol errors", () => {
+  expect(() => parseChordSymbol("H7")).toThrowError("at position 0");
+  expect(() => parseChordSymbol("Cxyz")).toThrowError("'x' at position 1");
+  expect(() => parseChordSymbol("C7(b9")).toThrowError("end of symbol");
+  expect(() => parseChordSymbol("C7)")).toThrowError("')' at position 2");
+  expect(() => parseChordSymbol("C7/X")).toThrowError("'X' at position 3");
+  expect(() => parseChordSymbol("Cadd8")).toThrowError("at position 1");
+});
+
+test("chord() accepts chord symbols", () => {
+  expect(chord("G7").toString()).toBe("G B D F");
+  expect(chord("F/A").toString()).toBe("A F C");
+  expect(chord("F4 dim").toString()).toBe("F4 Ab4 Cb5");
+  expect(chord("sus4").toString()).toBe("C F G");
+  expect(chord("C7 ").toString()).toBe("C E G Bb");
+});
+
+test("chord() reads the octave of a chord symbol", () => {
+  expect(chord("C4").toString()).toBe("C4 E4 G4");
+  expect(chord("C4maj7").toString()).toBe("C4 E4 G4 B4");
+  expect(chord("C4m7").toString()).toBe("C4 Eb4 G4 Bb4");
+  expect(chord("F3/A").toString()).toBe("A2 F3 C4");
+  expect(chord("C7sus4").toString()).toBe("C F G Bb");
+  expect(chord("C-13").toString()).toBe(chord("Cm13").toString());
+  expect(chord("C5").toString()).toBe("C5 E5 G5");
+  expect(chord("Csus2").toString()).toBe("C D G");
+});
+
+test("render chord names as symbols", () => {
+  expect(toChordSymbol("major")).toBe("");
+  expect(toChordSymbol("major seventh")).toBe("maj7");
+  expect(toChordSymbol("half-diminished seventh")).toBe("m7b5");
+  expect(toChordSymbol("dim7")).toBe("dim7");
+  expect(toChordSymbol(notes("C E G Bb").exact().chord())).toBe("7");
+  expect(() => toChordSymbol("xxxxx")).toThrowError();
+});
+
+test("render note lists as symbols", () => {
+  expect(toChordSymbol(notes("C E G B"))).toBe("Cmaj7");
+  expect(toChordSymbol(notes("E G C"))).toBe("C/E");
+  expect(toChordSymbol(notes("G4 E5 C5"))).toBe("C/G");
+  expect(toChordSymbol(notes("G B D F A# Eb"))).toBe("G7(#9,b13)");
+  expect(toChordSymbol(notes("C E G Bb D F# A"))).toBe("C13(#11)");
+  expect(toChordSymbol(notes("C E G Bb D F#"))).toBe("C9(#11)");
+  expect(toChordSymbol(notes("E G Bb C"))).toBe("C7/E");
+  expect(toChordSymbol(notes("E G Bb C D"))).toBe("C9/E");
+  expect(toChordSymbol(notes("C Db D"))).toBe(undefined);
+  expect(toChordSymbol(new NoteList())).toBe(undefined);
+  expect(notes("A C E B").toChordSymbol()).toBe("Am(add9)");
+});
+
+test("all conventional symbols round trip", () => {
+  for (const name in CHORDS) {
+    const symbol = `Eb${CHORD_SYMBOL[name]}`;
+    expect(chord(symbol).toChordSymbol()).toBe(symbol);
+  }
+});
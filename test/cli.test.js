@@ -0,0 +1,103 @@
+import { runCli } from "../src/cli.js";
+
+const run = (line) => runCli(line.split(" ").filter((arg) => arg !== ""));
+const out = (line) => run(line).stdout;
+const json = (line) => JSON.parse(run(`${line} --json`).stdout);
+
+test("scales and chords", () => {
+  expect(run("scale Eb lydian")).toEqual({
+    status: 0,
+    stdout: "Eb F G A Bb C D\n",
+    stderr: "",
+  });
+  expect(out("scale D4 minor")).toBe("D4 E4 F4 G4 A4 Bb4 C5\n");
+  expect(out("chord Cmaj7")).toBe("C E G B\n");
+  expect(out("chord F# minor seventh")).toBe("F# A C# E\n");
+  expect(json("chord Am7")).toEqual({ notes: ["A", "C", "E", "G"] });
+});
+
+test("identify", () => {
+  expect(out("identify F A C E")).toBe("chords: major seventh\nscales: -\n");
+  expect(json("identify C D E F G A B")).toEqual({
+    search: "exact",
+    chords: [],
+    scales: ["major", "ionian"],
+  });
+  expect(json("identify C E G B D --subsets").chords).toContain("major");
+  expect(json("identify C Eb G --supersets").scales).toContain("minor");
+});
+
+test("intervals and transposition", () => {
+  expect(out("interval C4 E4")).toBe("M3\n");
+  expect(out("interval G Cb")).toBe("d4\n");
+  expect(json("interval E4 C4")).toEqual({ interval: "-M3", semitones: -4 });
+  expect(out("transpose C E G -m3")).toBe("A C# E\n");
+  expect(json("transpose C4 Eb4 P5")).toEqual({ notes: ["G4", "Bb4"] });
+});
+
+test("frequencies and midi", () => {
+  expect(out("freq A4")).toBe("440\n");
+  expect(out("freq C4")).toBe("261.63\n");
+  expect(out("freq 261.63")).toBe("C4\n");
+  expect(json("freq A4")).toEqual({ note: "A4", frequency: 440 });
+  expect(out("midi C4")).toBe("60\n");
+  expect(out("midi 61")).toBe("C#4\n");
+  expect(json("midi 69")).toEqual({ note: "A4", midi: 69 });
+});
+
+test("list", () => {
+  const scales = out("list scales").trim().split("\n");
+  expect(scales[0]).toBe("major");
+  expect(scales).toContain("dorian");
+  expect(json("list chords").chords).toContain("dominant seventh");
+});
+
+test("errors", () => {
+  expect(run("scale X bogus")).toEqual({
+    status: 1,
+    stdout: "",
+    stderr: "kamasi: The scale 'X bogus' is not known\n",
+  });
+  expect(run("interval C4 H4").status).toBe(1);
+  expect(run("interval C4 E").stderr).toBe(
+    "kamasi: Can't compare a pitch and a pitch class\n",
+  );
+  expect(run("midi C-1").status).toBe(0);
+  expect(run("midi 128").stderr).toBe(
+    "kamasi: MIDI number must be an integer between 0 and 127, got 128\n",
+  );
+  expect(run("midi A9").stderr).toBe(
+    "kamasi: The note 'A9' has no MIDI number\n",
+  );
+  expect(run("midi C")).toEqual({
+    status: 1,
+    stdout: "",
+    stderr: "kamasi: The note 'C' has no MIDI number\n",
+  });
+  expect(run("freq -1").status).toBe(1);
+  expect(run("freq A")).toEqual({
+    status: 1,
+    stdout: "",
+    stderr: "kamasi: The note 'A' has no frequency\n",
+  });
+
+  for (const line of [
+    "",
+    "bogus",
+    "scale",
+    "interval C4",
+    "list",
+    "list modes",
+    "chord C --verbose",
+    "identify C E G --supersets --subsets",
+  ]) {
+    const result = run(line);
+    expect(result.status).toBe(2);
+    expect(result.stderr).toMatch(/^Usage: kamasi/);
+  }
+  expect(run("--help")).toEqual({
+    status: 0,
+    stdout: expect.stringMatching(/^Usage: kamasi/),
+    stderr: "",
+  });
+});
@@ -0,0 +1,137 @@
+import {
+  COUNTERPOINT_RULES,
+  checkCounterpoint,
+  Key,
+  NoteList,
+  notes,
+} from "../src/index.js";
+
+// Rule, beat and voices of each violation
+const check = (voices, options) =>
+  checkCounterpoint(voices, options).map(
+    (v) => `${v.rule}@${v.beat}:${v.voices.join(",")}`,
+  );
+
+// I IV V7 I in C major
+const CADENCE = ["C5 C5 B4 C5", "E4 F4 F4 E4", "G3 A3 D4 C4", "C3 F3 G2 C3"];
+
+test("correct part-writing", () => {
+  expect(check(CADENCE, { key: "C major" })).toEqual([]);
+  expect(check(CADENCE.map((v) => notes(v)))).toEqual([]);
+  expect(check(CADENCE.map((v) => notes(v).notes))).toEqual([]);
+  expect(check([])).toEqual([]);
+  expect(check(["C4", "C3"])).toEqual([]);
+});
+
+test("parallel and hidden fifths and octaves", () => {
+  expect(check(["G4 A4", "C4 D4"])).toEqual(["parallel-fifths@1:0,1"]);
+  expect(check(["C5 D5", "C4 D4"])).toEqual(["parallel-octaves@1:0,1"]);
+  expect(check(["C4 D4", "C4 D4"])).toEqual([
+    "voice-overlap@1:0,1",
+    "parallel-octaves@1:0,1",
+  ]);
+  expect(check(["G5 A5", "C4 D4"])).toEqual(["parallel-fifths@1:0,1"]);
+  expect(check(["G4 D5", "C4 G3"])).toEqual(["parallel-fifths@1:0,1"]);
+  expect(check(["G4 Ab4", "C4 C#4"])).toEqual(["parallel-fifths@1:0,1"]);
+
+  // Fifths between voices that don't both move are fine
+  expect(check(["G4 G4", "C4 C4"])).toEqual([]);
+  expect(check(["G4 G5", "C4 C4"])).toEqual([]);
+  expect(check(["G4 A4", "C4 D4"], { rules: ["spacing"] })).toEqual([]);
+
+  expect(check(["E5 G5", "C4 C5"])).toEqual(["hidden-fifths@1:0,1"]);
+  expect(check(["E5 C6", "C4 C5"])).toEqual(["hidden-octaves@1:0,1"]);
+  expect(check(["C5 D5 E5", "E4 C4 A3"], {})).toEqual([]);
+
+  // Hidden intervals are fine by step in the upper voice, or in inner voices
+  expect(check(["B4 C5", "E4 C4"])).toEqual([]);
+  expect(
+    check(["C5 C5", "E4 G4", "G3 C4", "C3 C3"], { rules: ["hidden-fifths"] }),
+  ).toEqual([]);
+});
+
+test("crossing, overlap and spacing", () => {
+  expect(check(["E4 C5", "G4 E4"])).toEqual(["voice-crossing@0:0,1"]);
+  expect(check(["C5 D5", "G4 D5"])).toEqual(["voice-overlap@1:0,1"]);
+  expect(check(["E4 F4", "C4 E4"])).toEqual([]);
+  expect(check(["E4 D4", "C4 F4"])).toEqual([
+    "voice-crossing@1:0,1",
+    "voice-overlap@1:0,1",
+  ]);
+  expect(check(["E4 G4", "C4 F4"])).toEqual(["voice-overlap@1:0,1"]);
+  expect(check(["G4 B4", "E4 F4"])).toEqual([]);
+  expect(check(["G4 D4", "E4 F4"])).toEqual([
+    "voice-crossing@1:0,1",
+    "voice-overlap@1:0,1",
+  ]);
+
+  expect(check(["E5", "C4", "C3"])).toEqual(["spacing@0:0,1"]);
+  expect(check(["E5", "C5", "C3"])).toEqual([]);
+  expect(check(["E5", "C3"])).toEqual([]);
+});
+
+test("ranges", () => {
+  expect(check(["A5 G5", "C5 B4", "E4 D4", "C3 G2"])).toEqual(["range@0:0"]);
+  expect(check(["G5", "C5", "G4", "D2"])).toEqual(["range@0:3"]);
+  expect(check(["C6", "C5"])).toEqual([]);
+  expect(
+    check(["C6", "C5"], { ranges: [{ low: "C4", high: "A5" }, undefined] }),
+  ).toEqual(["range@0:0"]);
+  expect(check(["C6", "C5", "C4", "C3"], { ranges: [] })).toEqual([]);
+});
+
+test("leading tones and sevenths", () => {
+  const key = Key.fromString("A minor");
+  expect(check(["G#4 A4", "E4 E4"], { key })).toEqual([]);
+  expect(check(["G#4 G#4 A4", "E4 E4 E4"], { key })).toEqual([]);
+  expect(check(["G#4 E4", "E4 C4"], { key })).toEqual(["leading-tone@0:0"]);
+  expect(check(["G#4 E4", "E4 C4"])).toEqual([]);
+  expect(check(["C5 G#4", "E4 E4"], { key })).toEqual([]);
+
+  // Inner voices may leave the leading tone
+  expect(check(["C5 C5", "G#4 E4", "E3 A3"], { key })).toEqual([]);
+
+  expect(check(["B4 C5", "F4 E4", "D4 C4", "G3 C4"])).toEqual([]);
+  expect(check(["B4 C5", "F4 G4", "D4 E4", "G3 C4"])).toEqual(["seventh@0:1"]);
+  expect(check(["B4 B4 C5", "F4 F4 E4", "D4 D4 C4", "G3 G3 C4"])).toEqual([]);
+  expect(check(["B4 A4", "F4 G4", "D4 E4", "G3 C3"], { key: "C" })).toEqual([
+    "leading-tone@0:0",
+    "seventh@0:1",
+  ]);
+});
+
+test("melodic intervals", () => {
+  expect(check(["C5 D#5 F5"])).toEqual(["melodic-interval@1:0"]);
+  expect(check(["F4 B4 G4 C#4"])).toEqual([
+    "melodic-interval@1:0",
+    "melodic-interval@3:0",
+  ]);
+  expect(check(["B3 F4"])).toEqual(["melodic-interval@1:0"]);
+  expect(check(["C4 C#5"])).toEqual(["melodic-interval@1:0"]);
+  expect(check(["C#4 C4"])).toEqual([]);
+  expect(check(["C4 C#4 D4 Eb4 G4 C5 E4"])).toEqual([]);
+});
+
+test("invalid voices and rules", () => {
+  expect(COUNTERPOINT_RULES).toContain("parallel-fifths");
+  expect(() => checkCounterpoint(["C4 D4", "C3"])).toThrow(
+    "Every voice must have the same number of notes, got 2, 1",
+  );
+  expect(() => checkCounterpoint(["C4", "E"])).toThrow(
+    "The voices must be pitches, got 'E'",
+  );
+  expect(() => checkCounterpoint([new NoteList(["C4", "D"])])).toThrow(
+    "The voices must be pitches, got 'D'",
+  );
+  expect(() => checkCounterpoint(["C4"], { rules: ["fifths"] })).toThrow(
+    "'fifths' is not a valid counterpoint rule",
+  );
+
+  const [violation] = checkCounterpoint(["G4 A4", "C4 D4"]);
+  expect(violation).toEqual({
+    rule: "parallel-fifths",
+    beat: 1,
+    voices: [0, 1],
+    message: "Parallel fifths between voices 0 and 1",
+  });
+});
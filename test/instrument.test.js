@@ -0,0 +1,215 @@
+import {
+  chord,
+  Fretboard,
+  GUITAR_TUNINGS,
+  Keyboard,
+  NoteList,
+  note,
+  notes,
+} from "../src/index.js";
+
+const guitar = Fretboard.guitar();
+const frets = (shape) => shape.frets.map((f) => f ?? "x").join("-");
+const at = (positions) =>
+  positions.map((p) => `${p.string}:${p.fret}:${p.note}`);
+
+test("create fretboards", () => {
+  expect(guitar.strings.join(" ")).toBe(GUITAR_TUNINGS.standard);
+  expect(guitar.frets).toBe(22);
+  expect(guitar.capo).toBe(0);
+  expect(Fretboard.guitar("drop-D").strings[0].toString()).toBe("D2");
+  expect(Fretboard.guitar("DADGAD").strings.join(" ")).toBe(
+    "D2 A2 D3 G3 A3 D4",
+  );
+  expect(new Fretboard("G1 D2 A2 E3", { frets: 20 }).frets).toBe(20);
+
+  expect(() => Fretboard.guitar("nashville")).toThrow(
+    "'nashville' is not a valid guitar tuning",
+  );
+  expect(() => new Fretboard("E A D")).toThrow(
+    "The strings of a fretboard must be pitches, got 'E A D'",
+  );
+  expect(() => new Fretboard(new NoteList())).toThrow("must be pitches");
+  expect(() => new Fretboard("E2", { frets: -1 })).toThrow(
+    "Frets must be a non-negative integer, got -1",
+  );
+  expect(() => new Fretboard("E2", { frets: 12, capo: 13 })).toThrow(
+    "Capo must be a fret from 0 to 12, got 13",
+  );
+});
+
+test("notes on a fretboard", () => {
+  expect(guitar.noteAt(0, 0).toString()).toBe("E2");
+  expect(guitar.noteAt(1, 1).toString()).toBe("A#2");
+  expect(guitar.noteAt(5, 12).toString()).toBe("E5");
+  expect(() => guitar.noteAt(6, 0)).toThrow("The fretboard has no string 6");
+  expect(() => guitar.noteAt(0, 23)).toThrow("Fret must be from 0 to 22");
+
+  expect(at(guitar.positions("A2"))).toEqual(["0:5:A2", "1:0:A2"]);
+  expect(at(guitar.positions(note("Bb3")))).toEqual([
+    "0:18:Bb3",
+    "1:13:Bb3",
+    "2:8:Bb3",
+    "3:3:Bb3",
+  ]);
+  expect(at(guitar.positions("C")).slice(0, 3)).toEqual([
+    "0:8:C3",
+    "0:20:C4",
+    "1:3:C3",
+  ]);
+  expect(guitar.positions("C")).toHaveLength(12);
+  expect(at(guitar.positions("E2 F2"))).toEqual(["0:0:E2", "0:1:F2"]);
+  expect(guitar.positions(notes("C8 Et4"))).toEqual([]);
+
+  const capo = Fretboard.guitar("standard", { capo: 2 });
+  expect(at(capo.positions("A2"))).toEqual(["0:5:A2"]);
+  expect(() => capo.noteAt(0, 1)).toThrow("Fret must be from 2 to 22, got 1");
+});
+
+test("chord shapes", () => {
+  const first = (name, ...args) => frets(guitar.shapes(name, ...args)[0]);
+  expect(first("C major")).toBe("x-3-2-0-1-0");
+  expect(first("G")).toBe("3-2-0-0-0-3");
+  expect(first("D")).toBe("x-x-0-2-3-2");
+  expect(first("Am")).toBe("x-0-2-2-1-0");
+  expect(first("E")).toBe("0-2-2-1-0-0");
+  expect(first("F")).toBe("1-3-3-2-1-1");
+  expect(first("G7")).toBe("3-2-0-0-0-1");
+  expect(first("Am7")).toBe("x-0-2-0-1-0");
+  expect(first("C/G")).toBe("3-3-2-0-1-0");
+  expect(first(notes("E G B"))).toBe("0-2-2-0-0-0");
+
+  const [c] = guitar.shapes("C major");
+  expect(c.fingers).toEqual([null, 3, 2, 0, 1, 0]);
+  expect(c.notes.toString()).toBe("C3 E3 G3 C4 E4");
+  expect(c.stretch).toBe(2);
+  expect(c.barre).toBe(false);
+
+  const [f] = guitar.shapes("F major");
+  expect(f.fingers).toEqual([1, 3, 4, 2, 1, 1]);
+  expect(f.barre).toBe(true);
+
+  // Every shape plays all chord tones, with the root in the bass
+  for (const shape of guitar.shapes("Bb7")) {
+    expect(shape.notes.notes[0].toPitchClass().toString()).toBe("Bb");
+    expect(shape.notes.toPitchClasses().includesAll(notes("Bb D F Ab"))).toBe(
+      true,
+    );
+    expect(shape.stretch).toBeLessThanOrEqual(3);
+    expect(Math.max(...shape.fingers)).toBeLessThanOrEqual(4);
+  }
+
+  expect(guitar.shapes("C major", { inversions: true }).length).toBeGreaterThan(
+    guitar.shapes("C major").length,
+  );
+  expect(
+    guitar
+      .shapes("C major", { minStrings: 6 })
+      .every((s) => !s.frets.includes(null)),
+  ).toBe(true);
+  expect(
+    guitar
+      .shapes("C major", { maxFret: 5 })
+      .every((s) => Math.max(...s.frets) <= 5),
+  ).toBe(true);
+  expect(
+    guitar.shapes(
+      chord("C major").add("D").add("F").add("A").add("B").add("F#"),
+    ),
+  ).toEqual([]);
+  expect(guitar.shapes(new NoteList())).toEqual([]);
+});
+
+test("shapes with other tunings and a capo", () => {
+  const capo = Fretboard.guitar("standard", { capo: 2 });
+  expect(frets(capo.shapes("D major")[0])).toBe("x-5-4-2-3-2");
+  expect(capo.shapes("D major")[0].fingers).toEqual([null, 3, 2, 0, 1, 0]);
+
+  const dadgad = Fretboard.guitar("DADGAD");
+  expect(frets(dadgad.shapes(notes("D A"))[0])).toBe("0-0-0-2-0-0");
+  expect(frets(Fretboard.guitar("open-G").shapes("G")[0])).toBe("x-0-0-0-0-0");
+});
+
+test("chord diagrams", () => {
+  expect(guitar.diagram(guitar.shapes("C major")[0])).toBe(
+    [
+      "x     o   o",
+      "===========",
+      "| | | | O |",
+      "| | O | | |",
+      "| O | | | |",
+      "| | | | | |",
+    ].join("\n"),
+  );
+  expect(guitar.diagram(guitar.shapes("A minor")[1])).toBe(
+    ["O | | O O O 5fr", "| | | | | |", "| O O | | |", "| | | | | |"].join("\n"),
+  );
+  const capo = Fretboard.guitar("standard", { capo: 2 });
+  expect(capo.diagram(capo.shapes("D major")[0])).toBe(
+    [
+      "x     o   o",
+      "===========",
+      "| | | | O |",
+      "| | O | | |",
+      "| O | | | |",
+      "| | | | | |",
+    ].join("\n"),
+  );
+});
+
+test("tab", () => {
+  const [e2] = guitar.positions("E2");
+  const [a2, open] = guitar.positions("A2");
+  const [d3] = guitar.positions("D3");
+  const melody = [
+    { string: 4, fret: 1, note: note("C4") },
+    { string: 5, fret: 0, note: note("E4") },
+  ];
+  expect(
+    guitar.tab([e2, a2, open, guitar.shapes("G major")[0], melody, d3]),
+  ).toBe(
+    [
+      "e|-------3-0----|",
+      "B|-------0-1----|",
+      "G|-------0------|",
+      "D|-------0------|",
+      "A|-----0-2------|",
+      "E|-0-5---3---10-|",
+    ].join("\n"),
+  );
+  expect(Fretboard.guitar("DADGAD").tab([])).toBe(
+    ["d|-|", "a|-|", "G|-|", "d|-|", "A|-|", "D|-|"].join("\n"),
+  );
+});
+
+test("keyboards", () => {
+  const piano = Keyboard.piano();
+  expect(piano.keys).toBe(88);
+  expect(piano.low.toString()).toBe("A0");
+  expect(Keyboard.piano(61).keys).toBe(61);
+  expect(new Keyboard("C4", "C5").keys).toBe(13);
+  expect(() => Keyboard.piano(100)).toThrow("There is no piano with 100 keys");
+  expect(() => new Keyboard("C5", "C4")).toThrow(
+    "The range of a keyboard must be pitches from low to high, got 'C5' to 'C4'",
+  );
+  expect(() => new Keyboard("C", "C5")).toThrow("must be pitches");
+
+  expect(piano.positions("C4")).toEqual([
+    { key: 39, note: note("C4"), black: false },
+  ]);
+  expect(piano.positions("Db")).toHaveLength(7);
+  expect(piano.positions("A0 Bb0 B0 C1").map((p) => p.black)).toEqual([
+    false,
+    true,
+    false,
+    false,
+  ]);
+  expect(
+    new Keyboard("C4", "C5")
+      .positions(chord("F major"))
+      .map((p) => `${p.key}:${p.note}`),
+  ).toEqual(["0:C4", "5:F4", "9:A4", "12:C5"]);
+  expect(piano.includes("C8")).toBe(true);
+  expect(piano.includes("G#0")).toBe(false);
+  expect(piano.includes("Bt4")).toBe(false);
+});
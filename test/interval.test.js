@@ -1,4 +1,4 @@
-import { Interval } from "../src/index.js";
+import { Interval, note } from "../src/index.js";
 
 test("create interval with quality, number, and direction", () => {
   expect(new Interval("P", 1).toString()).toBe("P1");
@@ -106,3 +106,150 @@ test("check if intervals are enharmonic", () => {
   expect(new Interval("A", 6, "-").isEnharmonic("-m7")).toBe(true);
   expect(new Interval("d", 9).isEnharmonic("d2")).toBe(false);
 });
+
+test("quarter tone intervals", () => {
+  expect(Interval.fromString("N3").chromaticSteps).toBe(3.5);
+  expect(Interval.fromString("-sA4").chromaticSteps).toBe(-5.5);
+  expect(Interval.fromString("sAA4").chromaticSteps).toBe(6.5);
+  expect(Interval.fromString("sd5").chromaticSteps).toBe(6.5);
+  expect(Interval.fromString("sd3").chromaticSteps).toBe(2.5);
+  expect(Interval.fromString("N10").cents()).toBe(1550);
+  expect(() => Interval.fromString("N5")).toThrow(
+    "'N5' is not a valid interval",
+  );
+  expect(Interval.isValidInterval("sP1")).toBe(false);
+
+  expect(Interval.fromSemitones(1.5).toString()).toBe("N2");
+  expect(Interval.fromSemitones(-4.5).toString()).toBe("-sd4");
+  expect(Interval.fromSemitones(17.5).toString()).toBe("sA11");
+  expect(() => Interval.fromSemitones(1.25)).toThrow(
+    "Semitones must be a multiple of a quarter tone (0.5), got 1.25",
+  );
+  expect(Interval.fromSteps(2, 3.5).toString()).toBe("N3");
+  expect(Interval.fromSteps(3, 6.5).toString()).toBe("sAA4");
+  expect(Interval.fromString("N3").add("sA1").toString()).toBe("M3");
+  expect(Interval.fromString("P5").sub("N3").toString()).toBe("N3");
+
+  expect(Interval.fromString("N3").invert().toString()).toBe("N6");
+  expect(Interval.fromString("sA4").invert().toString()).toBe("sd5");
+  expect(Interval.fromString("sAA4").simplify().toString()).toBe("sd5");
+  expect(Interval.fromString("sAA4").isEnharmonic("sd5")).toBe(true);
+  expect(Interval.fromString("N3").isEnharmonic("M3")).toBe(false);
+  expect(Interval.fromString("N7").isMicrotonal()).toBe(true);
+  expect(Interval.fromString("m7").isMicrotonal()).toBe(false);
+});
+
+test("find the interval between pitch classes", () => {
+  const between = (a, b) => Interval.between(note(a), note(b)).toString();
+  expect(between("C", "E")).toBe("M3");
+  expect(between("G", "C")).toBe("P4");
+  expect(between("E5", "D4")).toBe("m7");
+  expect(between("C", "Cb")).toBe("d8");
+  expect(between("Db", "C#")).toBe("A7");
+  expect(between("C#", "Db")).toBe("d2");
+  expect(between("B#", "C")).toBe("d2");
+  expect(between("F#", "F#2")).toBe("P1");
+});
+
+test("compare intervals", () => {
+  const sorted = ["P5", "-m3", "A4", "d5", "P1", "M9"]
+    .map((i) => Interval.fromString(i))
+    .sort(Interval.compare)
+    .map((i) => i.toString());
+  expect(sorted).toEqual(["-m3", "P1", "A4", "d5", "P5", "M9"]);
+  expect(Interval.fromString("P5").isLargerThan("A4")).toBe(true);
+  expect(Interval.fromString("d5").isLargerThan("A4")).toBe(true);
+  expect(Interval.fromString("M3").isLargerThan("M3")).toBe(false);
+  expect(Interval.fromString("-P5").isLargerThan("P1")).toBe(false);
+});
+
+test("multiply intervals", () => {
+  expect(Interval.fromString("M3").multiply(3).toString()).toBe("A7");
+  expect(Interval.fromString("P5").multiply(2).toString()).toBe("M9");
+  expect(Interval.fromString("m3").multiply(4).toString()).toBe("d9");
+  expect(Interval.fromString("P4").multiply(-2).toString()).toBe("-m7");
+  expect(Interval.fromString("M2").multiply(0).toString()).toBe("P1");
+  expect(Interval.fromString("N3").multiply(2).toString()).toBe("P5");
+  expect(() => Interval.fromString("M2").multiply(1.5)).toThrow(
+    "Factor must be an integer, got 1.5",
+  );
+});
+
+test("add intervals without throwing", () => {
+  expect(Interval.fromString("M3").tryAdd("m3").toString()).toBe("P5");
+  expect(Interval.fromString("M3").tryAdd("big")).toBeUndefined();
+});
+
+test("find interval classes", () => {
+  const classes = ["P1", "m2", "M3", "P4", "A4", "P5", "M6", "M7", "P8"].map(
+    (i) => Interval.fromString(i).intervalClass(),
+  );
+  expect(classes).toEqual([0, 1, 4, 5, 6, 5, 3, 1, 0]);
+  expect(Interval.fromString("-M10").intervalClass()).toBe(4);
+  expect(Interval.fromString("d2").intervalClass()).toBe(0);
+  expect(Interval.fromString("N3").intervalClass()).toBe(3.5);
+});
+
+test("classify consonance", () => {
+  const consonance = (i) => Interval.fromString(i).consonance();
+  expect(["P1", "P5", "P8", "-P12"].map(consonance)).toEqual(
+    Array(4).fill("perfect"),
+  );
+  expect(["m3", "M6", "M10", "-m6"].map(consonance)).toEqual(
+    Array(4).fill("imperfect"),
+  );
+  expect(
+    ["P4", "M2", "m7", "A4", "d5", "d4", "A5", "N3"].map(consonance),
+  ).toEqual(Array(8).fill("dissonant"));
+  expect(Interval.fromString("M3").isConsonant()).toBe(true);
+  expect(Interval.fromString("P11").isConsonant()).toBe(false);
+});
+
+test("check if intervals are diatonic or chromatic", () => {
+  const diatonic = ["P1", "m2", "M7", "P4", "A4", "d5", "-A11", "m13"];
+  const chromatic = ["A1", "d4", "A5", "AA4", "dd5", "A2", "d7"];
+  for (const i of diatonic) {
+    expect(Interval.fromString(i).isDiatonic()).toBe(true);
+    expect(Interval.fromString(i).isChromatic()).toBe(false);
+  }
+  for (const i of chromatic) {
+    expect(Interval.fromString(i).isDiatonic()).toBe(false);
+    expect(Interval.fromString(i).isChromatic()).toBe(true);
+  }
+  expect(Interval.fromString("N3").isDiatonic()).toBe(false);
+  expect(Interval.fromString("N3").isChromatic()).toBe(false);
+});
+
+test("compare intervals for equality", () => {
+  expect(Interval.fromString("M3").isEqual("M3")).toBe(true);
+  expect(Interval.fromString("M3").isEqual("d4")).toBe(false);
+  expect(Interval.fromString("M3").isEqual("-M3")).toBe(false);
+  expect(Interval.fromString("P8").isEqual("P1")).toBe(false);
+});
+
+test("convert intervals to and from JSON", () => {
+  expect(Interval.fromString("-AA11").toJSON()).toEqual({
+    quality: "AA",
+    number: 11,
+    sign: -1,
+  });
+  for (const i of ["P1", "-m3", "d4", "A11", "-sA4", "N3"]) {
+    const json = JSON.parse(JSON.stringify(Interval.fromString(i)));
+    expect(Interval.fromJSON(json).toString()).toBe(i);
+  }
+  expect(() => Interval.fromJSON({ quality: "P", number: 3, sign: 1 })).toThrow(
+    `'{"quality":"P","number":3,"sign":1}' is not a valid interval`,
+  );
+  expect(() => Interval.fromJSON({ quality: "P", number: 5, sign: 0 })).toThrow(
+    "is not a valid interval",
+  );
+});
+
+test("hash intervals", () => {
+  expect(Interval.fromString("P5").hash()).toBe(
+    Interval.fromString("P5").hash(),
+  );
+  expect(Interval.fromString("P5").hash()).not.toBe(
+    Interval.fromString("-P5").hash(),
+  );
+});
@@ -0,0 +1,83 @@
+import { analyze, Key, NoteList, note, notes } from "../src/index.js";
+
+test("key signatures", () => {
+  const signature = (key) => {
+    const { accidentals, notes } = Key.fromString(key).signature();
+    return [accidentals, notes.join(" ")];
+  };
+  expect(signature("C major")).toEqual([0, ""]);
+  expect(signature("A minor")).toEqual([0, ""]);
+  expect(signature("E major")).toEqual([4, "F# C# G# D#"]);
+  expect(signature("F# minor")).toEqual([3, "F# C# G#"]);
+  expect(signature("Gb major")).toEqual([-6, "Bb Eb Ab Db Gb Cb"]);
+  expect(signature("D dorian")).toEqual([0, ""]);
+  expect(signature("F lydian")).toEqual([0, ""]);
+  expect(signature("G# major")).toEqual([8, "F# C# G# D# A# E# B# F##"]);
+});
+
+test("keys from signatures", () => {
+  expect(Key.fromSignature(0).toString()).toBe("C major");
+  expect(Key.fromSignature(-3, "minor").toString()).toBe("C minor");
+  expect(Key.fromSignature(6, "minor").toString()).toBe("D# minor");
+  expect(Key.fromSignature(-7).toString()).toBe("Cb major");
+  expect(Key.fromSignature(1, "dorian").toString()).toBe("A dorian");
+  expect(Key.fromSignature(-2, "m").toString()).toBe("G minor");
+
+  for (let i = -7; i <= 7; i++) {
+    expect(Key.fromSignature(i, "locrian").signature().accidentals).toBe(i);
+  }
+  expect(() => Key.fromSignature(1.5)).toThrowError();
+});
+
+test("related keys", () => {
+  const key = (k) => Key.fromString(k);
+  expect(key("Eb major").relative().toString()).toBe("C minor");
+  expect(key("C# minor").relative().toString()).toBe("E major");
+  expect(key("Gb major").relative().toString()).toBe("Eb minor");
+  expect(key("D dorian").relative().toString()).toBe("C major");
+  expect(key("C major").relative("phrygian").toString()).toBe("E phrygian");
+
+  expect(key("C major").parallel().toString()).toBe("C minor");
+  expect(key("F# minor").parallel().toString()).toBe("F# major");
+  expect(key("G").parallel("mixolydian").toString()).toBe("G mixolydian");
+
+  expect(key("D minor").neighbours().map(String)).toEqual([
+    "G minor",
+    "A minor",
+  ]);
+  expect(key("F# major").neighbours().map(String)).toEqual([
+    "B major",
+    "C# major",
+  ]);
+});
+
+test("distance between keys", () => {
+  const c = Key.fromString("C major");
+  expect(c.distance("E major")).toBe(4);
+  expect(c.distance("Eb major")).toBe(-3);
+  expect(c.distance("A minor")).toBe(0);
+  expect(c.distance(new Key("F#"))).toBe(6);
+  expect(c.distance("Gb major")).toBe(6);
+  expect(Key.fromString("F# major").distance("Gb major")).toBe(0);
+  expect(Key.fromString("B major").distance("Db major")).toBe(2);
+});
+
+test("keys as scales", () => {
+  const key = Key.fromString("Bb minor");
+  expect(key.scale().toString()).toBe("Bb C Db Eb F Gb Ab");
+  expect(NoteList.fromScale(key).toString()).toBe("Bb C Db Eb F Gb Ab");
+  expect(note("C#4").respell({ key }).toString()).toBe("Db4");
+  expect(notes("A# C# F").respell(key).toString()).toBe("Bb Db F");
+  expect(analyze(["Bb Db F", "F A C Eb"], key)).toEqual(["i", "V7"]);
+});
+
+test("invalid keys", () => {
+  expect(() => new Key("C", "harmonic minor")).toThrowError(
+    "'harmonic minor' is not a mode with a key signature",
+  );
+  expect(() => new Key("C", "blues")).toThrowError();
+  expect(() => Key.fromString("H major")).toThrowError(
+    "'H major' is not a valid key",
+  );
+  expect(() => NoteList.fromScale("C")).toThrowError();
+});
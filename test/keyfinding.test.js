@@ -0,0 +1,63 @@
+import { findKey, notes } from "../src/index.js";
+
+const best = (...args) => {
+  const [key] = findKey(...args);
+  return `${key.tonic} ${key.scale}`;
+};
+
+test("find key with profiles", () => {
+  expect(best("E G# B F# A E B")).toBe("E major");
+  expect(best("C D Eb F G Ab B C G")).toBe("C minor");
+  expect(best(notes("Bb3 Eb4 F4 Ab4 G4 Eb4"))).toBe("Eb major");
+  expect(findKey("C E G").length).toBe(24);
+  expect(() => findKey("C Ed G")).toThrowError(
+    "The notes must not have quarter tones, got 'Ed'",
+  );
+});
+
+test("find key with weighted notes", () => {
+  const melody = "A4 C5 E5 G#4 A4 B4 C5 D5 E5 F5";
+  expect(best(melody, { weights: [4, 1, 1, 1, 4, 1, 1, 1, 1, 1] })).toBe(
+    "A minor",
+  );
+  expect(() => findKey(melody, { weights: [1, 2] })).toThrowError();
+});
+
+test("find key with scale fit", () => {
+  const keys = findKey("D E F G A C", {
+    method: "fit",
+    scales: ["major", "minor"],
+  }).map((k) => `${k.tonic} ${k.scale}`);
+  expect(keys).toEqual(["D minor", "C major", "F major", "A minor"]);
+
+  // Scales using more of their notes rank higher
+  const [first] = findKey("C E G", { method: "fit" });
+  expect(first.scale).toBe("pentatonic major");
+  expect(first.score).toBe(0.6);
+});
+
+test("find key breaks ties between modes", () => {
+  const keys = findKey("D4 E4 F#4 G4 A4 B4 C#5", { method: "fit" })
+    .slice(0, 3)
+    .map((k) => `${k.tonic} ${k.scale}`);
+  expect(keys).toEqual(["D major", "B minor", "C# locrian"]);
+  expect(
+    findKey("D E F# G A B C#", { method: "fit" }).filter(
+      (k) => k.scale === "ionian" || k.scale === "aeolian",
+    ),
+  ).toEqual([]);
+});
+
+test("find key ranks heavier tonics first", () => {
+  const keys = findKey("D E F G A B C", {
+    method: "fit",
+    scales: ["dorian", "major"],
+    weights: [3, 1, 1, 1, 1, 1, 1],
+  });
+  expect(`${keys[0].tonic} ${keys[0].scale}`).toBe("D dorian");
+});
+
+test("spell tonics as in the notes", () => {
+  expect(best("C# E# G# F# D# C#")).toBe("C# major");
+  expect(best("Db F Ab Gb Eb Db")).toBe("Db major");
+});
@@ -0,0 +1,54 @@
+import { Key, Melody, notes, toLilyPond } from "../src/index.js";
+
+const MELODY = Melody.fromString(
+  "G4:0.5 A4:0.5 Bb4:0.5 C5:0.5 D5 [G3 Bb3 D4]:2 r Eb5:1.5 F##4:0.5 " +
+    "C4:1/3 D4:1/3 E4:1/3 B2:4",
+  { timeSignature: { numerator: 3, denominator: 4 }, tempo: 90 },
+);
+
+test("absolute octaves", () => {
+  expect(toLilyPond(MELODY)).toBe(
+    "{\n" +
+      "  \\time 3/4\n" +
+      "  \\tempo 4 = 90\n" +
+      "  g'8 a' bes' c'' d''4 | <g bes d'>2 r4 | es''4. fisis'8 c'4*1/3 d' e' | b,2.~ |\n" +
+      "  b,4 |\n" +
+      "}\n",
+  );
+});
+
+test("relative octaves", () => {
+  expect(
+    toLilyPond(MELODY, { relative: true, key: Key.fromString("G minor") }),
+  ).toBe(
+    "\\relative {\n" +
+      "  \\key g \\minor\n" +
+      "  \\time 3/4\n" +
+      "  \\tempo 4 = 90\n" +
+      "  g'8 a bes c d4 | <g,, bes d>2 r4 | es''4. fisis,8 c4*1/3 d e | b,2.~ |\n" +
+      "  b4 |\n" +
+      "}\n",
+  );
+  expect(toLilyPond("C4 G4 C4 F3 B3 F4", { relative: true })).toContain(
+    "c'4 g' c, f, | b f' |",
+  );
+});
+
+test("note lists", () => {
+  expect(toLilyPond(notes("C E G Ab Db"))).toContain("c'4 e' g' as' | des' |");
+  expect(toLilyPond(Melody.fromString("Eb4:6 Ebb4:0.5 Ab4:1.75"))).toContain(
+    "es'1~ | es'2 eses'8 as'4.~ | as'16 |",
+  );
+  expect(toLilyPond(notes("Ed4 Ct4 F#t4 Bbd4 Abd4"))).toContain(
+    "eeh'4 cih' fisih' beseh' | aseh' |",
+  );
+});
+
+test("ties across bar lines", () => {
+  expect(toLilyPond(Melody.fromString("C4:3 D4:2"))).toContain(
+    "c'2. d'4~ | d' |",
+  );
+  expect(toLilyPond(Melody.fromString("[C4 E4]:6"))).toContain(
+    "<c' e'>1~ | <c' e'>2 |",
+  );
+});
@@ -0,0 +1,165 @@
+import { Melody, MidiFile, NoteList, notes } from "../src/index.js";
+
+test("melodies from strings", () => {
+  const melody = Melody.fromString("C4 D4:0.5 E4:1/2 r [C4 E4 G4]:2 B3:1/3");
+  expect(
+    melody.events.map((e) => [e.notes.join(" "), e.onset, e.duration]),
+  ).toEqual([
+    ["C4", 0, 1],
+    ["D4", 1, 0.5],
+    ["E4", 1.5, 0.5],
+    ["", 2, 1],
+    ["C4 E4 G4", 3, 2],
+    ["B3", 5, 1 / 3],
+  ]);
+  expect(melody.toString()).toBe("C4 D4:0.5 E4:0.5 r [C4 E4 G4]:2 B3:1/3");
+  expect(melody.notes.length).toBe(7);
+  expect(melody.duration()).toBeCloseTo(16 / 3, 10);
+  expect(melody.timeSignature).toEqual({ numerator: 4, denominator: 4 });
+  expect(melody.tempo).toBe(120);
+
+  expect(Melody.fromNoteList(notes("C4 E4 G4"), 0.5).toString()).toBe(
+    "C4:0.5 E4:0.5 G4:0.5",
+  );
+  expect(() => Melody.fromString("C4:0")).toThrowError(
+    "'C4:0' is not a valid melody event",
+  );
+  expect(() => Melody.fromString("H4")).toThrowError();
+});
+
+test("events in any order", () => {
+  const melody = new Melody([
+    { notes: ["E4"], onset: 2, duration: 2 },
+    { notes: ["C4", "G4"], onset: 0, duration: 1 },
+  ]);
+  expect(melody.notes.map(String)).toEqual(["C4", "G4", "E4"]);
+  expect(melody.toString()).toBe("[C4 G4] r E4:2");
+
+  const overlapping = new Melody([
+    { notes: ["C4"], onset: 0, duration: 2 },
+    { notes: ["E4"], onset: 1, duration: 2 },
+  ]);
+  expect(overlapping.duration()).toBe(3);
+  expect(() => overlapping.sequence()).toThrowError();
+  expect(overlapping.toString()).toBe("C4:2@0 E4:2@1");
+  expect(
+    () => new Melody([{ notes: ["C4"], onset: -1, duration: 1 }]),
+  ).toThrowError();
+  expect(
+    () => new Melody([], { timeSignature: { numerator: 3, denominator: 6 } }),
+  ).toThrowError("'3/6' is not a valid time signature");
+});
+
+test("overlapping events", () => {
+  const melody = new Melody([
+    { notes: ["C4"], onset: 0, duration: 2 },
+    { notes: ["E4"], onset: 1, duration: 2 },
+    { notes: [], onset: 4, duration: 1 },
+  ]);
+  expect(melody.toString()).toBe("C4:2@0 E4:2@1 r@4");
+  expect(`${melody}`).toBe("C4:2@0 E4:2@1 r@4");
+  expect(Melody.fromString(melody.toString()).events).toEqual(melody.events);
+  expect(Melody.fromString("C4:2 E4@1 G4").toString()).toBe("C4:2@0 E4@1 G4@2");
+  expect(() => Melody.fromString("C4@x")).toThrowError(
+    "'C4@x' is not a valid melody event",
+  );
+});
+
+test("bars", () => {
+  const melody = Melody.fromString("C4 D4 E4 F4:2 G4 A4:1/3 B4:1/3 C5:1/3", {
+    timeSignature: { numerator: 3, denominator: 4 },
+  });
+  expect(melody.barLength()).toBe(3);
+  expect(melody.bars().map(String)).toEqual([
+    "C4 D4 E4",
+    "F4:2 G4",
+    "A4:1/3 B4:1/3 C5:1/3",
+  ]);
+  expect(melody.bar(2).toString()).toBe("F4:2 G4");
+  expect(melody.slice(2, 4).toString()).toBe("E4 F4");
+  expect(melody.bar(2).timeSignature.numerator).toBe(3);
+  expect(() => melody.bar(0)).toThrowError("'0' is not a valid bar number");
+
+  const sixEight = new Melody([], {
+    timeSignature: { numerator: 6, denominator: 8 },
+  });
+  expect(sixEight.barLength()).toBe(3);
+  expect(sixEight.bars()).toEqual([]);
+});
+
+test("transformations", () => {
+  const melody = Melody.fromString("C4 E4:0.5 r:0.5 [G4 B4]:2", { tempo: 90 });
+  expect(melody.transpose("M2").toString()).toBe("D4 F#4:0.5 r:0.5 [A4 C#5]:2");
+  expect(melody.transpose("M2")).toBeInstanceOf(Melody);
+  expect(melody.transpose("M2").tempo).toBe(90);
+  expect(melody.retrograde().toString()).toBe("[G4 B4]:2 r:0.5 E4:0.5 C4");
+  expect(melody.inversion().toString()).toBe("C4 Ab3:0.5 r:0.5 [F3 Db3]:2");
+  expect(melody.inversion("E4").toString()).toBe("G#4 E4:0.5 r:0.5 [C#4 A3]:2");
+  expect(melody.augment().toString()).toBe("C4:2 E4 r [G4 B4]:4");
+  expect(melody.augment(0.5).toString()).toBe("C4:0.5 E4:0.25 r:0.25 [G4 B4]");
+  expect(() => melody.augment(0)).toThrowError();
+});
+
+test("seconds", () => {
+  const melody = Melody.fromString("C4 E4:0.5 G4:2", { tempo: 90 });
+  expect(melody.seconds(3)).toBe(2);
+  expect(
+    melody.toSeconds().map((e) => [e.notes.join(), e.onset, e.duration]),
+  ).toEqual([
+    ["C4", 0, 2 / 3],
+    ["E4", 2 / 3, 1 / 3],
+    ["G4", 1, 4 / 3],
+  ]);
+});
+
+test("MIDI files", () => {
+  const melody = Melody.fromString("C4 D4:0.5 E4:1/2 r [C4 E4 G4]:2", {
+    timeSignature: { numerator: 3, denominator: 4 },
+    tempo: 100,
+  });
+  const file = MidiFile.fromBytes(MidiFile.fromMelodies([melody]).toBytes());
+  expect(file.tempos).toEqual([{ onset: 0, bpm: 100 }]);
+  expect(file.tracks[0].notes.length).toBe(6);
+
+  const read = Melody.fromMidi(file);
+  expect(read.toString()).toBe(melody.toString());
+  expect(read.timeSignature).toEqual({ numerator: 3, denominator: 4 });
+  expect(read.tempo).toBe(100);
+  expect(() => Melody.fromMidi(file, 3)).toThrowError(
+    "The MIDI file has no track 3",
+  );
+});
+
+test("equality, hashes and JSON", () => {
+  const a = Melody.fromString("C4 D4");
+  const b = Melody.fromString("C4:2 D4");
+  expect(a.equals(b)).toBe(false);
+  expect(a.hash()).not.toBe(b.hash());
+  expect(a.equals(Melody.fromString("C4 D4"))).toBe(true);
+  expect(a.hash()).toBe(Melody.fromString("C4 D4").hash());
+  expect(a.equals(notes("C4 D4"))).toBe(false);
+
+  const waltz = Melody.fromString("C4 D4", {
+    timeSignature: { numerator: 3, denominator: 4 },
+  });
+  expect(a.equals(waltz)).toBe(false);
+  expect(a.hash()).not.toBe(waltz.hash());
+  expect(a.equals(Melody.fromString("C4 D4", { tempo: 90 }))).toBe(false);
+
+  expect(
+    Melody.fromString("[C4 E4] C#4").equals(Melody.fromString("[E4 C4] Db4"), {
+      enharmonic: true,
+      ordered: false,
+    }),
+  ).toBe(true);
+
+  const overlapping = Melody.fromString("C4:2@0 E4@1", { tempo: 90 });
+  const json = JSON.parse(JSON.stringify(overlapping));
+  expect(Melody.fromJSON(json).equals(overlapping)).toBe(true);
+  expect(Melody.fromJSON(json).toString()).toBe("C4:2@0 E4@1");
+  expect(NoteList.fromJSON(json).toString()).toBe("C4 E4");
+  expect(overlapping.hash()).not.toBe(notes("C4 E4").hash());
+  expect(() => Melody.fromJSON({ events: [{ notes: [] }] })).toThrowError(
+    "is not a valid melody",
+  );
+});
@@ -0,0 +1,175 @@
+import { Key, MidiFile, note } from "../src/index.js";
+
+// Format 0, 96 ticks per beat: F minor key signature, running status, note
+// on with velocity 0 as note off, and two overlapping notes of the same pitch
+const FORMAT_0 = new Uint8Array([
+  ...[0x4d, 0x54, 0x68, 0x64, 0, 0, 0, 6, 0, 0, 0, 1, 0, 96],
+  ...[0x4d, 0x54, 0x72, 0x6b, 0, 0, 0, 43],
+  ...[0x00, 0xff, 0x59, 2, 0xfc, 1],
+  ...[0x00, 0xff, 0x51, 3, 0x09, 0x27, 0xc0],
+  ...[0x00, 0x91, 68, 100],
+  ...[0x00, 72, 90],
+  ...[0x60, 68, 0],
+  ...[0x00, 0xb1, 64, 127],
+  ...[0x00, 0x91, 68, 80],
+  ...[0x30, 0x81, 72, 0],
+  ...[0x30, 0x91, 68, 0],
+  ...[0x00, 0xff, 0x2f, 0],
+]);
+
+const describeNotes = (track) =>
+  track.notes.map(
+    (n) => `${n.note}@${n.onset}+${n.duration}:${n.velocity}/${n.channel}`,
+  );
+
+test("read a format 0 file", () => {
+  const file = MidiFile.fromBytes(FORMAT_0);
+  expect(file.format).toBe(0);
+  expect(file.ticksPerBeat).toBe(96);
+  expect(file.tempos).toEqual([{ onset: 0, bpm: 100 }]);
+  expect(file.keySignatures.map((k) => `${k.key}`)).toEqual(["F minor"]);
+  expect(describeNotes(file.tracks[0])).toEqual([
+    "Ab4@0+1:100/1",
+    "C5@0+1.5:90/1",
+    "Ab4@1+1:80/1",
+  ]);
+  expect(MidiFile.fromBytes(FORMAT_0.buffer).tracks[0].notes.length).toBe(3);
+});
+
+test("write and read back", () => {
+  const file = new MidiFile(
+    [
+      { name: "Piano", notes: [] },
+      {
+        notes: [
+          { note: note("C4"), onset: 0, duration: 2, velocity: 64, channel: 0 },
+          {
+            note: note("Eb4"),
+            onset: 0.5,
+            duration: 1,
+            velocity: 70,
+            channel: 2,
+          },
+        ],
+      },
+    ],
+    {
+      tempos: [
+        { onset: 0, bpm: 60 },
+        { onset: 2, bpm: 120 },
+      ],
+      timeSignatures: [{ onset: 0, numerator: 6, denominator: 8 }],
+      keySignatures: [{ onset: 0, key: Key.fromString("C minor") }],
+    },
+  );
+  const read = MidiFile.fromBytes(file.toBytes());
+  expect(read.format).toBe(1);
+  expect(read.tracks.map((t) => t.name)).toEqual(["Piano", undefined]);
+  expect(describeNotes(read.tracks[1])).toEqual([
+    "C4@0+2:64/0",
+    "Eb4@0.5+1:70/2",
+  ]);
+  expect(read.tempos).toEqual(file.tempos);
+  expect(read.timeSignatures).toEqual(file.timeSignatures);
+  expect(read.keySignatures.map((k) => `${k.key}`)).toEqual(["C minor"]);
+  expect(read.seconds(1)).toBe(1);
+  expect(read.seconds(4)).toBe(3);
+});
+
+test("track names in UTF-8 and Latin-1", () => {
+  const file = new MidiFile([{ name: "Flûte ♭", notes: [] }]);
+  expect(MidiFile.fromBytes(file.toBytes()).tracks[0].name).toBe("Flûte ♭");
+
+  const latin1 = new Uint8Array([
+    ...[0x4d, 0x54, 0x68, 0x64, 0, 0, 0, 6, 0, 0, 0, 1, 0, 96],
+    ...[0x4d, 0x54, 0x72, 0x6b, 0, 0, 0, 13],
+    ...[0x00, 0xff, 0x03, 5, 0x46, 0x6c, 0xfb, 0x74, 0x65],
+    ...[0x00, 0xff, 0x2f, 0],
+  ]);
+  expect(MidiFile.fromBytes(latin1).tracks[0].name).toBe("Flûte");
+});
+
+test("note lists as chords and arpeggios", () => {
+  const chords = MidiFile.fromNoteLists(["C4 E4 G4", "F A C"], {
+    duration: 2,
+  });
+  expect(chords.format).toBe(0);
+  expect(describeNotes(chords.tracks[0])).toEqual([
+    "C4@0+2:96/0",
+    "E4@0+2:96/0",
+    "G4@0+2:96/0",
+    "F4@2+2:96/0",
+    "A4@2+2:96/0",
+    "C5@2+2:96/0",
+  ]);
+
+  const arpeggio = MidiFile.fromNoteLists(["C4 E4 G4"], {
+    style: "arpeggio",
+    duration: 0.5,
+    velocity: 50,
+    tempo: 90,
+  });
+  const read = MidiFile.fromBytes(arpeggio.toBytes());
+  expect(describeNotes(read.tracks[0])).toEqual([
+    "C4@0+0.5:50/0",
+    "E4@0.5+0.5:50/0",
+    "G4@1+0.5:50/0",
+  ]);
+  expect(read.tempos).toEqual([{ onset: 0, bpm: 90 }]);
+  expect(read.seconds(3)).toBe(2);
+});
+
+test("invalid files", () => {
+  const header = (format, division) =>
+    new Uint8Array([
+      0x4d,
+      0x54,
+      0x68,
+      0x64,
+      0,
+      0,
+      0,
+      6,
+      0,
+      format,
+      0,
+      0,
+      ...division,
+    ]);
+  expect(() => MidiFile.fromBytes(new Uint8Array([1, 2, 3, 4]))).toThrowError(
+    "The data is not a Standard MIDI File",
+  );
+  expect(() => MidiFile.fromBytes(header(2, [0, 96]))).toThrowError(
+    "MIDI format 2 is not supported",
+  );
+  expect(() => MidiFile.fromBytes(header(0, [0xe7, 0x28]))).toThrowError(
+    "SMPTE time division is not supported",
+  );
+  expect(() => MidiFile.fromBytes(FORMAT_0.slice(0, 30))).toThrowError(
+    "Unexpected end of MIDI data",
+  );
+
+  expect(() => new MidiFile([], { format: 0 })).toThrowError();
+  const pitchClass = [
+    { note: note("C"), onset: 0, duration: 1, velocity: 64, channel: 0 },
+  ];
+  expect(() => new MidiFile([{ notes: pitchClass }]).toBytes()).toThrowError(
+    "The note 'C' can't be written to MIDI",
+  );
+  const silent = [
+    { note: note("C4"), onset: 0, duration: 0, velocity: 64, channel: 0 },
+  ];
+  expect(() => new MidiFile([{ notes: silent }]).toBytes()).toThrowError(
+    "Duration must be at least one tick, got 0 beats",
+  );
+  silent[0].duration = 0.0001;
+  expect(() => new MidiFile([{ notes: silent }]).toBytes()).toThrowError(
+    "Duration must be at least one tick, got 0.0001 beats",
+  );
+  expect(() =>
+    new MidiFile([{ notes: [] }], { tempos: [{ onset: 0, bpm: 3 }] }).toBytes(),
+  ).toThrowError("The tempo 3 bpm can't be written to MIDI");
+  expect(() =>
+    new MidiFile([{ notes: [] }], { tempos: [{ onset: 0, bpm: 0 }] }).toBytes(),
+  ).toThrowError("The tempo 0 bpm can't be written to MIDI");
+});
@@ -0,0 +1,137 @@
+import {
+  chord,
+  Key,
+  Melody,
+  Note,
+  notes,
+  parseMusicXML,
+  toMusicXML,
+} from "../src/index.js";
+
+// Pitches written in a score, as step, alter and octave
+function pitches(xml) {
+  return [...xml.matchAll(/<pitch>([\s\S]*?)<\/pitch>/g)].map((m) =>
+    [...m[1].matchAll(/<(?:step|alter|octave)>([^<]*)</g)]
+      .map((n) => n[1])
+      .join(" "),
+  );
+}
+
+test("spelling", () => {
+  const spelled = notes("E#4 Fb4 Cbb5 B##3").transpose("M2");
+  expect(pitches(toMusicXML(spelled))).toEqual([
+    "F 2 4",
+    "G -1 4",
+    "D -2 5",
+    "C 3 4",
+  ]);
+  expect(pitches(toMusicXML("C Eb G"))).toEqual(["C 4", "E -1 4", "G 4"]);
+  expect(pitches(toMusicXML("Ed4 C#t4"))).toEqual(["E -0.5 4", "C 1.5 4"]);
+  expect(String(parseMusicXML(toMusicXML("Ed4 Bbd3 C#t4")))).toBe(
+    "Ed4 Bbd3 C#t4",
+  );
+});
+
+test("sequence and chord", () => {
+  const sequence = toMusicXML("C4 E4 G4");
+  expect(sequence).toContain("<divisions>1</divisions>");
+  expect(sequence.match(/<type>quarter<\/type>/g)).toHaveLength(3);
+  expect(sequence).not.toContain("<chord/>");
+
+  const xml = toMusicXML(chord("C4 major"), { style: "chord" });
+  expect(xml.match(/<chord\/>/g)).toHaveLength(2);
+  expect(xml.match(/<type>whole<\/type>/g)).toHaveLength(3);
+  expect(xml.match(/<measure /g)).toHaveLength(1);
+});
+
+test("key, time and clef", () => {
+  const xml = toMusicXML("D4 F#4 A4", { key: Key.fromString("B minor") });
+  expect(xml).toContain(
+    "<key>\n          <fifths>2</fifths>\n          <mode>minor</mode>\n        </key>",
+  );
+  expect(xml).toContain("<sign>G</sign>\n          <line>2</line>");
+  expect(toMusicXML("C4")).toContain("<fifths>0</fifths>");
+  expect(toMusicXML("C2 G2 E3")).toContain("<sign>F</sign>");
+  expect(toMusicXML("C2 G2 E3", { clef: "alto" })).toContain(
+    "<sign>C</sign>\n          <line>3</line>",
+  );
+
+  const waltz = Melody.fromString("C4 D4 E4", {
+    timeSignature: { numerator: 3, denominator: 4 },
+    tempo: 90,
+  });
+  const score = toMusicXML(waltz);
+  expect(score).toContain("<beats>3</beats>");
+  expect(score).toContain('<sound tempo="90"/>');
+  expect(toMusicXML("C4")).not.toContain("<sound");
+});
+
+test("rhythm", () => {
+  const xml = toMusicXML(
+    Melody.fromString("C4:1.5 D4:0.5 r:1/3 E4:1/3 F4:1/3 G4:3 A4:0.25"),
+  );
+  expect(xml).toContain("<divisions>12</divisions>");
+  expect(xml).toContain(
+    "<duration>18</duration>\n        <type>quarter</type>",
+  );
+  expect(xml.match(/<dot\/>/g)).toHaveLength(1);
+  expect(xml.match(/<time-modification>/g)).toHaveLength(3);
+  expect(xml.match(/<rest\/>/g)).toHaveLength(1);
+
+  // G4 crosses the bar line, and is tied
+  expect(xml.match(/<measure /g)).toHaveLength(2);
+  expect(xml.match(/<tie type="start"\/>/g)).toHaveLength(1);
+  expect(xml.match(/<tied type="stop"\/>/g)).toHaveLength(1);
+});
+
+test("round trip", () => {
+  const melody = Melody.fromString(
+    "G4:0.5 A4:0.5 Bb4:0.5 C5:0.5 D5 [G3 Bb3 D4]:2 r Eb5:1.5 F##4:0.5 " +
+      "C4:1/3 D4:1/3 E4:1/3 B2:4",
+    { timeSignature: { numerator: 3, denominator: 4 }, tempo: 90 },
+  );
+  const parsed = parseMusicXML(toMusicXML(melody));
+  expect(parsed.toString()).toBe(melody.toString());
+  expect(parsed.timeSignature).toEqual(melody.timeSignature);
+  expect(parsed.tempo).toBe(90);
+
+  expect(
+    parseMusicXML(toMusicXML(chord("C4 major"), { style: "chord" })).events,
+  ).toEqual([
+    {
+      notes: [new Note("C", "", 4), new Note("E", "", 4), new Note("G", "", 4)],
+      onset: 0,
+      duration: 4,
+    },
+  ]);
+});
+
+test("parse", () => {
+  const xml = `<score-partwise version="4.0">
+    <part id="P1">
+      <measure number="1">
+        <attributes><divisions>2</divisions></attributes>
+        <note><pitch><step>C</step><octave>5</octave></pitch><duration>4</duration><voice>1</voice></note>
+        <backup><duration>4</duration></backup>
+        <note><grace/><pitch><step>D</step><octave>3</octave></pitch></note>
+        <note><pitch><step>A</step><alter>-1</alter><octave>3</octave></pitch><duration>2</duration></note>
+        <forward><duration>2</duration></forward>
+      </measure>
+    </part>
+  </score-partwise>`;
+  const melody = parseMusicXML(xml);
+  expect(melody.events.map((e) => [String(e.notes), e.onset])).toEqual([
+    ["C5", 0],
+    ["Ab3", 0],
+  ]);
+  expect(melody.timeSignature).toEqual({ numerator: 4, denominator: 4 });
+
+  expect(() => parseMusicXML("<score-partwise/>")).toThrow(
+    "The MusicXML score has no part",
+  );
+  expect(() =>
+    parseMusicXML(
+      "<part><measure><note><pitch><step>H</step><octave>4</octave></pitch></note></measure></part>",
+    ),
+  ).toThrow("is not a valid MusicXML pitch");
+});
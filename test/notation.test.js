@@ -0,0 +1,129 @@
+import {
+  chord,
+  findNotation,
+  Key,
+  Melody,
+  NOTATIONS,
+  Note,
+  NoteList,
+  note,
+  notes,
+  scale,
+} from "../src/index.js";
+
+const NOTES = ["C4", "C#4", "Db4", "B##3", "Cbb5", "F#", "Bb", "B0", "Ab-1"];
+
+test("round trips", () => {
+  for (const name of Object.keys(NOTATIONS)) {
+    for (const notation of NOTES) {
+      const n = note(notation);
+      if (name === "helmholtz" && n.isPitchClass()) continue;
+      const written = n.toString({ notation: name });
+      expect(Note.fromString(written, { notation: name })).toEqual(n);
+    }
+  }
+  expect(findNotation()).toBe(NOTATIONS.scientific);
+  expect(() => note("C4").toString({ notation: "dutch" })).toThrow(
+    "'dutch' is not a valid notation",
+  );
+});
+
+test("unicode", () => {
+  const options = { notation: "unicode" };
+  expect(notes("C#4 Bbb F## E###").toString(options)).toBe("C♯4 B𝄫 F𝄪 E♯𝄪");
+  expect(note("Et4").toString(options)).toBe("E𝄲4");
+  expect(note("Bd").toString(options)).toBe("B𝄳");
+  expect(note("F𝄪", options).toString()).toBe("F##");
+  expect(note("B♭♭3", options).toString()).toBe("Bbb3");
+  expect(note("G♮", options).toString()).toBe("G");
+  expect(note("E↑4").toString()).toBe("Et4");
+});
+
+test("german", () => {
+  const options = { notation: "german" };
+  expect(notes("B Bb Bbb B# Eb Ab Abb Db C#").toString(options)).toBe(
+    "H B Heses His Es As Ases Des Cis",
+  );
+  expect(note("H4", options).toString()).toBe("B4");
+  expect(note("b", options).toString()).toBe("Bb");
+  expect(note("Fisis", options).toString()).toBe("F##");
+  expect(note("Eses", options).toString()).toBe("Ebb");
+  expect(NoteList.fromString("C Es G", options).toString()).toBe("C Eb G");
+  expect(Note.isValidNote("Bis", options)).toBe(false);
+  expect(Note.isValidNote("Ds", options)).toBe(false);
+  expect(Note.isValidNote("Cb", options)).toBe(false);
+  expect(() => note("Et4").toString(options)).toThrow(
+    "The note 'Et4' can't be written in German notation",
+  );
+});
+
+test("solfège", () => {
+  const options = { notation: "solfege" };
+  expect(notes("C4 D#4 Bb3 G").toString(options)).toBe("Do4 Re#4 Sib3 Sol");
+  expect(NoteList.fromString("ut ré so ti SOL", options).toString()).toBe(
+    "C D G B G",
+  );
+  expect(note("Fa♯4", options).toString()).toBe("F#4");
+  expect(Note.isValidNote("C4", options)).toBe(false);
+});
+
+test("movable do", () => {
+  const options = { notation: "movable-do", key: "G major" };
+  expect(scale("G major").toString(options)).toBe("do re mi fa sol la ti");
+  expect(scale("G minor").toString(options)).toBe("do re me fa sol le te");
+  expect(notes("G4 C#5 D#4").toString(options)).toBe("do4 fi4 si3");
+  expect(notes("A#").toString(options)).toBe("ri");
+  expect(note("E#").toString({ notation: "movable-do" })).toBe("mi#");
+  expect(note("sol4", options).toString()).toBe("D5");
+  expect(note("ti4", { ...options, key: "Cb" }).toString()).toBe("Bb4");
+  expect(
+    note("te", { ...options, key: new Key("F", "major") }).toString(),
+  ).toBe("Eb");
+  expect(note("do", { ...options, key: note("Eb") }).toString()).toBe("Eb");
+  expect(note("la", { notation: "movable-do" }).toString()).toBe("A");
+  expect(Note.isValidNote("fi#", options)).toBe(false);
+  expect(Note.isValidNote("xo", options)).toBe(false);
+});
+
+test("helmholtz", () => {
+  const options = { notation: "helmholtz" };
+  expect(notes("C1 C2 C3 C4 F#5 Bb1").toString(options)).toBe(
+    "C, C c c' f#'' Bb,",
+  );
+  expect(note("c'", options).toString()).toBe("C4");
+  expect(note("A,,", options).toString()).toBe("A0");
+  expect(Note.isValidNote("c,", options)).toBe(false);
+  expect(Note.isValidNote("C'", options)).toBe(false);
+  expect(() => note("C").toString(options)).toThrow(
+    "The note 'C' can't be written in Helmholtz notation",
+  );
+});
+
+test("scales and chords", () => {
+  expect(scale("Re dorian", { notation: "solfege" }).toString()).toBe(
+    "D E F G A B C",
+  );
+  expect(
+    scale("Re dorian", { notation: "solfege" }).toString({
+      notation: "solfege",
+    }),
+  ).toBe("Re Mi Fa Sol La Si Do");
+  expect(
+    chord("Fis minor", { notation: "german" }).toString({ notation: "german" }),
+  ).toBe("Fis A Cis");
+  expect(
+    chord("H dominant seventh", { notation: "german" }).toString({
+      notation: "german",
+    }),
+  ).toBe("H Dis Fis A");
+  expect(scale("major", { notation: "german" }).toString()).toBe(
+    "C D E F G A B",
+  );
+});
+
+test("melodies", () => {
+  const options = { notation: "helmholtz" };
+  const melody = Melody.fromString("c'' d'':0.5 [c' e']", options);
+  expect(melody.toString()).toBe("C5 D5:0.5 [C4 E4]");
+  expect(melody.toString(options)).toBe("c'' d'':0.5 [c' e']");
+});
@@ -1,4 +1,4 @@
-import { Interval, Note } from "../src/index.js";
+import { Interval, Note, note, notes } from "../src/index.js";
 
 test("create note with letter, accidentals, and octave", () => {
   expect(new Note("C").toString()).toBe("C");
@@ -181,6 +181,50 @@ test("simplify a note", () => {
   expect(new Note("B", "#############", 2).simplify().toString()).toBe("C4");
 });
 
+test("respell a note in a key", () => {
+  expect(note("G#4").respell({ key: "F minor" }).toString()).toBe("Ab4");
+  expect(note("A#").respell({ key: "Eb" }).toString()).toBe("Bb");
+  expect(note("E").respell({ key: "F minor" }).toString()).toBe("E");
+  expect(note("F#").respell({ key: "Bb major" }).toString()).toBe("Gb");
+  expect(note("Gb").respell({ key: "D major" }).toString()).toBe("F#");
+  expect(note("F").respell({ key: "C# major" }).toString()).toBe("E#");
+  expect(note("C4").respell({ key: "C# major" }).toString()).toBe("B#3");
+  expect(note("B#3").respell().toString()).toBe("C4");
+  expect(note("Cb4").respell().toString()).toBe("B3");
+  expect(
+    note("A#")
+      .respell({ key: notes("Gb Bb Db") })
+      .toString(),
+  ).toBe("Bb");
+  expect(() => note("C").respell({ key: "H minor" })).toThrowError(
+    "'H minor' is not a valid key",
+  );
+});
+
+test("respell with flats or sharps", () => {
+  expect(note("D#").respell({ preferFlats: true }).toString()).toBe("Eb");
+  expect(note("Eb5").respell().toString()).toBe("D#5");
+  expect(note("Fbb").respell({ preferFlats: true }).toString()).toBe("Eb");
+  expect(note("D").respell({ preferFlats: true }).toString()).toBe("D");
+  expect(
+    note("G#").respell({ key: "Db major", preferFlats: false }).toString(),
+  ).toBe("Ab");
+  expect(
+    note("B").respell({ key: "F major", preferFlats: false }).toString(),
+  ).toBe("B");
+});
+
+test("spell MIDI notes in a key", () => {
+  expect(Note.fromMidi(68).toString()).toBe("G#4");
+  expect(Note.fromMidi(68, { key: "F minor" }).toString()).toBe("Ab4");
+  expect(Note.fromMidi(70, { preferFlats: true }).toString()).toBe("Bb4");
+  expect(Note.fromMidi(61, { key: "A major" }).toString()).toBe("C#4");
+  expect(Note.fromMidi(71, { key: "Gb major" }).toString()).toBe("Cb5");
+  expect(Note.fromMidi(61, { key: "D minor" }).toString()).toBe("C#4");
+  expect(Note.fromMidi(71, { key: "D minor" }).toString()).toBe("B4");
+  expect(Note.fromMidi(69, { key: "C minor" }).toString()).toBe("A4");
+});
+
 test("convert between pitch classes and pitches", () => {
   expect(new Note("C").toPitchClass().toString()).toBe("C");
   expect(new Note("D", "", 4).toPitchClass().toString()).toBe("D");
@@ -198,3 +242,96 @@ test("check equality", () => {
   expect(new Note("D", "#", 4).isEqual("D#")).toBe(false);
   expect(new Note("D", "#", 4).isEqual("D4")).toBe(false);
 });
+
+test("quarter tones", () => {
+  expect(new Note("E", "t", 4).chromaticOffset).toBe(4.5);
+  expect(note("Bbd").chromaticOffset).toBe(9.5);
+  expect(note("C#t3").chromaticOffset).toBe(1.5);
+  expect(note("B↓").toString()).toBe("Bd");
+  expect(note("F↑4").toString()).toBe("Ft4");
+  expect(note("C#t3").isMicrotonal()).toBe(true);
+  expect(note("C#3").isMicrotonal()).toBe(false);
+  expect(() => new Note("C", "#d")).toThrowError();
+  expect(Note.isValidNote("Ebt")).toBe(false);
+  expect(Note.isValidNote("Ctt")).toBe(false);
+
+  expect(note("C4").transpose("N3").toString()).toBe("Ed4");
+  expect(note("Bd3").transpose(1.5).toString()).toBe("C4");
+  expect(note("Et").transpose("-sA1").toString()).toBe("E");
+  expect(note("D4").intervalTo("Ft4").toString()).toBe("N3");
+  expect(note("C#t3").simplify().toString()).toBe("Dd3");
+  expect(note("Bt3").respell({ preferFlats: true }).toString()).toBe("Cd4");
+  expect(note("Et").isEnharmonic("Fd")).toBe(true);
+  expect(note("Et4").isEnharmonic("E4")).toBe(false);
+  expect(note("Ed4").frequency()).toBeCloseTo(320.24, 2);
+  expect(note("Ed4").midi()).toBe(NaN);
+});
+
+test("create quarter tones from frequency", () => {
+  expect(Note.fromFrequency(339, { quarterTones: true }).toString()).toBe(
+    "Et4",
+  );
+  expect(Note.fromFrequency(339).toString()).toBe("E4");
+  expect(Note.fromFrequency(452.9, { quarterTones: true }).toString()).toBe(
+    "At4",
+  );
+  expect(Note.fromFrequency(440, { quarterTones: true }).toString()).toBe("A4");
+  expect(
+    Note.fromFrequency(note("Dd4").frequency(), {
+      quarterTones: true,
+    }).toString(),
+  ).toBe("Dd4");
+});
+
+test("notes in octave 0", () => {
+  expect(note("C0").toString()).toBe("C0");
+  expect(note("A0").toString({ notation: "german" })).toBe("A0");
+  expect(note(note("Bb0").toString())).toEqual(note("Bb0"));
+  expect(note("C0").isPitch()).toBe(true);
+  expect(note("B#-1").simplify().toString()).toBe("C0");
+  expect(note("Dbb0").simplify().toString()).toBe("C0");
+  expect(note("Cb1").simplify().toString()).toBe("B0");
+  expect(notes("C1 C0 C C-1").sort().toString()).toBe("C C-1 C0 C1");
+  expect(Note.compare(note("A0"), note("A"))).toBeGreaterThan(0);
+});
+
+test("convert notes to and from JSON", () => {
+  expect(note("C#0").toJSON()).toEqual({
+    letter: "C",
+    accidentals: "#",
+    octave: 0,
+  });
+  expect(note("Eb").toJSON()).toEqual({
+    letter: "E",
+    accidentals: "b",
+    octave: null,
+  });
+  expect(JSON.stringify(note("Fbb4"))).toBe(
+    '{"letter":"F","accidentals":"bb","octave":4}',
+  );
+
+  for (const n of ["C0", "C", "Fbb4", "E#-1", "Bbd3", "G##"]) {
+    const json = JSON.parse(JSON.stringify(note(n)));
+    const copy = Note.fromJSON(json);
+    expect(copy.isEqual(n)).toBe(true);
+    expect(copy.isPitch()).toBe(note(n).isPitch());
+  }
+
+  expect(() =>
+    Note.fromJSON({ letter: "H", accidentals: "", octave: 4 }),
+  ).toThrow(`'{"letter":"H","accidentals":"","octave":4}' is not a valid note`);
+  expect(() => Note.fromJSON({ letter: "C", accidentals: "" })).toThrow(
+    "is not a valid note",
+  );
+  expect(() =>
+    Note.fromJSON({ letter: "C", accidentals: "", octave: 4.5 }),
+  ).toThrow("is not a valid note");
+});
+
+test("hash notes", () => {
+  expect(note("C#4").hash()).toBe(note("C#4").hash());
+  expect(note("C#4").hash()).toBe(496591509);
+  expect(note("C#4").hash()).not.toBe(note("Db4").hash());
+  expect(note("C0").hash()).not.toBe(note("C").hash());
+  expect(Number.isInteger(note("Et").hash())).toBe(true);
+});
@@ -1,4 +1,4 @@
-import { chord, Note, NoteList, scale } from "../src/index.js";
+import { chord, Note, NoteList, notes, scale } from "../src/index.js";
 
 test("create note list", () => {
   expect(new NoteList().toString()).toBe("");
@@ -81,6 +81,16 @@ test("sort note list", () => {
   );
 });
 
+test("respell note list", () => {
+  expect(notes("F G G# A# C").respell().toString()).toBe("F G Ab Bb C");
+  expect(notes("A C# E").respell().toString()).toBe("A C# E");
+  expect(notes("Db4 F4 Ab4").respell().toString()).toBe("Db4 F4 Ab4");
+  expect(notes("Ebb G# B").respell().toString()).toBe("D G# B");
+  expect(notes("C# F G#").respell("Db major").toString()).toBe("Db F Ab");
+  expect(notes("G#4 C5 D#5").respell("F minor").toString()).toBe("Ab4 C5 Eb5");
+  expect(notes("D# G A#").respell(notes("Eb G Bb")).toString()).toBe("Eb G Bb");
+});
+
 test("simplify note list", () => {
   // Directly maps Note.simplify(), which is tested in note.test.js
   expect(
@@ -154,3 +164,61 @@ test("search for scale/chord", () => {
   expect(noteList.subsets().scales().length).toBe(0);
   expect(() => mixedNoteList.search()).toThrow();
 });
+
+test("compare note lists", () => {
+  expect(notes("C E G").equals("C E G")).toBe(true);
+  expect(notes("C E G").equals(notes("C E G"))).toBe(true);
+  expect(notes("C E G").equals("E G C")).toBe(false);
+  expect(notes("C E G").equals("E G C", { ordered: false })).toBe(true);
+  expect(notes("C E G").equals("C E G C", { ordered: false })).toBe(false);
+  expect(notes("C C E").equals("C E E", { ordered: false })).toBe(false);
+  expect(notes("C# F").equals("Db F")).toBe(false);
+  expect(notes("C# F").equals("Db F", { enharmonic: true })).toBe(true);
+  expect(
+    notes("C# F").equals("F Db", { enharmonic: true, ordered: false }),
+  ).toBe(true);
+  expect(notes("C4 E4").equals("C E", { enharmonic: true })).toBe(false);
+  expect(notes("C0").equals("C")).toBe(false);
+  expect(new NoteList().equals(new NoteList())).toBe(true);
+});
+
+test("union, intersection, and difference of note lists", () => {
+  const cMajor = chord("C major");
+  expect(cMajor.union("A C E").toString()).toBe("C E G A");
+  expect(cMajor.union("C C G").toString()).toBe("C E G");
+  expect(notes("C C E").union("E").toString()).toBe("C E");
+  expect(cMajor.union("Fb").toString()).toBe("C E G Fb");
+  expect(cMajor.union("Fb", true).toString()).toBe("C E G");
+
+  expect(cMajor.intersection("A C E").toString()).toBe("C E");
+  expect(cMajor.intersection("B# D").toString()).toBe("");
+  expect(cMajor.intersection("B# D", true).toString()).toBe("C");
+  expect(cMajor.intersection("C4 E4").toString()).toBe("");
+
+  expect(cMajor.difference("A C E").toString()).toBe("G");
+  expect(cMajor.difference("Fb", true).toString()).toBe("C G");
+  expect(notes("C4 C5 C4").difference("C5").toString()).toBe("C4");
+});
+
+test("convert note lists to and from JSON", () => {
+  const list = notes("C0 Eb4 G#");
+  expect(list.toJSON()).toEqual({
+    notes: [
+      { letter: "C", accidentals: "", octave: 0 },
+      { letter: "E", accidentals: "b", octave: 4 },
+      { letter: "G", accidentals: "#", octave: null },
+    ],
+  });
+  const copy = NoteList.fromJSON(JSON.parse(JSON.stringify(list)));
+  expect(copy.equals(list)).toBe(true);
+  expect(copy.notes[0].isPitch()).toBe(true);
+  expect(copy.notes[2].isPitchClass()).toBe(true);
+  expect(NoteList.fromJSON({ notes: [] }).isEmpty()).toBe(true);
+  expect(() => NoteList.fromJSON({ notes: [{ letter: "X" }] })).toThrow(
+    `'{"notes":[{"letter":"X"}]}' is not a valid note list`,
+  );
+  expect(() => NoteList.fromJSON({})).toThrow("is not a valid note list");
+
+  expect(notes("C E G").hash()).toBe(notes("C E G").hash());
+  expect(notes("C E G").hash()).not.toBe(notes("E G C").hash());
+});
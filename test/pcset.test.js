@@ -0,0 +1,125 @@
+import { chord, notes, PitchClassSet, pcset, search } from "../src/index.js";
+
+test("create", () => {
+  expect(new PitchClassSet([7, 0, 4, 12, -1]).pitchClasses).toEqual([
+    0, 4, 7, 11,
+  ]);
+  expect(pcset("[0,4,7]").mask).toBe(0b10010001);
+  expect(pcset("{0 4 7 10}").pitchClasses).toEqual([0, 4, 7, 10]);
+  expect(pcset("(014te)").pitchClasses).toEqual([0, 1, 4, 10, 11]);
+  expect(pcset("0, 1, 11").pitchClasses).toEqual([0, 1, 11]);
+  expect(pcset("[]").cardinality()).toBe(0);
+  expect(PitchClassSet.fromMask(0b1000000010001).pitchClasses).toEqual([0, 4]);
+  expect(notes("C4 E4 G#4 Ab5 B#").pcset().toString()).toBe("{0,4,8}");
+
+  expect(() => new PitchClassSet([1.5])).toThrow(
+    "'1.5' is not a valid pitch class",
+  );
+  expect(() => pcset("[0,4,12]")).toThrow(
+    "'[0,4,12]' is not a valid pitch-class set",
+  );
+  expect(() => pcset("[0,4")).toThrow("is not a valid pitch-class set");
+  expect(() => pcset("C E G")).toThrow("is not a valid pitch-class set");
+});
+
+test("normal order and prime form", () => {
+  expect(pcset("{7,0,4}").normalOrder()).toEqual([0, 4, 7]);
+  expect(pcset("{11,2,5,7}").normalOrder()).toEqual([11, 2, 5, 7]);
+  expect(pcset("{0,3,6,9}").normalOrder()).toEqual([0, 3, 6, 9]);
+  expect(pcset("{4,7,11}").primeForm()).toEqual([0, 3, 7]);
+  expect(pcset("[]").primeForm()).toEqual([]);
+
+  // Set classes where the conventions differ
+  const differences = {
+    "5-20": ["01568", "01378"],
+    "6-Z29": ["023679", "013689"],
+    "6-31": ["014579", "013589"],
+    "7-Z18": ["0145679", "0123589"],
+    "7-20": ["0125679", "0124789"],
+    "8-26": ["0134578t", "0124579t"],
+  };
+  for (const [name, [rahn, forte]] of Object.entries(differences)) {
+    const set = pcset(name).transpose(5).invert();
+    expect(set.primeForm()).toEqual(pcset(rahn).pitchClasses);
+    expect(set.primeForm("forte")).toEqual(pcset(forte).pitchClasses);
+  }
+
+  // Normal order ties between rotations
+  const fifth = pcset("{1,2,6,7,9}");
+  expect(fifth.normalOrder("rahn")).toEqual([1, 2, 6, 7, 9]);
+  expect(fifth.normalOrder("forte")).toEqual([6, 7, 9, 1, 2]);
+});
+
+test("forte numbers", () => {
+  expect(chord("C major").pcset().forteNumber()).toBe("3-11");
+  expect(chord("C minor").pcset().forteNumber()).toBe("3-11");
+  expect(notes("C D E F G A B").pcset().forteNumber()).toBe("7-35");
+  expect(notes("C D E G A").pcset().forteNumber()).toBe("5-35");
+  expect(pcset("0146").forteNumber()).toBe("4-Z15");
+  expect(pcset("[]").forteNumber()).toBe("0-1");
+  expect(pcset("0123456789te").forteNumber()).toBe("12-1");
+
+  expect(PitchClassSet.fromForte("4-Z15").pitchClasses).toEqual([0, 1, 4, 6]);
+  expect(PitchClassSet.fromForte("4-15").pitchClasses).toEqual([0, 1, 4, 6]);
+  expect(pcset("9-12").pitchClasses).toEqual([0, 1, 2, 4, 5, 6, 8, 9, 10]);
+  expect(() => pcset("3-13")).toThrow("'3-13' is not a valid Forte number");
+
+  // Every set of pitch classes belongs to one of 224 set classes
+  const names = new Set();
+  for (let mask = 0; mask < 4096; mask++) {
+    names.add(PitchClassSet.fromMask(mask).forteNumber());
+  }
+  expect(names.size).toBe(224);
+});
+
+test("interval vector", () => {
+  expect(pcset("037").intervalVector()).toEqual([0, 0, 1, 1, 1, 0]);
+  expect(pcset("7-35").intervalVector()).toEqual([2, 5, 4, 3, 6, 1]);
+  expect(pcset("0123456789te").intervalVector()).toEqual([
+    12, 12, 12, 12, 12, 6,
+  ]);
+  expect(pcset("0").intervalVector()).toEqual([0, 0, 0, 0, 0, 0]);
+});
+
+test("equivalence", () => {
+  const major = chord("C major").pcset();
+  const minor = chord("A minor").pcset();
+  expect(major.transpose(2).equals(chord("D major").pcset())).toBe(true);
+  expect(major.invert(7).equals(chord("C minor").pcset())).toBe(true);
+  expect(major.isTranspositionOf(chord("Ab major").pcset())).toBe(true);
+  expect(major.isTranspositionOf(minor)).toBe(false);
+  expect(major.isEquivalentTo(minor)).toBe(true);
+  expect(major.isEquivalentTo(chord("C aug").pcset())).toBe(false);
+});
+
+test("z-relations", () => {
+  expect(pcset("4-Z15").isZRelatedTo(pcset("4-Z29"))).toBe(true);
+  expect(pcset("4-Z15").isZRelatedTo(pcset("4-Z15").transpose(3))).toBe(false);
+  expect(pcset("4-Z15").zRelated().forteNumber()).toBe("4-Z29");
+  expect(pcset("6-Z3").zRelated().forteNumber()).toBe("6-Z36");
+  expect(pcset("6-Z3").complement().forteNumber()).toBe("6-Z36");
+  expect(pcset("4-28").zRelated()).toBe(undefined);
+});
+
+test("complements and subsets", () => {
+  const pentatonic = notes("C D E G A").pcset();
+  expect(pentatonic.complement().toString()).toBe("{1,3,5,6,8,10,11}");
+  expect(pentatonic.complement().complement().equals(pentatonic)).toBe(true);
+
+  const major = chord("C major").pcset();
+  expect(major.isSubsetOf(pentatonic)).toBe(true);
+  expect(pentatonic.isSupersetOf(major)).toBe(true);
+  expect(chord("D minor").pcset().isSubsetOf(pentatonic)).toBe(false);
+  expect(chord("E minor").pcset().isSubsetOf(pentatonic, true)).toBe(true);
+  expect(chord("C aug").pcset().isSubsetOf(pentatonic, true)).toBe(false);
+  expect(pentatonic.isSupersetOf(chord("B minor").pcset(), true)).toBe(true);
+
+  expect(pcset("0247").subsetClasses(3)).toEqual(["3-6", "3-7", "3-9", "3-11"]);
+  expect(pentatonic.subsetClasses(5)).toEqual(["5-35"]);
+  expect(pentatonic.subsetClasses(6)).toEqual([]);
+});
+
+test("search matches", () => {
+  expect(notes("E G C").anyRoot().exact().chordMatch().forte).toBe("3-11");
+  expect(search("P1 M2 M3 P5 M6").exact().scaleMatch().forte).toBe("5-35");
+});
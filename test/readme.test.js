@@ -1,13 +1,44 @@
 // Test README.md commands to ensure they run correctly
+
+import { runCli } from "../src/cli.js";
 import {
+  analyze,
+  checkCounterpoint,
   chord,
+  Fretboard,
+  findKey,
   Interval,
   interval,
+  Key,
+  Keyboard,
+  Melody,
+  MidiFile,
   Note,
+  NoteList,
   note,
   notes,
+  parseAbc,
+  parseMusicXML,
+  pcset,
+  progression,
+  Registry,
+  registerChord,
+  registerScale,
+  registry,
+  renderAudio,
+  romanNumeral,
+  Scale,
   scale,
   search,
+  Tuning,
+  toAbc,
+  toChordSymbol,
+  toLilyPond,
+  toMusicXML,
+  toWav,
+  unregister,
+  voiceLead,
+  voicing,
 } from "../src/index.js";
 
 test("quick start", () => {
@@ -50,6 +81,11 @@ test("intervals", () => {
   expect(
     Interval.fromSteps(4, 7).add("M7").simpleTerm().frequencyRatio(),
   ).toBeCloseTo(Math.SQRT2);
+  expect(interval("M3").multiply(3).toString()).toBe("A7");
+  expect(interval("d5").isLargerThan("A4")).toBe(true);
+  expect(interval("M6").consonance()).toBe("imperfect");
+  expect(interval("A2").isChromatic()).toBe(true);
+  expect(Interval.between(note("E5"), note("D4")).toString()).toBe("m7");
 });
 
 test("notes", () => {
@@ -60,6 +96,11 @@ test("notes", () => {
   expect(Note.fromMidi(60).toString()).toBe("C4");
   expect(Note.fromFrequency(440).toString()).toBe("A4");
 
+  expect(Note.fromMidi(68, { key: "F minor" }).toString()).toBe("Ab4");
+  expect(note("A#4").respell({ key: "Eb major" }).toString()).toBe("Bb4");
+  expect(note("D#").respell({ preferFlats: true }).toString()).toBe("Eb");
+  expect(notes("F G G# A# C").respell().toString()).toBe("F G Ab Bb C");
+
   expect(note("C").transpose("P5").toString()).toBe("G");
   expect(note("D#").intervalTo("A").toString()).toBe("d5");
   expect(note("Eb5").transpose("-A5").toString()).toBe("Abb4");
@@ -77,6 +118,20 @@ test("notelist", () => {
   expect(
     notes("Abb E4 C").toPitches(4).simplify().remove("C4").sort().toString(),
   ).toBe("E4 G4");
+
+  expect(notes("C E G").equals("E G C", { ordered: false })).toBe(true);
+  expect(chord("C major").union("A C E").toString()).toBe("C E G A");
+  expect(chord("C major").intersection("A C E").toString()).toBe("C E");
+  expect(chord("C major").difference("Fb", true).toString()).toBe("C G");
+
+  const json = JSON.stringify(notes("C0 Eb"));
+  expect(json).toBe(
+    '{"notes":[{"letter":"C","accidentals":"","octave":0},{"letter":"E","accidentals":"b","octave":null}]}',
+  );
+  expect(NoteList.fromJSON(JSON.parse(json)).toString()).toBe("C0 Eb");
+  expect(
+    Interval.fromJSON({ quality: "m", number: 3, sign: -1 }).toString(),
+  ).toBe("-m3");
 });
 
 test("scales", () => {
@@ -88,6 +143,26 @@ test("scales", () => {
 
   expect(scale("ionian").exact().scales()).toContain("major");
   expect(scale("ionian").exact().scales()).toContain("ionian");
+
+  const dMinor = Scale.fromString("D4 minor");
+  expect(dMinor.degree(3).toString()).toBe("F4");
+  expect(dMinor.mode(3).name).toBe("major");
+  expect(dMinor.triads()[4].toString()).toBe("A4 C5 E5");
+  expect(dMinor.transposeDiatonic("F4", -3).toString()).toBe("C4");
+});
+
+test("keys", () => {
+  const key = Key.fromString("Eb major");
+  expect(key.signature().accidentals).toBe(-3);
+  expect(key.signature().notes.map(String)).toEqual(["Bb", "Eb", "Ab"]);
+  expect(key.relative().toString()).toBe("C minor");
+  expect(key.neighbours().map(String)).toEqual(["Ab major", "Bb major"]);
+  expect(Key.fromSignature(2, "minor").toString()).toBe("B minor");
+  expect(Key.fromString("C major").distance("E major")).toBe(4);
+
+  expect(NoteList.fromScale(Key.fromString("E minor")).toString()).toBe(
+    "E F# G A B C D",
+  );
 });
 
 test("chords", () => {
@@ -101,6 +176,160 @@ test("chords", () => {
   expect(chord("sus4").supersets().chords()).toContain("suspended fourth");
 });
 
+test("chord symbols", () => {
+  expect(chord("G7(#9,b13)").toString()).toBe("G B D F A# Eb");
+  expect(chord("F#m7b5/A").toString()).toBe("A F# C E");
+
+  expect(notes("E G C").toChordSymbol()).toBe("C/E");
+  expect(toChordSymbol("half-diminished seventh")).toBe("m7b5");
+});
+
+test("custom scales and chords", () => {
+  registerScale("maqam rast", ["P1", "M2", "M3", "P4", "P5", "M6", "m7"], {
+    aliases: ["rast"],
+    tags: ["maqam"],
+  });
+  expect(scale("D rast").toString()).toBe("D E F# G A B C");
+  expect(notes("C D E F G A Bb").exact().scales()).toEqual([
+    "mixolydian",
+    "maqam rast",
+  ]);
+  expect(registry.scales("maqam")).toEqual(["maqam rast"]);
+
+  registerChord("so what", ["P1", "P4", "m7", "m10", "P12"], { symbol: "sw" });
+  expect(chord("Dsw").toString()).toBe("D G C F A");
+  expect(unregister("so what")).toBe(true);
+  unregister("maqam rast");
+
+  const house = Registry.withDefaults();
+  house.registerChord("mu major", ["P1", "M2", "M3", "P5"]);
+  expect(NoteList.fromChord("C", "mu major", house).toString()).toBe("C D E G");
+  expect(search("P1 M2 M3 P5", true, { registry: house }).exact().chord()).toBe(
+    "mu major",
+  );
+});
+
+test("roman numerals", () => {
+  expect(progression("C major", "I vi ii7 V7/V V7 I").map(String)).toEqual([
+    "C E G",
+    "A C E",
+    "D F A C",
+    "D F# A C",
+    "G B D F",
+    "C E G",
+  ]);
+  expect(romanNumeral("C4 major", "V6/5").toString()).toBe("B4 D5 F5 G5");
+
+  expect(
+    analyze(["C E G", "F A C D", "G B D F", "Ab C Eb F#"], "C major"),
+  ).toEqual(["I", "ii6/5", "V7", "Ger+6"]);
+});
+
+test("tunings", () => {
+  expect(note("A4").frequency(Tuning.equal(415))).toBe(415);
+  expect(interval("M3").cents(Tuning.meantone())).toBeCloseTo(386.31, 2);
+  expect(note("C#4").frequency(Tuning.pythagorean())).toBeCloseTo(278.44, 2);
+  expect(note("Db4").frequency(Tuning.pythagorean())).toBeCloseTo(274.69, 2);
+  expect(interval("M3").frequencyRatio(Tuning.just("C"))).toBe(1.25);
+});
+
+test("quarter tones", () => {
+  expect(note("Ed4").frequency()).toBeCloseTo(320.2437, 4);
+  expect(note("B↓").toString()).toBe("Bd");
+  expect(note("C4").transpose("N3").toString()).toBe("Ed4");
+  expect(note("D").intervalTo("Ft").toString()).toBe("N3");
+  expect(interval("sA4").cents()).toBe(550);
+  expect(Interval.fromSemitones(10.5).toString()).toBe("N7");
+  expect(note("Et").isEnharmonic("Fd")).toBe(true);
+  expect(Note.fromFrequency(339, { quarterTones: true }).toString()).toBe(
+    "Et4",
+  );
+
+  registerScale("maqam rast", ["P1", "M2", "N3", "P4", "P5", "M6", "N7"]);
+  expect(scale("C maqam rast").toString()).toBe("C D Ed F G A Bd");
+  unregister("maqam rast");
+});
+
+test("notations", () => {
+  expect(note("C#4").toString({ notation: "unicode" })).toBe("C♯4");
+  expect(note("B").toString({ notation: "german" })).toBe("H");
+  expect(note("B", { notation: "german" }).toString()).toBe("Bb");
+  expect(notes("C4 F#4 Bb3").toString({ notation: "solfege" })).toBe(
+    "Do4 Fa#4 Sib3",
+  );
+  expect(scale("G minor").toString({ notation: "movable-do", key: "G" })).toBe(
+    "do re me fa sol le te",
+  );
+  expect(note("c'", { notation: "helmholtz" }).toString()).toBe("C4");
+  expect(
+    chord("Fis minor", { notation: "german" }).toString({ notation: "german" }),
+  ).toBe("Fis A Cis");
+});
+
+test("voicings", () => {
+  expect(chord("C4 major").invert(1).toString()).toBe("E4 G4 C5");
+  expect(chord("C4 major seventh").drop2().toString()).toBe("G3 C4 E4 B4");
+
+  expect(voicing("C E G", "open", { low: "C3" }).toString()).toBe("C3 G3 E4");
+  expect(
+    voicing("C E G B", "spread", { low: "C3", high: "C6" }).toString(),
+  ).toBe("C3 E4 G4 B5");
+
+  expect(voiceLead(["C4 E4 G4", "F A C", "G B D"]).map(String)).toEqual([
+    "C4 E4 G4",
+    "C4 F4 A4",
+    "B3 D4 G4",
+  ]);
+  expect(
+    voiceLead(["C3 G3", "D A"], { avoidParallels: true }).map(String),
+  ).toEqual(["C3 G3", "A2 D3"]);
+});
+
+test("counterpoint", () => {
+  expect(checkCounterpoint(["G4 A4", "C4 D4"])).toEqual([
+    {
+      rule: "parallel-fifths",
+      beat: 1,
+      voices: [0, 1],
+      message: "Parallel fifths between voices 0 and 1",
+    },
+  ]);
+  expect(
+    checkCounterpoint(["B4 A4", "F4 G4", "D4 E4", "G3 C3"], {
+      key: "C major",
+    }).map((v) => v.rule),
+  ).toEqual(["leading-tone", "seventh"]);
+});
+
+test("instruments", () => {
+  const guitar = Fretboard.guitar();
+  expect(guitar.positions("A2").map((p) => `${p.string}:${p.fret}`)).toEqual([
+    "0:5",
+    "1:0",
+  ]);
+  expect(guitar.noteAt(2, 2).toString()).toBe("E3");
+  expect(Fretboard.guitar("drop-D", { capo: 2 }).strings.join(" ")).toBe(
+    "D2 A2 D3 G3 B3 E4",
+  );
+
+  const [c] = guitar.shapes("C major");
+  expect(c.frets).toEqual([null, 3, 2, 0, 1, 0]);
+  expect(c.fingers).toEqual([null, 3, 2, 0, 1, 0]);
+  expect(c.notes.toString()).toBe("C3 E3 G3 C4 E4");
+  expect(guitar.shapes("F")[0].barre).toBe(true);
+  expect(guitar.diagram(c)).toBe(
+    "x     o   o\n===========\n| | | | O |\n| | O | | |\n| O | | | |\n| | | | | |",
+  );
+  expect(guitar.tab([c, guitar.shapes("G")[0]])).toBe(
+    "e|-0-3-|\nB|-1-0-|\nG|-0-0-|\nD|-2-0-|\nA|-3-2-|\nE|---3-|",
+  );
+
+  expect(Keyboard.piano().positions("C4")).toEqual([
+    { key: 39, note: note("C4"), black: false },
+  ]);
+  expect(Keyboard.piano(61).positions("Db").length).toBe(5);
+});
+
 test("search", () => {
   expect(search("P1 M3 P5 M7", true).exact().chord()).toBe("major seventh");
   expect(search("P1 M3 P5 M7").exact().chord()).toBe("major seventh");
@@ -118,4 +347,157 @@ test("search", () => {
   expect(chord("7").subsets().chords()).toContain("major");
   expect(chord("dim").supersets().scales()).toContain("chromatic");
   expect(chord("dim").supersets().scales()).toContain("blues hexatonic");
+
+  expect(notes("E G C").anyRoot().exact().chord()).toBe("major");
+  const match = notes("E G C").anyRoot().exact().chordMatch();
+  expect(match.root.toString()).toBe("C");
+  expect(match.name).toBe("major");
+  expect(match.inversion).toBe(1);
+  expect(match.bass.toString()).toBe("E");
+  expect(match.score).toBe(1);
+  expect(notes("C E G A").anyRoot().exact().chords()).toEqual([
+    "major sixth",
+    "minor seventh",
+  ]);
+  expect(notes("C Eb Bb").anyRoot(true).supersets().chordMatch().name).toBe(
+    "minor seventh",
+  );
+  expect(search("P1 m3 m6").anyRoot().exact().chordMatch()).toEqual({
+    root: "m6",
+    name: "major",
+    inversion: 1,
+    bass: "P1",
+    score: 1,
+    forte: "3-11",
+  });
+});
+
+test("pitch-class sets", () => {
+  const set = notes("B D F G").pcset();
+  expect(set.toString()).toBe("{2,5,7,11}");
+  expect(set.normalOrder()).toEqual([11, 2, 5, 7]);
+  expect(set.primeForm()).toEqual([0, 2, 5, 8]);
+  expect(set.forteNumber()).toBe("4-27");
+  expect(set.intervalVector()).toEqual([0, 1, 2, 1, 1, 1]);
+  expect(set.isEquivalentTo(chord("Dm7b5").pcset())).toBe(true);
+
+  expect(pcset("5-20").primeForm()).toEqual([0, 1, 5, 6, 8]);
+  expect(pcset("5-20").primeForm("forte")).toEqual([0, 1, 3, 7, 8]);
+  expect(pcset("4-Z15").zRelated().forteNumber()).toBe("4-Z29");
+  expect(pcset("0247").subsetClasses(3)).toEqual(["3-6", "3-7", "3-9", "3-11"]);
+});
+
+test("key finding", () => {
+  const [key] = findKey("E G# B F# A E B");
+  expect(key.tonic.toString()).toBe("E");
+  expect(key.scale).toBe("major");
+  expect(key.score).toBeCloseTo(0.926, 3);
+  expect(
+    findKey("A4 C5 E5 G#4 A4", { weights: [4, 1, 1, 1, 4] })[0].scale,
+  ).toBe("minor");
+
+  expect(
+    findKey("D E F G A C", { method: "fit", scales: ["major", "minor"] }).map(
+      (k) => `${k.tonic} ${k.scale}`,
+    ),
+  ).toEqual(["D minor", "C major", "F major", "A minor"]);
+});
+
+test("melodies", () => {
+  const melody = Melody.fromString("C4 E4:0.5 r:0.5 [G4 B4]:2", { tempo: 90 });
+  expect(melody.transpose("M2").toString()).toBe("D4 F#4:0.5 r:0.5 [A4 C#5]:2");
+  expect(melody.retrograde().toString()).toBe("[G4 B4]:2 r:0.5 E4:0.5 C4");
+  expect(melody.inversion().toString()).toBe("C4 Ab3:0.5 r:0.5 [F3 Db3]:2");
+  expect(melody.augment(2).toString()).toBe("C4:2 E4 r [G4 B4]:4");
+  expect(melody.seconds(melody.duration())).toBeCloseTo(2.667, 3);
+
+  const waltz = Melody.fromString("C4 D4 E4 F4:2 G4", {
+    timeSignature: { numerator: 3, denominator: 4 },
+  });
+  expect(waltz.bars().map(String)).toEqual(["C4 D4 E4", "F4:2 G4"]);
+});
+
+test("abc and lilypond", () => {
+  const tune = parseAbc("X:1\nM:3/4\nL:1/8\nK:G\nGA Bc d2 | [GBd]4 =f2 |");
+  expect(tune.key.toString()).toBe("G major");
+  expect(tune.melody.toString()).toBe(
+    "G4:0.5 A4:0.5 B4:0.5 C5:0.5 D5 [G4 B4 D5]:2 F5",
+  );
+  expect(toAbc(tune)).toBe("X:1\nM:3/4\nL:1/8\nK:G\nGA Bc d2 | [GBd]4 =f2 |\n");
+
+  expect(
+    toLilyPond(Melody.fromString("C4 E4 G4 [C4 E4 G4]"), { relative: true }),
+  ).toBe("\\relative {\n  \\time 4/4\n  c'4 e g <c, e g> |\n}\n");
+});
+
+test("midi files", () => {
+  const bytes = MidiFile.fromNoteLists(["C4 E4 G4", "F A C"], {
+    style: "arpeggio",
+    tempo: 90,
+  }).toBytes();
+  expect(
+    MidiFile.fromBytes(bytes).tracks[0].notes.map((n) => n.note.toString()),
+  ).toEqual(["C4", "E4", "G4", "F4", "A4", "C5"]);
+});
+
+test("musicxml", () => {
+  const xml = toMusicXML(chord("Db4 major"), {
+    style: "chord",
+    key: Key.fromString("Db major"),
+  });
+  expect(xml.includes("<fifths>-5</fifths>")).toBe(true);
+  expect(xml.includes("<chord/>")).toBe(true);
+
+  expect(
+    parseMusicXML(
+      toMusicXML(Melody.fromString("C#4:3 Eb4:2 [C4 E4 G4]:2")),
+    ).toString(),
+  ).toBe("C#4:3 Eb4:2 [C4 E4 G4]:2");
+});
+
+test("audio", () => {
+  const samples = renderAudio(chord("A4 major"), {
+    waveform: "triangle",
+    sampleRate: 8000,
+  });
+  expect(samples.length).toBe(4800);
+  expect(
+    renderAudio(["C E G", "F A C"], {
+      style: "arpeggio",
+      duration: 0.5,
+      envelope: { release: 0.5 },
+    }).length,
+  ).toBe(88200);
+  expect(
+    renderAudio(Melody.fromString("A4 C5:2", { tempo: 60 }), {
+      tuning: Tuning.equal(415),
+    }).length,
+  ).toBe(136710);
+
+  const wav = toWav(chord("C4 major"), { style: "arpeggio" });
+  expect(new TextDecoder().decode(wav.slice(0, 4))).toBe("RIFF");
+});
+
+test("command line", () => {
+  const run = (...args) => runCli(args).stdout.trim();
+  expect(run("scale", "Eb", "lydian")).toBe("Eb F G A Bb C D");
+  expect(run("chord", "Cmaj7")).toBe("C E G B");
+  expect(run("identify", "F", "A", "C", "E")).toMatch(
+    /^chords: major seventh\n/,
+  );
+  expect(run("identify", "C", "E", "G", "--supersets")).toMatch(
+    /^chords: major, /,
+  );
+  expect(run("interval", "G", "Cb")).toBe("d4");
+  expect(run("transpose", "C", "E", "G", "-m3")).toBe("A C# E");
+  expect(run("freq", "A4")).toBe("440");
+  expect(run("freq", "261.63")).toBe("C4");
+  expect(run("midi", "61")).toBe("C#4");
+  expect(run("list", "scales").split("\n").slice(0, 2)).toEqual([
+    "major",
+    "minor",
+  ]);
+  expect(run("chord", "Cmaj7", "--json")).toBe('{"notes":["C","E","G","B"]}');
+  expect(runCli(["scale", "X", "bogus"]).status).toBe(1);
+  expect(runCli(["bogus"]).status).toBe(2);
 });
@@ -0,0 +1,167 @@
+import {
+  CHORDS,
+  chord,
+  Interval,
+  NoteList,
+  notes,
+  parseChordSymbol,
+  Registry,
+  registerChord,
+  registerScale,
+  registry,
+  SCALES,
+  scale,
+  search,
+  toChordSymbol,
+  unregister,
+} from "../src/index.js";
+
+const HIJAZ = ["P1", "m2", "M3", "P4", "P5", "m6", "m7"];
+
+test("defaults", () => {
+  expect(registry.scales()).toEqual(Object.keys(SCALES));
+  expect(registry.chords()).toEqual(Object.keys(CHORDS));
+  expect(registry.scale("m").name).toBe("minor");
+  expect(registry.chord("dom7")).toEqual({
+    name: "dominant seventh",
+    intervals: ["P1", "M3", "P5", "m7"],
+    aliases: expect.arrayContaining(["dom7"]),
+    tags: [],
+    symbol: "7",
+  });
+  expect(registry.scale("unknown")).toBe(undefined);
+  expect(new Registry().scales()).toEqual([]);
+});
+
+test("register scales", () => {
+  const entry = registerScale("maqam hijaz", HIJAZ, {
+    aliases: ["hijaz"],
+    tags: ["maqam", "arabic"],
+  });
+  expect(entry.intervals).toEqual(HIJAZ);
+  expect(scale("D hijaz").toString()).toBe("D Eb F# G A Bb C");
+  expect(registry.scales("arabic")).toEqual(["maqam hijaz"]);
+
+  // The search index is rebuilt
+  expect(notes("D Eb F# G A Bb C").exact().scales()).toContain("maqam hijaz");
+  expect(unregister("maqam hijaz")).toBe(true);
+  expect(notes("D Eb F# G A Bb C").exact().scales()).not.toContain(
+    "maqam hijaz",
+  );
+  expect(() => scale("D hijaz")).toThrow("The scale 'hijaz' is not known");
+  expect(unregister("maqam hijaz")).toBe(false);
+
+  registerScale("interval objects", [Interval.fromString("P1"), "A2"]);
+  expect(registry.scale("interval objects").intervals).toEqual(["P1", "A2"]);
+  unregister("interval objects", "scale");
+});
+
+test("register chords", () => {
+  registerChord(
+    "major seventh sharp eleventh",
+    ["P1", "M3", "P5", "M7", "A11"],
+    {
+      aliases: ["maj7#11"],
+      symbol: "maj7#11",
+    },
+  );
+  expect(chord("Cmaj7#11").toString()).toBe("C E G B F#");
+  expect(chord("F major seventh sharp eleventh").toString()).toBe("F A C E B");
+  expect(toChordSymbol(notes("C E G B F#"))).toBe("Cmaj7#11");
+  expect(toChordSymbol("maj7#11")).toBe("maj7#11");
+  expect(parseChordSymbol("Dmaj7#11/A").bass.toString()).toBe("A");
+
+  // Chords without a symbol are not written as symbols
+  registerChord("quartal", ["P1", "P4", "m7"]);
+  expect(chord("E quartal").toString()).toBe("E A D");
+  expect(toChordSymbol("quartal")).toBe(undefined);
+  expect(search("P1 P4 m7").exact().chords()).toContain("quartal");
+
+  expect(unregister("quartal", "scale")).toBe(false);
+  expect(unregister("quartal", "chord")).toBe(true);
+  unregister("major seventh sharp eleventh");
+  expect(chord("Cmaj7#11").toString()).toBe("C E G B F#");
+  expect(() => chord("C major seventh sharp eleventh")).toThrow("is not known");
+});
+
+test("validation", () => {
+  expect(() => registerScale("bad", ["P1", "M2", "P3"])).toThrow(
+    "'P3' is not a valid interval",
+  );
+  expect(() => registerScale("", ["P1"])).toThrow(
+    "'' is not a valid scale name",
+  );
+  expect(() => registerChord(" padded", ["P1"])).toThrow(
+    "' padded' is not a valid chord name",
+  );
+  expect(() => registerChord("empty", [])).toThrow(
+    "The chord 'empty' needs at least one interval",
+  );
+  expect(() => registerScale("major", ["P1", "M3"])).toThrow(
+    "The scale 'major' is already registered",
+  );
+  expect(() => registerScale("minor", HIJAZ)).toThrow(
+    "The scale 'minor' is already registered",
+  );
+  expect(() => registerScale("new", HIJAZ, { aliases: ["m"] })).toThrow(
+    "The alias 'm' is already used by the scale 'minor'",
+  );
+  expect(() =>
+    registerChord("new", ["P1", "M3"], { aliases: ["a", "a"] }),
+  ).toThrow("The alias 'a' is given twice for 'new'");
+  expect(() =>
+    registerChord("new", ["P1", "M3"], { aliases: ["new"] }),
+  ).toThrow("The alias 'new' is given twice for 'new'");
+
+  expect(() => registerChord("new", ["P1", "M3"], { symbol: "m7" })).toThrow(
+    "The symbol 'm7' is already used by the chord 'minor seventh'",
+  );
+  expect(() => registerChord("new", ["P1", "M3"], { symbol: "dim" })).toThrow(
+    "The symbol 'dim' is already used by the chord 'diminished'",
+  );
+  expect(() =>
+    registerChord("new", ["P1", "M3"], { aliases: ["m7b5"] }),
+  ).toThrow(
+    "The name 'm7b5' is already a symbol of the chord 'half-diminished seventh'",
+  );
+
+  // Failed registrations leave no trace, and names are per type
+  expect(registry.scale("new")).toBe(undefined);
+  expect(registry.chord("new")).toBe(undefined);
+  registerChord("hijaz", ["P1", "m2", "M3"]);
+  expect(registry.scale("hijaz")).toBe(undefined);
+  unregister("hijaz");
+});
+
+test("isolated registries", () => {
+  const house = Registry.withDefaults();
+  const version = house.version;
+  house.registerScale("maqam hijaz", HIJAZ, { aliases: ["hijaz"] });
+  expect(house.version).toBeGreaterThan(version);
+
+  expect(NoteList.fromScale("D", "hijaz", house).toString()).toBe(
+    "D Eb F# G A Bb C",
+  );
+  expect(() => scale("D hijaz")).toThrow("is not known");
+  expect(
+    search(HIJAZ.join(" "), true, { registry: house }).exact().scales(),
+  ).toEqual(["phrygian dominant", "maqam hijaz"]);
+  expect(search(HIJAZ.join(" ")).exact().scales()).toEqual([
+    "phrygian dominant",
+  ]);
+  expect(
+    notes("D Eb F# G A Bb C")
+      .search(true, { registry: house })
+      .exact()
+      .scales(),
+  ).toContain("maqam hijaz");
+
+  const empty = new Registry();
+  empty.registerChord("power", ["P1", "P5"]);
+  expect(
+    search("P1 P5", true, { registry: empty }).supersets().chords(),
+  ).toEqual(["power"]);
+  expect(() => NoteList.fromChord("C", "major", empty)).toThrow(
+    "The chord 'major' is not known",
+  );
+});
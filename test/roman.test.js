@@ -0,0 +1,119 @@
+import { analyze, chord, progression, romanNumeral } from "../src/index.js";
+
+const p = (key, numerals) => progression(key, numerals).map(String);
+
+test("build diatonic progressions", () => {
+  expect(p("C major", "I vi ii7 V7 I")).toEqual([
+    "C E G",
+    "A C E",
+    "D F A C",
+    "G B D F",
+    "C E G",
+  ]);
+  expect(p("A minor", "i iv V7 VI III+")).toEqual([
+    "A C E",
+    "D F A",
+    "E G# B D",
+    "F A C",
+    "C E G#",
+  ]);
+  expect(p("D dorian", "i IV")).toEqual(["D F A", "G B D"]);
+});
+
+test("build seventh chords with explicit quality", () => {
+  expect(romanNumeral("C major", "IM7").toString()).toBe("C E G B");
+  expect(romanNumeral("C major", "I7").toString()).toBe("C E G B");
+  expect(romanNumeral("C major", "viiø7").toString()).toBe("B D F A");
+  expect(romanNumeral("A minor", "viio7").toString()).toBe("G# B D F");
+});
+
+test("build inverted chords", () => {
+  expect(p("C4 major", "I6 V6/4 V7 V65 V4/3 V2")).toEqual([
+    "E4 G4 C5",
+    "D5 G5 B5",
+    "G4 B4 D5 F5",
+    "B4 D5 F5 G5",
+    "D5 F5 G5 B5",
+    "F5 G5 B5 D6",
+  ]);
+});
+
+test("build chromatic chords", () => {
+  expect(p("C major", "V7/V viio7/V V/ii V7/IV")).toEqual([
+    "D F# A C",
+    "F# A C Eb",
+    "A C# E",
+    "C E G Bb",
+  ]);
+  expect(p("C major", "bVI iv bVII N6")).toEqual([
+    "Ab C Eb",
+    "F Ab C",
+    "Bb D F",
+    "F Ab Db",
+  ]);
+  expect(p("C major", "It+6 Fr+6 Ger+6")).toEqual([
+    "Ab C F#",
+    "Ab C D F#",
+    "Ab C Eb F#",
+  ]);
+});
+
+test("build invalid roman numerals", () => {
+  expect(() => romanNumeral("C major", "VIII")).toThrowError();
+  expect(() => romanNumeral("C major", "V8")).toThrowError();
+  expect(() => romanNumeral("C major", "IM")).toThrowError();
+  expect(() => romanNumeral("C pentatonic major", "I")).toThrowError();
+  expect(() => romanNumeral("C xxxxx", "I")).toThrowError();
+});
+
+test("analyze diatonic chords", () => {
+  expect(analyze(["C E G", "F A C D", "G B D F", "C E G"], "C major")).toEqual([
+    "I",
+    "ii6/5",
+    "V7",
+    "I",
+  ]);
+  expect(analyze(["E4 C5 G5", "D4 G4 B4 F5", "B D F A"], "C major")).toEqual([
+    "I6",
+    "V4/3",
+    "viiø7",
+  ]);
+  expect(analyze(["G# B D F", "E G# B"], "A minor")).toEqual(["viio7", "V"]);
+});
+
+test("analyze chromatic chords", () => {
+  const chords = progression("C major", "V7/V viio7/V bVI iv N6 Ger+6 Fr+6");
+  expect(analyze(chords, "C major")).toEqual([
+    "V7/V",
+    "viio7/V",
+    "bVI",
+    "iv",
+    "N6",
+    "Ger+6",
+    "Fr+6",
+  ]);
+});
+
+test("analyze borrowed chords", () => {
+  expect(analyze(["C E G", "F A C", "Bb D F"], "C dorian")).toEqual([
+    "I",
+    "IV",
+    "VII",
+  ]);
+  expect(analyze(["A C# E", "D F A"], "A minor")).toEqual(["I", "iv"]);
+  expect(analyze(["C E G Bb", "F A C"], "C major")).toEqual(["V7/IV", "IV"]);
+});
+
+test("analyze chords that are not triads or sevenths", () => {
+  expect(analyze([chord("Csus4"), "C Db D"], "C major")).toEqual([
+    undefined,
+    undefined,
+  ]);
+});
+
+test("analysis and progression round trip", () => {
+  const numerals = "I vi ii7 V7/V V6/5 I6 IV6/4 viio7/ii ii V4/2 I";
+  expect(analyze(progression("D major", numerals), "D major")).toEqual(
+    numerals.split(" "),
+  );
+});
@@ -0,0 +1,73 @@
+import { Note, NoteList, Scale } from "../src/index.js";
+
+const s = Scale.fromString;
+
+test("create scales", () => {
+  const dorian = s("D4 dorian");
+  expect(dorian).toBeInstanceOf(NoteList);
+  expect(dorian.tonic.toString()).toBe("D4");
+  expect(dorian.name).toBe("dorian");
+  expect(dorian.toString()).toBe("D4 E4 F4 G4 A4 B4 C5");
+  expect(s("minor").tonic.toString()).toBe("C");
+  expect(new Scale("E", ["P1", "M2", "M3"]).name).toBe(undefined);
+  expect(() => s("C xyz")).toThrowError("The scale 'xyz' is not known");
+});
+
+test("find scale degrees", () => {
+  const major = s("C4 major");
+  expect(major.degree(1).toString()).toBe("C4");
+  expect(major.degree(5).toString()).toBe("G4");
+  expect(major.degree(9).toString()).toBe("D5");
+  expect(s("Eb minor").degree(7).toString()).toBe("Db");
+  expect(s("A pentatonic minor").degree(6).toString()).toBe("A");
+  expect(() => major.degree(0)).toThrowError("'0' is not a valid scale degree");
+  expect(() => major.degree(1.5)).toThrowError();
+});
+
+test("find modes", () => {
+  expect(s("C major").mode(2).toString()).toBe("D E F G A B C");
+  expect(s("C major").mode(2).name).toBe("dorian");
+  expect(s("C major").mode(6).name).toBe("minor");
+  expect(s("G4 major").mode(3).toString()).toBe("B4 C5 D5 E5 F#5 G5 A5");
+  expect(s("A minor harmonic").mode(5).tonic.toString()).toBe("E");
+  expect(new Scale("C", ["P1", "m2", "A4"]).mode(2).name).toBe(undefined);
+});
+
+test("stack thirds on each degree", () => {
+  const triads = s("C major").triads();
+  expect(triads.map((t) => t.exact().chord())).toEqual([
+    "major",
+    "minor",
+    "minor",
+    "major",
+    "major",
+    "minor",
+    "diminished",
+  ]);
+  expect(s("A4 minor").triads()[6].toString()).toBe("G5 B5 D6");
+  expect(s("Bb major").sevenths()[4].toString()).toBe("F A C Eb");
+  expect(s("C major").sevenths()[6].exact().chord()).toBe(
+    "half-diminished seventh",
+  );
+});
+
+test("check if scale contains note", () => {
+  const scale = s("D major");
+  expect(scale.contains("F#")).toBe(true);
+  expect(scale.contains("F#7")).toBe(true);
+  expect(scale.contains(new Note("F"))).toBe(false);
+  expect(scale.contains("Gb")).toBe(false);
+  expect(scale.contains("Gb", true)).toBe(true);
+});
+
+test("transpose by scale steps", () => {
+  const minor = s("D minor");
+  expect(minor.transposeDiatonic("F4", 2).toString()).toBe("A4");
+  expect(minor.transposeDiatonic("F4", -3).toString()).toBe("C4");
+  expect(minor.transposeDiatonic("C5", 1).toString()).toBe("D5");
+  expect(minor.transposeDiatonic("Bb", 14).toString()).toBe("Bb");
+  expect(minor.transposeDiatonic("A#3", 1).toString()).toBe("B#3");
+  expect(() => minor.transposeDiatonic("B4", 1)).toThrowError(
+    "'B4' is not in the scale",
+  );
+});
@@ -0,0 +1,76 @@
+import { notes, registerScale, search, unregister } from "../src/index.js";
+
+const s = (m) => `${m.root} ${m.name} ${m.inversion}`;
+
+test("search with any note as root", () => {
+  expect(notes("E G C").exact().chord()).toBe(undefined);
+  expect(notes("E G C").anyRoot().exact().chordMatches().map(s)).toEqual([
+    "C major 1",
+  ]);
+  expect(notes("G4 E5 C5").anyRoot().exact().chordMatches().map(s)).toEqual([
+    "C5 major 2",
+  ]);
+  expect(notes("E G C").anyRoot().exact().chordMatch().bass.toString()).toBe(
+    "E",
+  );
+});
+
+test("rank root position first", () => {
+  expect(notes("C E G A").anyRoot().exact().chordMatches().map(s)).toEqual([
+    "C major sixth 0",
+    "A minor seventh 1",
+  ]);
+  expect(notes("A C E G").anyRoot().exact().chordMatches().map(s)).toEqual([
+    "A minor seventh 0",
+    "C major sixth 3",
+  ]);
+  expect(notes("D E F G A B C").anyRoot().exact().scaleMatch().name).toBe(
+    "dorian",
+  );
+});
+
+test("rank by fit", () => {
+  const matches = notes("C E G B D").anyRoot().subsets().chordMatches();
+  expect(s(matches[0])).toBe("C major ninth 0");
+  expect(matches[0].score).toBe(1);
+  expect(matches[1].score).toBe(0.8);
+  expect(matches.find((m) => m.name === "minor seventh").inversion).toBe(
+    undefined,
+  );
+  expect(notes("C E G").supersets().chordMatches()[1].score).toBeLessThan(1);
+});
+
+test("include absent roots", () => {
+  expect(notes("C Eb Bb").anyRoot().supersets().chords()).not.toContain(
+    "add nine",
+  );
+  const matches = notes("C Eb Bb").anyRoot(true).supersets().chordMatches();
+  expect(matches.map(s)).toContain("Ab add nine 1");
+  expect(matches.findIndex((m) => m.root.toString() === "Ab")).toBeGreaterThan(
+    matches.findIndex((m) => m.root.toString() === "Eb"),
+  );
+});
+
+test("search intervals with any root", () => {
+  expect(search("P1 m3 m6").exact().chord()).toBe(undefined);
+  expect(search("P1 m3 m6").anyRoot().exact().chordMatch()).toEqual({
+    root: "m6",
+    name: "major",
+    inversion: 1,
+    bass: "P1",
+    score: 1,
+    forte: "3-11",
+  });
+  expect(search("P1 M3 P5").exact().chordMatch().root).toBe("P1");
+  expect(search("P1 M9").anyRoot().exact().chords()).toEqual([]);
+});
+
+test("quarter tones are not searched", () => {
+  registerScale("maqam rast", ["P1", "M2", "N3", "P4", "P5", "M6", "N7"]);
+  expect(search("P1 M2 P4 P5 M6").supersets().scales()).not.toContain(
+    "maqam rast",
+  );
+  expect(search("P1 M2 N3").supersets().scales()).toEqual([]);
+  expect(notes("C D Ed F G").anyRoot().supersets().scales()).toEqual([]);
+  unregister("maqam rast");
+});
@@ -0,0 +1,129 @@
+import { interval, Note, note, Tuning } from "../src/index.js";
+
+const JUST_SCL = `! just.scl
+!
+5-limit major
+ 7
+!
+ 9/8
+ 5/4
+ 4/3
+ 3/2
+ 5/3
+ 15/8
+ 2/1
+`;
+
+const WHITE_KEYS_KBM = `! Map the major scale to white keys
+12
+0
+127
+60
+69
+440.0
+7
+! Mapping
+0
+x
+1
+x
+2
+3
+x
+4
+x
+5
+x
+6
+`;
+
+test("default tuning is unchanged", () => {
+  expect(note("A4").frequency(Tuning.equal())).toBe(note("A4").frequency());
+  expect(note("C4").frequency(Tuning.equal())).toBeCloseTo(261.626, 3);
+  expect(interval("P5").cents(Tuning.equal())).toBe(700);
+  expect(Note.fromFrequency(261.6, Tuning.equal()).toString()).toBe("C4");
+});
+
+test("configure reference pitch", () => {
+  expect(note("A4").frequency(Tuning.equal(415))).toBe(415);
+  expect(note("A3").frequency(Tuning.equal().withReference(432))).toBe(216);
+  expect(note("C4").frequency(Tuning.equal(442))).toBeCloseTo(262.815, 3);
+  expect(note("C4").frequency(Tuning.equal().withReference(256, "C4"))).toBe(
+    256,
+  );
+  expect(() => Tuning.equal(0)).toThrowError("positive number");
+});
+
+test("quarter tones in other tunings", () => {
+  const baroque = Tuning.equal(415);
+  const quarterTones = { tuning: baroque, quarterTones: true };
+  expect(note("Et4").frequency(baroque)).toBeCloseTo(320.01, 2);
+  expect(Note.fromFrequency(320, quarterTones).toString()).toBe("Et4");
+  expect(Note.fromFrequency(320, baroque).toString()).toBe("E4");
+  expect(Note.fromFrequency(415, quarterTones).toString()).toBe("A4");
+  expect(Note.fromFrequency(403, quarterTones).toString()).toBe("G#t4");
+});
+
+test("pythagorean tuning distinguishes enharmonic notes", () => {
+  const tuning = Tuning.pythagorean();
+  expect(interval("P5").frequencyRatio(tuning)).toBeCloseTo(1.5, 10);
+  expect(interval("M3").frequencyRatio(tuning)).toBeCloseTo(81 / 64, 10);
+  expect(note("C#4").frequency(tuning)).toBeGreaterThan(
+    note("Db4").frequency(tuning),
+  );
+  expect(
+    Note.fromFrequency(note("Db4").frequency(tuning), tuning).toString(),
+  ).toBe("Db4");
+  expect(
+    Note.fromFrequency(note("C#4").frequency(tuning), tuning).toString(),
+  ).toBe("C#4");
+});
+
+test("meantone tuning has pure major thirds", () => {
+  const tuning = Tuning.meantone();
+  expect(interval("M3").frequencyRatio(tuning)).toBeCloseTo(5 / 4, 10);
+  expect(interval("P5").cents(tuning)).toBeCloseTo(696.578, 3);
+  expect(interval("A1").cents(tuning)).toBeLessThan(
+    interval("m2").cents(tuning),
+  );
+  expect(note("A4").frequency(tuning)).toBe(440);
+});
+
+test("just intonation depends on the key", () => {
+  expect(interval("M3").frequencyRatio(Tuning.just())).toBe(5 / 4);
+  expect(interval("m3").frequencyRatio(Tuning.just())).toBe(6 / 5);
+  const d = Tuning.just("D");
+  expect(d.frequency("F#4") / d.frequency("D4")).toBeCloseTo(5 / 4, 10);
+  expect(d.frequency("C#4")).toBe(d.frequency("Db4"));
+});
+
+test("well temperaments", () => {
+  expect(note("E4").frequency(Tuning.werckmeister())).toBeCloseTo(330, 3);
+  expect(interval("P5").cents(Tuning.vallotti())).toBeCloseTo(698.045, 3);
+  expect(Note.fromFrequency(440, Tuning.werckmeister()).toString()).toBe("A4");
+});
+
+test("load Scala files", () => {
+  const edo19 = [...Array(19).keys()]
+    .map((i) => (((i + 1) * 1200) / 19).toFixed(5))
+    .join("\n");
+  const tuning = Tuning.fromScala(`19-TET\n19\n${edo19}`);
+  expect(tuning.name).toBe("19-TET");
+  expect(tuning.frequency("A4")).toBe(440);
+  expect(tuning.frequency("A#4") / 440).toBeCloseTo(2 ** (1 / 19), 6);
+
+  const just = Tuning.fromScala(JUST_SCL, WHITE_KEYS_KBM);
+  expect(just.name).toBe("5-limit major");
+  expect(just.frequency("C4")).toBeCloseTo(264, 10);
+  expect(just.frequency("C5")).toBeCloseTo(528, 10);
+  expect(just.cents("M3")).toBeCloseTo(386.314, 3);
+  expect(() => just.frequency("C#4")).toThrowError("not mapped");
+  expect(Note.fromFrequency(331, just).toString()).toBe("E4");
+
+  expect(() => Tuning.fromScala("Broken\n2\n1.5\nabc")).toThrowError(
+    "'abc' is not a valid Scala pitch",
+  );
+  expect(() => Tuning.fromScala("Short\n3\n100.0")).toThrowError(
+    "should have 3 pitches",
+  );
+});
@@ -0,0 +1,69 @@
+import { notes, voiceLead, voicing } from "../src/index.js";
+
+const v = (...args) => voicing(...args).toString();
+const lead = (...args) => voiceLead(...args).map((c) => c.toString());
+
+test("invert chords", () => {
+  expect(notes("C4 E4 G4").invert().toString()).toBe("E4 G4 C5");
+  expect(notes("C4 E4 G4").invert(2).toString()).toBe("G4 C5 E5");
+  expect(notes("C4 E4 G4").invert(4).toString()).toBe("E5 G5 C6");
+  expect(notes("C4 E4 G4").invert(-1).toString()).toBe("G3 C4 E4");
+  expect(notes("G4 C4 E4").invert(0).toString()).toBe("C4 E4 G4");
+  expect(notes("C4 G4 E5").invert().toString()).toBe("G4 E5 C6");
+  expect(notes("C E G").invert(2).toString()).toBe("G C E");
+  expect(notes("C E G").invert(-1).toString()).toBe("G C E");
+});
+
+test("create drop voicings", () => {
+  expect(notes("C4 E4 G4 B4").drop2().toString()).toBe("G3 C4 E4 B4");
+  expect(notes("C4 E4 G4 B4").drop3().toString()).toBe("E3 C4 G4 B4");
+  expect(notes("E4 G4 C5").drop2().toString()).toBe("G3 E4 C5");
+  expect(() => notes("C E G B").drop2()).toThrowError("pitches");
+  expect(() => notes("C4 E4").drop3()).toThrowError("at least 3 notes");
+});
+
+test("voice chords in a range", () => {
+  expect(v("C E G")).toBe("C4 E4 G4");
+  expect(v("E G C")).toBe("E4 G4 C5");
+  expect(v("G4 E4 C5", "close")).toBe("E4 G4 C5");
+  expect(v("C E G", "open", { low: "C3" })).toBe("C3 G3 E4");
+  expect(v("C E G B", "open")).toBe("C4 G4 E5 B5");
+  expect(v("C E G B", "spread", { low: "C3", high: "C6" })).toBe("C3 E4 G4 B5");
+  expect(v("D F A", "close", { low: "E3" })).toBe("D4 F4 A4");
+  expect(() => v("C E G B D", "close", { high: "C5" })).toThrowError(
+    "does not fit between C4 and C5",
+  );
+});
+
+test("lead voices with minimal motion", () => {
+  expect(lead(["C4 E4 G4", "F A C", "G B D", "C E G"])).toEqual([
+    "C4 E4 G4",
+    "C4 F4 A4",
+    "B3 D4 G4",
+    "C4 E4 G4",
+  ]);
+  expect(lead(["C E G", "A C E"])).toEqual(["C4 E4 G4", "C4 E4 A4"]);
+  expect(lead(["C4 E4 G4 C5", "G B D F"])).toEqual([
+    "C4 E4 G4 C5",
+    "B3 F4 G4 D5",
+  ]);
+  expect(() => lead(["C4 E4 G4", "G B D F"])).toThrowError(
+    "more notes than the 3 voices",
+  );
+  expect(lead(["C3 E3 G3 B3 D4 F4 A4", "D F# A C E G B"])).toEqual([
+    "C3 E3 G3 B3 D4 F4 A4",
+    "C3 E3 G3 B3 D4 F#4 A4",
+  ]);
+  expect(lead([])).toEqual([]);
+});
+
+test("avoid parallel fifths and octaves", () => {
+  expect(lead(["C3 G3", "D A"])).toEqual(["C3 G3", "D3 A3"]);
+  expect(lead(["C3 G3", "D A"], { avoidParallels: true })).toEqual([
+    "C3 G3",
+    "A2 D3",
+  ]);
+  const progression = ["C3 G3 C4 E4", "D F A", "G B D F", "C E G"];
+  expect(lead(progression)[1]).toBe("D3 A3 D4 F4");
+  expect(lead(progression, { avoidParallels: true })[1]).toBe("D3 F3 A3 F4");
+});